@@ -2,18 +2,29 @@
 /**
  * Temporary script to set up demo GitHub repo + Vercel project.
  * Run once, then delete.
+ *
+ * A project it creates is recorded in the resource ledger (run "setup-repos");
+ * `node resource-ledger.js cleanup setup-repos` deletes it again.
+ *
+ * Settings (config.js): GITHUB_TOKEN (not needed against mock-github-server.js),
+ * GITHUB_API_URL, VERCEL_TOKEN.
  */
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const VERCEL_TOKEN = process.env.VERCEL_TOKEN;
+const { loadConfigOrExit } = require('./config');
+const { ResourceLedger } = require('./resource-ledger');
+
+const config = loadConfigOrExit({
+  required: { VERCEL_TOKEN: true, GITHUB_TOKEN: c => c.sources.GITHUB_API_URL === 'default' },
+});
+const { GITHUB_TOKEN, VERCEL_TOKEN, GITHUB_API_URL } = config;
 const OWNER = 'openexecution-coder';
 const REPO = 'shared-auth-lib';
 
 async function ghApi(method, path, body) {
-  const res = await fetch('https://api.github.com' + path, {
+  const res = await fetch(GITHUB_API_URL + path, {
     method,
     headers: {
-      Authorization: `token ${GITHUB_TOKEN}`,
+      ...(GITHUB_TOKEN ? { Authorization: `token ${GITHUB_TOKEN}` } : {}),
       'Content-Type': 'application/json',
       'User-Agent': 'OpenExecution-Demo',
       Accept: 'application/vnd.github.v3+json',
@@ -178,6 +189,7 @@ async function main() {
   });
 
   if (vcProject.status === 200 || vcProject.status === 201) {
+    new ResourceLedger('setup-repos').record('vercel', 'project', vcProject.data.id, { label: vcProject.data.name });
     console.log(`  Project created: ${vcProject.data.name} (id: ${vcProject.data.id})`);
   } else if (vcProject.data?.error?.code === 'project_already_exists') {
     console.log('  Project already exists');
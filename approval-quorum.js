@@ -0,0 +1,127 @@
+/**
+ * OpenExecution — Approval Quorum
+ *
+ * Change control rarely rests on one person: ACT 4 can require N approvals
+ * from a set of named roles (e.g. CISO + service owner) before the agent may
+ * act. A Quorum collects signed decisions (approvals.js) for one pending
+ * instruction and settles as:
+ *
+ *   approved  — `required` approvals, with every listed role represented
+ *   rejected  — `rejections` explicit rejections (default 1: any veto stops it)
+ *   timeout   — `timeoutMs` elapsed first (0 = wait forever)
+ *
+ * The first approval proposes the instruction; later approvers must sign the
+ * same text. Rejections may come at any time. Spec (scenario "quorum"):
+ *   { "required": 2, "roles": ["ciso", "service-owner"], "rejections": 1, "timeoutMs": 900000 }
+ * `required` defaults to the number of roles (at least 1); with no roles any
+ * registered approver counts.
+ */
+
+class QuorumError extends Error {
+  /** status is the HTTP status the dashboard server answers with. */
+  constructor(message, { status = 409, approverId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.approverId = approverId;
+  }
+}
+
+const DECISION_EVENTS = { approve: 'approval_granted', reject: 'approval_rejected' };
+
+class Quorum {
+  constructor({ required, roles = [], rejections = 1, timeoutMs = 0 } = {}) {
+    this.roles = [...new Set(roles)];
+    this.required = Math.max(parseInt(required, 10) || 0, this.roles.length, 1);
+    this.rejectionLimit = Math.max(parseInt(rejections, 10) || 1, 1);
+    this.timeoutMs = parseInt(timeoutMs, 10) || 0;
+    this.deadline = this.timeoutMs ? new Date(Date.now() + this.timeoutMs).toISOString() : null;
+    this.instruction = null;
+    this.approvals = [];
+    this.rejections = [];
+    this.status = 'pending';
+  }
+
+  /** Throw a QuorumError if `submission` ({ instruction, approval }) cannot be counted. */
+  check({ instruction, approval }) {
+    if (this.status !== 'pending') throw new QuorumError(`Authorization is already ${this.status}`);
+    if (!approval) {
+      if (this.required > 1 || this.roles.length) throw new QuorumError('A quorum needs signed approvals', { status: 401 });
+      return;
+    }
+    const id = approval.approver_id;
+    if (this.roles.length && !this.roles.includes(approval.role)) {
+      throw new QuorumError(`Role ${approval.role || 'none'} is not part of this quorum (${this.roles.join(', ')})`, { status: 403, approverId: id });
+    }
+    if ([...this.approvals, ...this.rejections].some(d => d.approver_id === id)) {
+      throw new QuorumError(`${id} has already decided`, { approverId: id });
+    }
+    if (decisionOf(approval) === 'approve' && this.instruction !== null && instruction !== this.instruction) {
+      throw new QuorumError('A different instruction is awaiting approval — approve or reject that one', { approverId: id });
+    }
+  }
+
+  /** Count a submission; returns the decision record (see DECISION_EVENTS). */
+  add(submission) {
+    this.check(submission);
+    const { instruction, approval } = submission;
+    const decision = approval ? decisionOf(approval) : 'approve';
+    const record = {
+      decision, event_type: DECISION_EVENTS[decision], instruction,
+      approver_id: approval ? approval.approver_id : null,
+      name: approval ? approval.name : null, role: approval ? approval.role : null,
+      approval: approval || null, at: new Date().toISOString(),
+    };
+    if (decision === 'approve') {
+      if (this.instruction === null) this.instruction = instruction;
+      this.approvals.push(record);
+    } else {
+      this.rejections.push(record);
+    }
+
+    if (this.rejections.length >= this.rejectionLimit) this.status = 'rejected';
+    else if (this.approvals.length >= this.required && this.missingRoles().length === 0) this.status = 'approved';
+    return { ...record, progress: this.progress() };
+  }
+
+  missingRoles() {
+    return this.roles.filter(r => !this.approvals.some(a => a.role === r));
+  }
+
+  expire() {
+    if (this.status === 'pending') this.status = 'timeout';
+  }
+
+  /** Dashboard view (the "quorum" SSE event). */
+  progress() {
+    return {
+      status: this.status, required: this.required, approved: this.approvals.length,
+      rejected: this.rejections.length, roles: this.roles, missing_roles: this.missingRoles(),
+      approvers: this.approvals.map(a => ({ id: a.approver_id, name: a.name, role: a.role })),
+      instruction: this.instruction, deadline: this.deadline,
+    };
+  }
+
+  /**
+   * What the run receives: the approved instruction (null otherwise), the
+   * proposer's approval and every decision made.
+   */
+  result() {
+    return {
+      outcome: this.status,
+      instruction: this.status === 'approved' ? this.instruction : null,
+      approval: this.approvals.length ? this.approvals[0].approval : null,
+      required: this.required, roles: this.roles,
+      approvers: this.approvals.map(a => a.approver_id),
+      rejecters: this.rejections.map(r => r.approver_id),
+      approvals: this.approvals.map(a => a.approval),
+      rejections: this.rejections.map(r => r.approval),
+    };
+  }
+}
+
+function decisionOf(approval) {
+  return approval.statement && approval.statement.decision === 'reject' ? 'reject' : 'approve';
+}
+
+module.exports = { Quorum, QuorumError, DECISION_EVENTS };
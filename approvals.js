@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Signed Human Approvals
+ *
+ * An authorization event is only as good as the proof of who authorized it.
+ * Every instruction POSTed to the dashboard must carry an Ed25519 approval
+ * (see approvalStatement/verifyApproval in provenance.js) made one of two
+ * ways:
+ *
+ *   signature — the approver signs with their own key (node approvals.js sign)
+ *               and POSTs { instruction, approver_id, signed_at, signature, decision }
+ *   token     — the approver sends "Authorization: Bearer <token>" from the
+ *               local token store and the server signs with the approver's
+ *               custodial key (the dashboard's approver token field)
+ *
+ * The statement covers the chain id, the session's one-time challenge
+ * (GET /state or /sessions/:id/state while waiting), the instruction hash and
+ * the approver's role as listed in the store, so an approval cannot be
+ * replayed into another run or instruction, nor counted for another role.
+ * `decision` is "approve" (default) or "reject"; a signed rejection counts
+ * against an approval quorum (see approval-quorum.js).
+ *
+ * Store (OE_APPROVERS_FILE, default .oe-keys/approvers.json — gitignored):
+ *   { "approvers": [ { "id", "name", "role", "public_key", "key_id",
+ *                      "custodial_key"?: "<PKCS#8 PEM>",
+ *                      "tokens": [ { "sha256", "expires_at" } ] } ] }
+ * Its public part (id, name, role, public_key, key_id) is published as
+ * provenance/approvers.json for oe-verify.
+ *
+ * Starting another dashboard run (POST /sessions) takes an approver token too,
+ * or the operator's DEMO_ADMIN_TOKEN (see authorizeStart).
+ *
+ * Usage:
+ *   node approvals.js add <id> <name> <role> [public-key.pem]   (no key → custodial)
+ *   node approvals.js token <id> [ttl-hours]                    (custodial approvers)
+ *   node approvals.js keygen <private.pem>                      (approver's own key)
+ *   node approvals.js sign <private.pem> <approver_id> <role> <chain_id> <challenge> "<instruction>" [approve|reject]
+ *   node approvals.js list
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalize, sha256, keyFingerprint, approvalStatement, verifyApproval } = require('./provenance');
+const { keyDir } = require('./signing-keys');
+
+const DECISIONS = ['approve', 'reject'];
+
+class ApprovalError extends Error {
+  /** status is the HTTP status the dashboard server answers with. */
+  constructor(message, { status = 403, approverId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.approverId = approverId;
+  }
+}
+
+
+// ── Signing ──
+
+function publicKeyHex(key) {
+  return crypto.createPublicKey(key).export({ type: 'spki', format: 'der' }).toString('hex');
+}
+
+/** Sign an approval statement; returns the approval record without approver metadata. */
+function signApproval(privateKey, fields) {
+  const statement = approvalStatement(fields);
+  const signature = crypto.sign(null, Buffer.from(canonicalize(statement)), privateKey).toString('hex');
+  const pub = publicKeyHex(privateKey);
+  return { approver_id: fields.approverId, statement, signature, public_key: pub, key_id: keyFingerprint(pub) };
+}
+
+
+// ── Approver store ──
+
+class ApproverStore {
+  constructor({ file = process.env.OE_APPROVERS_FILE || path.join(keyDir(), 'approvers.json') } = {}) {
+    this.file = file;
+    this.load();
+  }
+
+  /** (Re)read the file, so approvers and tokens added by the CLI apply to a running server. */
+  load() {
+    this.approvers = [];
+    if (!fs.existsSync(this.file)) return;
+    try {
+      this.approvers = JSON.parse(fs.readFileSync(this.file, 'utf8')).approvers || [];
+    } catch (err) {
+      throw new ApprovalError(`Cannot read approver store ${this.file}: ${err.message}`);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ approvers: this.approvers }, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+
+  get(id) {
+    return this.approvers.find(a => a.id === id) || null;
+  }
+
+  /** Register an approver. Without a public key PEM a custodial key is generated. */
+  add({ id, name, role, publicKeyPem }) {
+    if (this.get(id)) throw new ApprovalError(`Approver ${id} already exists`, { approverId: id });
+    let pub, custodial = null;
+    if (publicKeyPem) {
+      const key = crypto.createPublicKey(publicKeyPem);
+      if (key.asymmetricKeyType !== 'ed25519') throw new ApprovalError('Approver keys must be Ed25519', { approverId: id });
+      pub = key.export({ type: 'spki', format: 'der' }).toString('hex');
+    } else {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      custodial = privateKey.export({ type: 'pkcs8', format: 'pem' });
+      pub = publicKeyHex(privateKey);
+    }
+    const approver = { id, name, role, public_key: pub, key_id: keyFingerprint(pub), ...(custodial ? { custodial_key: custodial } : {}), tokens: [] };
+    this.approvers.push(approver);
+    this.save();
+    return approver;
+  }
+
+  /** Register the approver if missing; returns the stored record. */
+  ensure(spec) {
+    return this.get(spec.id) || this.add(spec);
+  }
+
+  /** Issue a bearer token for a custodial approver. Only its hash is stored. */
+  issueToken(id, { ttlHours = 12 } = {}) {
+    const approver = this.get(id);
+    if (!approver) throw new ApprovalError(`Unknown approver ${id}`, { approverId: id });
+    if (!approver.custodial_key) throw new ApprovalError(`Approver ${id} holds their own key; tokens need a custodial key`, { approverId: id });
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    approver.tokens = approver.tokens.filter(t => Date.parse(t.expires_at) > now);
+    approver.tokens.push({ sha256: sha256(token), expires_at: new Date(now + ttlHours * 3600e3).toISOString() });
+    this.save();
+    return token;
+  }
+
+  byToken(token) {
+    const hash = sha256(token);
+    const now = Date.now();
+    return this.approvers.find(a => a.tokens.some(t => t.sha256 === hash && Date.parse(t.expires_at) > now)) || null;
+  }
+
+  /** Public approver directory (published as approvers.json). */
+  directory() {
+    return { approvers: this.approvers.map(({ id, name, role, public_key, key_id }) => ({ id, name, role, public_key, key_id })) };
+  }
+}
+
+
+// ── Server-side authorization ──
+
+function bearerToken(headers = {}) {
+  const m = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return m ? m[1] : null;
+}
+
+/**
+ * Turn a POST /instruction body (+ headers) into { instruction, approval }
+ * or throw ApprovalError. `chainId` and `challenge` come from the waiting
+ * session.
+ */
+function authorizeSubmission(store, body, headers, { chainId, challenge }) {
+  const instruction = typeof body.instruction === 'string' ? body.instruction : '';
+  if (!instruction.trim()) throw new ApprovalError('instruction is required', { status: 400 });
+  const decision = body.decision || 'approve';
+  if (!DECISIONS.includes(decision)) throw new ApprovalError(`decision must be one of ${DECISIONS.join(', ')}`, { status: 400 });
+  store.load();
+
+  const token = bearerToken(headers);
+  let approver, approval;
+  if (token) {
+    approver = store.byToken(token);
+    if (!approver) throw new ApprovalError('Unknown or expired approver token', { status: 401 });
+    const key = crypto.createPrivateKey(approver.custodial_key);
+    approval = { ...signApproval(key, { chainId, challenge, instruction, approverId: approver.id, role: approver.role, decision, signedAt: new Date().toISOString() }), method: 'token' };
+  } else if (body.signature) {
+    approver = store.get(body.approver_id);
+    if (!approver) throw new ApprovalError(`Unknown approver ${body.approver_id}`, { status: 401, approverId: body.approver_id });
+    const statement = approvalStatement({ chainId, challenge, instruction, approverId: approver.id, role: approver.role, decision, signedAt: body.signed_at });
+    approval = { approver_id: approver.id, statement, signature: body.signature, public_key: approver.public_key, key_id: approver.key_id, method: 'signature' };
+  } else {
+    throw new ApprovalError('Instruction must be signed by an approver or sent with an approver token', { status: 401 });
+  }
+
+  const check = verifyApproval(approval, { instruction, chainId });
+  if (!check.ok) throw new ApprovalError(`Approval rejected: ${check.error}`, { approverId: approver.id });
+  return { instruction, approval: { ...approval, name: approver.name, role: approver.role } };
+}
+
+/**
+ * Vet a request to start a run: "Authorization: Bearer <token>" with a live
+ * approver token or `adminToken`. Returns the approver (null for the admin
+ * token); throws ApprovalError (401) otherwise.
+ */
+function authorizeStart(store, headers, { adminToken = null } = {}) {
+  const token = bearerToken(headers);
+  if (!token) throw new ApprovalError('Starting a run needs an approver or admin token', { status: 401 });
+  if (adminToken && crypto.timingSafeEqual(Buffer.from(sha256(token), 'hex'), Buffer.from(sha256(adminToken), 'hex'))) return null;
+  store.load();
+  const approver = store.byToken(token);
+  if (!approver) throw new ApprovalError('Unknown or expired token', { status: 401 });
+  return approver;
+}
+
+module.exports = { ApproverStore, ApprovalError, signApproval, authorizeSubmission, authorizeStart };
+
+
+// ── CLI ──
+
+if (require.main === module) {
+  // OE_APPROVERS_FILE / OE_KEY_DIR may come from .env or --flags
+  const config = require('./config').loadConfigOrExit();
+  const [cmd, ...args] = config.argv;
+  try {
+    const store = new ApproverStore();
+    if (cmd === 'add' && args.length >= 3) {
+      const [id, name, role, pemFile] = args;
+      const a = store.add({ id, name, role, publicKeyPem: pemFile && fs.readFileSync(pemFile, 'utf8') });
+      console.error(`  ✓ Approver ${a.id} (${a.role}) key ${a.key_id}${a.custodial_key ? ' — custodial, issue tokens with "token"' : ''}`);
+    } else if (cmd === 'token' && args[0]) {
+      console.log(store.issueToken(args[0], { ttlHours: parseFloat(args[1]) || 12 }));
+    } else if (cmd === 'keygen' && args[0]) {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.writeFileSync(args[0], privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      fs.writeFileSync(args[0].replace(/\.pem$/, '') + '.pub.pem', crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }));
+      console.error(`  ✓ ${args[0]} (+ .pub.pem to register with "add")`);
+    } else if (cmd === 'sign' && args.length >= 6) {
+      const [pemFile, approverId, role, chainId, challenge, instruction, decision = 'approve'] = args;
+      if (!DECISIONS.includes(decision)) throw new ApprovalError(`decision must be one of ${DECISIONS.join(', ')}`);
+      const signedAt = new Date().toISOString();
+      const key = crypto.createPrivateKey(fs.readFileSync(pemFile, 'utf8'));
+      const { signature } = signApproval(key, { chainId, challenge, instruction, approverId, role, decision, signedAt });
+      console.log(JSON.stringify({ instruction, approver_id: approverId, signed_at: signedAt, signature, decision }));
+    } else if (cmd === 'list') {
+      for (const a of store.approvers) {
+        console.log(`  ${a.id}  ${a.name} (${a.role})  key ${a.key_id}  ${a.custodial_key ? `custodial, ${a.tokens.length} token(s)` : 'own key'}`);
+      }
+    } else {
+      console.error('  Usage: node approvals.js add <id> <name> <role> [public-key.pem]');
+      console.error('         node approvals.js token <id> [ttl-hours]');
+      console.error('         node approvals.js keygen <private.pem>');
+      console.error('         node approvals.js sign <private.pem> <approver_id> <role> <chain_id> <challenge> "<instruction>" [approve|reject]');
+      console.error('         node approvals.js list');
+      process.exit(1);
+    }
+  } catch (err) {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Certificate Lifecycle
+ *
+ * A certificate starts "active" and may end in one of two states, matching
+ * the provenance_certificates columns (status, revocation_reason, revoked_at,
+ * superseded_by):
+ *
+ *   revoked     — withdrawn with a reason (see REVOCATION_REASONS)
+ *   superseded  — its chain was extended and re-certified; the new
+ *                 certificate carries "supersedes", the old one "superseded_by"
+ *
+ * The issuer's registry (OE_CERT_REGISTRY, default .oe-keys/certificates.json)
+ * records every certificate issued. revocationList() turns it into a signed
+ * list that oe-verify checks certificates against:
+ *
+ *   { "version": "1.0", "issued_at": "…", "entries": [
+ *       { "certificate_id": "…", "chain_id": "…", "status": "revoked",
+ *         "reason": "key_compromise", "revoked_at": "…",
+ *         "superseded_by": null, "superseded_at": null } ],
+ *     "issuer": "…", "algorithm": "Ed25519", "key_id": "…", "signature": "…", "public_key": "…" }
+ *
+ * Usage:
+ *   node cert-lifecycle.js list
+ *   node cert-lifecycle.js revoke <certificate_id> <reason>
+ *   node cert-lifecycle.js supersede <certificate_id> <execution-chain.json> [out.json]
+ *   node cert-lifecycle.js crl [out.json]               — signed revocation list
+ *   node cert-lifecycle.js db-revoke <id> <reason>      — provenance_certificates row
+ *   node cert-lifecycle.js db-supersede <id> <cert.json> — insert the certificate
+ *                           `supersede` wrote and mark row <id> superseded by it
+ * The db-* commands talk to the orchestrators' database (DB_BACKEND, DB_NAME …,
+ * see schema-migrations.js configPsql); migrations/002 lets a chain keep its
+ * superseded certificates next to the active one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { chainHash, CertIssuer } = require('./provenance');
+const { loadSigningKey, keyDir } = require('./signing-keys');
+const { quoteLiteral } = require('./db-backends');
+const { configPsql } = require('./schema-migrations');
+
+const REVOCATION_REASONS = ['key_compromise', 'chain_tampered', 'issued_in_error', 'cessation_of_operation', 'unspecified'];
+
+class CertLifecycleError extends Error {
+  constructor(message, { certificateId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.certificateId = certificateId;
+  }
+}
+
+
+// ── Registry ──
+
+class CertificateRegistry {
+  constructor({ file = process.env.OE_CERT_REGISTRY || path.join(keyDir(), 'certificates.json') } = {}) {
+    this.file = file;
+    this.records = [];
+    if (fs.existsSync(file)) {
+      try {
+        this.records = JSON.parse(fs.readFileSync(file, 'utf8')).certificates || [];
+      } catch (err) {
+        throw new CertLifecycleError(`Cannot read certificate registry ${file}: ${err.message}`);
+      }
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ certificates: this.records }, null, 2) + '\n');
+    fs.renameSync(tmp, this.file);
+  }
+
+  get(certificateId) {
+    const rec = this.records.find(r => r.certificate.certificate_id === certificateId);
+    if (!rec) throw new CertLifecycleError(`Unknown certificate ${certificateId}`, { certificateId });
+    return rec;
+  }
+
+  /** Record a freshly issued certificate as active. */
+  record(cert) {
+    if (!cert.certificate_id) throw new CertLifecycleError('Certificate has no certificate_id');
+    if (this.records.some(r => r.certificate.certificate_id === cert.certificate_id)) return;
+    this.records.push({ certificate: cert, status: 'active', revocation_reason: null, revoked_at: null, superseded_by: null });
+    this.save();
+  }
+
+  revoke(certificateId, reason, { now = new Date().toISOString() } = {}) {
+    if (!REVOCATION_REASONS.includes(reason)) {
+      throw new CertLifecycleError(`Unknown revocation reason "${reason}" (expected ${REVOCATION_REASONS.join(', ')})`, { certificateId });
+    }
+    const rec = this.get(certificateId);
+    if (rec.status === 'revoked') {
+      throw new CertLifecycleError(`Certificate ${certificateId} was already revoked at ${rec.revoked_at}`, { certificateId });
+    }
+    Object.assign(rec, { status: 'revoked', revocation_reason: reason, revoked_at: now });
+    this.save();
+    return rec;
+  }
+
+  /**
+   * Certify an extended chain and mark the old certificate superseded. The
+   * chain must start with exactly the events the old certificate covered.
+   * `chain` is { id, events } (a Chain or a parsed execution-chain.json).
+   */
+  supersede(certificateId, chain, issuer, { now = new Date().toISOString() } = {}) {
+    const rec = this.get(certificateId);
+    const old = rec.certificate;
+    if (rec.status !== 'active') {
+      throw new CertLifecycleError(`Certificate ${certificateId} is ${rec.status}; only active certificates can be superseded`, { certificateId });
+    }
+    const events = chain.events || [];
+    if ((chain.id ?? chain.chain_id) !== old.chain_id) {
+      throw new CertLifecycleError(`Chain ${chain.id ?? chain.chain_id} is not ${old.chain_id}`, { certificateId });
+    }
+    if (events.length <= old.event_count) {
+      throw new CertLifecycleError(`Chain has ${events.length} events; the certificate already covers ${old.event_count}`, { certificateId });
+    }
+    if (chainHash(events.slice(0, old.event_count)) !== old.chain_hash) {
+      throw new CertLifecycleError(`The first ${old.event_count} events no longer match the certified chain hash`, { certificateId });
+    }
+    const joint = events[old.event_count];
+    if (joint.prev_hash !== events[old.event_count - 1].event_hash) {
+      throw new CertLifecycleError(`Event ${joint.sequence} does not link to the certified chain`, { certificateId });
+    }
+
+    const extended = { id: old.chain_id, events, chainHash: chainHash(events) };
+    const cert = issuer.issue(extended, { supersedes: certificateId });
+    Object.assign(rec, { status: 'superseded', superseded_by: cert.certificate_id, superseded_at: now });
+    this.records.push({ certificate: cert, status: 'active', revocation_reason: null, revoked_at: null, superseded_by: null });
+    this.save();
+    return cert;
+  }
+
+  /** Signed list of every revoked or superseded certificate. */
+  revocationList(issuer, { now = new Date().toISOString() } = {}) {
+    const entries = this.records.filter(r => r.status !== 'active').map(r => ({
+      certificate_id: r.certificate.certificate_id,
+      chain_id: r.certificate.chain_id,
+      status: r.status,
+      reason: r.revocation_reason,
+      revoked_at: r.revoked_at,
+      superseded_by: r.superseded_by,
+      superseded_at: r.superseded_at || null,
+    }));
+    return issuer.sign({ version: '1.0', issued_at: now, entries });
+  }
+}
+
+
+// ── Platform database (provenance_certificates) ──
+
+/**
+ * Run `sql` (ending in one SELECT/RETURNING of a json_build_object) in a
+ * single transaction and parse its row; no row → CertLifecycleError.
+ */
+function dbRow(psql, sql, certificateId) {
+  const out = psql(sql, { singleTransaction: true }).trim().split('\n').filter(Boolean).pop();
+  if (!out) throw new CertLifecycleError(`No active certificate ${certificateId} in provenance_certificates`, { certificateId });
+  return JSON.parse(out);
+}
+
+/** `psql` is a (sql, opts) → output function, e.g. schema-migrations.js configPsql(). */
+function dbRevoke(psql, id, reason) {
+  if (!REVOCATION_REASONS.includes(reason)) {
+    throw new CertLifecycleError(`Unknown revocation reason "${reason}" (expected ${REVOCATION_REASONS.join(', ')})`, { certificateId: id });
+  }
+  return dbRow(psql, `UPDATE provenance_certificates SET status = 'revoked', revocation_reason = ${quoteLiteral(reason)}, revoked_at = NOW()
+    WHERE id = ${quoteLiteral(id)} AND status = 'active'
+    RETURNING json_build_object('id', id, 'status', status, 'revocation_reason', revocation_reason, 'revoked_at', revoked_at);`, id);
+}
+
+/**
+ * Insert `cert` (the certificate \`supersede\` wrote) as the chain's active
+ * certificate and mark row `id` superseded by it — in one transaction, so a
+ * chain never has two active certificates or none. The new row's id is the
+ * certificate_id; artifact columns are copied from the old row.
+ */
+function dbSupersede(psql, id, cert) {
+  if (!cert || !cert.certificate_id) throw new CertLifecycleError('Certificate has no certificate_id', { certificateId: id });
+  if (cert.supersedes && cert.supersedes !== id) {
+    throw new CertLifecycleError(`Certificate ${cert.certificate_id} supersedes ${cert.supersedes}, not ${id}`, { certificateId: id });
+  }
+  const oldId = quoteLiteral(id), newId = quoteLiteral(cert.certificate_id);
+  return dbRow(psql, `DO $supersede$
+DECLARE old provenance_certificates%ROWTYPE;
+BEGIN
+  -- First: the partial unique index allows one active certificate per chain
+  UPDATE provenance_certificates SET status = 'superseded' WHERE id = ${oldId} AND status = 'active' RETURNING * INTO old;
+  IF NOT FOUND THEN RAISE EXCEPTION 'No active certificate % in provenance_certificates', ${oldId}; END IF;
+  INSERT INTO provenance_certificates (id, chain_id, artifact_type, artifact_ref, artifact_title,
+    certificate_data, chain_hash, certificate_signature, status, issued_at)
+  VALUES (${newId}, old.chain_id, old.artifact_type, old.artifact_ref, old.artifact_title,
+    ${quoteLiteral(JSON.stringify(cert))}::jsonb, ${quoteLiteral(cert.chain_hash || '')}, ${quoteLiteral(cert.signature || '')},
+    'active', ${cert.issued_at ? `${quoteLiteral(cert.issued_at)}::timestamptz` : 'NOW()'});
+  UPDATE provenance_certificates SET superseded_by = ${newId} WHERE id = ${oldId};
+END $supersede$;
+SELECT json_build_object('id', id, 'status', status, 'superseded_by', superseded_by) FROM provenance_certificates WHERE id = ${oldId};`, id);
+}
+
+module.exports = { CertificateRegistry, CertLifecycleError, REVOCATION_REASONS, dbRevoke, dbSupersede };
+
+
+// ── CLI ──
+
+function usage() {
+  console.error('  Usage: node cert-lifecycle.js list');
+  console.error('         node cert-lifecycle.js revoke <certificate_id> <reason>');
+  console.error('         node cert-lifecycle.js supersede <certificate_id> <execution-chain.json> [out.json]');
+  console.error('         node cert-lifecycle.js crl [out.json]');
+  console.error('         node cert-lifecycle.js db-revoke <id> <reason> | db-supersede <id> <cert.json>');
+  console.error(`  Reasons: ${REVOCATION_REASONS.join(', ')}`);
+  process.exit(1);
+}
+
+function output(doc, file) {
+  const json = JSON.stringify(doc, null, 2);
+  if (file) {
+    fs.writeFileSync(file, json + '\n');
+    console.error(`  Written to ${file}`);
+  } else {
+    console.log(json);
+  }
+}
+
+async function cli([cmd, a, b, c], config) {
+  switch (cmd) {
+    case 'list': {
+      const registry = new CertificateRegistry();
+      for (const r of registry.records) {
+        const cert = r.certificate;
+        const note = r.status === 'revoked' ? ` (${r.revocation_reason}, ${r.revoked_at})`
+          : r.status === 'superseded' ? ` → ${r.superseded_by}` : '';
+        console.log(`  ${cert.certificate_id}  ${cert.chain_id}  ${cert.event_count} events  ${r.status}${note}`);
+      }
+      if (registry.records.length === 0) console.log(`  No certificates in ${registry.file}`);
+      break;
+    }
+    case 'revoke': {
+      if (!a || !b) usage();
+      const rec = new CertificateRegistry().revoke(a, b);
+      console.error(`  ✓ Revoked ${a} (${rec.revocation_reason})`);
+      break;
+    }
+    case 'supersede': {
+      if (!a || !b) usage();
+      const chain = JSON.parse(fs.readFileSync(b, 'utf8'));
+      const cert = new CertificateRegistry().supersede(a, chain, new CertIssuer(loadSigningKey()));
+      console.error(`  ✓ ${a} superseded by ${cert.certificate_id} (${cert.event_count} events)`);
+      output(cert, c);
+      break;
+    }
+    case 'crl':
+      output(new CertificateRegistry().revocationList(new CertIssuer(loadSigningKey())), a);
+      break;
+    case 'db-revoke':
+      if (!a || !b) usage();
+      console.log(JSON.stringify(dbRevoke(configPsql(config), a, b), null, 2));
+      break;
+    case 'db-supersede':
+      if (!a || !b) usage();
+      console.log(JSON.stringify(dbSupersede(configPsql(config), a, JSON.parse(fs.readFileSync(b, 'utf8'))), null, 2));
+      break;
+    default:
+      usage();
+  }
+}
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  cli(config.argv, config).catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,250 @@
+/**
+ * OpenExecution — Database Backends
+ *
+ * Where the orchestrators' PostgreSQL comes from (DB_BACKEND):
+ *
+ *   docker    the oe-postgres container (postgres:16-alpine on :5432), created
+ *             or started as needed — the original setup
+ *   external  an already-running server given by DATABASE_URL; needs the psql
+ *             client on PATH. The URL's database is dropped and recreated on
+ *             every run — point it at a scratch database. Only chosen by an
+ *             explicit DB_BACKEND=external: a DATABASE_URL left in the
+ *             environment for other work is never dropped by accident
+ *   local     a throwaway cluster: initdb into a temp directory, postgres on
+ *             127.0.0.1:OE_PG_PORT (default 5433), removed at shutdown.
+ *             Binaries come from PG_BIN, PATH, or the usual install
+ *             directories; initdb and postgres refuse to run as root
+ *   auto      (default) docker if Docker is running, else local if initdb is
+ *             found — never external
+ *
+ * A backend is { name, dbName, url, label, env, psqlCommand(db), start(ctx, saved) };
+ * psqlCommand() never embeds a password (it is printed in dry runs and errors),
+ * env holds what psql needs besides it (PGPASSWORD).
+ * start() brings the server up and resolves with JSON-safe details that the
+ * orchestrator checkpoints; on a --from resume they come back as `saved`.
+ * All commands go through ctx (exec, spawn, waitFor), so --dry-run covers them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const IS_WINDOWS = process.platform === 'win32';
+const EXE = IS_WINDOWS ? '.exe' : '';
+
+class DatabaseBackendError extends Error {
+  constructor(message, { backend } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.backend = backend;
+  }
+}
+
+/** SQL identifier: my-db → "my-db". */
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/** SQL string literal: it's → 'it''s'. */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function quoteArg(arg) {
+  return /[\s"]/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg;
+}
+
+/** First directory holding initdb: PG_BIN, PATH, then common install locations. */
+function findPgBin() {
+  const dirs = [];
+  if (process.env.PG_BIN) dirs.push(process.env.PG_BIN);
+  dirs.push(...(process.env.PATH || '').split(path.delimiter).filter(Boolean));
+  const versioned = (root, sub = '') => {
+    try {
+      return fs.readdirSync(root).sort((a, b) => parseFloat(b.replace(/\D+/g, '')) - parseFloat(a.replace(/\D+/g, '')))
+        .map(v => path.join(root, v, sub));
+    } catch { return []; }
+  };
+  if (IS_WINDOWS) dirs.push(...versioned('C:\\Program Files\\PostgreSQL', 'bin'));
+  else {
+    dirs.push(...versioned('/usr/lib/postgresql', 'bin'));
+    dirs.push(...versioned('/opt/homebrew/opt').filter(d => /postgresql/.test(d)).map(d => path.join(d, 'bin')));
+    dirs.push(...versioned('/usr/local/opt').filter(d => /postgresql/.test(d)).map(d => path.join(d, 'bin')));
+  }
+  return dirs.find(d => fs.existsSync(path.join(d, `initdb${EXE}`))) || null;
+}
+
+
+// ── docker ──
+
+function dockerBackend(config) {
+  const { container, dbName, dbUrl } = config;
+  return {
+    name: 'docker',
+    dbName,
+    url: dbUrl,
+    label: `${container} container`,
+    env: {},
+    psqlCommand: (db = dbName) => `docker exec -i ${container} psql -U postgres -d ${db}`,
+
+    async start(ctx) {
+      const version = ctx.exec('docker info --format "{{.ServerVersion}}"', { ignoreError: true });
+      if (version === null) throw new DatabaseBackendError('Docker is not running. Start Docker Desktop, or set DB_BACKEND=external|local.', { backend: 'docker' });
+      ctx.log('✓', `Docker is running (v${version.trim()})`);
+
+      const running = (ctx.exec('docker ps --format "{{.Names}}"') || '').trim().split('\n');
+      if (running.includes(container)) {
+        ctx.log('✓', `${container} container already running`);
+      } else {
+        const all = (ctx.exec('docker ps -a --format "{{.Names}}"') || '').trim().split('\n');
+        if (all.includes(container)) {
+          ctx.log('…', `Starting existing ${container} container...`);
+          ctx.exec(`docker start ${container}`);
+        } else {
+          ctx.log('…', `Creating ${container} container...`);
+          ctx.exec(`docker run -d --name ${container} -e POSTGRES_PASSWORD=postgres -e POSTGRES_DB=${dbName} -p 5432:5432 postgres:16-alpine`);
+        }
+        await ctx.sleep(5000); // first start runs initdb and restarts the server
+        ctx.log('✓', `${container} container started`);
+      }
+
+      ctx.log('…', 'Waiting for PostgreSQL...');
+      await ctx.waitFor('PostgreSQL', () =>
+        (ctx.exec(`docker exec ${container} pg_isready -U postgres`, { ignoreError: true }) || '').includes('accepting connections'),
+      { timeoutMs: 15000 });
+      return { container };
+    },
+  };
+}
+
+
+// ── external ──
+
+function externalBackend(config, databaseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(databaseUrl);
+  } catch {
+    throw new DatabaseBackendError('DATABASE_URL is not a valid postgresql:// URL', { backend: 'external' });
+  }
+  const dbName = decodeURIComponent(parsed.pathname.replace(/^\//, ''));
+  if (!dbName) throw new DatabaseBackendError('DATABASE_URL must name a database', { backend: 'external' });
+  const safe = new URL(parsed.href);
+  safe.password = '';
+  const urlFor = db => {
+    const u = new URL(safe.href);
+    u.pathname = `/${encodeURIComponent(db)}`;
+    return u.href;
+  };
+  const env = parsed.password ? { PGPASSWORD: decodeURIComponent(parsed.password) } : {};
+
+  return {
+    name: 'external',
+    dbName,
+    url: parsed.href,
+    label: `external database ${safe.host}${safe.pathname}`,
+    env,
+    psqlCommand: (db = dbName) => `psql "${urlFor(db)}"`,
+
+    async start(ctx) {
+      ctx.log('…', `Connecting to ${safe.host}...`);
+      await ctx.waitFor('PostgreSQL', () => ctx.exec(`psql "${urlFor('postgres')}" -t -A -c "SELECT 1"`, { env: { ...process.env, ...env }, ignoreError: true }) !== null,
+        { timeoutMs: 10000 });
+      return { host: safe.host };
+    },
+  };
+}
+
+
+// ── local ──
+
+function localBackend(config) {
+  const { dbName } = config;
+  const port = parseInt(process.env.OE_PG_PORT, 10) || 5433;
+  const backend = {
+    name: 'local',
+    dbName,
+    bin: null,
+    dataDir: null,
+    url: `postgresql://postgres@127.0.0.1:${port}/${dbName}`,
+    get label() { return `local cluster in ${this.dataDir}`; },
+    env: {},
+    psqlCommand: (db = dbName) => `${quoteArg(path.join(backend.bin, `psql${EXE}`))} -h 127.0.0.1 -p ${port} -U postgres -d ${db}`,
+
+    /** saved: a checkpointed cluster to bring back instead of a fresh initdb. */
+    async start(ctx, saved) {
+      const bin = backend.bin = (saved && saved.bin) || findPgBin();
+      if (!bin) throw new DatabaseBackendError('initdb not found — install PostgreSQL or set PG_BIN to its bin directory', { backend: 'local' });
+      const tool = name => quoteArg(path.join(bin, `${name}${EXE}`));
+
+      if (saved && saved.dataDir) {
+        if (!ctx.dryRun && !fs.existsSync(path.join(saved.dataDir, 'PG_VERSION'))) {
+          throw new DatabaseBackendError(`Checkpointed cluster ${saved.dataDir} is gone — run without --from`, { backend: 'local' });
+        }
+        backend.dataDir = saved.dataDir;
+        ctx.log('✓', `Reusing local cluster ${backend.dataDir}`);
+      } else {
+        backend.dataDir = ctx.dryRun ? path.join(os.tmpdir(), 'oe-pg-dry-run') : fs.mkdtempSync(path.join(os.tmpdir(), 'oe-pg-'));
+        ctx.log('…', `Initializing cluster in ${backend.dataDir}...`);
+        ctx.exec(`${tool('initdb')} -D ${quoteArg(backend.dataDir)} -U postgres --auth=trust -E UTF8 --no-locale`, { timeout: 60000 });
+      }
+
+      ctx.log('…', `Starting postgres on 127.0.0.1:${port}...`);
+      const args = ['-D', backend.dataDir, '-p', String(port), '-h', '127.0.0.1'];
+      if (!IS_WINDOWS) args.push('-k', backend.dataDir);
+      const server = ctx.spawn('postgres', path.join(bin, `postgres${EXE}`), args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let output = '';
+      if (server.stderr) server.stderr.on('data', d => { output = (output + d).slice(-2000); });
+      if (server.stdout) server.stdout.on('data', () => {});
+      try {
+        await ctx.waitFor('PostgreSQL', () =>
+          (ctx.exec(`${tool('pg_isready')} -h 127.0.0.1 -p ${port}`, { ignoreError: true }) || '').includes('accepting connections'),
+        { timeoutMs: 20000, process: server });
+      } catch (err) {
+        throw new DatabaseBackendError(`${err.message}${output ? ` — ${output.trim().split('\n').slice(-2).join(' | ')}` : ''}`, { backend: 'local' });
+      }
+
+      // Stop the server and delete the cluster — unless a --from resume may need it
+      ctx.onShutdown(async ({ ok }) => {
+        if (!ok) {
+          ctx.log('…', `Keeping local cluster ${backend.dataDir} for --from resume`);
+          return;
+        }
+        await ctx.procs.stop(server);
+        if (!ctx.dryRun) fs.rmSync(backend.dataDir, { recursive: true, force: true });
+        ctx.log('✓', `Removed local cluster ${backend.dataDir}`);
+      });
+      return { bin, dataDir: backend.dataDir, port };
+    },
+  };
+  return backend;
+}
+
+
+// ── Selection ──
+
+/**
+ * The backend for `name` (docker | external | local | auto; default
+ * DB_BACKEND or auto). `probeDocker()` → true when Docker is running, used by
+ * auto.
+ */
+function createBackend(config, { name = process.env.DB_BACKEND || 'auto', probeDocker = () => false } = {}) {
+  const databaseUrl = process.env.DATABASE_URL;
+  if (name === 'auto') {
+    // Not external: its database is dropped, so it has to be asked for by name
+    if (probeDocker()) name = 'docker';
+    else if (findPgBin()) name = 'local';
+    else {
+      throw new DatabaseBackendError('No database backend: Docker is not running and no PostgreSQL install was found (set PG_BIN, or DB_BACKEND=external with a scratch DATABASE_URL)');
+    }
+  }
+  if (name === 'docker') return dockerBackend(config);
+  if (name === 'local') return localBackend(config);
+  if (name === 'external') {
+    if (!databaseUrl) throw new DatabaseBackendError('DB_BACKEND=external needs DATABASE_URL', { backend: 'external' });
+    return externalBackend(config, databaseUrl);
+  }
+  throw new DatabaseBackendError(`Unknown DB_BACKEND ${name} (expected docker, external, local or auto)`);
+}
+
+module.exports = { createBackend, findPgBin, quoteIdent, quoteLiteral, DatabaseBackendError };
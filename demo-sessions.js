@@ -0,0 +1,277 @@
+/**
+ * OpenExecution — Dashboard Sessions
+ *
+ * One dashboard server, several independent demo runs. Each session owns its
+ * SSE event log (sse-log.js), its pending-instruction slot and whatever its
+ * run attaches (the walkthrough sets session.chain), so a POST to one
+ * session's /instruction can never unblock another presenter's demo.
+ *
+ * Routes (handle() returns false for anything else):
+ *   POST /sessions                  create and start a run → { id, dashboard, events, instruction }
+ *                                   (opts.authorizeStart must accept it; 429 at opts.maxRunning runs)
+ *   GET  /sessions                  list runs
+ *   GET  /sessions/:id/             dashboard.html bound to that run
+ *   GET  /sessions/:id/events       live SSE (Last-Event-ID / ?lastEventId aware)
+ *   GET  /sessions/:id/replay       recorded SSE (?speed=2)
+ *   POST /sessions/:id/instruction  { "instruction", "decision"? } (+ approval, see approvals.js) → { accepted, quorum }
+ *   GET  /sessions/:id/state        status, event count, awaiting_instruction, challenge, quorum
+ * The unprefixed /events, /replay, /instruction and /state address the
+ * default session (the one the Playwright recording drives).
+ *
+ * While a run waits for an instruction the session holds a one-time
+ * challenge and a Quorum (approval-quorum.js) that collects decisions until
+ * it settles; opts.authorize(body, req, session) turns each POSTed body into
+ * the { instruction, approval } the quorum counts, or throws an error with an
+ * HTTP .status to refuse it.
+ *
+ * Every POST /sessions run costs real resources (the walkthrough creates a
+ * GitHub repository per run), so opts.authorizeStart(req) vets the request
+ * the same way — by default nobody may start one — and at most
+ * opts.maxRunning sessions run at once, the default session included.
+ *
+ * dashboard.html resolves its stream and instruction URLs relative to the
+ * page path, which is what binds a dashboard to a session.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { SseLog, wantsEventStream } = require('./sse-log');
+const { Quorum } = require('./approval-quorum');
+
+class SessionError extends Error {
+  /** status is the HTTP status the dashboard server answers with. */
+  constructor(message, { status = 400, sessionId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.sessionId = sessionId;
+  }
+}
+
+class Session {
+  constructor(id, { logFile = null } = {}) {
+    this.id = id;
+    this.log = new SseLog({ file: logFile });
+    this.createdAt = new Date().toISOString();
+    this.status = 'created';
+    this.chain = null;
+    this.result = null;
+    this.error = null;
+    this.pendingInstruction = null;
+    this.challenge = null;
+    this.quorum = null;
+  }
+
+  push(data) {
+    this.log.push(data);
+  }
+
+  /**
+   * Collect decisions until the quorum settles; resolves with Quorum#result().
+   * onDecision(record) runs for each counted decision (in order, awaited
+   * before the result; if it throws, the wait rejects with that error right
+   * away), onProgress(progress) at the start and after each one.
+   * The challenge stays fixed until then, so approvers can sign concurrently.
+   */
+  waitForInstruction({ quorum = {}, onDecision = () => {}, onProgress = () => {} } = {}) {
+    const q = new Quorum(quorum);
+    this.challenge = crypto.randomBytes(16).toString('hex');
+    this.quorum = q;
+    onProgress(q.progress());
+    return new Promise((resolve, reject) => {
+      let recorded = Promise.resolve();
+      const close = () => {
+        clearTimeout(timer);
+        if (this.pendingInstruction !== submit) return;
+        this.pendingInstruction = null;
+        this.challenge = null;
+        this.quorum = null;
+      };
+      const settle = () => {
+        close();
+        recorded.then(() => resolve(q.result()), reject);
+      };
+      const timer = q.timeoutMs ? setTimeout(() => { q.expire(); onProgress(q.progress()); settle(); }, q.timeoutMs) : null;
+      const submit = submission => {
+        const record = q.add(submission);
+        recorded = recorded.then(() => onDecision(record));
+        // A decision that cannot be recorded ends the wait now, not at the timeout
+        recorded.catch(err => { close(); reject(err); });
+        onProgress(record.progress);
+        if (q.status !== 'pending') settle();
+      };
+      this.pendingInstruction = submit;
+    });
+  }
+
+  /**
+   * Deliver an authorized submission to this session's run; false when none
+   * is awaited. Throws QuorumError when the quorum cannot count it.
+   */
+  submitInstruction(submission) {
+    if (!submission || !submission.instruction || !this.pendingInstruction) return false;
+    this.pendingInstruction(submission);
+    return true;
+  }
+
+  summary() {
+    return {
+      id: this.id, status: this.status, created_at: this.createdAt,
+      events: this.log.lastId, awaiting_instruction: !!this.pendingInstruction, challenge: this.challenge,
+      quorum: this.quorum ? this.quorum.progress() : null,
+      chain_events: this.chain ? this.chain.events.length : 0,
+      ...(this.error ? { error: this.error } : {}),
+    };
+  }
+}
+
+
+// ── HTTP helpers ──
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', c => body += c);
+    req.on('end', () => {
+      try { resolve(body ? JSON.parse(body) : {}); } catch (err) { reject(err); }
+    });
+  });
+}
+
+
+// ── Manager ──
+
+class SessionManager {
+  /**
+   * opts.dashHtml — dashboard page; opts.logDir — where session logs go;
+   * opts.startRun(session) — runs a demo for a session created via POST /sessions;
+   * opts.authorizeStart(req) — vets POST /sessions, throwing to refuse (default: refuse all);
+   * opts.maxRunning — sessions that may run at once (default: 3);
+   * opts.authorize(body, req, session) — vets POSTed instructions (default: accept).
+   */
+  constructor({
+    dashHtml, logDir = null, startRun, maxRunning = 3,
+    authorizeStart = () => { throw new SessionError('Starting sessions is disabled', { status: 403 }); },
+    authorize = body => ({ instruction: body.instruction, approval: null }),
+  }) {
+    this.dashHtml = dashHtml;
+    this.logDir = logDir;
+    this.startRun = startRun;
+    this.maxRunning = maxRunning;
+    this.authorizeStart = authorizeStart;
+    this.authorize = authorize;
+    this.sessions = new Map();
+    this.defaultSession = null;
+  }
+
+  create(id = crypto.randomBytes(4).toString('hex'), { logFile } = {}) {
+    if (this.sessions.has(id)) throw new Error(`Session ${id} already exists`);
+    const file = logFile !== undefined ? logFile
+      : this.logDir ? path.join(this.logDir, 'sessions', `${id}.jsonl`) : null;
+    const session = new Session(id, { logFile: file });
+    this.sessions.set(id, session);
+    if (!this.defaultSession) this.defaultSession = session;
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  running() {
+    return [...this.sessions.values()].filter(s => s.status === 'running').length;
+  }
+
+  /** Run `fn(session)` and track its outcome on the session. */
+  run(session, fn = this.startRun) {
+    session.status = 'running';
+    session.promise = Promise.resolve()
+      .then(() => fn(session))
+      .then(result => {
+        session.status = 'done';
+        session.result = result;
+        return result;
+      }, err => {
+        session.status = 'failed';
+        session.error = err.message;
+        session.push({ type: 'msg', kind: 'sys', content: `Run failed: ${err.message}` });
+        throw err;
+      });
+    return session.promise;
+  }
+
+  /** Route a request; returns false when the path is not a session route. */
+  handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/sessions') {
+      if (req.method === 'POST') {
+        try {
+          this.authorizeStart(req);
+          const running = this.running();
+          if (running >= this.maxRunning) {
+            throw new SessionError(`${running} sessions are running already (limit ${this.maxRunning})`, { status: 429 });
+          }
+        } catch (err) {
+          sendJson(res, err.status || 403, { error: err.message });
+          return true;
+        }
+        const session = this.create();
+        this.run(session).catch(err => console.error(`  Session ${session.id} failed: ${err.message}`));
+        const base = `/sessions/${session.id}/`;
+        sendJson(res, 201, { id: session.id, dashboard: base, events: `${base}events`, instruction: `${base}instruction` });
+      } else {
+        sendJson(res, 200, [...this.sessions.values()].map(s => s.summary()));
+      }
+      return true;
+    }
+
+    let session, rest;
+    const m = pathname.match(/^\/sessions\/([\w-]+)(\/.*)?$/);
+    if (m) {
+      session = this.get(m[1]);
+      rest = m[2] || '';
+      if (!session) { sendJson(res, 404, { error: `Unknown session ${m[1]}` }); return true; }
+      if (rest === '') { res.writeHead(302, { Location: `/sessions/${session.id}/` }); res.end(); return true; }
+    } else if (['/events', '/replay', '/instruction', '/state'].includes(pathname) && this.defaultSession) {
+      session = this.defaultSession;
+      rest = pathname;
+    } else {
+      return false;
+    }
+
+    if (rest === '/events') {
+      session.log.attach(req, res);
+    } else if (rest === '/replay' && wantsEventStream(req)) {
+      session.log.replay(req, res);
+    } else if (rest === '/instruction' && req.method === 'POST') {
+      readJsonBody(req).then(body => {
+        if (!session.pendingInstruction) return sendJson(res, 200, { ok: true, accepted: false });
+        const quorum = session.quorum;
+        let accepted;
+        try {
+          accepted = session.submitInstruction(this.authorize(body, req, session));
+        } catch (err) {
+          return sendJson(res, err.status || 403, { ok: false, accepted: false, error: err.message });
+        }
+        sendJson(res, 200, { ok: true, accepted, quorum: quorum ? quorum.progress() : null });
+      }, () => { res.writeHead(400); res.end('Bad request'); });
+    } else if (rest === '/state') {
+      sendJson(res, 200, session.summary());
+    } else if (rest === '/' || rest === '/replay') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(this.dashHtml);
+    } else {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+    return true;
+  }
+}
+
+module.exports = { Session, SessionManager, SessionError };
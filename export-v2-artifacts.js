@@ -67,7 +67,14 @@ async function main() {
      ORDER BY pwb.created_at`
   );
 
-  // ── 5. Get users (just names, no passwords) ──
+  // ── 5. Get certificates (lifecycle status set by cert-lifecycle.js) ──
+  const { rows: certificates } = await pool.query(
+    `SELECT id, chain_id, artifact_type, artifact_ref, artifact_title, chain_hash, status,
+            revocation_reason, revoked_at, superseded_by, issued_at
+     FROM provenance_certificates ORDER BY issued_at`
+  ).catch(() => ({ rows: [] }));
+
+  // ── 6. Get users (just names, no passwords) ──
   const { rows: users } = await pool.query(
     'SELECT id, display_name, email, created_at FROM users ORDER BY created_at'
   );
@@ -115,7 +122,7 @@ async function main() {
   );
   write('execution-chain-primary.json', primaryChain);
 
-  // ── 6. Chain integrity verification ──
+  // ── 7. Chain integrity verification ──
   const integrityResults = [];
   for (const chain of chainArtifacts) {
     let prevHash = '0'.repeat(64);
@@ -140,7 +147,7 @@ async function main() {
     all_valid: integrityResults.every(r => r.is_valid),
   });
 
-  // ── 7. Full audit trail (flat event list) ──
+  // ── 8. Full audit trail (flat event list) ──
   const auditTrail = allEvents.map(e => {
     const chain = chains.find(c => c.id === e.chain_id);
     const binding = bindings.find(b => b.chain_id === e.chain_id);
@@ -157,7 +164,7 @@ async function main() {
   });
   write('audit-trail.json', auditTrail);
 
-  // ── 8. Demo summary ──
+  // ── 9. Demo summary ──
   const liabilityCount = allEvents.filter(e => e.is_liability_event).length;
   write('demo-summary.json', {
     demo_type: 'platform_activity_recording',
@@ -196,10 +203,15 @@ async function main() {
       all_chains_valid: integrityResults.every(r => r.is_valid),
       verified_at: new Date().toISOString(),
     },
+    certificates: {
+      active: certificates.filter(c => c.status === 'active').length,
+      revoked: certificates.filter(c => c.status === 'revoked').length,
+      superseded: certificates.filter(c => c.status === 'superseded').length,
+    },
     completed_at: new Date().toISOString(),
   });
 
-  // ── 9. Workspace connections ──
+  // ── 10. Workspace connections ──
   write('connections.json', connections.map(c => ({
     id: c.id,
     platform: c.platform,
@@ -211,7 +223,7 @@ async function main() {
     created_at: c.created_at,
   })));
 
-  // ── 10. Project bindings ──
+  // ── 11. Project bindings ──
   write('project-bindings.json', {
     project: projects[0] ? {
       id: projects[0].id,
@@ -229,6 +241,9 @@ async function main() {
     })),
   });
 
+  // ── 12. Certificates ──
+  write('certificates.json', certificates);
+
   // ── Done ──
   console.log('\nAll artifacts exported to:', OUT);
 
@@ -21,25 +21,22 @@ const https = require('https');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const { launchOptions } = require('./scene-cues');
 
 // ── Config ──────────────────────────────────────────────────────
-const GLM_KEY = process.env.GLM_API_KEY;
-const GITHUB_PAT = process.env.GITHUB_TOKEN;
-if (!GLM_KEY || !GITHUB_PAT) {
-  console.error('\n  ERROR: Required environment variables not set.');
-  console.error('  Set GLM_API_KEY and GITHUB_TOKEN before running.\n');
-  console.error('  Example:');
-  console.error('    set GLM_API_KEY=your_glm_api_key');
-  console.error('    set GITHUB_TOKEN=your_github_pat\n');
-  process.exit(1);
-}
-const REPO_OWNER = process.env.DEMO_REPO_OWNER || 'openexecution-coder';
-const REPO_NAME = process.env.DEMO_REPO_NAME || 'demo-cve-2026-4821';
-const GITHUB = `https://github.com/${REPO_OWNER}/${REPO_NAME}`;
-const LANDING = process.env.LANDING_URL || 'http://localhost:3000/landing';
-const DASH_PORT = parseInt(process.env.DASH_PORT || '4000', 10);
+// GLM_API_KEY always; GITHUB_TOKEN unless GITHUB_API_URL points at mock-github-server.js
+const config = require('./config').loadConfigOrExit({
+  required: { GLM_API_KEY: true, GITHUB_TOKEN: c => c.sources.GITHUB_API_URL === 'default' },
+});
+const GLM_KEY = config.GLM_API_KEY;
+const GITHUB_PAT = config.GITHUB_TOKEN;
+const REPO_OWNER = config.DEMO_REPO_OWNER;
+const REPO_NAME = config.DEMO_REPO_NAME;
+const { GITHUB_API_URL, GITHUB_WEB_URL, DASH_PORT, DASH_HOST } = config;
+const GITHUB = `${GITHUB_WEB_URL}/${REPO_OWNER}/${REPO_NAME}`;
+const LANDING = config.LANDING_URL || `http://localhost:${config.FRONTEND_PORT}/landing`;
 const OUTPUT_DIR = path.join(__dirname, 'recording');
-const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG = config.FFMPEG_PATH || 'ffmpeg';
 
 // ── SSE ─────────────────────────────────────────────────────────
 let sseClients = [];
@@ -95,17 +92,19 @@ function waitForInstruction() {
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
 function githubApi(method, apiPath, body) {
+  const url = new URL(GITHUB_API_URL + apiPath);
+  const client = url.protocol === 'http:' ? http : https;
   return new Promise((resolve, reject) => {
     const opts = {
-      hostname: 'api.github.com', path: apiPath, method,
+      hostname: url.hostname, port: url.port, path: url.pathname + url.search, method,
       headers: {
-        'Authorization': `token ${GITHUB_PAT}`,
+        ...(GITHUB_PAT ? { 'Authorization': `token ${GITHUB_PAT}` } : {}),
         'User-Agent': 'OpenExecution-Demo',
         'Accept': 'application/vnd.github.v3+json',
         'Content-Type': 'application/json',
       },
     };
-    const req = https.request(opts, res => {
+    const req = client.request(opts, res => {
       let d = '';
       res.on('data', c => d += c);
       res.on('end', () => {
@@ -600,15 +599,12 @@ async function main() {
   if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
   // Start dashboard server
-  await new Promise(r => server.listen(DASH_PORT, r));
-  console.log(`Dashboard: http://localhost:${DASH_PORT}`);
+  await new Promise(r => server.listen(DASH_PORT, DASH_HOST, r));
+  console.log(`Dashboard: http://localhost:${DASH_PORT} (listening on ${DASH_HOST})`);
 
   // Launch Playwright
   const { chromium } = require('playwright');
-  const browser = await chromium.launch({
-    headless: false,
-    args: ['--window-size=1920,1080', '--window-position=0,0'],
-  });
+  const browser = await chromium.launch(launchOptions(config.DEMO_HEADLESS));
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
     deviceScaleFactor: 1,
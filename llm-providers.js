@@ -0,0 +1,244 @@
+/**
+ * OpenExecution — LLM Provider Layer
+ *
+ * One interface for every model the demos talk to:
+ *
+ *   const llm = createProvider();            // from env
+ *   const { text, provider, model } = await llm.chat(system, user);
+ *
+ * Providers:
+ *   glm       — Zhipu BigModel (open.bigmodel.cn), OpenAI-compatible API
+ *   openai    — any OpenAI-compatible /chat/completions endpoint
+ *               (OpenAI, Azure proxies, vLLM, Ollama, LM Studio, ...)
+ *   scripted  — deterministic local fixtures keyed by prompt, for rehearsals
+ *               and CI (no network, same text every run)
+ *
+ * Failures throw typed errors — there is no silent fallback text:
+ *   LlmConfigError          missing key / unknown provider / bad fixture file
+ *   LlmRequestError         network error or timeout
+ *   LlmHttpError            non-2xx response (has .status and .body)
+ *   LlmResponseError        2xx response without usable message content
+ *   LlmFixtureMissingError  scripted provider has no fixture (has .promptKey)
+ *
+ * Settings (createProvider reads them from the environment, which config.js
+ * fills from .env, oe.config.json and flags):
+ *   LLM_PROVIDER  — "glm" | "openai" | "scripted"  (default: "glm")
+ *   LLM_MODEL     — Model override (glm: glm-4-flash, openai: gpt-4o-mini)
+ *   GLM_API_KEY   — Key for the glm provider
+ *   LLM_BASE_URL  — Base URL for the openai provider (default: https://api.openai.com/v1)
+ *   LLM_API_KEY   — Key for the openai provider (falls back to OPENAI_API_KEY)
+ *   LLM_FIXTURES  — Fixture file for the scripted provider
+ *                   (default: fixtures/llm/cve-2026-4821.json)
+ *   LLM_TIMEOUT_MS — Request timeout for HTTP providers (default: 60000)
+ *
+ * Fixture file format (scripted):
+ *   { "model": "scripted-cve-2026-4821",
+ *     "responses": [
+ *       { "key": "<promptKey>", "text": "..." },
+ *       { "contains": ["security expert", "请用中文回答"], "text": "..." } ] }
+ * An exact "key" match wins; otherwise the entry whose "contains" strings all
+ * appear in the prompt (most strings first) is used. Run
+ *   node llm-providers.js key "<system>" "<user>"
+ * to print the promptKey of a prompt.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'llm', 'cve-2026-4821.json');
+
+
+// ── Errors ──
+
+class LlmError extends Error {
+  constructor(message, { provider, model, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.provider = provider;
+    this.model = model;
+    if (cause) this.cause = cause;
+  }
+}
+class LlmConfigError extends LlmError {}
+class LlmRequestError extends LlmError {}
+class LlmHttpError extends LlmError {
+  constructor(message, { status, body, ...rest } = {}) {
+    super(message, rest);
+    this.status = status;
+    this.body = body;
+  }
+}
+class LlmResponseError extends LlmError {}
+class LlmFixtureMissingError extends LlmError {
+  constructor(message, { promptKey, ...rest } = {}) {
+    super(message, rest);
+    this.promptKey = promptKey;
+  }
+}
+
+
+// ── Helpers ──
+
+function promptText(system, user) {
+  return `${system}\n\n${user}`;
+}
+
+/** Stable fixture key for a prompt pair. */
+function promptKey(system, user) {
+  return crypto.createHash('sha256').update(promptText(system, user)).digest('hex').slice(0, 16);
+}
+
+
+// ── OpenAI-compatible (also the base for GLM) ──
+
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', baseUrl, apiKey, model, maxTokens = 400, temperature = 0.7, timeoutMs = 60000 }) {
+    if (!baseUrl) throw new LlmConfigError('LLM base URL is required', { provider: name, model });
+    if (!model) throw new LlmConfigError('LLM model is required', { provider: name });
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.temperature = temperature;
+    this.timeoutMs = timeoutMs;
+  }
+
+  chat(system, user) {
+    const ctx = { provider: this.name, model: this.model };
+    const url = new URL(`${this.baseUrl}/chat/completions`);
+    const client = url.protocol === 'http:' ? http : https;
+    const body = JSON.stringify({
+      model: this.model,
+      messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+      max_tokens: this.maxTokens, temperature: this.temperature,
+    });
+    const opts = {
+      hostname: url.hostname, port: url.port, path: url.pathname + url.search, method: 'POST',
+      headers: {
+        ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+      },
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(opts, res => {
+        let d = '';
+        res.on('data', c => d += c);
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(new LlmHttpError(`${this.name} returned HTTP ${res.statusCode}: ${d.slice(0, 200)}`,
+              { ...ctx, status: res.statusCode, body: d }));
+          }
+          let data;
+          try { data = JSON.parse(d); } catch (err) {
+            return reject(new LlmResponseError(`${this.name} returned invalid JSON`, { ...ctx, cause: err }));
+          }
+          const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+          if (typeof text !== 'string' || !text.trim()) {
+            return reject(new LlmResponseError(`${this.name} response has no message content`, ctx));
+          }
+          resolve({ text, provider: this.name, model: data.model || this.model });
+        });
+      });
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(new LlmRequestError(`${this.name} request timed out after ${this.timeoutMs}ms`, ctx));
+      });
+      req.on('error', err => {
+        reject(err instanceof LlmError ? err : new LlmRequestError(`${this.name} request failed: ${err.message}`, { ...ctx, cause: err }));
+      });
+      req.write(body);
+      req.end();
+    });
+  }
+}
+
+class GlmProvider extends OpenAICompatibleProvider {
+  constructor({ apiKey, model = 'glm-4-flash', ...rest }) {
+    if (!apiKey) throw new LlmConfigError('GLM_API_KEY is required for the glm provider', { provider: 'glm', model });
+    super({ name: 'glm', baseUrl: 'https://open.bigmodel.cn/api/paas/v4', apiKey, model, ...rest });
+  }
+}
+
+
+// ── Scripted fixtures ──
+
+class ScriptedProvider {
+  constructor({ fixtures = DEFAULT_FIXTURES, model } = {}) {
+    this.name = 'scripted';
+    let data = fixtures;
+    if (typeof fixtures === 'string') {
+      try {
+        data = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+      } catch (err) {
+        throw new LlmConfigError(`Cannot load LLM fixtures ${fixtures}: ${err.message}`, { provider: this.name, cause: err });
+      }
+    }
+    if (!data || !Array.isArray(data.responses)) {
+      throw new LlmConfigError('LLM fixtures need a "responses" array', { provider: this.name });
+    }
+    this.responses = data.responses;
+    this.model = model || data.model || 'scripted';
+  }
+
+  async chat(system, user) {
+    const key = promptKey(system, user);
+    const prompt = promptText(system, user);
+    const byKey = this.responses.find(r => r.key === key);
+    const byText = this.responses
+      .filter(r => Array.isArray(r.contains) && r.contains.every(s => prompt.includes(s)))
+      .sort((a, b) => b.contains.length - a.contains.length)[0];
+    const hit = byKey || byText;
+    if (!hit) {
+      throw new LlmFixtureMissingError(`No scripted response for prompt ${key} ("${system.slice(0, 60)}...")`,
+        { provider: this.name, model: this.model, promptKey: key });
+    }
+    return { text: hit.text, provider: this.name, model: hit.model || this.model };
+  }
+}
+
+
+// ── Factory ──
+
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'glm').toLowerCase();
+  const timeoutMs = parseInt(env.LLM_TIMEOUT_MS || '60000', 10);
+  switch (name) {
+    case 'glm':
+      return new GlmProvider({ apiKey: env.GLM_API_KEY, model: env.LLM_MODEL || undefined, timeoutMs });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || 'gpt-4o-mini',
+        timeoutMs,
+      });
+    case 'scripted':
+      return new ScriptedProvider({ fixtures: env.LLM_FIXTURES || DEFAULT_FIXTURES, model: env.LLM_MODEL || undefined });
+    default:
+      throw new LlmConfigError(`Unknown LLM_PROVIDER "${name}" (expected glm, openai or scripted)`, { provider: name });
+  }
+}
+
+module.exports = {
+  createProvider, promptKey,
+  OpenAICompatibleProvider, GlmProvider, ScriptedProvider,
+  LlmError, LlmConfigError, LlmRequestError, LlmHttpError, LlmResponseError, LlmFixtureMissingError,
+};
+
+
+// ── CLI: print a fixture key ──
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const [cmd, system, user] = config.argv;
+  if (cmd !== 'key' || system === undefined || user === undefined) {
+    console.error('  Usage: node llm-providers.js key "<system prompt>" "<user prompt>"');
+    process.exit(1);
+  }
+  console.log(promptKey(system, user));
+}
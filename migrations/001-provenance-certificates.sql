@@ -0,0 +1,23 @@
+-- provenance_certificates — one certificate per execution chain.
+--
+-- Runs after the platform schema files. Some platform schema revisions
+-- don't create this table; where one did, this is a no-op.
+
+CREATE TABLE IF NOT EXISTS provenance_certificates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  chain_id UUID NOT NULL REFERENCES execution_chains(id) UNIQUE,
+  artifact_type VARCHAR(64) NOT NULL,
+  artifact_ref VARCHAR(512) NOT NULL,
+  artifact_title VARCHAR(500),
+  certificate_data JSONB,
+  chain_hash VARCHAR(64),
+  certificate_signature VARCHAR(256),
+  status VARCHAR(20) DEFAULT 'active',
+  revocation_reason TEXT,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  superseded_by UUID REFERENCES provenance_certificates(id),
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_prov_certs_chain ON provenance_certificates(chain_id);
@@ -0,0 +1,22 @@
+-- provenance_certificates — a chain keeps every certificate it was issued.
+--
+-- 001 made chain_id UNIQUE, so the certificate that supersedes another for
+-- the same chain (cert-lifecycle.js db-supersede) could never be inserted.
+-- The rule is one ACTIVE certificate per chain: drop the unique constraint on
+-- chain_id (whatever the platform schema named it) for a partial unique index.
+
+DO $$
+DECLARE c RECORD;
+BEGIN
+  FOR c IN
+    SELECT con.conname FROM pg_constraint con
+    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+    WHERE con.conrelid = 'provenance_certificates'::regclass AND con.contype = 'u'
+      AND array_length(con.conkey, 1) = 1 AND a.attname = 'chain_id'
+  LOOP
+    EXECUTE format('ALTER TABLE provenance_certificates DROP CONSTRAINT %I', c.conname);
+  END LOOP;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prov_certs_active_chain
+  ON provenance_certificates(chain_id) WHERE status = 'active';
@@ -0,0 +1,635 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Mock GitHub Server
+ *
+ * Local stand-in for api.github.com (and the github.com pages the recorders
+ * visit) with in-memory state, so the CVE-2026-4821 flow can be rehearsed
+ * and CI-tested without a token or network access.
+ *
+ * REST endpoints (the subset the demo scripts call):
+ *   GET    /user
+ *   POST   /user/repos
+ *   GET    /repos/:owner/:repo                 DELETE /repos/:owner/:repo
+ *   GET    /repos/:owner/:repo/contents/:path  PUT    /repos/:owner/:repo/contents/:path
+ *   GET    /repos/:owner/:repo/git/ref/heads/:branch
+ *   POST   /repos/:owner/:repo/git/refs
+ *   GET    /repos/:owner/:repo/issues          POST   /repos/:owner/:repo/issues
+ *   GET    /repos/:owner/:repo/issues/:n       PATCH  /repos/:owner/:repo/issues/:n
+ *   GET    /repos/:owner/:repo/issues/:n/comments
+ *   POST   /repos/:owner/:repo/issues/:n/comments
+ *   GET    /repos/:owner/:repo/pulls           POST   /repos/:owner/:repo/pulls
+ *   GET    /repos/:owner/:repo/pulls/:n        PUT    /repos/:owner/:repo/pulls/:n/merge
+ *   GET    /repos/:owner/:repo/hooks           POST   /repos/:owner/:repo/hooks
+ *   GET    /repos/:owner/:repo/hooks/:id       PATCH  /repos/:owner/:repo/hooks/:id[/config]
+ *   DELETE /repos/:owner/:repo/hooks/:id
+ *
+ * Web pages (plain HTML, enough for screenshots):
+ *   /:owner/:repo, /:owner/:repo/issues[/:n], /:owner/:repo/pull/:n,
+ *   /:owner/:repo/blob/:branch/:path
+ *
+ * Test helpers: GET /_mock/state (JSON dump), POST /_mock/reset.
+ *
+ * Point the scripts at it with:
+ *   GITHUB_API_URL=http://localhost:4010 GITHUB_WEB_URL=http://localhost:4010
+ *
+ * Settings (config.js — .env, environment or --mock-github-port ...):
+ *   MOCK_GITHUB_PORT  — Listen port (default: 4010)
+ *   MOCK_GITHUB_USER  — Login of the authenticated user (default: openexecution-coder)
+ *   MOCK_GITHUB_TOKEN — If set, requests must send this token (default: any/none)
+ *
+ * Usage: node mock-github-server.js [--quiet]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// ── Helpers ──
+
+function log(icon, msg) {
+  const ts = new Date().toISOString().slice(11, 19);
+  console.log(`  [${ts}] ${icon} ${msg}`);
+}
+
+function gitSha(kind, content) {
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+  return crypto.createHash('sha1').update(`${kind} ${buf.length}\0`).update(buf).digest('hex');
+}
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const now = () => new Date().toISOString();
+const notFound = () => [404, { message: 'Not Found', documentation_url: 'https://docs.github.com/rest' }];
+const invalid = (message, errors = []) => [422, { message, errors }];
+
+
+// ── State ──
+
+function createState(login) {
+  return { login, baseUrl: '', repos: new Map(), nextId: 1000 };
+}
+
+function repoKey(owner, name) {
+  return `${owner}/${name}`.toLowerCase();
+}
+
+function findRepo(state, owner, name) {
+  return state.repos.get(repoKey(owner, name)) || null;
+}
+
+function repoJson(state, repo) {
+  return {
+    id: repo.id, name: repo.name, full_name: `${repo.owner}/${repo.name}`,
+    owner: { login: repo.owner, type: 'User' },
+    private: repo.private, description: repo.description,
+    default_branch: repo.default_branch,
+    html_url: `${state.baseUrl}/${repo.owner}/${repo.name}`,
+    url: `${state.baseUrl}/repos/${repo.owner}/${repo.name}`,
+    created_at: repo.created_at, updated_at: repo.updated_at,
+  };
+}
+
+function commit(state, repo, branchName, files, message, parents) {
+  const sha = gitSha('commit', `${parents.join(',')}\n${message}\n${state.nextId++}\n${now()}`);
+  repo.commits.push({ sha, message, parents, branch: branchName, date: now() });
+  repo.branches.set(branchName, { sha, files });
+  repo.updated_at = now();
+  return sha;
+}
+
+function issueJson(state, repo, issue) {
+  const base = `${state.baseUrl}/${repo.owner}/${repo.name}`;
+  const json = {
+    id: issue.id, number: issue.number, title: issue.title, body: issue.body,
+    state: issue.state, user: { login: issue.user }, labels: [],
+    comments: repo.comments.filter(c => c.issue === issue.number).length,
+    created_at: issue.created_at, updated_at: issue.updated_at, closed_at: issue.closed_at,
+    html_url: `${base}/${issue.pull ? 'pull' : 'issues'}/${issue.number}`,
+  };
+  if (issue.pull) json.pull_request = { html_url: `${base}/pull/${issue.number}` };
+  return json;
+}
+
+function pullJson(state, repo, issue) {
+  const head = repo.branches.get(issue.pull.head);
+  return {
+    ...issueJson(state, repo, issue),
+    head: { ref: issue.pull.head, sha: head ? head.sha : issue.pull.head_sha },
+    base: { ref: issue.pull.base },
+    merged: issue.pull.merged, merged_at: issue.pull.merged_at,
+    merge_commit_sha: issue.pull.merge_commit_sha,
+    mergeable: !issue.pull.merged && issue.state === 'open',
+  };
+}
+
+function hookJson(state, repo, hook) {
+  const config = { ...hook.config };
+  if (config.secret) config.secret = '********';
+  return {
+    id: hook.id, type: 'Repository', name: 'web', active: hook.active,
+    events: hook.events, config, created_at: hook.created_at, updated_at: hook.updated_at,
+    url: `${state.baseUrl}/repos/${repo.owner}/${repo.name}/hooks/${hook.id}`,
+  };
+}
+
+
+// ── REST handlers: (state, params, body, query) → [status, data] ──
+
+const api = {
+  getUser(state) {
+    return [200, { login: state.login, id: 1, type: 'User' }];
+  },
+
+  createRepo(state, _, body) {
+    if (!body.name) return invalid('Validation Failed', [{ field: 'name', code: 'missing_field' }]);
+    if (findRepo(state, state.login, body.name)) {
+      return invalid('Repository creation failed.', [{ field: 'name', message: 'name already exists on this account' }]);
+    }
+    const repo = {
+      id: state.nextId++, owner: state.login, name: body.name,
+      description: body.description || null, private: !!body.private,
+      default_branch: 'main', created_at: now(), updated_at: now(),
+      branches: new Map(), commits: [], issues: new Map(), comments: [],
+      hooks: new Map(), nextNumber: 1,
+    };
+    state.repos.set(repoKey(repo.owner, repo.name), repo);
+    if (body.auto_init) commit(state, repo, 'main', new Map(), 'Initial commit', []);
+    return [201, repoJson(state, repo)];
+  },
+
+  getRepo(state, [owner, name]) {
+    const repo = findRepo(state, owner, name);
+    return repo ? [200, repoJson(state, repo)] : notFound();
+  },
+
+  deleteRepo(state, [owner, name]) {
+    if (!state.repos.delete(repoKey(owner, name))) return notFound();
+    return [204, null];
+  },
+
+  getContents(state, [owner, name, filePath], _, query) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    const branch = repo.branches.get(query.get('ref') || repo.default_branch);
+    if (!branch) return notFound();
+    const file = branch.files.get(filePath);
+    if (file) {
+      return [200, {
+        type: 'file', encoding: 'base64', name: filePath.split('/').pop(), path: filePath,
+        sha: gitSha('blob', file), size: file.length, content: file.toString('base64'),
+        html_url: `${state.baseUrl}/${repo.owner}/${repo.name}/blob/${query.get('ref') || repo.default_branch}/${filePath}`,
+      }];
+    }
+    const prefix = filePath.replace(/\/$/, '') + '/';
+    const entries = [...branch.files.keys()].filter(p => p.startsWith(prefix));
+    if (entries.length === 0) return notFound();
+    const names = [...new Set(entries.map(p => p.slice(prefix.length).split('/')[0]))];
+    return [200, names.map(n => ({
+      name: n, path: prefix + n,
+      type: branch.files.has(prefix + n) ? 'file' : 'dir',
+    }))];
+  },
+
+  putContents(state, [owner, name, filePath], body) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    if (!body.message || typeof body.content !== 'string') {
+      return invalid('Invalid request.', [{ field: body.message ? 'content' : 'message', code: 'missing_field' }]);
+    }
+    const branchName = body.branch || repo.default_branch;
+    let branch = repo.branches.get(branchName);
+    if (!branch) {
+      if (repo.branches.size > 0) return [404, { message: `Branch ${branchName} not found` }];
+      branch = { sha: null, files: new Map() };
+      repo.default_branch = branchName;
+    }
+    const existing = branch.files.get(filePath);
+    if (existing) {
+      if (!body.sha) return invalid('Invalid request.\n\n"sha" wasn\'t supplied.');
+      if (body.sha !== gitSha('blob', existing)) return [409, { message: `${filePath} does not match ${body.sha}` }];
+    }
+    const content = Buffer.from(body.content, 'base64');
+    const files = new Map(branch.files).set(filePath, content);
+    const sha = commit(state, repo, branchName, files, body.message, branch.sha ? [branch.sha] : []);
+    return [existing ? 200 : 201, {
+      content: { name: filePath.split('/').pop(), path: filePath, sha: gitSha('blob', content), size: content.length, type: 'file' },
+      commit: { sha, message: body.message },
+    }];
+  },
+
+  getRef(state, [owner, name, branchName]) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    if (repo.branches.size === 0) return [409, { message: 'Git Repository is empty.' }];
+    const branch = repo.branches.get(branchName);
+    if (!branch) return notFound();
+    return [200, { ref: `refs/heads/${branchName}`, object: { sha: branch.sha, type: 'commit' } }];
+  },
+
+  createRef(state, [owner, name], body) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    const m = /^refs\/heads\/(.+)$/.exec(body.ref || '');
+    if (!m) return invalid('Reference name must start with \'refs/\' and have at least two slashes.');
+    if (repo.branches.has(m[1])) return invalid('Reference already exists');
+    const source = [...repo.branches.values()].find(b => b.sha === body.sha);
+    if (!source) return invalid('Object does not exist');
+    repo.branches.set(m[1], { sha: source.sha, files: new Map(source.files) });
+    return [201, { ref: body.ref, object: { sha: source.sha, type: 'commit' } }];
+  },
+
+  listIssues(state, [owner, name], _, query) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    const wanted = query.get('state') || 'open';
+    const perPage = Math.min(parseInt(query.get('per_page') || '30', 10), 100);
+    const list = [...repo.issues.values()]
+      .filter(i => wanted === 'all' || i.state === wanted)
+      .sort((a, b) => b.number - a.number)
+      .slice(0, perPage);
+    return [200, list.map(i => issueJson(state, repo, i))];
+  },
+
+  createIssue(state, [owner, name], body) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    if (!body.title) return invalid('Validation Failed', [{ field: 'title', code: 'missing_field' }]);
+    const issue = {
+      id: state.nextId++, number: repo.nextNumber++, title: body.title, body: body.body || null,
+      state: 'open', user: state.login, created_at: now(), updated_at: now(), closed_at: null,
+    };
+    repo.issues.set(issue.number, issue);
+    return [201, issueJson(state, repo, issue)];
+  },
+
+  getIssue(state, [owner, name, num]) {
+    const repo = findRepo(state, owner, name);
+    const issue = repo && repo.issues.get(Number(num));
+    return issue ? [200, issueJson(state, repo, issue)] : notFound();
+  },
+
+  updateIssue(state, [owner, name, num], body) {
+    const repo = findRepo(state, owner, name);
+    const issue = repo && repo.issues.get(Number(num));
+    if (!issue) return notFound();
+    if (body.title !== undefined) issue.title = body.title;
+    if (body.body !== undefined) issue.body = body.body;
+    if (body.state === 'closed' && issue.state !== 'closed') issue.closed_at = now();
+    if (body.state === 'open') issue.closed_at = null;
+    if (body.state) issue.state = body.state;
+    issue.updated_at = now();
+    return [200, issueJson(state, repo, issue)];
+  },
+
+  listComments(state, [owner, name, num]) {
+    const repo = findRepo(state, owner, name);
+    if (!repo || !repo.issues.has(Number(num))) return notFound();
+    return [200, repo.comments.filter(c => c.issue === Number(num)).map(({ issue, ...c }) => c)];
+  },
+
+  createComment(state, [owner, name, num], body) {
+    const repo = findRepo(state, owner, name);
+    const issue = repo && repo.issues.get(Number(num));
+    if (!issue) return notFound();
+    if (!body.body) return invalid('Validation Failed', [{ field: 'body', code: 'missing_field' }]);
+    const id = state.nextId++;
+    const comment = {
+      id, issue: issue.number, body: body.body, user: { login: state.login },
+      created_at: now(), updated_at: now(),
+      html_url: `${issueJson(state, repo, issue).html_url}#issuecomment-${id}`,
+    };
+    repo.comments.push(comment);
+    issue.updated_at = now();
+    const { issue: _, ...json } = comment;
+    return [201, json];
+  },
+
+  listPulls(state, [owner, name], _, query) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    const wanted = query.get('state') || 'open';
+    const list = [...repo.issues.values()]
+      .filter(i => i.pull && (wanted === 'all' || i.state === wanted))
+      .sort((a, b) => b.number - a.number);
+    return [200, list.map(i => pullJson(state, repo, i))];
+  },
+
+  createPull(state, [owner, name], body) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    if (!body.title) return invalid('Validation Failed', [{ field: 'title', code: 'missing_field' }]);
+    if (!repo.branches.has(body.head)) return invalid('Validation Failed', [{ resource: 'PullRequest', field: 'head', code: 'invalid' }]);
+    if (!repo.branches.has(body.base)) return invalid('Validation Failed', [{ resource: 'PullRequest', field: 'base', code: 'invalid' }]);
+    const issue = {
+      id: state.nextId++, number: repo.nextNumber++, title: body.title, body: body.body || null,
+      state: 'open', user: state.login, created_at: now(), updated_at: now(), closed_at: null,
+      pull: { head: body.head, base: body.base, head_sha: repo.branches.get(body.head).sha, merged: false, merged_at: null, merge_commit_sha: null },
+    };
+    repo.issues.set(issue.number, issue);
+    return [201, pullJson(state, repo, issue)];
+  },
+
+  getPull(state, [owner, name, num]) {
+    const repo = findRepo(state, owner, name);
+    const issue = repo && repo.issues.get(Number(num));
+    return issue && issue.pull ? [200, pullJson(state, repo, issue)] : notFound();
+  },
+
+  mergePull(state, [owner, name, num], body) {
+    const repo = findRepo(state, owner, name);
+    const issue = repo && repo.issues.get(Number(num));
+    if (!issue || !issue.pull) return notFound();
+    const head = repo.branches.get(issue.pull.head);
+    const base = repo.branches.get(issue.pull.base);
+    if (issue.pull.merged || issue.state !== 'open' || !head || !base) {
+      return [405, { message: 'Pull Request is not mergeable' }];
+    }
+    const message = body.commit_title || `Merge pull request #${issue.number} from ${issue.pull.head}`;
+    const files = new Map(base.files);
+    for (const [p, content] of head.files) files.set(p, content);
+    const sha = commit(state, repo, issue.pull.base, files, message, [base.sha, head.sha]);
+    Object.assign(issue.pull, { merged: true, merged_at: now(), merge_commit_sha: sha });
+    Object.assign(issue, { state: 'closed', closed_at: now(), updated_at: now() });
+    return [200, { sha, merged: true, message: 'Pull Request successfully merged' }];
+  },
+
+  listHooks(state, [owner, name]) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    return [200, [...repo.hooks.values()].map(h => hookJson(state, repo, h))];
+  },
+
+  createHook(state, [owner, name], body) {
+    const repo = findRepo(state, owner, name);
+    if (!repo) return notFound();
+    if (!body.config || !body.config.url) return invalid('Validation Failed', [{ resource: 'Hook', field: 'url', code: 'missing_field' }]);
+    const hook = {
+      id: state.nextId++, active: body.active !== false, events: body.events || ['push'],
+      config: { content_type: 'form', insecure_ssl: '0', ...body.config },
+      created_at: now(), updated_at: now(),
+    };
+    repo.hooks.set(hook.id, hook);
+    return [201, hookJson(state, repo, hook)];
+  },
+
+  getHook(state, [owner, name, id]) {
+    const repo = findRepo(state, owner, name);
+    const hook = repo && repo.hooks.get(Number(id));
+    return hook ? [200, hookJson(state, repo, hook)] : notFound();
+  },
+
+  updateHook(state, [owner, name, id, configOnly], body) {
+    const repo = findRepo(state, owner, name);
+    const hook = repo && repo.hooks.get(Number(id));
+    if (!hook) return notFound();
+    if (configOnly) Object.assign(hook.config, body);
+    else {
+      if (body.config) Object.assign(hook.config, body.config);
+      if (body.events) hook.events = body.events;
+      if (body.active !== undefined) hook.active = body.active;
+    }
+    hook.updated_at = now();
+    return [200, configOnly ? hookJson(state, repo, hook).config : hookJson(state, repo, hook)];
+  },
+
+  deleteHook(state, [owner, name, id]) {
+    const repo = findRepo(state, owner, name);
+    if (!repo || !repo.hooks.delete(Number(id))) return notFound();
+    return [204, null];
+  },
+};
+
+const R = '/repos/([^/]+)/([^/]+)';
+const ROUTES = [
+  ['GET', /^\/user$/, api.getUser],
+  ['POST', /^\/user\/repos$/, api.createRepo],
+  ['GET', new RegExp(`^${R}$`), api.getRepo],
+  ['DELETE', new RegExp(`^${R}$`), api.deleteRepo],
+  ['GET', new RegExp(`^${R}/contents/(.+)$`), api.getContents],
+  ['PUT', new RegExp(`^${R}/contents/(.+)$`), api.putContents],
+  ['GET', new RegExp(`^${R}/git/ref/heads/(.+)$`), api.getRef],
+  ['POST', new RegExp(`^${R}/git/refs$`), api.createRef],
+  ['GET', new RegExp(`^${R}/issues$`), api.listIssues],
+  ['POST', new RegExp(`^${R}/issues$`), api.createIssue],
+  ['GET', new RegExp(`^${R}/issues/(\\d+)$`), api.getIssue],
+  ['PATCH', new RegExp(`^${R}/issues/(\\d+)$`), api.updateIssue],
+  ['GET', new RegExp(`^${R}/issues/(\\d+)/comments$`), api.listComments],
+  ['POST', new RegExp(`^${R}/issues/(\\d+)/comments$`), api.createComment],
+  ['GET', new RegExp(`^${R}/pulls$`), api.listPulls],
+  ['POST', new RegExp(`^${R}/pulls$`), api.createPull],
+  ['GET', new RegExp(`^${R}/pulls/(\\d+)$`), api.getPull],
+  ['PUT', new RegExp(`^${R}/pulls/(\\d+)/merge$`), api.mergePull],
+  ['GET', new RegExp(`^${R}/hooks$`), api.listHooks],
+  ['POST', new RegExp(`^${R}/hooks$`), api.createHook],
+  ['GET', new RegExp(`^${R}/hooks/(\\d+)$`), api.getHook],
+  ['PATCH', new RegExp(`^${R}/hooks/(\\d+)(/config)?$`), api.updateHook],
+  ['DELETE', new RegExp(`^${R}/hooks/(\\d+)$`), api.deleteHook],
+];
+
+
+// ── Web pages ──
+
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+body{font-family:-apple-system,"Segoe UI",Helvetica,Arial,sans-serif;margin:0;background:#fff;color:#1f2328}
+header{background:#f6f8fa;border-bottom:1px solid #d0d7de;padding:16px 32px;font-size:20px}
+header a{color:#0969da;text-decoration:none}
+main{max-width:1012px;margin:24px auto;padding:0 16px}
+.box{border:1px solid #d0d7de;border-radius:6px;margin-bottom:16px}
+.box h3{margin:0;padding:10px 16px;background:#f6f8fa;border-bottom:1px solid #d0d7de;font-size:14px}
+.box div,.box li{padding:8px 16px}
+ul{list-style:none;margin:0;padding:0}li+li{border-top:1px solid #d0d7de}
+pre{margin:0;padding:16px;overflow:auto;font-size:12px;line-height:1.45;white-space:pre-wrap}
+.state{display:inline-block;padding:4px 12px;border-radius:2em;color:#fff;font-size:14px;margin-right:8px}
+.open{background:#1f883d}.closed{background:#8250df}.merged{background:#8250df}
+.mock{float:right;font-size:12px;color:#9a6700}
+</style></head><body>${body}</body></html>`;
+}
+
+function repoHeader(repo) {
+  return `<header><span class="mock">mock-github</span><a href="/${repo.owner}">${escapeHtml(repo.owner)}</a> /
+<a href="/${repo.owner}/${repo.name}"><b>${escapeHtml(repo.name)}</b></a></header>`;
+}
+
+function commentsHtml(repo, number) {
+  return repo.comments.filter(c => c.issue === number).map(c =>
+    `<div class="box"><h3>${escapeHtml(c.user.login)} commented</h3><pre>${escapeHtml(c.body)}</pre></div>`).join('');
+}
+
+function renderWeb(state, parts) {
+  const [owner, name, kind, ...rest] = parts;
+  const repo = findRepo(state, owner, name);
+  if (!repo) return null;
+  const head = repoHeader(repo);
+  const branch = repo.branches.get(repo.default_branch);
+
+  if (!kind) {
+    const files = branch ? [...branch.files.keys()].sort() : [];
+    const readme = branch && branch.files.get('README.md');
+    return page(`${repo.owner}/${repo.name}`, `${head}<main>
+<p>${escapeHtml(repo.description || '')}</p>
+<div class="box"><h3>${repo.commits.length} commits · ${repo.default_branch}</h3><ul>
+${files.map(f => `<li><a href="/${repo.owner}/${repo.name}/blob/${repo.default_branch}/${f}">${escapeHtml(f)}</a></li>`).join('') || '<li>This repository is empty.</li>'}
+</ul></div>
+${readme ? `<div class="box"><h3>README.md</h3><pre>${escapeHtml(readme.toString())}</pre></div>` : ''}
+</main>`);
+  }
+
+  if (kind === 'issues' && rest.length === 0) {
+    const list = [...repo.issues.values()].filter(i => !i.pull).sort((a, b) => b.number - a.number);
+    return page(`Issues · ${repo.owner}/${repo.name}`, `${head}<main><div class="box"><h3>Issues</h3><ul>
+${list.map(i => `<li><span class="state ${i.state}">${i.state}</span><a href="/${repo.owner}/${repo.name}/issues/${i.number}">${escapeHtml(i.title)}</a> #${i.number}</li>`).join('') || '<li>No issues.</li>'}
+</ul></div></main>`);
+  }
+
+  if ((kind === 'issues' || kind === 'pull') && rest.length >= 1) {
+    const issue = repo.issues.get(Number(rest[0]));
+    if (!issue) return null;
+    const stateClass = issue.pull && issue.pull.merged ? 'merged' : issue.state;
+    const stateText = issue.pull && issue.pull.merged ? 'Merged' : issue.state === 'open' ? 'Open' : 'Closed';
+    const branchInfo = issue.pull ? `<p>${escapeHtml(issue.user)} wants to merge <code>${escapeHtml(issue.pull.head)}</code> into <code>${escapeHtml(issue.pull.base)}</code></p>` : '';
+    return page(`${issue.title} · #${issue.number}`, `${head}<main>
+<h1>${escapeHtml(issue.title)} <span style="color:#656d76">#${issue.number}</span></h1>
+<p><span class="state ${stateClass}">${stateText}</span></p>${branchInfo}
+<div class="box"><h3>${escapeHtml(issue.user)} opened this</h3><pre>${escapeHtml(issue.body || '')}</pre></div>
+${commentsHtml(repo, issue.number)}
+</main>`);
+  }
+
+  if (kind === 'blob' && rest.length >= 2) {
+    const [ref, ...fileParts] = rest;
+    const file = repo.branches.get(ref) && repo.branches.get(ref).files.get(fileParts.join('/'));
+    if (!file) return null;
+    return page(`${fileParts.join('/')} · ${repo.owner}/${repo.name}`, `${head}<main>
+<div class="box"><h3>${escapeHtml(fileParts.join('/'))} · ${file.length} bytes</h3><pre>${escapeHtml(file.toString())}</pre></div>
+</main>`);
+  }
+
+  return null;
+}
+
+
+// ── Server ──
+
+function createMockGitHub({ login = process.env.MOCK_GITHUB_USER || 'openexecution-coder', token = process.env.MOCK_GITHUB_TOKEN, quiet = false } = {}) {
+  let state = createState(login);
+
+  function send(res, status, data, type = 'application/json') {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(data == null ? '' : type === 'application/json' ? JSON.stringify(data) : data);
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', c => raw += c);
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      let status = 404;
+      try {
+        if (url.pathname === '/_mock/state') {
+          status = 200;
+          return send(res, 200, dumpState(state));
+        }
+        if (url.pathname === '/_mock/reset' && req.method === 'POST') {
+          state = createState(login);
+          state.baseUrl = baseUrl();
+          status = 204;
+          return send(res, 204, null);
+        }
+
+        const route = ROUTES.find(([m, re]) => m === req.method && re.test(url.pathname));
+        if (route) {
+          const auth = (req.headers.authorization || '').replace(/^(token|Bearer)\s+/i, '');
+          if (token && auth !== token) {
+            status = 401;
+            return send(res, 401, { message: 'Bad credentials' });
+          }
+          let body = {};
+          if (raw) {
+            try { body = JSON.parse(raw); } catch { status = 400; return send(res, 400, { message: 'Problems parsing JSON' }); }
+          }
+          const params = route[1].exec(url.pathname).slice(1).map(p => p && decodeURIComponent(p));
+          const [code, data] = route[2](state, params, body, url.searchParams);
+          status = code;
+          return send(res, code, data);
+        }
+
+        if (req.method === 'GET') {
+          const html = renderWeb(state, url.pathname.split('/').filter(Boolean).map(decodeURIComponent));
+          if (html) { status = 200; return send(res, 200, html, 'text/html; charset=utf-8'); }
+        }
+        if (req.method === 'GET' && !url.pathname.startsWith('/repos/')) {
+          return send(res, 404, page('Not Found', '<main><h1>404</h1></main>'), 'text/html; charset=utf-8');
+        }
+        return send(res, 404, notFound()[1]);
+      } catch (err) {
+        status = 500;
+        send(res, 500, { message: err.message });
+      } finally {
+        if (!quiet) log(status < 400 ? '✓' : '⚠', `${req.method} ${url.pathname}${url.search} → ${status}`);
+      }
+    });
+  });
+
+  function baseUrl() {
+    const addr = server.address();
+    return addr ? `http://localhost:${addr.port}` : '';
+  }
+
+  return {
+    server,
+    get state() { return state; },
+    listen(port = parseInt(process.env.MOCK_GITHUB_PORT || '4010', 10)) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => {
+          state.baseUrl = baseUrl();
+          resolve(state.baseUrl);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+}
+
+function dumpState(state) {
+  return {
+    login: state.login,
+    repos: [...state.repos.values()].map(repo => ({
+      ...repoJson(state, repo),
+      branches: Object.fromEntries([...repo.branches].map(([n, b]) => [n, { sha: b.sha, files: [...b.files.keys()] }])),
+      commits: repo.commits,
+      issues: [...repo.issues.values()].map(i => (i.pull ? pullJson : issueJson)(state, repo, i)),
+      comments: repo.comments,
+      hooks: [...repo.hooks.values()].map(h => hookJson(state, repo, h)),
+    })),
+  };
+}
+
+module.exports = { createMockGitHub };
+
+
+// ── CLI ──
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const mock = createMockGitHub({
+    login: config.MOCK_GITHUB_USER, token: config.MOCK_GITHUB_TOKEN, quiet: config.argv.includes('--quiet'),
+  });
+  mock.listen(config.MOCK_GITHUB_PORT).then(url => {
+    console.log('\n' + '='.repeat(62));
+    console.log('  MOCK GITHUB SERVER');
+    console.log('='.repeat(62));
+    log('✓', `Listening on ${url} (user: ${mock.state.login})`);
+    console.log(`\n  GITHUB_API_URL=${url}`);
+    console.log(`  GITHUB_WEB_URL=${url}\n`);
+  }).catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => { mock.close().then(() => process.exit(0)); });
+}
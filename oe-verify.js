@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — oe-verify
+ *
+ * Independent verifier for a provenance bundle:
+ *   execution-chain.json  — the recorded events
+ *   certificate.json      — the signed certificate
+ *   public-key.json       — the signing key's Ed25519 public key (DER/SPKI hex)
+ *   keyring.json          — every issuer key with its validity window
+ *                           (see signing-keys.js); optional
+ *   revocation-list.json  — the issuer's signed revocation list
+ *                           (see cert-lifecycle.js); optional
+ *   approvers.json        — published approver public keys (see approvals.js);
+ *                           optional
+ *
+ * Every event hash is recomputed from its canonicalized fields exactly as
+ * Chain.append does (see provenance.js), so an edited payload, timestamp or
+ * agent is caught at its sequence number — not only broken prev_hash links.
+ *
+ * Checks: sequence numbering, prev_hash linkage, event hashes, chain hash,
+ * event count, chain id, issuer key, certificate public key, Ed25519 signature.
+ *
+ * The issuer key is the keyring entry named by the certificate's key_id that
+ * was valid at its issued_at — so certificates signed before a rotation keep
+ * verifying, and a retired key cannot vouch for newer ones. Without a keyring
+ * the single key in public-key.json is used.
+ *
+ * With a revocation list (itself signature-checked against the same keys) the
+ * certificate's status is reported: a revoked certificate fails verification;
+ * a superseded one passes but is flagged with the certificate that replaces it.
+ *
+ * Every authorization event carrying a human instruction must have an
+ * approval: an Ed25519 signature by the approver over the chain id, challenge,
+ * instruction hash and role. With approvers.json the signing key and role must
+ * also be the ones published for that approver. An instruction recorded with
+ * a quorum (approval-quorum.js) must be backed by enough distinct, verified
+ * approvals of that same instruction, covering every required role — and
+ * without approvers.json a role quorum is reported unverified and fails.
+ *
+ * Usage:
+ *   node oe-verify.js [bundle-dir]
+ *   node oe-verify.js --chain execution-chain.json --cert certificate.json [--key public-key.json] [--keyring keyring.json] [--revocations revocation-list.json] [--approvers approvers.json]
+ * With no arguments the files next to this script are used (this is how the
+ * copy committed as provenance/verify.js runs).
+ *
+ * Output: JSON report on stdout, one-line summary on stderr.
+ * Exit codes: 0 = all checks passed, 1 = verification failed, 2 = bad input.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  GENESIS, sha256, eventHash, chainHash, certificateSigningInput, keyFingerprint, keyValidAt, verifyApproval,
+} = require('./provenance');
+
+// ── Checks ──
+
+function check(ok, details = {}) {
+  return { ok, ...details };
+}
+
+/** First per-event mismatch of a given kind, plus how many events diverge. */
+function scanEvents(events, expectedOf, actualOf) {
+  const divergent = [];
+  events.forEach((e, i) => {
+    const expected = expectedOf(e, i);
+    const actual = actualOf(e, i);
+    if (expected !== actual) divergent.push({ seq: e.sequence ?? i + 1, expected, actual });
+  });
+  return check(divergent.length === 0, {
+    checked: events.length,
+    divergent_count: divergent.length,
+    first_divergence: divergent[0] || null,
+  });
+}
+
+/** Human approval signatures on authorization events. */
+function checkApprovals(events, chainId, directory) {
+  const approvals = [], invalid = [], quorums = [];
+  for (const e of events) {
+    const approval = e.payload && e.payload.approval;
+    const humanInstruction = e.authorization_event && e.payload && 'instruction' in e.payload;
+    if (!humanInstruction && !approval) continue;
+    const result = verifyApproval(approval, { instruction: e.payload && e.payload.instruction, chainId, directory });
+    const entry = { seq: e.sequence, approver_id: approval ? approval.approver_id : null, role: approval ? approval.role || null : null };
+    if (result.ok) {
+      // The signed role; verifyApproval has matched it to the directory when there is one
+      const role = approval.statement.approver_role || null;
+      approvals.push({ ...entry, role, decision: approval.statement.decision || 'approve',
+        instruction_sha256: approval.statement.instruction_sha256, method: approval.method || null });
+    } else {
+      invalid.push({ ...entry, error: result.error });
+    }
+    if (e.payload.quorum) quorums.push(checkQuorum(e, approvals, !!directory));
+  }
+  const ok = invalid.length === 0 && quorums.every(q => q.ok);
+  return check(ok, { checked: approvals.length + invalid.length, approvals, invalid, quorums, directory: !!directory });
+}
+
+/**
+ * Does the instruction in event `e` have the approvals its payload.quorum
+ * claims? Roles are only bound to keys by the approver directory: without
+ * one a role quorum is unverified (not ok), whatever the approvals claim.
+ */
+function checkQuorum(e, approvals, hasDirectory) {
+  const { required = 1, roles = [] } = e.payload.quorum;
+  const hash = sha256(e.payload.instruction);
+  const granted = new Map();
+  for (const a of approvals) {
+    if (a.decision === 'approve' && a.instruction_sha256 === hash) granted.set(a.approver_id, a.role);
+  }
+  const covered = new Set(granted.values());
+  const missing = roles.filter(r => !covered.has(r));
+  const unverified = roles.length > 0 && !hasDirectory;
+  return { seq: e.sequence, ok: granted.size >= required && missing.length === 0 && !unverified,
+    required, approved: granted.size, approvers: [...granted.keys()], missing_roles: missing,
+    ...(unverified ? { unverified: true, error: 'role quorum needs approvers.json to bind roles to approver keys' } : {}) };
+}
+
+/** Status of `cert` according to a (separately verified) revocation list. */
+function certificateStatus(cert, revocations) {
+  if (!revocations) return { status: 'unknown' };
+  const entry = (revocations.entries || []).find(e => e.certificate_id && e.certificate_id === cert.certificate_id);
+  if (!entry) return { status: 'active' };
+  return entry.status === 'superseded'
+    ? { status: 'superseded', superseded_by: entry.superseded_by, superseded_at: entry.superseded_at || null }
+    : { status: 'revoked', reason: entry.reason, revoked_at: entry.revoked_at };
+}
+
+function verifySignature(cert, publicKeyHex) {
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKeyHex, 'hex'), format: 'der', type: 'spki' });
+    const ok = crypto.verify(null, certificateSigningInput(cert), key, Buffer.from(cert.signature || '', 'hex'));
+    return check(ok, { algorithm: cert.algorithm || 'Ed25519' });
+  } catch (err) {
+    return check(false, { algorithm: cert.algorithm || 'Ed25519', error: err.message });
+  }
+}
+
+/**
+ * Keys that may have signed `cert`: the keyring (or public-key.json) entries
+ * matching its key_id that were valid at issued_at. `key` is the check result
+ * when none qualify.
+ */
+function candidateKeys(cert, publicKey, keyring) {
+  const source = keyring && Array.isArray(keyring.keys) ? 'keyring' : 'public-key';
+  const keys = (source === 'keyring' ? keyring.keys : [publicKey].filter(k => k && k.public_key))
+    .map(k => ({ ...k, key_id: k.key_id || keyFingerprint(k.public_key) }));
+  const fail = error => ({ candidates: [], key: check(false, { source, key_id: cert.key_id || null, error }) });
+
+  if (keys.length === 0) return fail(`${source === 'keyring' ? 'keyring.json' : 'public-key.json'} has no public keys`);
+  const forged = keys.find(k => keyFingerprint(k.public_key) !== k.key_id);
+  if (forged) return fail(`key_id ${forged.key_id} does not match its public key`);
+  const named = cert.key_id ? keys.filter(k => k.key_id === cert.key_id) : keys;
+  if (named.length === 0) return fail(`key ${cert.key_id} is not in ${source === 'keyring' ? 'the keyring' : 'public-key.json'}`);
+  const valid = named.filter(k => keyValidAt(k, cert.issued_at));
+  if (valid.length === 0) {
+    const k = named[0];
+    return fail(`key ${k.key_id} was not valid at issued_at ${cert.issued_at} (valid ${k.valid_from || '-∞'} → ${k.valid_until || 'now'})`);
+  }
+  return { candidates: valid, source };
+}
+
+/** Signature check of any issuer-signed document against the candidate keys. */
+function verifyIssuerSignature(doc, publicKey, keyring) {
+  const { candidates, source, key: keyFailure } = candidateKeys(doc, publicKey, keyring);
+  const signatures = candidates.map(k => ({ k, result: verifySignature(doc, k.public_key) }));
+  const signed = signatures.find(s => s.result.ok);
+  return { candidates, source, keyFailure, signatures, signed, signer: signed ? signed.k : candidates[0] };
+}
+
+/**
+ * Verify a bundle. `chain`, `cert`, `publicKey`, `keyring`, `revocations` and
+ * `approvers` are the parsed contents of execution-chain.json,
+ * certificate.json, public-key.json, keyring.json, revocation-list.json and
+ * approvers.json; pass a keyring, a public key, or both. The revocation list
+ * and approver directory are optional.
+ */
+function verifyBundle({ chain, cert, publicKey, keyring, revocations, approvers }) {
+  const notObject = [['execution chain', chain], ['certificate', cert]]
+    .filter(([, doc]) => !doc || typeof doc !== 'object' || Array.isArray(doc)).map(([label]) => label);
+  if (notObject.length) return invalidInput(notObject.map(label => `The ${label} is not a JSON object`).join('; '));
+
+  const events = Array.isArray(chain.events) ? chain.events : [];
+  const badEvent = events.findIndex(e => !e || typeof e !== 'object' || Array.isArray(e));
+  if (badEvent !== -1) return invalidInput(`Event ${badEvent + 1} of the execution chain is not a JSON object`);
+  const computedChainHash = chainHash(events);
+
+  const { source, keyFailure, signatures, signed, signer } = verifyIssuerSignature(cert, publicKey, keyring);
+  const keyHex = signer ? signer.public_key : null;
+  const crl = revocations ? verifyIssuerSignature(revocations, publicKey, keyring) : null;
+  const status = certificateStatus(cert, revocations);
+
+  const checks = {
+    sequence: scanEvents(events, (e, i) => i + 1, e => e.sequence),
+    linkage: scanEvents(events, (e, i) => (i === 0 ? GENESIS : events[i - 1].event_hash), e => e.prev_hash),
+    event_hashes: scanEvents(events, e => eventHash(e), e => e.event_hash),
+    chain_hash: check(computedChainHash === cert.chain_hash, { expected: computedChainHash, actual: cert.chain_hash }),
+    approvals: checkApprovals(events, chain.chain_id, approvers || null),
+    event_count: check(events.length === cert.event_count, { expected: events.length, actual: cert.event_count }),
+    chain_id: check(chain.chain_id === cert.chain_id, { expected: chain.chain_id, actual: cert.chain_id }),
+    issuer_key: keyFailure || check(true, {
+      source, key_id: signer.key_id, valid_from: signer.valid_from || null, valid_until: signer.valid_until || null,
+    }),
+    public_key: check(!!keyHex && (!cert.public_key || cert.public_key === keyHex), { expected: keyHex, actual: cert.public_key || null }),
+    signature: signed ? signed.result
+      : signatures.length ? signatures[0].result
+        : check(false, { algorithm: cert.algorithm || 'Ed25519', error: 'no usable issuer key' }),
+  };
+  if (crl) {
+    checks.revocation_list = crl.signed
+      ? check(true, { key_id: crl.signer.key_id, issued_at: revocations.issued_at || null, entries: (revocations.entries || []).length })
+      : check(false, { issued_at: revocations.issued_at || null, error: crl.keyFailure ? crl.keyFailure.error : 'revocation list signature is invalid' });
+    checks.certificate_status = check(status.status !== 'revoked', { certificate_id: cert.certificate_id || null, ...status });
+  }
+
+  const firstDivergence = ['sequence', 'linkage', 'event_hashes']
+    .map(name => checks[name].first_divergence && { check: name, ...checks[name].first_divergence })
+    .filter(Boolean)
+    .sort((a, b) => a.seq - b.seq)[0] || null;
+
+  const failed = Object.keys(checks).filter(name => !checks[name].ok);
+  return {
+    ok: failed.length === 0,
+    chain_id: chain.chain_id ?? null,
+    event_count: events.length,
+    first_divergent_seq: firstDivergence ? firstDivergence.seq : null,
+    first_divergence: firstDivergence,
+    certificate_status: status.status,
+    failed_checks: failed,
+    checks,
+    checked_at: new Date().toISOString(),
+  };
+}
+
+/** The report for a bundle that cannot be checked at all (the CLI exits 2). */
+function invalidInput(error) {
+  return {
+    ok: false, error, chain_id: null, event_count: 0, first_divergent_seq: null, first_divergence: null,
+    certificate_status: 'unknown', failed_checks: ['input'], checks: { input: check(false, { error }) },
+    checked_at: new Date().toISOString(),
+  };
+}
+
+module.exports = { verifyBundle };
+
+
+// ── CLI ──
+
+function usage(code) {
+  console.error('  Usage: oe-verify [bundle-dir]');
+  console.error('         oe-verify --chain execution-chain.json --cert certificate.json [--key public-key.json]');
+  console.error('                   [--keyring keyring.json] [--revocations revocation-list.json] [--approvers approvers.json]');
+  process.exit(code);
+}
+
+function parseArgs(argv) {
+  const files = {};
+  let dir = null;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (['--chain', '--cert', '--key', '--keyring', '--revocations', '--approvers'].includes(a)) {
+      if (!argv[i + 1]) usage(2);
+      files[a.slice(2)] = argv[++i];
+    } else if (a === '-h' || a === '--help') usage(0);
+    else if (!a.startsWith('-') && !dir) dir = a;
+    else usage(2);
+  }
+  const base = dir || __dirname;
+  // Key files given explicitly must exist; the bundle defaults are optional
+  // as long as one of them is there.
+  const optional = (flag, name) => files[flag] || (fs.existsSync(path.join(base, name)) ? path.join(base, name) : null);
+  return {
+    chain: files.chain || path.join(base, 'execution-chain.json'),
+    cert: files.cert || path.join(base, 'certificate.json'),
+    key: optional('key', 'public-key.json'),
+    keyring: optional('keyring', 'keyring.json'),
+    revocations: optional('revocations', 'revocation-list.json'),
+    approvers: optional('approvers', 'approvers.json'),
+  };
+}
+
+function readJson(label, file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.log(JSON.stringify({ ok: false, error: `Cannot read ${label} (${file}): ${err.message}` }, null, 2));
+    console.error(`  ✗ Cannot read ${label}: ${file}`);
+    process.exit(2);
+  }
+}
+
+if (require.main === module) {
+  const files = parseArgs(process.argv.slice(2));
+  if (!files.key && !files.keyring) {
+    console.log(JSON.stringify({ ok: false, error: 'No public-key.json or keyring.json found' }, null, 2));
+    console.error('  ✗ No public-key.json or keyring.json found');
+    process.exit(2);
+  }
+  const report = verifyBundle({
+    chain: readJson('execution chain', files.chain),
+    cert: readJson('certificate', files.cert),
+    publicKey: files.key ? readJson('public key', files.key) : null,
+    keyring: files.keyring ? readJson('keyring', files.keyring) : null,
+    revocations: files.revocations ? readJson('revocation list', files.revocations) : null,
+    approvers: files.approvers ? readJson('approver directory', files.approvers) : null,
+  });
+  console.log(JSON.stringify(report, null, 2));
+  if (report.failed_checks.includes('input')) {
+    console.error(`  ✗ ${report.error}`);
+    process.exit(2);
+  }
+
+  if (report.ok) {
+    console.error(`  ✓ ALL CHECKS PASSED — ${report.event_count} events, ${report.checks.approvals.checked} signed approval(s), chain ${report.chain_id}`);
+  } else {
+    const d = report.first_divergence;
+    console.error(`  ✗ VERIFICATION FAILED — ${report.failed_checks.join(', ')}`);
+    if (d) console.error(`    first divergence at seq ${d.seq} (${d.check}): expected ${d.expected}, got ${d.actual}`);
+  }
+  for (const a of report.checks.approvals.invalid) {
+    console.error(`    unverified approval at seq ${a.seq} (${a.approver_id || 'no approver'}): ${a.error}`);
+  }
+  for (const q of report.checks.approvals.quorums.filter(q => !q.ok)) {
+    if (q.unverified) console.error(`    quorum unverified at seq ${q.seq}: ${q.error}`);
+    else console.error(`    quorum not met at seq ${q.seq}: ${q.approved} of ${q.required} approval(s)${q.missing_roles.length ? `, missing ${q.missing_roles.join(', ')}` : ''}`);
+  }
+  const st = report.checks.certificate_status;
+  if (st && st.status === 'revoked') console.error(`  ✗ CERTIFICATE REVOKED — ${st.reason} at ${st.revoked_at}`);
+  if (st && st.status === 'superseded') console.error(`  ⚠ CERTIFICATE SUPERSEDED by ${st.superseded_by} — verify the newer certificate`);
+  process.exit(report.ok ? 0 : 1);
+}
@@ -0,0 +1,675 @@
+/**
+ * OpenExecution — Orchestrator Core
+ *
+ * The run-*.js entrypoints are compositions of named steps:
+ *
+ *   { name: 'startApi', title: 'Start API Server', deps: ['applySchemas'], run: async ctx => outputs }
+ *
+ * Orchestrator orders steps by their deps (ties keep insertion order), runs
+ * them one at a time with a STEP n header and timing, stores each step's
+ * returned outputs in ctx.outputs[name], and wraps a failure in an
+ * OrchestratorError naming the step. main() turns that into a FATAL line,
+ * runs the shutdown hooks and stops every spawned child (process-manager.js).
+ *
+ * Shared steps:
+ *   ensurePostgres  database backend up and accepting connections: the
+ *                   oe-postgres container, a throwaway local cluster, or
+ *                   DATABASE_URL with DB_BACKEND=external (db-backends.js); sets ctx.db
+ *   resetDatabase   drop + recreate the openexecution database
+ *   applySchemas    schema migrations (schema-migrations.js: platform schema
+ *                   files, then migrations/*.sql)
+ *   startApi        API server on config.apiPort, health-checked
+ *   startFrontend() Next.js on config.frontendPort (dev, or production build
+ *                   falling back to dev)
+ *   warmup()        pre-compile frontend pages
+ *
+ * Steps talk to the outside world through ctx — exec, psql, fetch, spawn,
+ * waitFor, healthCheck, clearPort — never child_process or fetch directly,
+ * which is what makes the two run modes possible:
+ *
+ *   --from <step|n>  resume: steps before <step> are not run; their outputs
+ *                    come from the checkpoint file (<OE_RUN_DIR>/<name>.state.json,
+ *                    written after every completed step), and steps with a
+ *                    restore() (servers, tunnel) bring their process back
+ *   --dry-run        print every command, API call and spawn instead of
+ *                    executing it; no checkpoint is written
+ *
+ * Ports and database settings come from the entrypoint's configuration
+ * (config.js: defaults, oe.config.json, .env, environment, --api-port etc.),
+ * passed to the Orchestrator as `settings`.
+ *
+ * What steps create on GitHub or Vercel is recorded in ctx.ledger
+ * (resource-ledger.js, tagged with the orchestrator's name), so
+ * `node resource-ledger.js cleanup` can remove it after any kind of crash.
+ */
+
+const { execSync } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA } = require('./config');
+const { createBackend, quoteIdent, quoteLiteral } = require('./db-backends');
+const { ProcessManager, killPort } = require('./process-manager');
+const { ResourceLedger } = require('./resource-ledger');
+const { loadMigrations, migrate } = require('./schema-migrations');
+
+// ── Configuration ──
+
+const DEFAULTS = {
+  apiDir: path.join(__dirname, '..', 'openexecution-platform', 'api'),
+  webDir: path.join(__dirname, '..', 'openexecution-platform', 'web'),
+  sovereignSchemaDir: path.join(__dirname, '..', 'openexecution-sovereign', 'schema'),
+  migrationsDir: path.join(__dirname, 'migrations'),
+  schemas: [
+    'schema-open.sql',
+    'schema-sovereign.sql',
+    'schema-spec.sql',
+    '002-users.sql',
+    '003-user-owned-connections.sql',
+  ],
+  container: SCHEMA.DB_CONTAINER.default,
+  dbName: SCHEMA.DB_NAME.default,
+  dbUrl: SCHEMA.DB_URL.default({ DB_NAME: SCHEMA.DB_NAME.default }),
+  apiPort: SCHEMA.API_PORT.default,
+  frontendPort: SCHEMA.FRONTEND_PORT.default,
+};
+DEFAULTS.schemaDir = path.join(DEFAULTS.apiDir, 'scripts');
+
+/** The DEFAULTS a loaded configuration (config.js) overrides. */
+function configFrom(settings) {
+  return {
+    container: settings.DB_CONTAINER,
+    dbName: settings.DB_NAME,
+    dbUrl: settings.DB_URL,
+    apiPort: settings.API_PORT,
+    frontendPort: settings.FRONTEND_PORT,
+  };
+}
+
+// Suppress Git credential prompts (Windows Git Credential Manager)
+const NO_GIT_ENV = { GIT_TERMINAL_PROMPT: '0', GIT_ASKPASS: '', GCM_INTERACTIVE: 'never' };
+
+
+class OrchestratorError extends Error {
+  constructor(message, { step, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.step = step;
+    if (cause) this.cause = cause;
+  }
+}
+
+
+// ── Helpers ──
+
+function log(icon, msg) {
+  const ts = new Date().toISOString().slice(11, 19);
+  console.log(`  [${ts}] ${icon} ${msg}`);
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function section(title) {
+  console.log('\n' + '-'.repeat(70));
+  console.log(`  ${title}`);
+  console.log('-'.repeat(70));
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/** Drain a spawned child's piped output so it never blocks on a full pipe. */
+function drain(child) {
+  if (child.stdout) child.stdout.on('data', () => {});
+  if (child.stderr) child.stderr.on('data', () => {});
+  return child;
+}
+
+/** Replace values of secret-looking keys before a request body is printed. */
+function redact(body) {
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.stringify(JSON.parse(body), (k, v) => (/token|secret|password/i.test(k) && typeof v === 'string' ? '***' : v));
+  } catch { return body; }
+}
+
+function oneLine(text, max = 100) {
+  const s = String(text).replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.substring(0, max)}…` : s;
+}
+
+
+// ── Step context ──
+
+/**
+ * What steps use instead of child_process / fetch. With orch.dryRun every
+ * command, API call and spawn is printed and skipped: exec returns '', fetch a
+ * 200 with a null JSON body, waitFor succeeds at once and sleep is instant.
+ */
+function createContext(orch) {
+  const dry = orch.dryRun;
+  const preview = msg => log('·', `[dry-run] ${msg}`);
+
+  const ctx = {
+    config: orch.config,
+    outputs: {},
+    procs: orch.procs,
+    dryRun: dry,
+    db: null, // database backend (db-backends.js), set by ensurePostgres
+    ledger: new ResourceLedger(orch.name, { dryRun: dry }), // external resources (resource-ledger.js)
+    log,
+    sleep: ms => (dry ? Promise.resolve() : sleep(ms)),
+
+    /** execSync → stdout. Throws on failure unless opts.ignoreError (then null). */
+    exec(cmd, opts = {}) {
+      const { ignoreError, ...execOpts } = opts;
+      if (dry) {
+        preview(`$ ${cmd}${execOpts.input ? ` <<< ${oneLine(execOpts.input)}` : ''}${execOpts.cwd ? `  (in ${execOpts.cwd})` : ''}`);
+        return '';
+      }
+      try {
+        return execSync(cmd, { encoding: 'utf8', stdio: 'pipe', ...execOpts });
+      } catch (e) {
+        if (ignoreError) return null;
+        const detail = String(e.stderr || e.message).trim().split('\n').slice(-3).join(' | ');
+        throw new OrchestratorError(`Command failed: ${cmd.substring(0, 120)} — ${detail}`);
+      }
+    },
+
+    /**
+     * Run SQL through psql against ctx.db, the backend ensurePostgres started
+     * (unaligned, tuples only), stopping at the first error unless ignoreError.
+     */
+    psql(sql, { db, ignoreError = false, singleTransaction = false, timeout = 30000 } = {}) {
+      if (!ctx.db) throw new OrchestratorError('No database backend — ctx.psql needs the ensurePostgres step');
+      const flags = `${ignoreError ? '' : ' -v ON_ERROR_STOP=1'}${singleTransaction ? ' --single-transaction' : ''}`;
+      return ctx.exec(`${ctx.db.psqlCommand(db)} -t -A${flags}`, { input: sql, env: { ...process.env, ...ctx.db.env }, timeout, ignoreError });
+    },
+
+    fetch(url, opts = {}) {
+      if (dry) {
+        preview(`${opts.method || 'GET'} ${url}${opts.body ? ` ${oneLine(redact(opts.body), 160)}` : ''}`);
+        return Promise.resolve(new Response('null', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+      }
+      return fetch(url, opts);
+    },
+
+    /** ProcessManager#spawn: the child (and its tree) is stopped at shutdown. */
+    spawn(label, cmd, args = [], opts = {}) {
+      if (dry) {
+        preview(`spawn ${label}: ${[cmd, ...args].join(' ')}${opts.cwd ? `  (in ${opts.cwd})` : ''}`);
+        const child = new EventEmitter();
+        Object.assign(child, { pid: null, exitCode: null, stdout: new EventEmitter(), stderr: new EventEmitter() });
+        return child;
+      }
+      return orch.procs.spawn(label, cmd, args, opts);
+    },
+
+    /** Spawn and wait for exit; rejects on a spawn error or a non-zero exit code. */
+    runProcess(label, cmd, args, opts) {
+      if (dry) {
+        ctx.spawn(label, cmd, args, opts);
+        return Promise.resolve(0);
+      }
+      return new Promise((resolve, reject) => {
+        const child = ctx.spawn(label, cmd, args, opts);
+        child.on('error', reject);
+        child.on('exit', (code, sig) => {
+          if (code === 0) resolve(0);
+          else reject(new OrchestratorError(`${label} exited with ${code === null ? sig : `code ${code}`}`));
+        });
+      });
+    },
+
+    /** Stop whatever listens on `port` (with its process tree). */
+    async clearPort(port) {
+      if (dry) return preview(`stop listeners on port ${port}`);
+      const pids = await killPort(port);
+      if (pids.length) log('✓', `Stopped stale listener(s) on port ${port} (pid ${pids.join(', ')})`);
+    },
+
+    async healthCheck(url) {
+      try {
+        const res = await ctx.fetch(url);
+        return res.status === 200;
+      } catch { return false; }
+    },
+
+    /**
+     * Poll `probe` until it returns something truthy; throws after timeoutMs,
+     * or as soon as opts.process (a spawned child) exits. With backoff > 1 the
+     * interval grows by that factor after each miss, up to maxIntervalMs.
+     */
+    async waitFor(label, probe, { timeoutMs = 20000, intervalMs = 1000, backoff = 1, maxIntervalMs = 10000, process: child } = {}) {
+      if (dry) {
+        preview(`wait for ${label} (up to ${seconds(timeoutMs)})`);
+        return true;
+      }
+      const deadline = Date.now() + timeoutMs;
+      for (let interval = intervalMs; ; interval = Math.min(interval * backoff, Math.max(maxIntervalMs, intervalMs))) {
+        if (child && child.exitCode !== null) throw new OrchestratorError(`${label} exited with code ${child.exitCode}`);
+        const value = await probe();
+        if (value) return value;
+        const left = deadline - Date.now();
+        if (left <= 0) throw new OrchestratorError(`${label} not ready after ${seconds(timeoutMs)}`);
+        await sleep(Math.min(interval, left));
+      }
+    },
+
+    /**
+     * Register cleanup that runs however the orchestration ends. The hook
+     * gets { ok }: false after a failure or Ctrl+C, when a later --from
+     * resume may still need what it would remove.
+     */
+    onShutdown: fn => { orch.shutdownHooks.push(fn); },
+  };
+  return ctx;
+}
+
+
+// ── Checkpoints ──
+
+/**
+ * <OE_RUN_DIR>/<name>.state.json — each completed step's outputs, in run
+ * order, so `--from <step>` can skip everything before it:
+ *   { name, updated_at, steps: { <step>: { outputs, finished_at, ms } } }
+ * Outputs include credentials (JWT, webhook IDs); the directory is gitignored.
+ */
+class Checkpoints {
+  constructor(file) {
+    this.file = file;
+    this.state = { name: path.basename(file, '.state.json'), updated_at: null, steps: {} };
+  }
+
+  load() {
+    try {
+      this.state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw new OrchestratorError(`Unreadable checkpoint file ${this.file}: ${err.message}`);
+    }
+    return this;
+  }
+
+  get(step) {
+    return this.state.steps[step] || null;
+  }
+
+  /** Record a completed step (replaces any earlier record). */
+  save(step, outputs, ms) {
+    this.state.steps[step] = { outputs, finished_at: new Date().toISOString(), ms };
+    this.write();
+  }
+
+  /** Forget `steps` (they are about to run again). */
+  drop(steps) {
+    for (const step of steps) delete this.state.steps[step];
+    this.write();
+  }
+
+  write() {
+    this.state.updated_at = new Date().toISOString();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2) + '\n');
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+/** Orchestrator flags: --from <step|n>, --dry-run. */
+function parseFlags(argv) {
+  const flags = { from: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') flags.dryRun = true;
+    else if (arg === '--from') flags.from = argv[++i] || null;
+    else if (arg.startsWith('--from=')) flags.from = arg.slice('--from='.length);
+    else throw new OrchestratorError(`Unknown argument ${arg} (expected --from <step>, --dry-run, --print-config or a setting such as --api-port <port>)`);
+    if (arg === '--from' && !flags.from) throw new OrchestratorError('--from needs a step name or number');
+  }
+  return flags;
+}
+
+
+// ── Orchestrator ──
+
+class Orchestrator {
+  /**
+   * `name` keys the pidfile (process-manager.js) and the checkpoint file.
+   * settings — the entrypoint's loaded configuration (config.js): its ports
+   * and database settings override DEFAULTS, and main() parses its leftover
+   * argv; config overrides both. from / dryRun: see main().
+   */
+  constructor({ name, title, subtitle = '', settings = null, config = {}, from = null, dryRun = false }) {
+    this.name = name;
+    this.title = title;
+    this.subtitle = subtitle;
+    this.settings = settings;
+    this.config = { ...DEFAULTS, ...(settings ? configFrom(settings) : {}), ...config };
+    this.from = from;
+    this.dryRun = dryRun;
+    this.procs = new ProcessManager(name);
+    this.checkpoints = new Checkpoints(path.join(path.dirname(this.procs.pidFile), `${name}.state.json`));
+    this.steps = new Map();
+    this.shutdownHooks = [];
+    this.timings = [];
+    this.current = null;
+  }
+
+  /**
+   * def: { name, title, deps, run(ctx) → outputs, restore(ctx, saved) → outputs }.
+   * On a --from resume, steps before the resume point are not run: their
+   * checkpointed outputs are reused, or passed to restore() when the step
+   * has to bring something back (a server, a tunnel).
+   */
+  step(def) {
+    if (!def || !def.name || typeof def.run !== 'function') throw new OrchestratorError('A step needs a name and a run function');
+    if (this.steps.has(def.name)) throw new OrchestratorError(`Duplicate step ${def.name}`);
+    this.steps.set(def.name, { deps: [], ...def });
+    return this;
+  }
+
+  use(...defs) {
+    for (const def of defs) this.step(def);
+    return this;
+  }
+
+  /** Steps in dependency order; insertion order breaks ties. */
+  plan() {
+    const order = [];
+    const state = new Map(); // name → 'visiting' | 'done'
+    const visit = (name, from) => {
+      const step = this.steps.get(name);
+      if (!step) throw new OrchestratorError(`Step ${from} depends on unknown step ${name}`);
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') throw new OrchestratorError(`Dependency cycle through ${name}`);
+      state.set(name, 'visiting');
+      for (const dep of step.deps) visit(dep, name);
+      state.set(name, 'done');
+      order.push(step);
+    };
+    for (const name of this.steps.keys()) visit(name, name);
+    return order;
+  }
+
+  /** Index in `order` of this.from (a step name or 1-based STEP number). */
+  resumeIndex(order) {
+    if (!this.from) return 0;
+    const n = /^\d+$/.test(this.from) ? parseInt(this.from, 10) - 1 : order.findIndex(s => s.name === this.from);
+    if (n < 0 || n >= order.length) {
+      throw new OrchestratorError(`Unknown step ${this.from} — steps: ${order.map((s, i) => `${i + 1}.${s.name}`).join(' ')}`);
+    }
+    const missing = order.slice(0, n).filter(s => !this.checkpoints.get(s.name));
+    if (missing.length) {
+      throw new OrchestratorError(`No checkpoint for ${missing.map(s => s.name).join(', ')} in ${this.checkpoints.file} — run without --from first`);
+    }
+    return n;
+  }
+
+  async run() {
+    console.log('\n' + '='.repeat(70));
+    console.log(`  ${this.title}`);
+    if (this.subtitle) console.log(`  ${this.subtitle}`);
+    if (this.dryRun) console.log('  DRY RUN — commands and API calls are printed, not executed');
+    console.log('='.repeat(70));
+
+    const order = this.plan();
+    const ctx = this.ctx = createContext(this);
+    if (this.from) this.checkpoints.load();
+    const start = this.resumeIndex(order);
+
+    if (!this.dryRun) {
+      const reaped = await this.procs.reapStale();
+      if (reaped.length) log('✓', `Stopped ${reaped.length} process(es) left by a previous run`);
+      // A fresh run starts a fresh checkpoint file
+      if (start) this.checkpoints.drop(order.slice(start).map(s => s.name));
+      else this.checkpoints.write();
+    }
+
+    for (const [i, step] of order.entries()) {
+      this.current = step.name;
+      const started = Date.now();
+      const resumed = i < start;
+      if (resumed && !step.restore) {
+        ctx.outputs[step.name] = this.checkpoints.get(step.name).outputs;
+        log('↺', `STEP ${i + 1}: ${step.name} — restored from checkpoint`);
+        continue;
+      }
+      section(`STEP ${i + 1}: ${step.title || step.name}${resumed ? ' (resuming from checkpoint)' : ''}`);
+      try {
+        const outputs = resumed
+          ? await step.restore(ctx, this.checkpoints.get(step.name).outputs)
+          : await step.run(ctx);
+        ctx.outputs[step.name] = outputs || {};
+      } catch (err) {
+        this.timings.push({ step: step.name, ms: Date.now() - started, ok: false });
+        throw new OrchestratorError(`${step.name} failed: ${err.message}`, { step: step.name, cause: err });
+      }
+      const ms = Date.now() - started;
+      this.timings.push({ step: step.name, ms, ok: true });
+      if (!this.dryRun) this.checkpoints.save(step.name, ctx.outputs[step.name], ms);
+      log('✓', `${step.name} finished in ${seconds(ms)}`);
+    }
+    this.current = null;
+    return ctx.outputs;
+  }
+
+  printTimings() {
+    if (this.timings.length === 0) return;
+    console.log('\n  Step timings:');
+    for (const t of this.timings) {
+      console.log(`    ${t.ok ? '✓' : '✗'} ${t.step.padEnd(22)} ${seconds(t.ms)}`);
+    }
+  }
+
+  /** Run shutdown hooks (last registered first), then stop every spawned child. */
+  async shutdown({ ok }) {
+    const hooks = this.shutdownHooks.splice(0).reverse();
+    for (const hook of hooks) {
+      try { await hook({ ok }); } catch (err) { log('⚠', `Cleanup failed: ${err.message}`); }
+    }
+    await this.procs.stopAll();
+  }
+
+  resumeHint() {
+    if (this.dryRun || !this.current) return;
+    const script = path.relative(process.cwd(), process.argv[1]);
+    console.error(`  Resume with: node ${script} --from ${this.current}`);
+  }
+
+  /**
+   * Entrypoint: parse --from / --dry-run from argv (default: what the
+   * settings' flags left over), run, report, clean up and exit (0 on
+   * success, 1 on failure).
+   */
+  main(argv = this.settings ? this.settings.argv : process.argv.slice(2)) {
+    try {
+      Object.assign(this, parseFlags(argv));
+    } catch (err) {
+      console.error(`  FATAL: ${err.message}`);
+      process.exit(1);
+    }
+    process.on('exit', () => this.procs.stopAllSync());
+    process.on('SIGINT', async () => {
+      console.log('\n  Shutting down...');
+      this.resumeHint();
+      await this.shutdown({ ok: false });
+      process.exit(0);
+    });
+    this.run().then(async () => {
+      this.printTimings();
+      await this.shutdown({ ok: true });
+      process.exit(0);
+    }, async err => {
+      console.error(`\n  FATAL: ${err.message}`);
+      this.printTimings();
+      this.resumeHint();
+      await this.shutdown({ ok: false });
+      process.exit(1);
+    });
+  }
+}
+
+
+// ── Shared steps ──
+
+const ensurePostgres = {
+  name: 'ensurePostgres',
+  title: 'Check Prerequisites (PostgreSQL)',
+  async run(ctx, saved) {
+    ctx.db = createBackend(ctx.config, {
+      name: saved && saved.backend,
+      probeDocker: () => ctx.exec('docker info --format "{{.ServerVersion}}"', { ignoreError: true }) !== null,
+    });
+    ctx.log('…', `Database backend: ${ctx.db.name}`);
+    const details = await ctx.db.start(ctx, saved);
+    ctx.log('✓', `PostgreSQL accepting connections (${ctx.db.label})`);
+    return { backend: ctx.db.name, ...details };
+  },
+  // Same backend as the checkpoint; the server may have stopped since
+  restore(ctx, saved) { return this.run(ctx, saved); },
+};
+
+const resetDatabase = {
+  name: 'resetDatabase',
+  title: 'Reset Database',
+  deps: ['ensurePostgres'],
+  async run(ctx) {
+    const { dbName } = ctx.db;
+    ctx.log('…', `Dropping and recreating ${dbName} database...`);
+    ctx.psql(`SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = ${quoteLiteral(dbName)} AND pid <> pg_backend_pid();`, { db: 'postgres', ignoreError: true });
+    ctx.psql(`DROP DATABASE IF EXISTS ${quoteIdent(dbName)};`, { db: 'postgres' });
+    ctx.psql(`CREATE DATABASE ${quoteIdent(dbName)};`, { db: 'postgres' });
+    ctx.log('✓', 'Database recreated');
+    return { database: dbName };
+  },
+};
+
+const applySchemas = {
+  name: 'applySchemas',
+  title: 'Apply Schema Migrations',
+  deps: ['resetDatabase'],
+  async run(ctx) {
+    const { schemas, schemaDir, sovereignSchemaDir, migrationsDir } = ctx.config;
+    const { migrations, missing } = loadMigrations({ schemas, schemaDirs: [schemaDir, sovereignSchemaDir], migrationsDir });
+    for (const name of missing) ctx.log('⚠', `Schema not found: ${name} — skipping`);
+    const result = await migrate((sql, opts) => ctx.psql(sql, opts), migrations, { log: ctx.log });
+    return { ...result, skipped: missing };
+  },
+  // The resumed database keeps its migrations: apply anything new, catch drift
+  restore(ctx) { return this.run(ctx); },
+};
+
+const startApi = {
+  name: 'startApi',
+  title: 'Start API Server',
+  deps: ['applySchemas'],
+  async run(ctx) {
+    const { apiDir, apiPort } = ctx.config;
+    await ctx.clearPort(apiPort);
+
+    ctx.log('…', `Starting API server on port ${apiPort}...`);
+    const api = drain(ctx.spawn('api', 'node', ['src/index.js'], {
+      cwd: apiDir,
+      env: { ...process.env, ...NO_GIT_ENV, DATABASE_URL: ctx.db.url, PORT: String(apiPort), NODE_ENV: 'development' },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }));
+    // 127.0.0.1 for health checks (Node.js IPv6 resolution issue); localhost for browsers (CORS)
+    await ctx.waitFor('API server', () => ctx.healthCheck(`http://127.0.0.1:${apiPort}/api/v1/health`), { timeoutMs: 20000, process: api });
+    const baseUrl = `http://localhost:${apiPort}/api/v1`;
+    ctx.log('✓', `API server running at http://localhost:${apiPort}`);
+    return { baseUrl, internalUrl: `http://127.0.0.1:${apiPort}/api/v1`, pid: api.pid };
+  },
+  // Restart against the database the checkpointed steps left behind
+  restore(ctx) { return this.run(ctx); },
+};
+
+/**
+ * Next.js frontend. production: `next build` (up to 180s) then `next start`,
+ * falling back to `next dev` if the build fails. clearPorts: extra ports to
+ * free first (e.g. a stale test server). A resume reuses the checkpointed
+ * production build instead of building again.
+ */
+function startFrontend({ production = false, clearPorts = [] } = {}) {
+  async function launch(ctx, { build }) {
+    const { webDir, frontendPort } = ctx.config;
+    for (const port of [frontendPort, ...clearPorts]) await ctx.clearPort(port);
+    const env = { ...process.env, ...NO_GIT_ENV, NEXT_PUBLIC_API_URL: ctx.outputs.startApi.baseUrl };
+
+    let mode = 'dev';
+    if (production && !build) {
+      mode = 'production';
+      ctx.log('✓', 'Reusing the existing Next.js production build');
+    } else if (production) {
+      ctx.log('…', 'Building Next.js for production (this may take 30-60s)...');
+      try {
+        ctx.exec('npx next build', { cwd: webDir, env, timeout: 180000 });
+        mode = 'production';
+        ctx.log('✓', 'Next.js build complete');
+      } catch (err) {
+        ctx.log('⚠', `Production build failed — falling back to dev mode: ${err.message.substring(0, 100)}`);
+      }
+    }
+
+    ctx.log('…', `Starting Next.js ${mode} server on port ${frontendPort}...`);
+    const web = drain(ctx.spawn('frontend', 'npx', ['next', mode === 'production' ? 'start' : 'dev', '-p', String(frontendPort)], {
+      cwd: webDir, env, stdio: ['ignore', 'pipe', 'pipe'], shell: true,
+    }));
+    await ctx.waitFor('Frontend', () => ctx.healthCheck(`http://127.0.0.1:${frontendPort}`),
+      { timeoutMs: mode === 'production' ? 30000 : 45000, process: web });
+    const url = `http://localhost:${frontendPort}`;
+    ctx.log('✓', `Frontend running (${mode}) at ${url}`);
+    return { url, internalUrl: `http://127.0.0.1:${frontendPort}`, mode };
+  }
+
+  return {
+    name: 'startFrontend',
+    title: production ? 'Build & Start Frontend (Production)' : 'Start Frontend',
+    deps: ['startApi'],
+    run: ctx => launch(ctx, { build: true }),
+    restore(ctx, saved) {
+      const built = saved.mode === 'production' && fs.existsSync(path.join(ctx.config.webDir, '.next', 'BUILD_ID'));
+      return launch(ctx, { build: !built });
+    },
+  };
+}
+
+/**
+ * Pre-fetch pages so the Next.js dev server compiles them before the
+ * recording needs them (a production build has nothing left to compile).
+ */
+function warmup(pages, { timeoutMs = 30000, delayMs = 1000 } = {}) {
+  return {
+    name: 'warmup',
+    title: 'Warm Up Frontend',
+    deps: ['startFrontend'],
+    async run(ctx) {
+      if (ctx.outputs.startFrontend.mode === 'production') {
+        ctx.log('✓', 'Production build — no warm-up needed');
+        return { compiled: [] };
+      }
+      ctx.log('…', 'Warming up Next.js (compiling pages)...');
+      const compiled = [];
+      for (const page of pages) {
+        try {
+          await ctx.fetch(`${ctx.outputs.startFrontend.internalUrl}${page}`, { signal: AbortSignal.timeout(timeoutMs) });
+          ctx.log('✓', `Compiled: ${page}`);
+          compiled.push(page);
+        } catch {
+          ctx.log('⚠', `Warm-up slow/failed: ${page} (will compile on demand)`);
+        }
+        await ctx.sleep(delayMs);
+      }
+      await ctx.sleep(2000);
+      ctx.log('✓', 'Frontend warmed up');
+      return { compiled };
+    },
+    // A restarted dev server compiles from scratch
+    restore(ctx) { return this.run(ctx); },
+  };
+}
+
+module.exports = {
+  Orchestrator, OrchestratorError, Checkpoints, DEFAULTS, NO_GIT_ENV, log, sleep, drain, parseFlags, configFrom,
+  ensurePostgres, resetDatabase, applySchemas, startApi, startFrontend, warmup,
+};
@@ -13,60 +13,238 @@
  *
  * Prerequisites:
  *   - node serve-proof.js running on port 8080
- *   - API server running at localhost:3001 (with seeded data)
- *   - Frontend running at localhost:3000
+ *   - API server running on API_PORT (with seeded data, e.g. run-demo-v2.js)
+ *   - Frontend running on FRONTEND_PORT
  *   - Playwright installed: npm install playwright
  *
- * Usage: node playwright-demo-v2.js
+ * Usage: node playwright-demo-v2.js [--api-port 3101 --frontend-port 3100 ...]
+ *        DEMO_SCENES=proof-* node playwright-demo-v2.js   # a subset of the SCENES list
  *
- * NOTE: Browser stays open until you press Ctrl+C
+ * Settings (config.js): API_PORT, FRONTEND_PORT, DEMO_USER_EMAIL / DEMO_USER_PASSWORD,
+ * DEMO_HEADLESS, DEMO_SCENES / DEMO_SKIP_SCENES / DEMO_SCENE_RETRIES.
+ * Scenes move on when the page shows what they record (selector cues,
+ * scene-cues.js); fixed pauses are only dwell time.
+ *
+ * Headless (no display, or DEMO_HEADLESS=true) the recorder exits when done;
+ * headed, the browser stays open until you press Ctrl+C.
  */
 
 const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs');
+const { loadConfigOrExit } = require('./config');
+const { createCues, launchOptions, isHeadless } = require('./scene-cues');
+const { SceneRecorder, smoothScroll } = require('./scene-recorder');
 
+const config = loadConfigOrExit();
 const PROOF_PAGE = 'http://localhost:8080';
-const FRONTEND = 'http://localhost:3000';
+const FRONTEND = `http://localhost:${config.FRONTEND_PORT}`;
+const API_HEALTH = `http://localhost:${config.API_PORT}/api/v1/health`;
 const OUTPUT_DIR = path.join(__dirname, 'recording-v2');
 
 // Demo credentials
-const NEXUS_EMAIL = 'admin@nexuscorp.io';
-const NEXUS_PASS = 'demo-nexus-2026!';
-
-async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-async function smoothScroll(page, distance, duration = 2000) {
-  const steps = 40;
-  const stepDist = distance / steps;
-  const stepTime = duration / steps;
-  for (let i = 0; i < steps; i++) {
-    await page.evaluate((d) => window.scrollBy(0, d), stepDist);
-    await sleep(stepTime);
-  }
-}
-
-async function scrollToTop(page) {
-  await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'smooth' }));
-  await sleep(800);
-}
-
-async function screenshot(page, name) {
-  await page.screenshot({ path: path.join(OUTPUT_DIR, `${name}.png`) });
-  console.log(`    [screenshot] ${name}.png`);
-}
+const NEXUS_EMAIL = config.DEMO_USER_EMAIL;
+const NEXUS_PASS = config.DEMO_USER_PASSWORD;
+
+const PROOF_GOTO = { waitUntil: 'networkidle', timeout: 15000 };
+// The frontend fetches its data after load: networkidle is when it is on screen
+const FRONTEND_GOTO = { waitUntil: 'networkidle', timeout: 30000 };
+const frontendUp = ({ state }) => state.services['Frontend'];
+const headless = isHeadless(config.DEMO_HEADLESS);
+
+/** Wait until `selector` is visible (the proof page renders its sections from JSON). */
+const cue = (state, selector) => state.cues.waitFor({ selector }, { timeoutMs: 15000 });
+
+
+// ── Scenes ── (run by scene-recorder.js; DEMO_SCENES / DEMO_SKIP_SCENES pick a subset)
+
+const SCENES = [
+  {
+    name: 'proof-overview',
+    title: 'Proof Dashboard — Overview & Stats',
+    goto: PROOF_PAGE,
+    gotoOptions: PROOF_GOTO,
+    actions: async ({ page, state, screenshot }) => {
+      await cue(state, '#stats-row .stat-card');
+      await screenshot('proof-overview');
+      // Scroll to connected platforms
+      await cue(state, '#connections-row .conn-card');
+      await smoothScroll(page, 500, 2500);
+    },
+    dwellMs: 2000,
+    screenshot: 'proof-platforms',
+  },
+  {
+    name: 'proof-chains',
+    title: 'Proof Dashboard — Provenance Chains',
+    actions: async ({ page, state, screenshot }) => {
+      await cue(state, '#chains-container .chain-viz');
+      await smoothScroll(page, 500, 2500);
+      await screenshot('proof-chain-vercel');
+
+      // Scroll to see hash linkage
+      await cue(state, '.linkage-box');
+      await smoothScroll(page, 500, 2500);
+      await screenshot('proof-chain-linkage');
+
+      // Scroll to Figma chain
+      await smoothScroll(page, 500, 2500);
+    },
+    dwellMs: 2000,
+    screenshot: 'proof-chain-figma',
+  },
+  {
+    name: 'proof-tamper',
+    title: 'Proof Dashboard — Tamper Detection',
+    actions: async ({ page, state, screenshot }) => {
+      await cue(state, '.tamper-card.after');
+      await smoothScroll(page, 600, 2500);
+      await screenshot('proof-tamper-detection');
+
+      // Scroll to formula + verification result
+      await cue(state, '#verify-result');
+      await smoothScroll(page, 500, 2500);
+    },
+    dwellMs: 3000,
+    screenshot: 'proof-verified',
+  },
+  {
+    name: 'frontend-login',
+    title: 'Frontend — Login as Nexus Corp Admin',
+    when: frontendUp,
+    goto: `${FRONTEND}/auth/login`,
+    gotoOptions: FRONTEND_GOTO,
+    actions: async ({ page, state, screenshot }) => {
+      await screenshot('frontend-login');
+      try {
+        // Type email slowly for demo effect
+        const emailInput = page.locator('input[type="email"], input[name="email"]').first();
+        const passInput = page.locator('input[type="password"], input[name="password"]').first();
+
+        if (await emailInput.isVisible({ timeout: 3000 })) {
+          await emailInput.click();
+          await emailInput.fill('');
+          await page.keyboard.type(NEXUS_EMAIL, { delay: 60 });
+
+          await passInput.click();
+          await passInput.fill('');
+          await page.keyboard.type(NEXUS_PASS, { delay: 60 });
+          await screenshot('frontend-login-filled');
+
+          // Submit — logged in when the app leaves /auth and has loaded
+          const submitBtn = page.locator('button[type="submit"]').first();
+          await submitBtn.click();
+          await page.waitForURL(url => !url.pathname.startsWith('/auth'), { timeout: 15000 });
+          await page.waitForLoadState('networkidle');
+          await screenshot('frontend-after-login');
+        }
+      } catch (e) {
+        console.log('    Login form interaction skipped:', e.message);
+      }
+    },
+  },
+  {
+    name: 'frontend-mission-control',
+    title: 'Frontend — Mission Control Dashboard',
+    when: frontendUp,
+    goto: FRONTEND,
+    gotoOptions: FRONTEND_GOTO,
+    actions: async ({ page, screenshot }) => {
+      await screenshot('frontend-mission-control');
+      await smoothScroll(page, 500, 2500);
+    },
+    dwellMs: 2000,
+    screenshot: 'frontend-dashboard-cards',
+  },
+  {
+    name: 'frontend-chains',
+    title: 'Frontend — Execution Chains',
+    when: frontendUp,
+    goto: `${FRONTEND}/dashboard/provenance`,
+    gotoOptions: FRONTEND_GOTO,
+    actions: async ({ page, state, screenshot }) => {
+      await cue(state, '[role="tab"]');
+      await screenshot('frontend-chains');
+      await smoothScroll(page, 400, 2000);
+    },
+    dwellMs: 2000,
+    screenshot: 'frontend-chains-scroll',
+  },
+  {
+    name: 'frontend-projects',
+    title: 'Frontend — Projects & Workspace Bindings',
+    when: frontendUp,
+    goto: `${FRONTEND}/projects`,
+    gotoOptions: FRONTEND_GOTO,
+    actions: async ({ page, screenshot }) => {
+      await screenshot('frontend-projects');
+
+      // Try to click into project detail
+      try {
+        const projectLink = page.locator('a[href*="projects/"]').first();
+        if (await projectLink.isVisible({ timeout: 3000 })) {
+          await projectLink.click();
+          await page.waitForURL(/\/projects\/[^/]+/, { timeout: 15000 });
+          await page.waitForLoadState('networkidle');
+          await screenshot('frontend-project-detail');
+
+          await smoothScroll(page, 400, 2000);
+          await screenshot('frontend-project-bindings');
+        }
+      } catch {
+        console.log('    Project detail navigation skipped');
+      }
+    },
+  },
+  {
+    name: 'frontend-landing',
+    title: 'Frontend — Landing Page',
+    when: frontendUp,
+    goto: `${FRONTEND}/landing`,
+    gotoOptions: FRONTEND_GOTO,
+    actions: async ({ page, screenshot }) => {
+      await screenshot('frontend-landing-hero');
+
+      await smoothScroll(page, 800, 3000);
+      await screenshot('frontend-landing-features');
+
+      await smoothScroll(page, 800, 3000);
+      await screenshot('frontend-landing-how');
+
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    },
+    dwellMs: 2000,
+    screenshot: 'frontend-landing-cta',
+  },
+  {
+    // Return to proof page for closing shot
+    name: 'final',
+    title: 'Proof Dashboard — Verification Result',
+    goto: PROOF_PAGE,
+    gotoOptions: PROOF_GOTO,
+    actions: async ({ page, state }) => {
+      // Scroll to the green verification result
+      await cue(state, '#verify-result');
+      await page.evaluate(() => {
+        document.querySelector('#verify-result').scrollIntoView({ behavior: 'smooth', block: 'center' });
+      });
+    },
+    dwellMs: 3000,
+    screenshot: 'final-verified',
+  },
+];
 
 async function main() {
   console.log('\n' + '='.repeat(60));
   console.log('  OPENEXECUTION v2 — INVESTOR DEMO RECORDING');
-  console.log('  Browser will stay open until you press Ctrl+C');
+  if (!headless) console.log('  Browser will stay open until you press Ctrl+C');
   console.log('='.repeat(60) + '\n');
 
-  if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const rec = new SceneRecorder({ outputDir: OUTPUT_DIR, tag: 'v2' });
 
   // Check services
   const services = {};
-  for (const [name, url] of [['Proof Page', PROOF_PAGE], ['API', 'http://localhost:3001/api/v1/health'], ['Frontend', FRONTEND]]) {
+  for (const [name, url] of [['Proof Page', PROOF_PAGE], ['API', API_HEALTH], ['Frontend', FRONTEND]]) {
     try {
       const r = await fetch(url);
       services[name] = r.ok || r.status === 307;
@@ -77,12 +255,10 @@ async function main() {
     console.error('\n  FATAL: Proof page not running. Start with: node serve-proof.js');
     process.exit(1);
   }
+  if (!services['Frontend']) console.log('  (frontend scenes will be skipped)');
   console.log('');
 
-  const browser = await chromium.launch({
-    headless: false,
-    args: ['--start-maximized'],
-  });
+  const browser = await chromium.launch(launchOptions(config.DEMO_HEADLESS));
 
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
@@ -93,201 +269,34 @@ async function main() {
   });
 
   const page = await context.newPage();
-
-  // ============================================================
-  // SCENE 1: Proof Dashboard — Overview
-  // ============================================================
-  console.log('  [Scene 1] Proof Dashboard — Overview & Stats');
-
-  await page.goto(PROOF_PAGE, { waitUntil: 'networkidle', timeout: 15000 });
-  await sleep(2000);
-  await screenshot(page, '01-proof-overview');
-
-  // Pause on the scenario banner + stats
-  await sleep(3000);
-
-  // Scroll to connected platforms
-  await smoothScroll(page, 500, 2500);
-  await sleep(2000);
-  await screenshot(page, '02-proof-platforms');
-
-  // ============================================================
-  // SCENE 2: Proof Dashboard — Provenance Chains
-  // ============================================================
-  console.log('  [Scene 2] Proof Dashboard — Provenance Chains');
-
-  await smoothScroll(page, 500, 2500);
-  await sleep(2000);
-  await screenshot(page, '03-proof-chain-vercel');
-
-  // Scroll to see hash linkage
-  await smoothScroll(page, 500, 2500);
-  await sleep(3000);
-  await screenshot(page, '04-proof-chain-linkage');
-
-  // Scroll to Figma chain
-  await smoothScroll(page, 500, 2500);
-  await sleep(2000);
-  await screenshot(page, '05-proof-chain-figma');
-
-  // ============================================================
-  // SCENE 3: Proof Dashboard — Tamper Detection
-  // ============================================================
-  console.log('  [Scene 3] Proof Dashboard — Tamper Detection');
-
-  await smoothScroll(page, 600, 2500);
-  await sleep(2000);
-  await screenshot(page, '06-proof-tamper-detection');
-
-  // Scroll to formula + verification result
-  await smoothScroll(page, 500, 2500);
-  await sleep(3000);
-  await screenshot(page, '07-proof-verified');
-
-  // ============================================================
-  // SCENE 4: Frontend — Login
-  // ============================================================
-  if (services['Frontend']) {
-    console.log('  [Scene 4] Frontend — Login as Nexus Corp Admin');
-
-    await page.goto(`${FRONTEND}/auth/login`, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await sleep(2000);
-    await screenshot(page, '08-frontend-login');
-
-    try {
-      // Type email slowly for demo effect
-      const emailInput = page.locator('input[type="email"], input[name="email"]').first();
-      const passInput = page.locator('input[type="password"], input[name="password"]').first();
-
-      if (await emailInput.isVisible({ timeout: 3000 })) {
-        await emailInput.click();
-        await emailInput.fill('');
-        await page.keyboard.type(NEXUS_EMAIL, { delay: 60 });
-        await sleep(500);
-
-        await passInput.click();
-        await passInput.fill('');
-        await page.keyboard.type(NEXUS_PASS, { delay: 60 });
-        await sleep(1000);
-        await screenshot(page, '09-frontend-login-filled');
-
-        // Submit
-        const submitBtn = page.locator('button[type="submit"]').first();
-        await submitBtn.click();
-        await sleep(4000);
-        await screenshot(page, '10-frontend-after-login');
-      }
-    } catch (e) {
-      console.log('    Login form interaction skipped:', e.message);
-    }
-
-    // ============================================================
-    // SCENE 5: Frontend — Mission Control
-    // ============================================================
-    console.log('  [Scene 5] Frontend — Mission Control Dashboard');
-
-    await page.goto(FRONTEND, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await sleep(3000);
-    await screenshot(page, '11-frontend-mission-control');
-
-    await smoothScroll(page, 500, 2500);
-    await sleep(2000);
-    await screenshot(page, '12-frontend-dashboard-cards');
-
-    // ============================================================
-    // SCENE 6: Frontend — Execution Chains
-    // ============================================================
-    console.log('  [Scene 6] Frontend — Execution Chains');
-
-    await page.goto(`${FRONTEND}/dashboard/provenance`, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await sleep(3000);
-    await screenshot(page, '13-frontend-chains');
-
-    await smoothScroll(page, 400, 2000);
-    await sleep(2000);
-    await screenshot(page, '14-frontend-chains-scroll');
-
-    // ============================================================
-    // SCENE 7: Frontend — Projects & Bindings
-    // ============================================================
-    console.log('  [Scene 7] Frontend — Projects & Workspace Bindings');
-
-    await page.goto(`${FRONTEND}/projects`, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await sleep(3000);
-    await screenshot(page, '15-frontend-projects');
-
-    // Try to click into project detail
-    try {
-      const projectLink = page.locator('a[href*="projects/"]').first();
-      if (await projectLink.isVisible({ timeout: 3000 })) {
-        await projectLink.click();
-        await sleep(3000);
-        await screenshot(page, '16-frontend-project-detail');
-
-        await smoothScroll(page, 400, 2000);
-        await sleep(2000);
-        await screenshot(page, '17-frontend-project-bindings');
-      }
-    } catch {
-      console.log('    Project detail navigation skipped');
-    }
-
-    // ============================================================
-    // SCENE 8: Frontend — Landing Page
-    // ============================================================
-    console.log('  [Scene 8] Frontend — Landing Page');
-
-    await page.goto(`${FRONTEND}/landing`, { waitUntil: 'domcontentloaded', timeout: 30000 });
-    await sleep(3000);
-    await screenshot(page, '18-frontend-landing-hero');
-
-    await smoothScroll(page, 800, 3000);
-    await sleep(2000);
-    await screenshot(page, '19-frontend-landing-features');
-
-    await smoothScroll(page, 800, 3000);
-    await sleep(2000);
-    await screenshot(page, '20-frontend-landing-how');
-
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await sleep(2000);
-    await screenshot(page, '21-frontend-landing-cta');
-
-  } else {
-    console.log('  [Scenes 4-8 skipped — frontend not running]');
+  rec.start(page);
+  const cues = createCues({ page, log: (icon, msg) => console.log(`    ${msg}`) });
+
+  try {
+    await rec.run(SCENES, { state: { services, cues } });
+  } finally {
+    rec.report();
+    rec.finish();
   }
 
   // ============================================================
-  // FINAL: Return to proof page for closing shot
-  // ============================================================
-  console.log('  [Final] Proof Dashboard — Verification Result');
-
-  await page.goto(PROOF_PAGE, { waitUntil: 'networkidle', timeout: 15000 });
-  // Scroll to the green verification result
-  await page.evaluate(() => {
-    const el = document.querySelector('.verify-result');
-    if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  });
-  await sleep(3000);
-  await screenshot(page, '22-final-verified');
-
-  // ============================================================
-  // DONE — keep browser open
+  // DONE — headless: close (the video is finished then); headed: keep open
   // ============================================================
-  const screenshots = fs.readdirSync(OUTPUT_DIR).filter(f => f.endsWith('.png'));
-  console.log(`\n  Recording complete: ${screenshots.length} screenshots`);
+  console.log(`\n  Recording complete: ${rec.screenshots.length} screenshots`);
   console.log(`  Output: ${OUTPUT_DIR}`);
+  if (headless) {
+    await context.close();
+    await browser.close();
+    listOutputs();
+    return;
+  }
   console.log('\n  Browser is still open. Press Ctrl+C to close.\n');
 
   // Keep alive — don't close browser
   await new Promise(() => {});
 }
 
-// Handle Ctrl+C gracefully
-process.on('SIGINT', async () => {
-  console.log('\n  Closing browser...');
-
-  // List outputs
+function listOutputs() {
   const recordings = fs.readdirSync(OUTPUT_DIR);
   const videos = recordings.filter(f => f.endsWith('.webm'));
   const pngs = recordings.filter(f => f.endsWith('.png'));
@@ -297,6 +306,12 @@ process.on('SIGINT', async () => {
     console.log(`  Video: ${path.join(OUTPUT_DIR, videos[videos.length - 1])}`);
   }
   console.log('  Done.\n');
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', async () => {
+  console.log('\n  Closing browser...');
+  listOutputs();
   process.exit(0);
 });
 
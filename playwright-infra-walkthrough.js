@@ -11,34 +11,92 @@
  *
  * Then transitions to GitHub to show committed artifacts.
  *
- * Env vars (from orchestrator):
- *   DEMO_LANG     — "en" | "zh" | "ja"  (default: "en")
- *   GLM_API_KEY   — Zhipu BigModel API key
- *   GITHUB_TOKEN  — GitHub PAT
- *   DASH_PORT     — Dashboard HTTP port (default: 4000)
+ * The dashboard server is multi-session: POST /sessions starts another,
+ * independent run (own chain, SSE stream, instruction slot and repository)
+ * served at /sessions/<id>/ — see demo-sessions.js. Starting one takes
+ * "Authorization: Bearer <approver token | DEMO_ADMIN_TOKEN>", and at most
+ * DEMO_MAX_SESSIONS runs go at once.
  *
- * Output: recording-infra-{lang}/ with screenshots + video
+ * Settings (from the orchestrator's environment, .env or oe.config.json — see config.js):
+ *   DEMO_LANG      — "en" | "zh" | "ja"  (default: "en")
+ *   LLM_PROVIDER   — "glm" | "openai" | "scripted" (default: "glm", see llm-providers.js)
+ *   GLM_API_KEY    — Zhipu BigModel API key (glm provider)
+ *   GITHUB_TOKEN   — GitHub PAT (optional when GITHUB_API_URL points at a mock)
+ *   GITHUB_API_URL — GitHub REST base URL (default: https://api.github.com)
+ *   GITHUB_WEB_URL — GitHub web base URL for Phase 2 (default: https://github.com)
+ *   DASH_PORT      — Dashboard HTTP port (default: 4000)
+ *   DASH_HOST      — Dashboard bind address (default: 127.0.0.1)
+ *   DEMO_ADMIN_TOKEN / DEMO_MAX_SESSIONS — who else may start a session
+ *                    (approver tokens always may) / how many run at once (default: 3)
+ *   DEMO_SCENARIO  — Scenario file (default: scenarios/cve-2026-4821.json)
+ *   DEMO_HEADLESS  — "auto" | "true" | "false" (default: "auto" — headless without a
+ *                    display; run under xvfb-run to record headed on CI)
+ *   DEMO_CUE_TIMEOUT_MS — how long a subtitle may wait for the event it narrates
+ *                    (default: 180000; see scene-cues.js)
+ *   DEMO_SUBTITLES — "burn" (overlay + DEMO_LANG track) | "tracks" (no overlay, a
+ *                    track per language; see subtitle-tracks.js)
+ *   OE_SIGNING_KEY / OE_SIGNING_KEY_FILE / OE_KEY_DIR — certificate signing key
+ *                    (default: persistent key in .oe-keys/, see signing-keys.js)
+ *   OE_APPROVERS_FILE — approver keys + tokens (default: .oe-keys/approvers.json);
+ *                    the recording authorizes as owner-ciso-1 with a fresh token
+ *   DEMO_QUORUM_ROLES / DEMO_QUORUM_REQUIRED / DEMO_QUORUM_TIMEOUT_MS — ACT 4
+ *                    approval quorum, e.g. "ciso,service-owner" / 2 / 900000
+ *                    (default: the scenario's vars.quorum, see approval-quorum.js)
+ *
+ * The repositories the scenario creates are recorded in the resource ledger
+ * (run "infra-walkthrough", see resource-ledger.js); they stay up for Phase 2
+ * and the next run, and `node resource-ledger.js cleanup infra-walkthrough`
+ * deletes them.
+ *
+ * Output: recording-infra-{lang}/ with screenshots + video + events.jsonl
+ *         (the SSE log; replay it with serve-replay.js or GET /replay?speed=2)
+ *         + subtitles.json and subtitles.<lang>.vtt / .srt
+ *         + chapters.json (one chapter per act and GitHub page; post-production.js
+ *         turns it into MP4 chapters)
  */
 
 const http = require('http');
 const https = require('https');
-const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+// First: .env and flags must be in process.env before the modules below read it
+const { loadConfigOrExit } = require('./config');
+const config = loadConfigOrExit({ required: { GITHUB_TOKEN: c => c.sources.GITHUB_API_URL === 'default' } });
+const { loadScenario, runScenario } = require('./scenario-runner');
+const { createProvider } = require('./llm-providers');
+const { Chain, CertIssuer } = require('./provenance');
+const { loadSigningKey } = require('./signing-keys');
+const { CertificateRegistry } = require('./cert-lifecycle');
+const { SessionManager } = require('./demo-sessions');
+const { ApproverStore, authorizeSubmission, authorizeStart } = require('./approvals');
+const { verifyBundle } = require('./oe-verify');
+const { ResourceLedger } = require('./resource-ledger');
+const { createCues, launchOptions } = require('./scene-cues');
+const { SceneRecorder, smoothScroll, showIntroCard, hideIntroCard } = require('./scene-recorder');
 
 // ── Config ──
 
-const LANG = process.env.DEMO_LANG || 'en';
-const GLM_KEY = process.env.GLM_API_KEY;
-const GITHUB_PAT = process.env.GITHUB_TOKEN;
-const REPO_OWNER = process.env.DEMO_REPO_OWNER || 'openexecution-coder';
-const REPO_NAME = process.env.DEMO_REPO_NAME || 'demo-cve-2026-4821';
-const GITHUB = `https://github.com/${REPO_OWNER}/${REPO_NAME}`;
-const DASH_PORT = parseInt(process.env.DASH_PORT || '4000', 10);
+const LANG = config.DEMO_LANG;
+const GITHUB_PAT = config.GITHUB_TOKEN;
+const REPO_OWNER = config.DEMO_REPO_OWNER;
+const REPO_NAME = config.DEMO_REPO_NAME;
+const { GITHUB_API_URL, GITHUB_WEB_URL, DASH_PORT, DASH_HOST } = config;
+const GITHUB = `${GITHUB_WEB_URL}/${REPO_OWNER}/${REPO_NAME}`;
 const OUTPUT_DIR = path.join(__dirname, `recording-infra-${LANG}`);
-
-if (!GLM_KEY || !GITHUB_PAT) {
-  console.error('  ERROR: GLM_API_KEY and GITHUB_TOKEN are required.');
+const SCENARIO_FILE = config.DEMO_SCENARIO || path.join(__dirname, 'scenarios', 'cve-2026-4821.json');
+
+const RECORDING_APPROVER = { id: 'owner-ciso-1', name: 'Project Owner', role: 'ciso' };
+
+let scenario, llm, signingKey, certRegistry, approvers;
+try {
+  scenario = loadScenario(SCENARIO_FILE);
+  llm = createProvider();
+  signingKey = loadSigningKey();
+  certRegistry = new CertificateRegistry();
+  approvers = new ApproverStore();
+  approvers.ensure(RECORDING_APPROVER);
+} catch (err) {
+  console.error(`  ERROR: ${err.message}`);
   process.exit(1);
 }
 
@@ -148,9 +206,9 @@ const SUBTITLES = {
     ja: '自己完結型検証スクリプト：実行するだけでチェーン全体の完全性を証明。ゼロトラスト。',
   },
   ghVerifyBottom: {
-    en: 'Three independent checks: hash chain integrity, chain hash match, Ed25519 signature — all must pass.',
-    zh: '三重独立校验：哈希链完整性、链哈希匹配、Ed25519 签名 — 三项全须通过。',
-    ja: '3つの独立検証：ハッシュチェーン整合性、チェーンハッシュ一致、Ed25519署名 — 全てパス必須。',
+    en: 'Every event re-hashed and linked, the chain hash and Ed25519 signature checked against a key valid at issue time, every human approval verified, revocation status checked — all must pass.',
+    zh: '逐一重算并链接每个事件哈希，按签发时有效的密钥校验链哈希与 Ed25519 签名，验证每一项人工审批，检查吊销状态 — 全部必须通过。',
+    ja: '全イベントを再ハッシュしリンクを確認、発行時に有効な鍵でチェーンハッシュとEd25519署名を検証、人間の承認をすべて検証、失効状態も確認 — 全てパス必須。',
   },
   final: {
     en: 'Complete accountability for AI agent actions. This is what OpenExecution delivers.',
@@ -159,11 +217,6 @@ const SUBTITLES = {
   },
 };
 
-function sub(key) {
-  const entry = SUBTITLES[key];
-  if (!entry) return key;
-  return entry[LANG] || entry.en || key;
-}
 
 // ── Intro Title Card ──
 
@@ -192,6 +245,7 @@ const DASHBOARD_UI = {
     title: 'Execution Ledger — Live Demo',
     instrLabel: '⚠ Human Authorization Required — Enter your instruction:',
     instrBtn: 'Authorize & Send Instruction',
+    instrReject: 'Reject',
     stRepo: 'Repository', stIssue: 'Issue', stPr: 'Pull Request',
     stReview: 'Review', stMerge: 'Merge', stCert: 'Certificate', stVerify: 'Verification',
     introStatus: 'Connecting to live demo...',
@@ -210,6 +264,7 @@ const DASHBOARD_UI = {
     title: '执行账本 — 实时演示',
     instrLabel: '⚠ 需要人类授权 — 请输入您的指令：',
     instrBtn: '授权并发送指令',
+    instrReject: '拒绝',
     stRepo: '仓库', stIssue: '问题', stPr: 'Pull Request',
     stReview: '审查', stMerge: '合并', stCert: '证书', stVerify: '验证',
     introStatus: '正在连接至实时演示...',
@@ -228,6 +283,7 @@ const DASHBOARD_UI = {
     title: '実行台帳 — ライブデモ',
     instrLabel: '⚠ 人間の認可が必要です — 指示を入力してください：',
     instrBtn: '認可して指示を送信',
+    instrReject: '却下',
     stRepo: 'リポジトリ', stIssue: 'イシュー', stPr: 'プルリクエスト',
     stReview: 'レビュー', stMerge: 'マージ', stCert: '証明書', stVerify: '検証',
     introStatus: 'ライブデモに接続中...',
@@ -331,6 +387,21 @@ const MESSAGES = {
     zh: '正在将溯源产物提交至 GitHub...',
     ja: 'プロベナンスアーティファクトをGitHubにコミット中...',
   },
+  sysQuorumReached: {
+    en: 'Authorization quorum reached — {approved} of {required} approval(s).',
+    zh: '已达到授权法定人数 — {approved}/{required} 项批准。',
+    ja: '認可クォーラムに到達 — {required}件中{approved}件の承認。',
+  },
+  sysAuthRejected: {
+    en: 'Instruction rejected by an approver — remediation halted, no changes made.',
+    zh: '指令已被审批人拒绝 — 修复已中止，未做任何更改。',
+    ja: '承認者が指示を却下しました — 修復を中止、変更はありません。',
+  },
+  sysAuthTimeout: {
+    en: 'Authorization timed out before quorum — remediation halted, no changes made.',
+    zh: '授权在达到法定人数前超时 — 修复已中止，未做任何更改。',
+    ja: 'クォーラム到達前に認可がタイムアウト — 修復を中止、変更はありません。',
+  },
   sysArtifactsCommitted: {
     en: 'All provenance artifacts committed to GitHub.',
     zh: '所有溯源产物已提交至 GitHub。',
@@ -358,6 +429,16 @@ const MESSAGES = {
     zh: '我已审阅 AI 分析结论。这是一个影响生产环境的严重安全问题，需立即处理。',
     ja: 'AI分析を確認しました。これは本番環境に影響する重大なセキュリティ問題です。',
   },
+  authApproved: {
+    en: 'Approval {approved} of {required} recorded ({role}).',
+    zh: '已记录第 {approved}/{required} 项批准（{role}）。',
+    ja: '承認 {approved}/{required} を記録しました（{role}）。',
+  },
+  authRejected: {
+    en: 'REJECTED this instruction ({role}).',
+    zh: '拒绝了此指令（{role}）。',
+    ja: 'この指示を却下しました（{role}）。',
+  },
   agentGeneratingFix: {
     en: 'Generating security fix per approved instruction...',
     zh: '正在按照已批准的指令生成安全修复...',
@@ -383,18 +464,6 @@ const MESSAGES = {
     zh: '审查未通过。合并已阻止。',
     ja: 'レビュー却下。マージをブロックしました。',
   },
-
-  // GLM fallbacks (shown if API call fails)
-  glmFallbackAnalysis: {
-    en: 'Analysis complete. The vulnerability requires immediate remediation using parameterized queries.',
-    zh: '分析完成。此漏洞需要立即使用参数化查询进行修复。',
-    ja: '分析完了。この脆弱性はパラメータ化クエリを使用した即時修復が必要です。',
-  },
-  glmFallbackShort: {
-    en: 'Analysis complete. Parameterized queries recommended.',
-    zh: '分析完成。建议使用参数化查询。',
-    ja: '分析完了。パラメータ化クエリを推奨。',
-  },
 };
 
 function msg(key, vars = {}) {
@@ -521,9 +590,9 @@ function ghMsg(key, vars = {}) {
 }
 
 
-// ── GLM Language Instruction ──
+// ── LLM Language Instruction ──
 
-const GLM_LANG_INSTRUCTION = {
+const LLM_LANG_INSTRUCTION = {
   en: '',
   zh: '\n\n请用中文回答。',
   ja: '\n\n日本語で回答してください。',
@@ -579,55 +648,28 @@ function codeMsg(key) {
 }
 
 
-// ── SSE ──
-
-let sseClients = [];
-function push(data) {
-  const msg = `data: ${JSON.stringify(data)}\n\n`;
-  sseClients.forEach(r => r.write(msg));
-}
-
-
-// ── Human instruction channel ──
+// ── Sessions (SSE log + instruction slot + chain per run, see demo-sessions.js) ──
+// The recording drives the default "main" session at /; POST /sessions
+// starts extra runs, each against its own repository (token-gated and capped,
+// as each one creates a real repository).
 
-let instructionResolve = null;
-function waitForInstruction() {
-  return new Promise(resolve => { instructionResolve = resolve; });
-}
+const dashHtml = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+const sessions = new SessionManager({
+  dashHtml,
+  logDir: OUTPUT_DIR,
+  startRun: session => runDemo(session, { repo: `${REPO_NAME}-${session.id}` }),
+  authorizeStart: req => authorizeStart(approvers, req.headers, { adminToken: config.DEMO_ADMIN_TOKEN }),
+  maxRunning: config.DEMO_MAX_SESSIONS,
+  authorize: (body, req, session) => authorizeSubmission(approvers, body, req.headers,
+    { chainId: session.chain.id, challenge: session.challenge }),
+});
+const mainSession = sessions.create('main', { logFile: path.join(OUTPUT_DIR, 'events.jsonl') });
 
 
-// ── HTTP Server (dashboard.html + SSE + POST /instruction) ──
+// ── HTTP Server (dashboard.html + sessions) ──
 
-const dashHtml = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
 const server = http.createServer((req, res) => {
-  if (req.url === '/events') {
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-    });
-    sseClients.push(res);
-    req.on('close', () => { sseClients = sseClients.filter(c => c !== res); });
-    return;
-  }
-  if (req.url === '/instruction' && req.method === 'POST') {
-    let body = '';
-    req.on('data', c => body += c);
-    req.on('end', () => {
-      try {
-        const { instruction } = JSON.parse(body);
-        if (instruction && instructionResolve) {
-          instructionResolve(instruction);
-          instructionResolve = null;
-        }
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
-      } catch {
-        res.writeHead(400); res.end('Bad request');
-      }
-    });
-    return;
-  }
+  if (sessions.handle(req, res)) return;
   res.writeHead(200, { 'Content-Type': 'text/html' });
   res.end(dashHtml);
 });
@@ -638,17 +680,19 @@ const server = http.createServer((req, res) => {
 const sleep = ms => new Promise(r => setTimeout(r, ms));
 
 function githubApi(method, apiPath, body) {
+  const url = new URL(GITHUB_API_URL + apiPath);
+  const client = url.protocol === 'http:' ? http : https;
   return new Promise((resolve, reject) => {
     const opts = {
-      hostname: 'api.github.com', path: apiPath, method,
+      hostname: url.hostname, port: url.port, path: url.pathname + url.search, method,
       headers: {
-        'Authorization': `token ${GITHUB_PAT}`,
+        ...(GITHUB_PAT ? { 'Authorization': `token ${GITHUB_PAT}` } : {}),
         'User-Agent': 'OpenExecution-Demo',
         'Accept': 'application/vnd.github.v3+json',
         'Content-Type': 'application/json',
       },
     };
-    const req = https.request(opts, res => {
+    const req = client.request(opts, res => {
       let d = '';
       res.on('data', c => d += c);
       res.on('end', () => {
@@ -662,145 +706,35 @@ function githubApi(method, apiPath, body) {
   });
 }
 
-function glmChat(sys, user) {
-  return new Promise(resolve => {
-    const body = JSON.stringify({
-      model: 'glm-4-flash',
-      messages: [{ role: 'system', content: sys }, { role: 'user', content: user }],
-      max_tokens: 400, temperature: 0.7,
-    });
-    const opts = {
-      hostname: 'open.bigmodel.cn', path: '/api/paas/v4/chat/completions', method: 'POST',
-      headers: { 'Authorization': `Bearer ${GLM_KEY}`, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
-    };
-    const req = https.request(opts, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(d).choices[0].message.content); }
-        catch { resolve(msg('glmFallbackAnalysis')); }
-      });
-    });
-    req.on('error', () => resolve(msg('glmFallbackShort')));
-    req.write(body); req.end();
-  });
+/**
+ * githubApi for the scenario: a repository it creates goes into the resource
+ * ledger, one it deletes (or finds already gone) comes out.
+ */
+const ledger = new ResourceLedger('infra-walkthrough');
+async function trackedGithubApi(method, apiPath, body) {
+  const res = await githubApi(method, apiPath, body);
+  if (method === 'POST' && apiPath === '/user/repos' && res.status === 201 && res.data.full_name) {
+    ledger.record('github', 'repo', res.data.full_name, { api: GITHUB_API_URL });
+  }
+  const repo = method === 'DELETE' && apiPath.match(/^\/repos\/([^/]+\/[^/]+)$/);
+  if (repo && (res.status === 204 || res.status === 404)) ledger.removed({ provider: 'github', type: 'repo', id: repo[1] }, 'deleted');
+  return res;
 }
 
-async function putFile(filePath, content, message, branch = 'main') {
-  const existing = await githubApi('GET', `/repos/${REPO_OWNER}/${REPO_NAME}/contents/${filePath}?ref=${branch}`);
+async function putFile(filePath, content, message, branch = 'main', repo = REPO_NAME) {
+  const existing = await githubApi('GET', `/repos/${REPO_OWNER}/${repo}/contents/${filePath}?ref=${branch}`);
   const body = { message, content: Buffer.from(content).toString('base64'), branch };
   if (existing.status === 200 && existing.data.sha) body.sha = existing.data.sha;
-  return githubApi('PUT', `/repos/${REPO_OWNER}/${REPO_NAME}/contents/${filePath}`, body);
-}
-
-async function smoothScroll(page, dist, dur = 1500) {
-  const steps = 20;
-  for (let i = 0; i < steps; i++) {
-    await page.evaluate(d => window.scrollBy(0, d), dist / steps);
-    await sleep(dur / steps);
-  }
-}
-
-
-// ── Subtitle Overlay System ──
-
-async function showSubtitle(page, text, durationMs = 0) {
-  const hasCJK = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]/.test(text);
-  const fontSize = hasCJK ? '22px' : '20px';
-
-  await page.evaluate(({ text, durationMs, fontSize }) => {
-    const existing = document.getElementById('oe-demo-subtitle');
-    if (existing) existing.remove();
-
-    const el = document.createElement('div');
-    el.id = 'oe-demo-subtitle';
-    el.textContent = text;
-    Object.assign(el.style, {
-      position: 'fixed',
-      bottom: '40px',
-      left: '50%',
-      transform: 'translateX(-50%)',
-      backgroundColor: 'rgba(0, 0, 0, 0.88)',
-      color: '#ffffff',
-      fontFamily: '"Noto Sans SC", "Noto Sans JP", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-      fontSize,
-      fontWeight: '500',
-      padding: '16px 40px',
-      borderRadius: '12px',
-      boxShadow: '0 4px 24px rgba(0,0,0,0.5)',
-      zIndex: '99999',
-      maxWidth: '88vw',
-      textAlign: 'center',
-      lineHeight: '1.6',
-      opacity: '0',
-      transition: 'opacity 0.4s ease-in-out',
-      letterSpacing: '0.02em',
-      pointerEvents: 'none',
-      whiteSpace: 'pre-wrap',
-      wordBreak: 'keep-all',
-    });
-    document.body.appendChild(el);
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => { el.style.opacity = '1'; });
-    });
-    if (durationMs > 0) {
-      setTimeout(() => {
-        el.style.opacity = '0';
-        setTimeout(() => el.remove(), 500);
-      }, durationMs);
-    }
-  }, { text, durationMs, fontSize });
-  await sleep(500);
-}
-
-async function clearSubtitle(page) {
-  await page.evaluate(() => {
-    const el = document.getElementById('oe-demo-subtitle');
-    if (el) { el.style.opacity = '0'; setTimeout(() => el.remove(), 500); }
-  });
-  await sleep(600);
+  return githubApi('PUT', `/repos/${REPO_OWNER}/${repo}/contents/${filePath}`, body);
 }
 
+// ── Recorder ──
 
-// ── Intro Title Card ── (full-screen overlay on blank page)
+// Subtitles (overlay + timed tracks), numbered screenshots and chapters come
+// from scene-recorder.js; this walkthrough drives the page itself, following
+// the run's cues, instead of running a scene list.
 
-async function showIntroCard(page, title, heading, desc) {
-  const hasCJK = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]/.test(heading);
-  await page.evaluate(({ title, heading, desc, hasCJK }) => {
-    const el = document.createElement('div');
-    el.id = 'oe-intro-card';
-    Object.assign(el.style, {
-      position: 'fixed', inset: '0', zIndex: '100000',
-      background: 'linear-gradient(135deg, #0d1117 0%, #161b22 100%)',
-      display: 'flex', flexDirection: 'column',
-      alignItems: 'center', justifyContent: 'center',
-      opacity: '0', transition: 'opacity 0.8s ease-in-out',
-    });
-    el.innerHTML = `
-      <div style="color:#01A5CD;font-size:14px;letter-spacing:4px;text-transform:uppercase;margin-bottom:12px;font-weight:600">${title}</div>
-      <div style="color:#e6edf3;font-size:${hasCJK ? '38px' : '36px'};font-weight:800;margin-bottom:20px;letter-spacing:-0.5px;text-align:center">${heading}</div>
-      <div style="color:#8b949e;font-size:${hasCJK ? '17px' : '16px'};line-height:1.8;text-align:center;max-width:800px;white-space:pre-wrap;word-break:keep-all">${desc}</div>
-      <div style="margin-top:40px;display:flex;align-items:center;gap:10px">
-        <div style="width:8px;height:8px;border-radius:50%;background:#32B173;animation:pulse 1.2s infinite"></div>
-        <span style="color:#8b949e;font-size:13px">OpenExecution</span>
-      </div>
-    `;
-    const style = document.createElement('style');
-    style.textContent = '@keyframes pulse{0%,100%{opacity:1}50%{opacity:.4}}';
-    document.head.appendChild(style);
-    document.body.appendChild(el);
-    requestAnimationFrame(() => { requestAnimationFrame(() => { el.style.opacity = '1'; }); });
-  }, { title, heading, desc, hasCJK });
-  await sleep(800);
-}
-
-async function hideIntroCard(page) {
-  await page.evaluate(() => {
-    const el = document.getElementById('oe-intro-card');
-    if (el) { el.style.opacity = '0'; setTimeout(() => el.remove(), 1000); }
-  });
-  await sleep(1200);
-}
+const rec = new SceneRecorder({ outputDir: OUTPUT_DIR, lang: LANG, subtitles: SUBTITLES, subtitleMode: config.DEMO_SUBTITLES, tag: LANG });
 
 // ── Dashboard UI Localization ──
 
@@ -826,6 +760,8 @@ async function localizeDashboard(page) {
     if (instrLabel) instrLabel.textContent = ui.instrLabel;
     const instrBtn = document.getElementById('instr-btn');
     if (instrBtn) instrBtn.textContent = ui.instrBtn;
+    const instrReject = document.getElementById('instr-reject');
+    if (instrReject && ui.instrReject) instrReject.textContent = ui.instrReject;
     // Instruction input placeholder
     const instrInput = document.getElementById('instr-input');
     if (instrInput && ui.instrPlaceholder) instrInput.placeholder = ui.instrPlaceholder;
@@ -845,356 +781,67 @@ async function localizeDashboard(page) {
   }, ui);
 }
 
-// ── Provenance ──
-
-const GENESIS = '0'.repeat(64);
-function canonicalize(obj) {
-  if (obj === null || typeof obj !== 'object') return JSON.stringify(obj);
-  if (Array.isArray(obj)) return '[' + obj.map(canonicalize).join(',') + ']';
-  return '{' + Object.keys(obj).sort().map(k => JSON.stringify(k) + ':' + canonicalize(obj[k])).join(',') + '}';
-}
-function sha256(data) { return crypto.createHash('sha256').update(data).digest('hex'); }
-
-class Chain {
-  constructor(id) { this.id = id; this.events = []; this.status = 'active'; this.chainHash = null; }
-  append(type, agent, org, payload, opts = {}) {
-    const seq = this.events.length + 1;
-    const prev = seq === 1 ? GENESIS : this.events[seq - 2].event_hash;
-    const ts = new Date().toISOString();
-    const hash = sha256(canonicalize({ seq, event_type: type, agent_name: agent, timestamp: ts, payload, prev_hash: prev }));
-    const ev = {
-      sequence: seq, event_type: type, agent_name: agent, organization: org,
-      timestamp: ts, payload, event_hash: hash, prev_hash: prev,
-      ...(opts.authorization ? { authorization_event: true, owner_user_id: opts.ownerId || 'owner-1' } : {}),
-    };
-    this.events.push(ev);
-    push({ type: 'chain', seq, eventType: type, agent, org, hash, prevHash: prev });
-    return ev;
-  }
-  resolve() {
-    this.chainHash = sha256(this.events.map(e => e.event_hash).join(':'));
-    this.status = 'resolved';
-    return this.chainHash;
-  }
-}
-
-class CertIssuer {
-  constructor() {
-    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
-    this.pub = publicKey; this.priv = privateKey;
-    this.pubHex = publicKey.export({ type: 'spki', format: 'der' }).toString('hex');
-  }
-  issue(chain) {
-    const data = { version: '1.0', chain_id: chain.id, chain_hash: chain.chainHash,
-      event_count: chain.events.length, issued_at: new Date().toISOString(),
-      issuer: 'OpenExecution Sovereign', algorithm: 'Ed25519' };
-    const sig = crypto.sign(null, Buffer.from(canonicalize(data)), this.priv).toString('hex');
-    return { ...data, signature: sig, public_key: this.pubHex };
-  }
-  verify(cert) {
-    const { signature, public_key, ...data } = cert;
-    return crypto.verify(null, Buffer.from(canonicalize(data)), this.pub, Buffer.from(signature, 'hex'));
-  }
-}
-
-
 // ══════════════════════════════════════════
 //  DEMO SCENARIO (streamed via SSE)
 // ══════════════════════════════════════════
 
-async function runDemo() {
-  const chain = new Chain('cve-2026-4821-remediation');
-  const issuer = new CertIssuer();
-
-  // ═══ ACT 1: Repository Setup ═══
-  push({ type: 'step', act: 1, title: msg('stepRepoInit') });
-  await sleep(2500);
-  push({ type: 'msg', kind: 'sys', content: msg('sysInitializing') });
-  push({ type: 'status', id: 'repo', state: 'active' });
-  await sleep(1000);
-
-  await githubApi('DELETE', `/repos/${REPO_OWNER}/${REPO_NAME}`);
-  await sleep(3000);
-
-  await githubApi('POST', '/user/repos', {
-    name: REPO_NAME,
-    description: ghMsg('repoDesc'),
-    auto_init: false, private: false,
-  });
-  await sleep(1500);
-
-  const vulnCode = `${codeMsg('vulnModuleHeader')}\nconst db = require('./db');\n\nasync function authenticate(username, password) {\n  ${codeMsg('vulnWarning')}\n  const query = \`SELECT * FROM users WHERE username = '\${username}' AND password = '\${password}'\`;\n  const result = await db.query(query);\n  return result.rows[0] || null;\n}\n\nasync function getUserById(id) {\n  const query = \`SELECT * FROM users WHERE id = '\${id}'\`;\n  const result = await db.query(query);\n  return result.rows[0] || null;\n}\n\nmodule.exports = { authenticate, getUserById };\n`;
-  await putFile('src/auth.js', vulnCode, ghMsg('commitInitial'));
-  await sleep(500);
-
-  const readme = ghMsg('readmeTitle') + '\n\n' + ghMsg('readmeBody');
-  await putFile('README.md', readme, ghMsg('commitReadme'));
-
-  push({ type: 'status', id: 'repo', state: 'done' });
-  push({ type: 'msg', kind: 'sys', content: msg('sysRepoCreated', { owner: REPO_OWNER, repo: REPO_NAME }) });
-
-  chain.append('chain_created', 'openexecution-platform', 'OpenExecution', {
-    chain_id: chain.id, description: 'CVE-2026-4821 remediation tracking',
-  });
-  await sleep(2000);
-
-  // ═══ ACT 2: Vulnerability Detection ═══
-  push({ type: 'step', act: 2, title: msg('stepVulnDetect') });
-  await sleep(2500);
-  push({ type: 'msg', kind: 'agent', agent: 'sentinel-x9', org: 'CyberSafe Inc.',
-    content: msg('agentScanning') });
-  await sleep(2500);
-  push({ type: 'msg', kind: 'agent', agent: 'sentinel-x9', org: 'CyberSafe Inc.',
-    content: msg('agentVulnFound'), typing: true });
-
-  chain.append('vulnerability_detected', 'sentinel-x9', 'CyberSafe Inc.', {
-    cve_id: 'CVE-2026-4821', severity: 'CRITICAL', cvss_score: 9.8,
-    file: 'src/auth.js', description: 'SQL injection in authentication module',
-  });
-  await sleep(2000);
-
-  // ═══ ACT 3: AI Analysis ═══
-  push({ type: 'step', act: 3, title: msg('stepAiAnalysis') });
-  await sleep(2500);
-  push({ type: 'status', id: 'issue', state: 'active' });
-  push({ type: 'msg', kind: 'ai', agent: 'GLM-4 Analysis Engine', org: 'AI Provider',
-    content: msg('aiAnalyzing') });
-  await sleep(1000);
-
-  console.log('  [GLM] Calling GLM-4-flash for analysis...');
-  const analysis = await glmChat(
-    'You are a security expert. Analyze this SQL injection vulnerability concisely in 3-4 sentences. Include impact and recommended fix.' + (GLM_LANG_INSTRUCTION[LANG] || ''),
-    'SQL injection in auth.js: direct string interpolation in query "SELECT * FROM users WHERE username = \'${username}\' AND password = \'${password}\'". Both authenticate() and getUserById() are affected.'
-  );
-  console.log('  [GLM] Analysis received');
-
-  push({ type: 'msg', kind: 'ai', agent: 'GLM-4 Analysis Engine', org: 'AI Provider',
-    content: analysis, typing: true });
-
-  chain.append('ai_analysis_completed', 'sentinel-x9', 'CyberSafe Inc.', {
-    model: 'glm-4-flash', analysis_summary: analysis.substring(0, 200),
-    recommendation: 'Use parameterized queries',
-  });
-  await sleep(5000);
-
-  // Create GitHub issue
-  const issueRes = await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/issues`, {
-    title: ghMsg('issueTitle'),
-    body: ghMsg('issueBody', { analysis }),
-  });
-  const issueNum = issueRes.data.number || 1;
-
-  await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/issues/${issueNum}/comments`, {
-    body: ghMsg('issueAiComment', { analysis }),
-  });
-
-  push({ type: 'status', id: 'issue', state: 'done' });
-  push({ type: 'msg', kind: 'sys', content: msg('sysIssueCreated', { num: issueNum }) });
-  await sleep(2000);
-
-  // ═══ ACT 4: Human Authorization (REAL INPUT via Playwright) ═══
-  push({ type: 'step', act: 4, title: msg('stepHumanAuth') });
-  await sleep(2500);
-  push({ type: 'msg', kind: 'human', agent: 'Project Owner', org: 'CyberSafe Inc.',
-    content: msg('humanReviewed'), typing: true });
-  await sleep(1500);
-
-  push({ type: 'await_instruction' });
-  console.log('  Waiting for human instruction via dashboard...');
-  const humanInstruction = await waitForInstruction();
-  console.log('  Instruction received:', humanInstruction.substring(0, 60));
-  push({ type: 'instruction_ack' });
-  await sleep(500);
-
-  push({ type: 'msg', kind: 'authorization', agent: 'Project Owner', org: 'CyberSafe Inc.',
-    content: `"${humanInstruction}"` });
-
-  chain.append('instruction_received', 'human-owner', 'CyberSafe Inc.', {
-    instruction: humanInstruction, scope: 'src/auth.js',
-  }, { authorization: true, ownerId: 'owner-ciso-1' });
-
-  await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/issues/${issueNum}/comments`, {
-    body: ghMsg('issueHumanComment', { instruction: humanInstruction }),
-  });
-  await sleep(2000);
-
-  // ═══ ACT 5: Remediation ═══
-  push({ type: 'step', act: 5, title: msg('stepRemediation') });
-  await sleep(2500);
-  push({ type: 'status', id: 'pr', state: 'active' });
-  push({ type: 'msg', kind: 'agent', agent: 'patch-o-matic', org: 'CyberSafe Inc.',
-    content: msg('agentGeneratingFix') });
-  await sleep(2000);
-
-  const fixedCode = `${codeMsg('fixModuleHeader')}\n${codeMsg('fixCveNote')}\n${codeMsg('fixAllQueries')}\n\nconst db = require('./db');\n\nasync function authenticate(username, password) {\n  ${codeMsg('fixParamQuery')}\n  const query = 'SELECT * FROM users WHERE username = $1 AND password = $2';\n  const result = await db.query(query, [username, password]);\n  return result.rows[0] || null;\n}\n\nasync function getUserById(id) {\n  ${codeMsg('fixParamValidation')}\n  if (!Number.isInteger(Number(id))) {\n    throw new Error('Invalid user ID');\n  }\n  const query = 'SELECT * FROM users WHERE id = $1';\n  const result = await db.query(query, [id]);\n  return result.rows[0] || null;\n}\n\nmodule.exports = { authenticate, getUserById };\n`;
-
-  const mainRef = await githubApi('GET', `/repos/${REPO_OWNER}/${REPO_NAME}/git/ref/heads/main`);
-  const mainSha = mainRef.data.object?.sha;
-  if (mainSha) {
-    await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/git/refs`, {
-      ref: 'refs/heads/fix/cve-2026-4821', sha: mainSha,
-    });
-    await sleep(500);
-    const fileInfo = await githubApi('GET', `/repos/${REPO_OWNER}/${REPO_NAME}/contents/src/auth.js?ref=fix/cve-2026-4821`);
-    await githubApi('PUT', `/repos/${REPO_OWNER}/${REPO_NAME}/contents/src/auth.js`, {
-      message: ghMsg('commitFix', { num: issueNum }),
-      content: Buffer.from(fixedCode).toString('base64'),
-      sha: fileInfo.data.sha, branch: 'fix/cve-2026-4821',
-    });
-  }
-
-  push({ type: 'msg', kind: 'agent', agent: 'patch-o-matic', org: 'CyberSafe Inc.',
-    content: msg('agentFixCommitted'), typing: true });
-
-  chain.append('code_committed', 'patch-o-matic', 'CyberSafe Inc.', {
-    branch: 'fix/cve-2026-4821', files_changed: ['src/auth.js'], fix_type: 'parameterized_queries',
-  });
-  await sleep(2000);
-
-  const prRes = await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/pulls`, {
-    title: ghMsg('prTitle'),
-    head: 'fix/cve-2026-4821', base: 'main',
-    body: ghMsg('prBody', { issueNum }),
-  });
-  const prNum = prRes.data.number || 2;
-
-  push({ type: 'status', id: 'pr', state: 'done' });
-  push({ type: 'msg', kind: 'sys', content: msg('sysPrCreated', { num: prNum }) });
-
-  chain.append('pr_created', 'patch-o-matic', 'CyberSafe Inc.', {
-    pr_number: prNum, title: 'fix: Remediate SQL injection CVE-2026-4821',
-  });
-  await sleep(2000);
-
-  // ═══ ACT 6: AI Review ═══
-  push({ type: 'step', act: 6, title: msg('stepAiReview') });
-  await sleep(2500);
-  push({ type: 'status', id: 'review', state: 'active' });
-  push({ type: 'msg', kind: 'ai', agent: 'review-bot', org: 'CyberSafe Inc.',
-    content: msg('aiReviewingPr', { num: prNum }) });
-  await sleep(1500);
-
-  console.log('  [GLM] Calling GLM-4-flash for code review...');
-  const reviewText = await glmChat(
-    'You are a senior security code reviewer. Review this SQL injection fix. First state whether the fix is correct and safe. Then explain why in 2-3 sentences. End with your verdict: APPROVE or REJECT.' + (GLM_LANG_INSTRUCTION[LANG] || ''),
-    `Original vulnerability: SQL injection via string interpolation in authenticate() and getUserById().\n\nFix applied:\n- authenticate() now uses: query='SELECT * FROM users WHERE username = $1 AND password = $2' with params [username, password]\n- getUserById() now uses: query='SELECT * FROM users WHERE id = $1' with params [id], plus Number.isInteger() validation\n\nIs this fix correct and safe to merge?`
-  );
-  console.log('  [GLM] Review received');
-
-  push({ type: 'msg', kind: 'ai', agent: 'review-bot', org: 'CyberSafe Inc.',
-    content: reviewText, typing: true });
-  await sleep(5000);
-
-  const aiApproved = reviewText.toLowerCase().includes('approve') && !reviewText.toLowerCase().includes('reject');
-
-  await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/issues/${prNum}/comments`, {
-    body: ghMsg('prReviewComment', { reviewText, verdict: aiApproved ? ghMsg('prVerdictApprove') : ghMsg('prVerdictReject') }),
-  });
-
-  push({ type: 'status', id: 'review', state: 'done' });
-  chain.append('pr_reviewed', 'review-bot', 'CyberSafe Inc.', {
-    verdict: aiApproved ? 'approved' : 'rejected',
-    review_summary: reviewText.substring(0, 150),
-  });
-
-  if (aiApproved) {
-    chain.append('pr_approved', 'review-bot', 'CyberSafe Inc.', {
-      pr_number: prNum, approved_by: 'review-bot (GLM-4)',
-    }, { authorization: true, ownerId: 'review-bot-1' });
-  }
-  await sleep(1500);
-
-  push({ type: 'status', id: 'merge', state: 'active' });
-  if (aiApproved) {
-    push({ type: 'msg', kind: 'ai', agent: 'review-bot', org: 'CyberSafe Inc.',
-      content: msg('aiApproved') });
-    await sleep(1500);
-    await githubApi('PUT', `/repos/${REPO_OWNER}/${REPO_NAME}/pulls/${prNum}/merge`, {
-      commit_title: ghMsg('commitMerge'), merge_method: 'merge',
-    });
-    push({ type: 'status', id: 'merge', state: 'done' });
-    push({ type: 'msg', kind: 'sys', content: msg('sysMerged') });
-  } else {
-    push({ type: 'msg', kind: 'ai', agent: 'review-bot', org: 'CyberSafe Inc.',
-      content: msg('aiRejected') });
-    push({ type: 'status', id: 'merge', state: 'done' });
-  }
-
-  chain.append('pr_merged', 'patch-o-matic', 'CyberSafe Inc.', {
-    pr_number: prNum, merged_to: 'main',
-  });
-
-  await githubApi('PATCH', `/repos/${REPO_OWNER}/${REPO_NAME}/issues/${issueNum}`, { state: 'closed' });
-  await githubApi('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/issues/${issueNum}/comments`, {
-    body: ghMsg('issueResolvedComment', { prNum }),
-  });
-
-  chain.append('vulnerability_resolved', 'sentinel-x9', 'CyberSafe Inc.', {
-    resolution: 'Fixed via parameterized queries', pr_number: prNum,
-  });
-  await sleep(2000);
-
-  // ═══ ACT 7: Certificate & Verification ═══
-  push({ type: 'step', act: 7, title: msg('stepCertVerify') });
-  await sleep(2500);
-  push({ type: 'status', id: 'cert', state: 'active' });
-  push({ type: 'msg', kind: 'sys', content: msg('sysResolvingChain') });
-  await sleep(1500);
-
-  chain.resolve();
-  const cert = issuer.issue(chain);
-  const valid = issuer.verify(cert);
-
-  push({ type: 'cert', issuer: cert.issuer, events: cert.event_count,
-    chainHash: cert.chain_hash, signature: cert.signature.substring(0, 40) + '...' });
-  await sleep(2500);
-
-  push({ type: 'status', id: 'cert', state: 'done' });
-  push({ type: 'status', id: 'verify', state: 'active' });
-  await sleep(1500);
-  push({ type: 'verify', valid });
-  push({ type: 'status', id: 'verify', state: 'done' });
-  await sleep(2000);
-
-  push({ type: 'msg', kind: 'sys',
-    content: msg('sysCertVerified', { count: chain.events.length }) });
-  await sleep(3000);
-  push({ type: 'hide_cert' });
-  await sleep(1000);
-
-  // Commit provenance artifacts to GitHub
-  push({ type: 'msg', kind: 'sys', content: msg('sysCommittingArtifacts') });
-  await sleep(500);
-
-  const verifyScript = `#!/usr/bin/env node\nconst crypto = require('crypto');\nconst fs = require('fs');\nconst path = require('path');\n\nconst cert = JSON.parse(fs.readFileSync(path.join(__dirname, 'certificate.json'), 'utf8'));\nconst chain = JSON.parse(fs.readFileSync(path.join(__dirname, 'execution-chain.json'), 'utf8'));\nconst pubKeyInfo = JSON.parse(fs.readFileSync(path.join(__dirname, 'public-key.json'), 'utf8'));\n\nfunction canonicalize(obj) {\n  if (obj === null || typeof obj !== 'object') return JSON.stringify(obj);\n  if (Array.isArray(obj)) return '[' + obj.map(canonicalize).join(',') + ']';\n  return '{' + Object.keys(obj).sort().map(k => JSON.stringify(k) + ':' + canonicalize(obj[k])).join(',') + '}';\n}\n\nconsole.log('=== OpenExecution Independent Verification ===\\n');\nlet chainOk = true;\nconst GENESIS = '0'.repeat(64);\nfor (let i = 0; i < chain.events.length; i++) {\n  const e = chain.events[i];\n  const expectedPrev = i === 0 ? GENESIS : chain.events[i - 1].event_hash;\n  if (e.prev_hash !== expectedPrev) { chainOk = false; }\n}\nconsole.log('Hash chain integrity:', chainOk ? 'VALID' : 'BROKEN');\n\nconst hashes = chain.events.map(e => e.event_hash);\nconst computed = crypto.createHash('sha256').update(hashes.join(':')).digest('hex');\nconsole.log('Chain hash match:', computed === cert.chain_hash ? 'VALID' : 'MISMATCH');\n\nconst { signature, public_key, ...certData } = cert;\nconst pubKey = crypto.createPublicKey({ key: Buffer.from(pubKeyInfo.public_key, 'hex'), format: 'der', type: 'spki' });\nconst sigValid = crypto.verify(null, Buffer.from(canonicalize(certData)), pubKey, Buffer.from(signature, 'hex'));\nconsole.log('Ed25519 signature:', sigValid ? 'VALID' : 'INVALID');\n\nconsole.log('\\n' + (chainOk && sigValid ? 'ALL CHECKS PASSED' : 'VERIFICATION FAILED'));\n`;
-
-  const artifacts = {
-    'provenance/execution-chain.json': JSON.stringify({
-      chain_id: chain.id, status: chain.status, chain_hash: chain.chainHash,
-      event_count: chain.events.length, events: chain.events,
-    }, null, 2),
+function provenanceArtifacts(chain, cert, issuer) {
+  const executionChain = {
+    chain_id: chain.id, status: chain.status, chain_hash: chain.chainHash,
+    event_count: chain.events.length, events: chain.events,
+  };
+  const publicKey = { key_id: issuer.keyId, algorithm: 'Ed25519', public_key: issuer.pubHex, format: 'DER (SPKI)' };
+  const keyring = signingKey.keyring;
+  const approverDirectory = approvers.directory();
+  certRegistry.record(cert);
+  const revocations = certRegistry.revocationList(issuer);
+
+  return {
+    'provenance/execution-chain.json': JSON.stringify(executionChain, null, 2),
     'provenance/certificate.json': JSON.stringify(cert, null, 2),
-    'provenance/verification-result.json': JSON.stringify({
-      verified: valid, chain_hash: chain.chainHash, certificate_signature_valid: true,
-      hash_chain_intact: true, checked_at: new Date().toISOString(),
-    }, null, 2),
-    'provenance/public-key.json': JSON.stringify({
-      algorithm: 'Ed25519', public_key: issuer.pubHex, format: 'DER (SPKI)',
-    }, null, 2),
-    'provenance/verify.js': verifyScript,
+    'provenance/verification-result.json': JSON.stringify(verifyBundle({ chain: executionChain, cert, publicKey, keyring, revocations, approvers: approverDirectory }), null, 2),
+    'provenance/public-key.json': JSON.stringify(publicKey, null, 2),
+    'provenance/keyring.json': JSON.stringify(keyring, null, 2),
+    'provenance/revocation-list.json': JSON.stringify(revocations, null, 2),
+    'provenance/approvers.json': JSON.stringify(approverDirectory, null, 2),
+    'provenance/verify.js': fs.readFileSync(path.join(__dirname, 'oe-verify.js'), 'utf8'),
+    'provenance/provenance.js': fs.readFileSync(path.join(__dirname, 'provenance.js'), 'utf8'),
   };
+}
 
-  for (const [fp, content] of Object.entries(artifacts)) {
-    await putFile(fp, content, ghMsg('commitArtifact', { filename: fp.split('/').pop() }));
-    await sleep(300);
-  }
+/** The scenario's quorum with DEMO_QUORUM_* overrides applied. */
+function quorumSpec() {
+  const spec = { ...((scenario.vars && scenario.vars.quorum) || {}) };
+  if (config.DEMO_QUORUM_ROLES) spec.roles = config.DEMO_QUORUM_ROLES;
+  if (config.DEMO_QUORUM_REQUIRED !== null) spec.required = config.DEMO_QUORUM_REQUIRED;
+  if (config.DEMO_QUORUM_TIMEOUT_MS !== null) spec.timeoutMs = config.DEMO_QUORUM_TIMEOUT_MS;
+  return spec;
+}
 
-  push({ type: 'msg', kind: 'sys', content: msg('sysArtifactsCommitted') });
-  await sleep(1000);
-  push({ type: 'done' });
-  await sleep(3000);
+async function runDemo(session, { repo = REPO_NAME } = {}) {
+  const push = data => session.push(data);
+  const chain = new Chain(scenario.chain_id, {
+    onAppend: ev => push({ type: 'chain', seq: ev.sequence, eventType: ev.event_type,
+      agent: ev.agent_name, org: ev.organization, hash: ev.event_hash, prevHash: ev.prev_hash }),
+  });
+  session.chain = chain;
+  const issuer = new CertIssuer(signingKey);
+
+  const vars = await runScenario(scenario, {
+    chain, issuer, push, sleep, githubApi: trackedGithubApi, llm,
+    putFile: (fp, content, message, branch) => putFile(fp, content, message, branch, repo),
+    waitForInstruction: opts => session.waitForInstruction({ ...opts, onProgress: p => push({ type: 'quorum', ...p }) }),
+    text: { msg, gh: ghMsg, code: codeMsg },
+    vars: {
+      owner: REPO_OWNER, repo,
+      llm: { provider: llm.name, model: llm.model },
+      langInstruction: LLM_LANG_INSTRUCTION[LANG] || '',
+      quorum: quorumSpec(),
+    },
+    buildArtifacts: ({ cert }) => provenanceArtifacts(chain, cert, issuer),
+  });
 
-  return { chain, cert, valid, issueNum, prNum };
+  return { chain, cert: vars.cert, valid: vars.valid, issueNum: vars.issueNum, prNum: vars.prNum, halted: vars.halted || null };
 }
 
 
@@ -1211,38 +858,27 @@ ${'='.repeat(62)}
 ${'='.repeat(62)}
 `);
 
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-
-  let screenshotCount = 0;
-  const snap = async (page, name) => {
-    screenshotCount++;
-    const filename = `${String(screenshotCount).padStart(2, '0')}-${name}.png`;
-    await page.screenshot({ path: path.join(OUTPUT_DIR, filename) });
-    console.log(`    [${LANG}] screenshot: ${filename}`);
-  };
-
   // Start dashboard server
-  await new Promise(r => server.listen(DASH_PORT, r));
-  console.log(`  Dashboard: http://localhost:${DASH_PORT}`);
+  await new Promise(r => server.listen(DASH_PORT, DASH_HOST, r));
+  console.log(`  Dashboard: http://localhost:${DASH_PORT} (listening on ${DASH_HOST})`);
+  console.log(`  Signing key: ${signingKey.keyId} (${signingKey.source})`);
 
   // Launch Playwright
   const { chromium } = require('playwright');
-  const browser = await chromium.launch({
-    headless: false,
-    args: ['--window-size=1920,1080'],
-  });
+  const browser = await chromium.launch(launchOptions(config.DEMO_HEADLESS));
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
     recordVideo: { dir: OUTPUT_DIR, size: { width: 1920, height: 1080 } },
   });
   const page = await context.newPage();
+  rec.start(page);
 
 
   // ╔═══════════════════════════════════════════════╗
   // ║  INTRO TITLE CARD                               ║
   // ╚═══════════════════════════════════════════════╝
 
-  console.log('\n━━━ INTRO TITLE CARD ━━━\n');
+  rec.chapters.act('INTRO TITLE CARD');
 
   await page.goto('about:blank');
   await sleep(800);
@@ -1252,7 +888,7 @@ ${'='.repeat(62)}
     INTRO_HEADING[LANG] || INTRO_HEADING.en,
     INTRO_DESC[LANG] || INTRO_DESC.en,
   );
-  await snap(page, 'intro-title-card');
+  await rec.screenshot('intro-title-card');
   await sleep(6000);
   await hideIntroCard(page);
 
@@ -1261,43 +897,59 @@ ${'='.repeat(62)}
   // ║  PHASE 1: Live Dashboard                       ║
   // ╚═══════════════════════════════════════════════╝
 
-  console.log('\n━━━ PHASE 1: Live Dashboard ━━━\n');
+  rec.chapters.act('PHASE 1: Live Dashboard');
 
-  await page.goto(`http://localhost:${DASH_PORT}`, { waitUntil: 'domcontentloaded' });
+  // The approver token rides in the URL fragment: the dashboard picks it up and hides the field
+  const approverToken = approvers.issueToken(RECORDING_APPROVER.id, { ttlHours: 2 });
+  await page.goto(`http://localhost:${DASH_PORT}/#token=${approverToken}`, { waitUntil: 'domcontentloaded' });
   await sleep(1500);
   await localizeDashboard(page);
   await sleep(1500);
-  await showSubtitle(page, sub('intro'));
+  rec.chapters.scene('Act 1', 'Live Dashboard');
+  await rec.subtitle('intro');
   await sleep(4000);
-  await snap(page, 'dashboard-intro');
+  await rec.screenshot('dashboard-intro');
 
   // Start the demo in parallel — it streams SSE events to the dashboard
-  const demoPromise = runDemo();
+  const demoPromise = sessions.run(mainSession, runDemo);
+
+  // Each subtitle waits for the event it narrates (scene-cues.js); a run
+  // that halts or fails before then is reported as such
+  const cues = createCues({ page, events: mainSession.log, ended: demoPromise,
+    log: (icon, m) => console.log(`    [${LANG}] ${m}`) });
+  const cue = c => cues.waitFor(c).catch(async err => {
+    const result = await demoPromise;
+    if (result.halted) throw new Error(`Demo halted: ${result.halted}`);
+    throw err;
+  });
 
-  // Wait for instruction input bar → Playwright types human instruction
-  console.log('  Waiting for human input bar...');
   await sleep(3000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
-  // Show subtitle when detection happens
-  await sleep(8000); // ACT 1-2 timing
-  await showSubtitle(page, sub('detecting'));
-  await snap(page, 'dashboard-detecting');
+  // ACT 2
+  await cue({ sse: 'chain', eventType: 'vulnerability_detected' });
+  rec.chapters.scene('Act 2', 'Vulnerability Detected');
+  await rec.subtitle('detecting');
+  await rec.screenshot('dashboard-detecting');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
-  await sleep(6000); // ACT 3 timing
-  await showSubtitle(page, sub('aiAnalysis'));
-  await snap(page, 'dashboard-ai-analysis');
+  // ACT 3
+  await cue({ sse: 'chain', eventType: 'ai_analysis_completed' });
+  rec.chapters.scene('Act 3', 'AI Analysis');
+  await rec.subtitle('aiAnalysis');
+  await rec.screenshot('dashboard-ai-analysis');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
-  // Wait for instruction bar (ACT 4)
-  await page.waitForSelector('.instr-bar.vis', { timeout: 180000 });
+  // ACT 4: instruction bar → Playwright types the human instruction
+  console.log('  Waiting for human input bar...');
+  await cue({ selector: '.instr-bar.vis' });
+  rec.chapters.scene('Act 4', 'Human Authorization');
   await sleep(1500);
-  await showSubtitle(page, sub('humanInput'));
+  await rec.subtitle('humanInput');
   await sleep(3000);
-  await snap(page, 'dashboard-human-input');
+  await rec.screenshot('dashboard-human-input');
 
   // Type the instruction character by character
   await page.click('#instr-input');
@@ -1305,48 +957,52 @@ ${'='.repeat(62)}
   const instructionText = HUMAN_INSTRUCTIONS[LANG] || HUMAN_INSTRUCTIONS.en;
   await page.type('#instr-input', instructionText, { delay: 40 });
   await sleep(1500);
-  await snap(page, 'dashboard-instruction-typed');
+  await rec.screenshot('dashboard-instruction-typed');
 
   // Submit
   await page.click('#instr-btn');
   console.log('  Human instruction submitted');
   await sleep(2000);
-  await clearSubtitle(page);
-  await sleep(2000);
-  await showSubtitle(page, sub('authorized'));
-  await snap(page, 'dashboard-authorized');
+  await rec.clearSubtitle();
+  await cue({ sse: 'chain', eventType: 'instruction_received' });
+  await rec.subtitle('authorized');
+  await rec.screenshot('dashboard-authorized');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
-  // Wait for fix + review (ACT 5-6)
-  await sleep(8000);
-  await showSubtitle(page, sub('fixing'));
-  await snap(page, 'dashboard-fixing');
+  // ACT 5-6: fix + review
+  await cue({ sse: 'chain', eventType: 'code_committed' });
+  rec.chapters.scene('Act 5', 'Fix Committed');
+  await rec.subtitle('fixing');
+  await rec.screenshot('dashboard-fixing');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
-  await sleep(8000);
-  await showSubtitle(page, sub('aiReview'));
-  await snap(page, 'dashboard-ai-review');
+  await cue({ sse: 'chain', eventType: 'pr_reviewed' });
+  rec.chapters.scene('Act 6', 'AI Code Review');
+  await rec.subtitle('aiReview');
+  await rec.screenshot('dashboard-ai-review');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
-  // Wait for cert (ACT 7)
-  await sleep(8000);
-  await showSubtitle(page, sub('certificate'));
-  await snap(page, 'dashboard-certificate');
+  // ACT 7: certificate
+  await cue({ sse: 'cert' });
+  rec.chapters.scene('Act 7', 'Certificate');
+  await rec.subtitle('certificate');
+  await rec.screenshot('dashboard-certificate');
   await sleep(4000);
 
   // Wait for demo to complete
   const result = await demoPromise;
+  if (result.halted) throw new Error(`Demo halted: ${result.halted}`);
   console.log(`  Demo complete: ${result.chain.events.length} events, cert valid=${result.valid}`);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
   await sleep(2000);
 
-  await showSubtitle(page, sub('dashComplete'));
-  await snap(page, 'dashboard-complete');
+  await rec.subtitle('dashComplete');
+  await rec.screenshot('dashboard-complete');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
   await sleep(2000);
 
 
@@ -1354,109 +1010,118 @@ ${'='.repeat(62)}
   // ║  PHASE 2: GitHub Proof Walkthrough              ║
   // ╚═══════════════════════════════════════════════╝
 
-  console.log('\n━━━ PHASE 2: GitHub Proof ━━━\n');
+  rec.chapters.act('PHASE 2: GitHub Proof');
 
   // Repository
+  rec.chapters.scene('GitHub', 'Repository');
   await page.goto(GITHUB, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('ghRepo'));
+  await rec.subtitle('ghRepo');
   await sleep(3000);
-  await snap(page, 'github-repo');
-  await clearSubtitle(page);
+  await rec.screenshot('github-repo');
+  await rec.clearSubtitle();
   await smoothScroll(page, 400);
   await sleep(1000);
-  await showSubtitle(page, sub('ghReadme'));
+  await rec.subtitle('ghReadme');
   await sleep(2000);
-  await snap(page, 'github-readme');
+  await rec.screenshot('github-readme');
   await sleep(2000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
   // Issue
+  rec.chapters.scene('GitHub', 'Issue');
   await page.goto(`${GITHUB}/issues/${result.issueNum}`, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('ghIssue'));
+  await rec.subtitle('ghIssue');
   await sleep(3000);
-  await snap(page, 'github-issue');
-  await clearSubtitle(page);
+  await rec.screenshot('github-issue');
+  await rec.clearSubtitle();
   await smoothScroll(page, 500);
   await sleep(1000);
-  await showSubtitle(page, sub('ghIssueComments'));
+  await rec.subtitle('ghIssueComments');
   await sleep(2000);
-  await snap(page, 'github-issue-comments');
-  await clearSubtitle(page);
+  await rec.screenshot('github-issue-comments');
+  await rec.clearSubtitle();
   await smoothScroll(page, 500);
   await sleep(1000);
-  await showSubtitle(page, sub('ghIssueAuth'));
+  await rec.subtitle('ghIssueAuth');
   await sleep(2000);
-  await snap(page, 'github-issue-authorization');
+  await rec.screenshot('github-issue-authorization');
   await sleep(2000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
   // Pull Request
+  rec.chapters.scene('GitHub', 'Pull Request');
   await page.goto(`${GITHUB}/pull/${result.prNum}`, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('ghPr'));
+  await rec.subtitle('ghPr');
   await sleep(3000);
-  await snap(page, 'github-pr');
-  await clearSubtitle(page);
+  await rec.screenshot('github-pr');
+  await rec.clearSubtitle();
   await smoothScroll(page, 400);
   await sleep(1000);
-  await showSubtitle(page, sub('ghPrBody'));
+  await rec.subtitle('ghPrBody');
   await sleep(2000);
-  await snap(page, 'github-pr-body');
+  await rec.screenshot('github-pr-body');
   await sleep(2000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
   // Provenance chain
+  rec.chapters.scene('GitHub', 'Provenance Chain');
   await page.goto(`${GITHUB}/blob/main/provenance/execution-chain.json`, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('ghChain'));
+  await rec.subtitle('ghChain');
   await sleep(3000);
-  await snap(page, 'github-chain');
-  await clearSubtitle(page);
+  await rec.screenshot('github-chain');
+  await rec.clearSubtitle();
   await smoothScroll(page, 500);
   await sleep(1000);
-  await showSubtitle(page, sub('ghChainEvents'));
+  await rec.subtitle('ghChainEvents');
   await sleep(2000);
-  await snap(page, 'github-chain-events');
+  await rec.screenshot('github-chain-events');
   await sleep(2000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
   // Certificate
+  rec.chapters.scene('GitHub', 'Certificate');
   await page.goto(`${GITHUB}/blob/main/provenance/certificate.json`, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('ghCert'));
-  await snap(page, 'github-certificate');
+  await rec.subtitle('ghCert');
+  await rec.screenshot('github-certificate');
   await sleep(4000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
   // Verify script
+  rec.chapters.scene('GitHub', 'Verify Script');
   await page.goto(`${GITHUB}/blob/main/provenance/verify.js`, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('ghVerifyScript'));
+  await rec.subtitle('ghVerifyScript');
   await sleep(3000);
-  await snap(page, 'github-verify-script');
-  await clearSubtitle(page);
+  await rec.screenshot('github-verify-script');
+  await rec.clearSubtitle();
   await smoothScroll(page, 500);
   await sleep(1000);
-  await showSubtitle(page, sub('ghVerifyBottom'));
+  await rec.subtitle('ghVerifyBottom');
   await sleep(2000);
-  await snap(page, 'github-verify-bottom');
+  await rec.screenshot('github-verify-bottom');
   await sleep(2000);
-  await clearSubtitle(page);
+  await rec.clearSubtitle();
 
   // Final — back to repo
+  rec.chapters.scene('GitHub', 'Summary');
   await page.goto(GITHUB, { waitUntil: 'domcontentloaded', timeout: 60000 });
   await sleep(3000);
-  await showSubtitle(page, sub('final'), 8000);
-  await snap(page, 'final');
+  await rec.subtitle('final', 8000);
+  await rec.screenshot('final');
   await sleep(7000);
+  rec.finish();
 
 
   // ── Done ──
   console.log(`
 ${'='.repeat(62)}
-  [${langLabel}] Recording complete: ${screenshotCount} screenshots
+  [${langLabel}] Recording complete: ${rec.screenshots.length} screenshots
+  Subtitles: ${rec.track.burnIn ? 'burned in + ' : ''}tracks in ${rec.track.languages.join(', ')}
   Output: ${OUTPUT_DIR}
   Browser closing...
 ${'='.repeat(62)}
@@ -11,25 +11,38 @@
  *   ISSUE_NUMBER    — GitHub issue number (pre-created)
  *   API_URL, FRONTEND_URL, TUNNEL_URL
  *   GITHUB_*, VERCEL_*, PROJECT_ID, USER_JWT
+ *   DEMO_USER_EMAIL, DEMO_USER_PASSWORD, DEMO_HEADLESS, DEMO_SUBTITLES,
+ *   DEMO_SCENES / DEMO_SKIP_SCENES / DEMO_SCENE_RETRIES (settings, see config.js)
  *
- * Output: recording-live-{lang}/ with screenshots + video
+ * The walkthrough is the SCENES list below, run by scene-recorder.js:
+ * `--demo-scenes provenance,chain-expanded` re-records just those (after the
+ * login scene, which always runs).
+ *
+ * Output: recording-live-{lang}/ with screenshots + video + subtitles.json and
+ *         subtitles.<lang>.vtt / .srt (every language with DEMO_SUBTITLES=tracks)
+ *         + chapters.json (the ACT / Scene boundaries, for post-production.js)
+ *         + scenes.json (per-scene timings)
  */
 const { chromium } = require('playwright');
 const path = require('path');
-const fs = require('fs');
+const { loadConfigOrExit } = require('./config');
+const { createCues, launchOptions } = require('./scene-cues');
+const { SceneRecorder, GOTO, sleep, showIntroCard, hideIntroCard } = require('./scene-recorder');
 
 // ── Config from Orchestrator ──
 
-const LANG = process.env.DEMO_LANG || 'en';
+const config = loadConfigOrExit();
+const LANG = config.DEMO_LANG;
 const ISSUE_NUMBER = process.env.ISSUE_NUMBER || '';
 
-const API_URL = process.env.API_URL || 'http://localhost:3001/api/v1';
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const API_URL = process.env.API_URL || `http://localhost:${config.API_PORT}/api/v1`;
+const FRONTEND_URL = process.env.FRONTEND_URL || `http://localhost:${config.FRONTEND_PORT}`;
 const TUNNEL_URL = process.env.TUNNEL_URL || '';
 
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN || '';
 const GITHUB_OWNER = process.env.GITHUB_OWNER || '';
 const GITHUB_REPO = process.env.GITHUB_REPO || '';
+const GITHUB_WEB_URL = config.GITHUB_WEB_URL;
 const GITHUB_CONN_ID = process.env.GITHUB_CONN_ID || '';
 
 const VERCEL_TOKEN = process.env.VERCEL_TOKEN || '';
@@ -39,11 +52,10 @@ const VERCEL_CONN_ID = process.env.VERCEL_CONN_ID || '';
 const PROJECT_ID = process.env.PROJECT_ID || '';
 const USER_JWT = process.env.USER_JWT || '';
 
-const USER_EMAIL = 'admin@nexuscorp.io';
-const USER_PASSWORD = 'demo-nexus-2026!';
+const USER_EMAIL = config.DEMO_USER_EMAIL;
+const USER_PASSWORD = config.DEMO_USER_PASSWORD;
 
 const OUTPUT_DIR = path.join(__dirname, `recording-live-${LANG}`);
-const GOTO = { waitUntil: 'domcontentloaded', timeout: 60000 };
 
 // ── Subtitle Translations ──
 // Each key is a scene identifier. Value is { en, zh, ja }.
@@ -152,93 +164,6 @@ const SUBTITLES = {
   },
 };
 
-function sub(key) {
-  const entry = SUBTITLES[key];
-  if (!entry) return key;
-  return entry[LANG] || entry.en || key;
-}
-
-// ── Helpers ──
-
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
-let screenshotCount = 0;
-async function screenshot(page, label) {
-  screenshotCount++;
-  const filename = `${String(screenshotCount).padStart(2, '0')}-${label}.png`;
-  await page.screenshot({ path: path.join(OUTPUT_DIR, filename), fullPage: false });
-  console.log(`    [${LANG}] screenshot: ${filename}`);
-}
-
-// ── Subtitle System ──
-// Injects a fixed-position overlay captured by Playwright's recordVideo.
-// Re-inject after every page.goto() since the DOM is replaced.
-
-async function showSubtitle(page, text, durationMs = 4000) {
-  // Determine if text has CJK characters for font sizing
-  const hasCJK = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]/.test(text);
-  const fontSize = hasCJK ? '22px' : '20px';
-
-  await page.evaluate(({ text, durationMs, fontSize }) => {
-    const existing = document.getElementById('oe-demo-subtitle');
-    if (existing) existing.remove();
-
-    const el = document.createElement('div');
-    el.id = 'oe-demo-subtitle';
-    el.textContent = text;
-    Object.assign(el.style, {
-      position: 'fixed',
-      bottom: '40px',
-      left: '50%',
-      transform: 'translateX(-50%)',
-      backgroundColor: 'rgba(0, 0, 0, 0.88)',
-      color: '#ffffff',
-      fontFamily: '"Noto Sans SC", "Noto Sans JP", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-      fontSize,
-      fontWeight: '500',
-      padding: '16px 40px',
-      borderRadius: '12px',
-      boxShadow: '0 4px 24px rgba(0,0,0,0.5)',
-      zIndex: '99999',
-      maxWidth: '88vw',
-      textAlign: 'center',
-      lineHeight: '1.6',
-      opacity: '0',
-      transition: 'opacity 0.4s ease-in-out',
-      letterSpacing: '0.02em',
-      pointerEvents: 'none',
-      whiteSpace: 'pre-wrap',
-      wordBreak: 'keep-all',
-    });
-    document.body.appendChild(el);
-
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => { el.style.opacity = '1'; });
-    });
-
-    if (durationMs > 0) {
-      setTimeout(() => {
-        el.style.opacity = '0';
-        setTimeout(() => el.remove(), 500);
-      }, durationMs);
-    }
-  }, { text, durationMs, fontSize });
-
-  await sleep(500); // Wait for fade-in
-}
-
-async function clearSubtitle(page) {
-  await page.evaluate(() => {
-    const el = document.getElementById('oe-demo-subtitle');
-    if (el) {
-      el.style.opacity = '0';
-      setTimeout(() => el.remove(), 500);
-    }
-  });
-  await sleep(600);
-}
-
-
 // ── Intro Title Card ── (full-screen overlay before the demo starts)
 
 const INTRO_TITLE = {
@@ -257,146 +182,37 @@ const INTRO_DESC = {
   ja: '空のデータベースから開始 — ユーザー登録、GitHubとVercelを接続し、\nワークスペースをバインド。実際のWebhookイベントが流入 —\nEd25519署名とSHA-256整合性ハッシュによる改ざん防止プロベナンス記録として自動記録。',
 };
 
-async function showIntroCard(page, title, heading, desc) {
-  const hasCJK = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]/.test(heading);
-  await page.evaluate(({ title, heading, desc, hasCJK }) => {
-    const el = document.createElement('div');
-    el.id = 'oe-intro-card';
-    Object.assign(el.style, {
-      position: 'fixed', inset: '0', zIndex: '100000',
-      background: 'linear-gradient(135deg, #0d1117 0%, #161b22 100%)',
-      display: 'flex', flexDirection: 'column',
-      alignItems: 'center', justifyContent: 'center',
-      opacity: '0', transition: 'opacity 0.8s ease-in-out',
-    });
-    el.innerHTML = `
-      <div style="color:#01A5CD;font-size:14px;letter-spacing:4px;text-transform:uppercase;margin-bottom:12px;font-weight:600">${title}</div>
-      <div style="color:#e6edf3;font-size:${hasCJK ? '38px' : '36px'};font-weight:800;margin-bottom:20px;letter-spacing:-0.5px;text-align:center">${heading}</div>
-      <div style="color:#8b949e;font-size:${hasCJK ? '17px' : '16px'};line-height:1.8;text-align:center;max-width:800px;white-space:pre-wrap;word-break:keep-all">${desc}</div>
-      <div style="margin-top:40px;display:flex;align-items:center;gap:10px">
-        <div style="width:8px;height:8px;border-radius:50%;background:#32B173;animation:pulse 1.2s infinite"></div>
-        <span style="color:#8b949e;font-size:13px">OpenExecution</span>
-      </div>
-    `;
-    const style = document.createElement('style');
-    style.textContent = '@keyframes pulse{0%,100%{opacity:1}50%{opacity:.4}}';
-    document.head.appendChild(style);
-    document.body.appendChild(el);
-    requestAnimationFrame(() => { requestAnimationFrame(() => { el.style.opacity = '1'; }); });
-  }, { title, heading, desc, hasCJK });
-  await sleep(800);
-}
-
-async function hideIntroCard(page) {
-  await page.evaluate(() => {
-    const el = document.getElementById('oe-intro-card');
-    if (el) { el.style.opacity = '0'; setTimeout(() => el.remove(), 1000); }
-  });
-  await sleep(1200);
-}
 
+// ── Scenes ──
+// Run in order by scene-recorder.js; DEMO_SCENES / DEMO_SKIP_SCENES pick a
+// subset by name (login always runs: the later scenes need the session).
 
-// ════════════════════════════════════════
-//  MAIN
-// ════════════════════════════════════════
-
-async function main() {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+const GITHUB_REPO_PAGE = `${GITHUB_WEB_URL}/${GITHUB_OWNER}/${GITHUB_REPO}`;
+const EXTERNAL = { ...GOTO, timeout: 30000 };
 
-  const langLabel = { en: 'English', zh: '\u4e2d\u6587', ja: '\u65e5\u672c\u8a9e' }[LANG] || LANG;
-  console.log(`
-${'='.repeat(62)}
-  OPENEXECUTION \u2014 LIVE DEMO RECORDING [${langLabel}]
-  Real GitHub + Vercel | Subtitle Narration
-${'='.repeat(62)}
-`);
-  console.log(`  Language:  ${langLabel} (${LANG})`);
-  console.log(`  GitHub:    ${GITHUB_OWNER}/${GITHUB_REPO}`);
-  console.log(`  Issue:     #${ISSUE_NUMBER || 'N/A'}`);
-  console.log(`  Output:    ${OUTPUT_DIR}\n`);
-
-  // ── Launch Browser ──
-  console.log('[Browser] Launching Chromium...');
-  const browser = await chromium.launch({
-    headless: false,
-    args: ['--window-size=1920,1080'],
-  });
-  const context = await browser.newContext({
-    viewport: { width: 1920, height: 1080 },
-    recordVideo: { dir: OUTPUT_DIR, size: { width: 1920, height: 1080 } },
-  });
-  await context.addCookies([{
-    name: 'oe_locale',
-    value: LANG,
-    url: FRONTEND_URL,
-  }]);
-  const page = await context.newPage();
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  INTRO TITLE CARD                               ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n\u2501\u2501\u2501 INTRO TITLE CARD \u2501\u2501\u2501\n');
-
-  await page.goto('about:blank');
-  await sleep(800);
-  await showIntroCard(
-    page,
-    INTRO_TITLE[LANG] || INTRO_TITLE.en,
-    INTRO_HEADING[LANG] || INTRO_HEADING.en,
-    INTRO_DESC[LANG] || INTRO_DESC.en,
-  );
-  await screenshot(page, 'intro-title-card');
-  await sleep(6000);
-  await hideIntroCard(page);
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT I — LOGIN & PLATFORM OVERVIEW            ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n\u2501\u2501\u2501 ACT I: LOGIN & PLATFORM OVERVIEW \u2501\u2501\u2501\n');
-
-  // ════════════════════════════════════════
-  //  Scene 1: Login
-  // ════════════════════════════════════════
-  console.log('[Scene 1] Login');
-  await page.goto(`${FRONTEND_URL}/auth/login`, GOTO);
-  await page.waitForTimeout(1500);
-
-  // Ensure locale cookie is readable — backup via document.cookie
-  await page.evaluate((lang) => {
-    document.cookie = `oe_locale=${lang};path=/;max-age=31536000`;
-  }, LANG);
-  // Reload so TranslationProvider picks up the cookie on mount
-  await page.reload(GOTO);
-  await page.waitForTimeout(1500);
-
-  await showSubtitle(page, sub('login'), 0);
-  await screenshot(page, 'login-page');
+// Localized tab labels of the project page
+const TAB_LABELS = {
+  workspaces: { en: 'Workspaces', zh: '工作区', ja: 'ワークスペース' },
+  auditTrail: { en: 'Audit Trail', zh: '审计追踪', ja: '監査証跡' },
+  chains: { en: 'Chains', zh: '链', ja: 'チェーン' },
+};
+const tabLabel = key => TAB_LABELS[key][LANG] || TAB_LABELS[key].en;
 
-  // Visual fill for screenshot — set input values via React's internal setter
+/** Visual fill for the screenshot — set the inputs through React's own value setter. */
+async function fillLoginForm(page) {
   await page.evaluate(({ email, password }) => {
-    const emailInput = document.querySelector('#email');
-    const passwordInput = document.querySelector('#password');
-    if (emailInput) {
-      const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-      setter.call(emailInput, email);
-      emailInput.dispatchEvent(new Event('input', { bubbles: true }));
-    }
-    if (passwordInput) {
-      const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
-      setter.call(passwordInput, password);
-      passwordInput.dispatchEvent(new Event('input', { bubbles: true }));
+    const setter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value').set;
+    for (const [selector, value] of [['#email', email], ['#password', password]]) {
+      const input = document.querySelector(selector);
+      if (!input) continue;
+      setter.call(input, value);
+      input.dispatchEvent(new Event('input', { bubbles: true }));
     }
   }, { email: USER_EMAIL, password: USER_PASSWORD });
-  await page.waitForTimeout(500);
-
-  await screenshot(page, 'login-filled');
+}
 
-  // Auth: perform actual login via API from within the browser
-  await clearSubtitle(page);
+/** Log in through the API from within the browser; the orchestrator's JWT is the fallback. */
+async function login(page) {
   const loginSuccess = await page.evaluate(async ({ apiUrl, email, password }) => {
     try {
       const res = await fetch(`${apiUrl}/users/login`, {
@@ -424,271 +240,243 @@ ${'='.repeat(62)}
       localStorage.setItem('oe_user_token', jwt);
     }, USER_JWT);
   }
-
   console.log(`    [${LANG}] Login: ${loginSuccess ? 'browser API' : 'env JWT fallback'}`);
-  await page.goto(`${FRONTEND_URL}/dashboard`, GOTO);
-  await page.waitForTimeout(3500);
-  await screenshot(page, 'after-login');
-
-
-  // ════════════════════════════════════════
-  //  Scene 2: Mission Control
-  // ════════════════════════════════════════
-  console.log('[Scene 2] Mission Control');
-  await page.goto(`${FRONTEND_URL}/`, GOTO);
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('missionControl'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'mission-control');
-  await clearSubtitle(page);
-
-
-  // ════════════════════════════════════════
-  //  Scene 3: Adapters — Connections Active
-  // ════════════════════════════════════════
-  console.log('[Scene 3] Adapters');
-  await page.goto(`${FRONTEND_URL}/dashboard/adapters`, GOTO);
-  await page.waitForTimeout(2000);
-  await showSubtitle(page, sub('adapters'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'adapters-connected');
-  await clearSubtitle(page);
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT II — REAL EXTERNAL PLATFORMS              ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n\u2501\u2501\u2501 ACT II: REAL EXTERNAL PLATFORMS \u2501\u2501\u2501\n');
-
-  // ════════════════════════════════════════
-  //  Scene 4: GitHub Repository Page
-  // ════════════════════════════════════════
-  console.log('[Scene 4] GitHub Repository');
-  await page.goto(`https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}`, {
-    ...GOTO, timeout: 30000,
-  });
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('githubRepo'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'github-repo');
-  await clearSubtitle(page);
-
-
-  // ════════════════════════════════════════
-  //  Scene 5: GitHub Issues List
-  // ════════════════════════════════════════
-  console.log('[Scene 5] GitHub Issues');
-  await page.goto(`https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/issues`, {
-    ...GOTO, timeout: 30000,
-  });
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('githubIssueBefore'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'github-issues');
-  await clearSubtitle(page);
-
-
-  // ════════════════════════════════════════
-  //  Scene 6: GitHub Issue Detail (pre-created by orchestrator)
-  // ════════════════════════════════════════
-  if (ISSUE_NUMBER) {
-    console.log(`[Scene 6] GitHub Issue #${ISSUE_NUMBER}`);
-    await page.goto(`https://github.com/${GITHUB_OWNER}/${GITHUB_REPO}/issues/${ISSUE_NUMBER}`, {
-      ...GOTO, timeout: 30000,
-    });
-    await page.waitForTimeout(3000);
-    await showSubtitle(page, sub('githubIssueDetail'), 0);
-    await page.waitForTimeout(1500);
-    await screenshot(page, 'github-issue-detail');
-    await clearSubtitle(page);
-  }
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT II-B — REAL VERCEL DEPLOYMENTS (EVIDENCE) ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n\u2501\u2501\u2501 ACT II-B: VERCEL DEPLOYMENT EVIDENCE \u2501\u2501\u2501\n');
-
-  // ════════════════════════════════════════
-  //  Scene 7: Vercel — English Pitch Deck
-  // ════════════════════════════════════════
-  console.log('[Scene 7] Vercel — English Pitch Deck');
-  await page.goto('https://pitch-deck-en.vercel.app', { ...GOTO, timeout: 30000 });
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('vercelEn'), 0);
-  await page.waitForTimeout(1500);
-  await screenshot(page, 'vercel-en');
-  await clearSubtitle(page);
-
-
-  // ════════════════════════════════════════
-  //  Scene 8: Vercel — Chinese Pitch Deck
-  // ════════════════════════════════════════
-  console.log('[Scene 8] Vercel — Chinese Pitch Deck');
-  await page.goto('https://pitch-deck-zh.vercel.app', { ...GOTO, timeout: 30000 });
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('vercelZh'), 0);
-  await page.waitForTimeout(1500);
-  await screenshot(page, 'vercel-zh');
-  await clearSubtitle(page);
-
-
-  // ════════════════════════════════════════
-  //  Scene 9: Vercel — Japanese Pitch Deck
-  // ════════════════════════════════════════
-  console.log('[Scene 9] Vercel — Japanese Pitch Deck');
-  await page.goto('https://pitch-deck-ja.vercel.app', { ...GOTO, timeout: 30000 });
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('vercelJa'), 0);
-  await page.waitForTimeout(1500);
-  await screenshot(page, 'vercel-ja');
-  await clearSubtitle(page);
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT III — PLATFORM RECORDS                    ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n\u2501\u2501\u2501 ACT III: PLATFORM RECORDS \u2501\u2501\u2501\n');
-
-  // ════════════════════════════════════════
-  //  Scene 10: Project Workspaces — Audit Events
-  // ════════════════════════════════════════
-  console.log('[Scene 10] Project Workspaces');
-  let projectTabsLoaded = false;
-  if (PROJECT_ID) {
-    await page.goto(`${FRONTEND_URL}/projects/${PROJECT_ID}`, GOTO);
-    await page.waitForTimeout(3000); // Wait for SWR data fetch + render
-    try {
-      await page.locator('[role="tab"]').first().waitFor({ state: 'visible', timeout: 20000 });
-      projectTabsLoaded = true;
-    } catch {
-      console.log(`    [${LANG}] ⚠ Project tabs did not appear — taking diagnostic screenshot`);
-      await screenshot(page, 'project-debug');
-    }
-    if (projectTabsLoaded) {
-      await page.waitForTimeout(500);
-      // Click the Workspaces tab by its text content (localized)
-      const wsText = LANG === 'zh' ? '工作区' : LANG === 'ja' ? 'ワークスペース' : 'Workspaces';
-      await page.locator('[role="tab"]').filter({ hasText: wsText }).click();
-      await page.waitForTimeout(2500);
-      await showSubtitle(page, sub('projectWorkspaces'), 0);
-      await page.waitForTimeout(1000);
-      await screenshot(page, 'project-workspaces');
-      await clearSubtitle(page);
-    }
-  }
-
-
-  // ════════════════════════════════════════
-  //  Scene 11: Project Audit Trail
-  // ════════════════════════════════════════
-  console.log('[Scene 11] Project Audit Trail');
-  if (PROJECT_ID && projectTabsLoaded) {
-    const atText = LANG === 'zh' ? '审计追踪' : LANG === 'ja' ? '監査証跡' : 'Audit Trail';
-    await page.locator('[role="tab"]').filter({ hasText: atText }).click();
-    await page.waitForTimeout(2500);
-    await showSubtitle(page, sub('auditTrail'), 0);
-    await page.waitForTimeout(1000);
-    await screenshot(page, 'project-audit-trail');
-
-    // Scroll to show more entries
-    await page.evaluate(() => window.scrollTo(0, 400));
-    await page.waitForTimeout(1000);
-    await showSubtitle(page, sub('auditScroll'), 0);
-    await screenshot(page, 'project-audit-scroll');
-    await clearSubtitle(page);
-  }
-
-
-  // ════════════════════════════════════════
-  //  Scene 12: Provenance Chains
-  // ════════════════════════════════════════
-  console.log('[Scene 12] Provenance Chains');
-  await page.goto(`${FRONTEND_URL}/dashboard/provenance`, GOTO);
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('provenanceChains'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'provenance-chains');
-
-  // Attempt to expand a chain for detail view
-  try {
-    const chainsText = LANG === 'zh' ? '链' : LANG === 'ja' ? 'チェーン' : 'Chains';
-    await page.locator('nav[aria-label="Tabs"] button').filter({ hasText: chainsText }).click();
-    await page.waitForTimeout(2000);
-
-    const chainRow = page.locator('button.w-full.text-left').first();
-    if (await chainRow.count() > 0) {
-      await chainRow.click();
-      await page.waitForTimeout(2500);
-      await showSubtitle(page, sub('chainExpanded'), 0);
-      await page.waitForTimeout(1000);
-      await screenshot(page, 'chain-expanded');
-    }
-  } catch (err) {
-    console.log(`  (Could not expand chain: ${err.message})`);
-  }
-  await clearSubtitle(page);
-
+}
 
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT IV — RETURN TO DASHBOARD                  ║
-  // ╚═══════════════════════════════════════════════╝
+/** A page the scene only narrates and screenshots. */
+function pageScene(name, act, title, goto, narrate, screenshot, { settleMs = 3000, dwellMs = 1000, external = false } = {}) {
+  return { name, act, title, goto, gotoOptions: external ? EXTERNAL : undefined, settleMs, narrate, dwellMs, screenshot };
+}
 
-  console.log('\n\u2501\u2501\u2501 ACT IV: RETURN TO DASHBOARD \u2501\u2501\u2501\n');
+const SCENES = [
+  {
+    name: 'intro',
+    act: 'INTRO TITLE CARD',
+    goto: 'about:blank',
+    settleMs: 800,
+    actions: async ({ page, screenshot }) => {
+      await showIntroCard(
+        page,
+        INTRO_TITLE[LANG] || INTRO_TITLE.en,
+        INTRO_HEADING[LANG] || INTRO_HEADING.en,
+        INTRO_DESC[LANG] || INTRO_DESC.en,
+      );
+      await screenshot('intro-title-card');
+      await sleep(6000);
+      await hideIntroCard(page);
+    },
+  },
 
-  // ════════════════════════════════════════
-  //  Scene 13: Mission Control — Summary
-  // ════════════════════════════════════════
-  console.log('[Scene 13] Mission Control — Summary');
-  await page.goto(`${FRONTEND_URL}/`, GOTO);
-  await page.waitForTimeout(3000);
-  await showSubtitle(page, sub('missionControlAfter'), 0);
-  await page.waitForTimeout(1500);
-  await screenshot(page, 'mission-control-final');
-  await clearSubtitle(page);
+  // ── ACT I — Login & Platform Overview ──
+  {
+    name: 'login',
+    act: 'ACT I: LOGIN & PLATFORM OVERVIEW',
+    title: 'Login',
+    always: true,
+    goto: `${FRONTEND_URL}/auth/login`,
+    settleMs: 1500,
+    actions: async ({ page, screenshot, subtitle, clearSubtitle }) => {
+      // Ensure locale cookie is readable — backup via document.cookie
+      await page.evaluate((lang) => {
+        document.cookie = `oe_locale=${lang};path=/;max-age=31536000`;
+      }, LANG);
+      // Reload so TranslationProvider picks up the cookie on mount
+      await page.reload(GOTO);
+      await sleep(1500);
+
+      await subtitle('login');
+      await screenshot('login-page');
+      await fillLoginForm(page);
+      await sleep(500);
+      await screenshot('login-filled');
+      await clearSubtitle();
+
+      await login(page);
+      await page.goto(`${FRONTEND_URL}/dashboard`, GOTO);
+      await sleep(3500);
+      await screenshot('after-login');
+    },
+  },
+  pageScene('mission-control', 'ACT I: LOGIN & PLATFORM OVERVIEW', 'Mission Control',
+    `${FRONTEND_URL}/`, 'missionControl', 'mission-control'),
+  pageScene('adapters', 'ACT I: LOGIN & PLATFORM OVERVIEW', 'Adapters',
+    `${FRONTEND_URL}/dashboard/adapters`, 'adapters', 'adapters-connected', { settleMs: 2000 }),
+
+  // ── ACT II — Real External Platforms ──
+  pageScene('github-repo', 'ACT II: REAL EXTERNAL PLATFORMS', 'GitHub Repository',
+    GITHUB_REPO_PAGE, 'githubRepo', 'github-repo', { external: true }),
+  pageScene('github-issues', 'ACT II: REAL EXTERNAL PLATFORMS', 'GitHub Issues',
+    `${GITHUB_REPO_PAGE}/issues`, 'githubIssueBefore', 'github-issues', { external: true }),
+  {
+    // Pre-created by the orchestrator
+    ...pageScene('github-issue', 'ACT II: REAL EXTERNAL PLATFORMS', `GitHub Issue #${ISSUE_NUMBER}`,
+      `${GITHUB_REPO_PAGE}/issues/${ISSUE_NUMBER}`, 'githubIssueDetail', 'github-issue-detail', { external: true, dwellMs: 1500 }),
+    when: () => Boolean(ISSUE_NUMBER),
+  },
 
+  // ── ACT II-B — Real Vercel Deployments (Evidence) ──
+  pageScene('vercel-en', 'ACT II-B: VERCEL DEPLOYMENT EVIDENCE', 'Vercel — English Pitch Deck',
+    'https://pitch-deck-en.vercel.app', 'vercelEn', 'vercel-en', { external: true, dwellMs: 1500 }),
+  pageScene('vercel-zh', 'ACT II-B: VERCEL DEPLOYMENT EVIDENCE', 'Vercel — Chinese Pitch Deck',
+    'https://pitch-deck-zh.vercel.app', 'vercelZh', 'vercel-zh', { external: true, dwellMs: 1500 }),
+  pageScene('vercel-ja', 'ACT II-B: VERCEL DEPLOYMENT EVIDENCE', 'Vercel — Japanese Pitch Deck',
+    'https://pitch-deck-ja.vercel.app', 'vercelJa', 'vercel-ja', { external: true, dwellMs: 1500 }),
+
+  // ── ACT III — Platform Records ──
+  {
+    name: 'project-workspaces',
+    act: 'ACT III: PLATFORM RECORDS',
+    title: 'Project Workspaces',
+    when: () => Boolean(PROJECT_ID),
+    optional: true, // without the tabs, the audit trail scene is skipped as well
+    goto: `${FRONTEND_URL}/projects/${PROJECT_ID}`,
+    actions: async ({ page, state, screenshot }) => {
+      try {
+        // Tabs render once the SWR data fetch is back
+        await state.cues.waitFor({ selector: '[role="tab"]' }, { timeoutMs: 20000 });
+      } catch (err) {
+        console.log(`    [${LANG}] ⚠ Project tabs did not appear — taking diagnostic screenshot`);
+        await screenshot('project-debug');
+        throw err;
+      }
+      state.projectTabsLoaded = true;
+      await sleep(500);
+      await page.locator('[role="tab"]').filter({ hasText: tabLabel('workspaces') }).click();
+      await sleep(2500);
+    },
+    narrate: 'projectWorkspaces',
+    screenshot: 'project-workspaces',
+  },
+  {
+    name: 'project-audit-trail',
+    act: 'ACT III: PLATFORM RECORDS',
+    title: 'Project Audit Trail',
+    when: ({ state }) => Boolean(state.projectTabsLoaded),
+    actions: async ({ page, screenshot, subtitle, clearSubtitle }) => {
+      await page.locator('[role="tab"]').filter({ hasText: tabLabel('auditTrail') }).click();
+      await sleep(2500);
+      await subtitle('auditTrail');
+      await sleep(1000);
+      await screenshot('project-audit-trail');
+
+      // Scroll to show more entries
+      await page.evaluate(() => window.scrollTo(0, 400));
+      await sleep(1000);
+      await subtitle('auditScroll');
+      await screenshot('project-audit-scroll');
+      await clearSubtitle();
+    },
+  },
+  {
+    name: 'provenance',
+    act: 'ACT III: PLATFORM RECORDS',
+    title: 'Provenance Chains',
+    goto: `${FRONTEND_URL}/dashboard/provenance`,
+    settleMs: 3000,
+    narrate: 'provenanceChains',
+    screenshot: 'provenance-chains',
+  },
+  {
+    name: 'chain-expanded',
+    act: 'ACT III: PLATFORM RECORDS',
+    optional: true, // the chain list may still be empty
+    actions: async ({ page, state, screenshot, subtitle, clearSubtitle }) => {
+      await page.locator('nav[aria-label="Tabs"] button').filter({ hasText: tabLabel('chains') }).click();
+      await state.cues.waitFor({ selector: 'button.w-full.text-left' }, { timeoutMs: 10000 });
+      await page.locator('button.w-full.text-left').first().click();
+      await sleep(2500);
+      await subtitle('chainExpanded');
+      await sleep(1000);
+      await screenshot('chain-expanded');
+      await clearSubtitle();
+    },
+  },
 
-  // ╔═══════════════════════════════════════════════╗
-  // ║  EPILOGUE — Landing Page                       ║
-  // ╚═══════════════════════════════════════════════╝
+  // ── ACT IV — Return to Dashboard ──
+  pageScene('mission-control-final', 'ACT IV: RETURN TO DASHBOARD', 'Mission Control — Summary',
+    `${FRONTEND_URL}/`, 'missionControlAfter', 'mission-control-final', { dwellMs: 1500 }),
+
+  // ── EPILOGUE — Landing Page ──
+  {
+    name: 'landing',
+    act: 'EPILOGUE',
+    title: 'Landing Page',
+    goto: `${FRONTEND_URL}/landing`,
+    settleMs: 2000,
+    actions: async ({ page, screenshot, subtitle, clearSubtitle }) => {
+      await subtitle('landingHero');
+      await sleep(1500);
+      await screenshot('landing-hero');
+      await clearSubtitle();
+
+      await page.evaluate(() => window.scrollTo(0, 800));
+      await sleep(1500);
+      await subtitle('landingFeatures');
+      await sleep(1000);
+      await screenshot('landing-features');
+      await clearSubtitle();
+
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      await sleep(1500);
+      await subtitle('landingCta');
+      await sleep(1000);
+      await screenshot('landing-cta');
+      await clearSubtitle();
+    },
+  },
+];
 
-  console.log('\n\u2501\u2501\u2501 EPILOGUE \u2501\u2501\u2501\n');
 
-  // ════════════════════════════════════════
-  //  Scene 14: Landing Page
-  // ════════════════════════════════════════
-  console.log('[Scene 14] Landing Page');
-  await page.goto(`${FRONTEND_URL}/landing`, GOTO);
-  await page.waitForTimeout(2000);
-  await showSubtitle(page, sub('landingHero'), 0);
-  await page.waitForTimeout(1500);
-  await screenshot(page, 'landing-hero');
+// ════════════════════════════════════════
+//  MAIN
+// ════════════════════════════════════════
 
-  await clearSubtitle(page);
-  await page.evaluate(() => window.scrollTo(0, 800));
-  await page.waitForTimeout(1500);
+async function main() {
+  const langLabel = { en: 'English', zh: '\u4e2d\u6587', ja: '\u65e5\u672c\u8a9e' }[LANG] || LANG;
+  console.log(`
+${'='.repeat(62)}
+  OPENEXECUTION \u2014 LIVE DEMO RECORDING [${langLabel}]
+  Real GitHub + Vercel | Subtitle Narration
+${'='.repeat(62)}
+`);
+  console.log(`  Language:  ${langLabel} (${LANG})`);
+  console.log(`  GitHub:    ${GITHUB_OWNER}/${GITHUB_REPO}`);
+  console.log(`  Issue:     #${ISSUE_NUMBER || 'N/A'}`);
+  console.log(`  Output:    ${OUTPUT_DIR}\n`);
 
-  await showSubtitle(page, sub('landingFeatures'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'landing-features');
+  const rec = new SceneRecorder({
+    outputDir: OUTPUT_DIR, lang: LANG, subtitles: SUBTITLES, subtitleMode: config.DEMO_SUBTITLES, tag: LANG,
+  });
 
-  await clearSubtitle(page);
-  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-  await page.waitForTimeout(1500);
+  // ── Launch Browser ──
+  console.log('[Browser] Launching Chromium...');
+  const browser = await chromium.launch(launchOptions(config.DEMO_HEADLESS));
+  const context = await browser.newContext({
+    viewport: { width: 1920, height: 1080 },
+    recordVideo: { dir: OUTPUT_DIR, size: { width: 1920, height: 1080 } },
+  });
+  await context.addCookies([{
+    name: 'oe_locale',
+    value: LANG,
+    url: FRONTEND_URL,
+  }]);
+  const page = await context.newPage();
+  rec.start(page);
+  const cues = createCues({ page, log: (icon, msg) => console.log(`    [${LANG}] ${msg}`) });
 
-  await showSubtitle(page, sub('landingCta'), 0);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'landing-cta');
-  await clearSubtitle(page);
+  try {
+    await rec.run(SCENES, { state: { cues } });
+  } finally {
+    rec.report();
+    rec.finish();
+  }
 
 
   // ── Done ──
   console.log(`
 ${'='.repeat(62)}
-  [${langLabel}] Recording complete: ${screenshotCount} screenshots
+  [${langLabel}] Recording complete: ${rec.screenshots.length} screenshots
+  Subtitles: ${rec.track.burnIn ? 'burned in + ' : ''}tracks in ${rec.track.languages.join(', ')}
   Output: ${OUTPUT_DIR}
 
   Browser closing in 3 seconds...
@@ -8,32 +8,42 @@
  *   3. Configure webhook signing secrets
  *   4. Bind workspaces to project (creates provenance chains)
  *   5. Simulate HMAC-signed webhook events from external platforms
+ *      (webhook-fixtures.js), including one forged delivery that must be rejected
  *   6. View audit trail + provenance chains in the platform UI
  *   7. Show landing page
  *
  * Usage:
  *   npx playwright install chromium   # first time
  *   node playwright-platform-demo.js
+ *   node post-production.js recording-platform   # after closing: MP4 with chapters (chapters.json)
+ *   node visual-regression.js check recording-platform   # screenshots vs visual-baselines/ (HTML diff report)
+ *
+ * Settings (config.js): API_PORT, FRONTEND_PORT, DEMO_USER_EMAIL / DEMO_USER_PASSWORD,
+ * DEMO_HEADLESS ("auto": headless without a display, see scene-cues.js),
+ * DEMO_SCENES / DEMO_SKIP_SCENES / DEMO_SCENE_RETRIES (the SCENES list, see scene-recorder.js)
  *
  * Prerequisites:
- *   - API running on port 3001
- *   - Frontend running on port 3000
+ *   - API running on API_PORT (default 3001)
+ *   - Frontend running on FRONTEND_PORT (default 3000)
  *   - User registered (run seed-platform-demo.js first or use run-platform-demo.js)
  */
 const { chromium } = require('playwright');
-const crypto = require('crypto');
 const path = require('path');
-const fs = require('fs');
+const { loadConfigOrExit } = require('./config');
+const { buildFixture, fireFixture } = require('./webhook-fixtures');
+const { createCues, launchOptions, chainSequence } = require('./scene-cues');
+const { SceneRecorder, GOTO, sleep } = require('./scene-recorder');
 
 // ── Config ──
 
-const API_URL = process.env.API_URL || 'http://localhost:3001/api/v1';
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const config = loadConfigOrExit();
+const API_URL = process.env.API_URL || `http://localhost:${config.API_PORT}/api/v1`;
+const FRONTEND_URL = process.env.FRONTEND_URL || `http://localhost:${config.FRONTEND_PORT}`;
 const OUTPUT_DIR = path.join(__dirname, 'recording-platform');
 
-// Demo credentials
-const USER_EMAIL = 'admin@nexuscorp.io';
-const USER_PASSWORD = 'demo-nexus-2026!';
+// Demo credentials (DEMO_USER_EMAIL / DEMO_USER_PASSWORD, see config.js)
+const USER_EMAIL = config.DEMO_USER_EMAIL;
+const USER_PASSWORD = config.DEMO_USER_PASSWORD;
 
 // Platform tokens (fake — just stored, not validated against real APIs)
 const VERCEL_TOKEN = 'vcel_NxPr0d_a1b2c3d4e5f6g7h8i9j0';
@@ -43,17 +53,10 @@ const NOTION_TOKEN = 'ntn_NxDocs_k1j2i3h4g5f6e7d8';
 // Webhook signing secrets
 const VERCEL_SECRET = 'whsec_vercel_nexus_prod_2026';
 const FIGMA_SECRET  = 'whsec_figma_shared_design_2026';
+const NOTION_SECRET = 'whsec_notion_nexus_docs_2026';
 
 // ── Helpers ──
 
-function hmacSha1(secret, data) {
-  return crypto.createHmac('sha1', secret).update(data).digest('hex');
-}
-function hmacSha256(secret, data) {
-  return crypto.createHmac('sha256', secret).update(data).digest('hex');
-}
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
-
 async function apiCall(method, urlPath, body, token) {
   const headers = { 'Content-Type': 'application/json' };
   if (token) headers['Authorization'] = `Bearer ${token}`;
@@ -70,22 +73,11 @@ async function apiCall(method, urlPath, body, token) {
   return json?.data || json;
 }
 
-async function rawWebhook(urlPath, rawBody, headers = {}) {
-  const opts = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', ...headers },
-    body: rawBody,
-  };
-  const res = await fetch(`${API_URL}${urlPath}`, opts);
-  return { status: res.status };
-}
-
-let screenshotCount = 0;
-async function screenshot(page, label) {
-  screenshotCount++;
-  const filename = `${String(screenshotCount).padStart(2, '0')}-${label}.png`;
-  await page.screenshot({ path: path.join(OUTPUT_DIR, filename), fullPage: false });
-  console.log(`    [screenshot] ${filename}`);
+/** POST a signed fixture to a connection's webhook receiver and print the verdict. */
+async function fireWebhook(conn, secret, fixture, scheme) {
+  const { status } = await fireFixture({ apiUrl: API_URL, connId: conn.id, secret, fixture });
+  console.log(`           → ${status === 200 ? 'Verified ✓' : 'FAILED ' + status} (${scheme})`);
+  return status === 200;
 }
 
 // ── UI Interaction Helpers ──
@@ -162,13 +154,331 @@ async function setWebhookSecret(page, platformName, secret) {
   await page.waitForTimeout(1000);
 }
 
+// ── Scenes ──
+// Run in order by scene-recorder.js. The BEFORE tour and the AFTER tour show
+// the same pages; ACT II in between creates what the second one shows
+// (state: jwt, connections, projectId, vercelChainId).
+
+const SCENES = [
+  // ── ACT I — Before State (Empty Platform Tour) ──
+  {
+    name: 'login',
+    act: 'ACT I: BEFORE STATE',
+    title: 'Login as Nexus Corp Admin',
+    always: true,
+    goto: `${FRONTEND_URL}/auth/login`,
+    settleMs: 3000,
+    actions: async ({ page, screenshot }) => {
+      await screenshot('login-page');
+      await page.locator('#email').fill(USER_EMAIL);
+      await sleep(400);
+      await page.locator('#password').fill(USER_PASSWORD);
+      await sleep(500);
+      await screenshot('login-filled');
+
+      await page.locator('button[type="submit"]').click();
+      await page.waitForURL('**/dashboard**', { timeout: 30000 });
+      await sleep(2500);
+      await screenshot('after-login');
+    },
+  },
+  {
+    name: 'mission-control-before',
+    act: 'ACT I: BEFORE STATE',
+    title: 'Mission Control — Empty',
+    // Use sidebar nav (client-side) to preserve Zustand auth state
+    // Full page.goto('/') loses Zustand store → redirects to /landing
+    actions: async ({ page }) => {
+      await page.getByText('Mission Control').first().click();
+      await sleep(3000);
+    },
+    screenshot: 'mission-control-BEFORE',
+  },
+  { name: 'adapters-before', act: 'ACT I: BEFORE STATE', title: 'Adapters — No Connections',
+    goto: `${FRONTEND_URL}/dashboard/adapters`, settleMs: 2000, screenshot: 'adapters-BEFORE' },
+  { name: 'projects-before', act: 'ACT I: BEFORE STATE', title: 'Projects — Empty',
+    goto: `${FRONTEND_URL}/projects`, settleMs: 2000, screenshot: 'projects-BEFORE' },
+  { name: 'provenance-before', act: 'ACT I: BEFORE STATE', title: 'Provenance — No Chains',
+    goto: `${FRONTEND_URL}/dashboard/provenance`, settleMs: 2500, screenshot: 'provenance-BEFORE' },
+
+  // ── ACT II — Configure & Operate ──
+  {
+    name: 'connect-adapters',
+    act: 'ACT II: CONFIGURE & OPERATE',
+    title: 'Connect Workspace Adapters',
+    goto: `${FRONTEND_URL}/dashboard/adapters`,
+    settleMs: 2000,
+    actions: async ({ page, screenshot }) => {
+      for (const [platform, account, token] of [
+        ['Vercel', 'Nexus Corp Production', VERCEL_TOKEN],
+        ['Figma', 'Shared Design System', FIGMA_TOKEN],
+        ['Notion', 'Nexus Corp Docs', NOTION_TOKEN],
+      ]) {
+        console.log(`  Connecting ${platform}...`);
+        await connectPlatform(page, platform, account, token);
+        await sleep(1000);
+      }
+      await screenshot('adapters-connected');
+
+      console.log('  Configuring webhook secrets...');
+      await page.evaluate(() => window.scrollTo(0, 0));
+      await sleep(500);
+      for (const [platform, secret] of [['Vercel', VERCEL_SECRET], ['Figma', FIGMA_SECRET], ['Notion', NOTION_SECRET]]) {
+        await setWebhookSecret(page, platform, secret);
+        await sleep(800);
+      }
+      await page.evaluate(() => window.scrollTo(0, 0));
+      await sleep(1000);
+    },
+    screenshot: 'adapters-webhooks-configured',
+  },
+  {
+    name: 'create-project',
+    act: 'ACT II: CONFIGURE & OPERATE',
+    title: 'Create Project & Bind Workspaces',
+    actions: async ({ page, state, screenshot }) => {
+      const { jwt } = state;
+      const connections = await apiCall('GET', '/adapters/connections', null, jwt);
+      state.vercelConn = (connections || []).find(c => c.platform === 'vercel');
+      state.figmaConn  = (connections || []).find(c => c.platform === 'figma');
+      state.notionConn = (connections || []).find(c => c.platform === 'notion');
+      const { vercelConn, figmaConn, notionConn } = state;
+
+      console.log(`  Connections: Vercel=${vercelConn?.id?.substring(0,8)}, Figma=${figmaConn?.id?.substring(0,8)}, Notion=${notionConn?.id?.substring(0,8)}`);
+
+      // Create project
+      const project = await apiCall('POST', '/projects', {
+        repo_full_name: 'nexuscorp/shared-auth-lib',
+        title: 'shared-auth-lib',
+        description: 'Cross-company authentication library — critical production dependency',
+        tags: ['security', 'auth', 'shared', 'critical'],
+      }, jwt);
+      const projectId = state.projectId = project?.id;
+      console.log(`  Project: ${projectId ? projectId.substring(0, 8) + '...' : 'FAILED'}`);
+
+      // Bind workspaces (creates provenance chains)
+      if (projectId && vercelConn) {
+        const binding = await apiCall('POST', `/projects/${projectId}/workspaces`, {
+          connection_id: vercelConn.id, label: 'Production Deployments',
+        }, jwt);
+        state.vercelChainId = binding?.chain_id;
+        console.log(`  Vercel → chain ${state.vercelChainId?.substring(0, 8) || 'N/A'}`);
+      }
+      if (projectId && notionConn) {
+        const binding = await apiCall('POST', `/projects/${projectId}/workspaces`, {
+          connection_id: notionConn.id, label: 'Incident Runbooks',
+        }, jwt);
+        console.log(`  Notion → chain ${binding?.chain_id?.substring(0, 8) || 'N/A'}`);
+      }
+      if (projectId && figmaConn) {
+        const binding = await apiCall('POST', `/projects/${projectId}/workspaces`, {
+          connection_id: figmaConn.id, label: 'Security Diagrams',
+        }, jwt);
+        console.log(`  Figma → chain ${binding?.chain_id?.substring(0, 8) || 'N/A'}`);
+      }
+
+      // Show project with bound workspaces (0 events yet)
+      if (projectId) {
+        await page.goto(`${FRONTEND_URL}/projects/${projectId}`, GOTO);
+        await sleep(2000);
+        await page.getByRole('tab', { name: /Workspaces/ }).click();
+        await sleep(2000);
+        await screenshot('project-workspaces-BEFORE');
+      }
+    },
+  },
+  {
+    // API only, no browser
+    name: 'webhooks',
+    act: 'ACT II: CONFIGURE & OPERATE',
+    title: 'Platform Events Flow In (Webhooks)',
+    retries: 0, // a retry would deliver every event twice
+    actions: async ({ state }) => {
+      const { jwt, vercelConn, figmaConn, notionConn, vercelChainId } = state;
+      console.log('  Scenario: CVE-2026-4821 — Cross-platform incident response\n');
+
+      // ACT III waits until the Vercel chain holds everything recorded here
+      const vercelSeq = async () => {
+        const res = await fetch(`${API_URL}/users/me/chains/${vercelChainId}/events`, { headers: { Authorization: `Bearer ${jwt}` } });
+        return res.ok ? chainSequence(await res.json()) : 0;
+      };
+      const vercelBaseSeq = vercelChainId ? await vercelSeq().catch(() => 0) : 0;
+      let vercelRecorded = 0;
+
+      if (vercelConn) {
+        console.log('  [T+0s]   Vercel: deployment.created (pre-patch baseline)');
+        if (await fireWebhook(vercelConn, VERCEL_SECRET, buildFixture('vercel', 'deployment.created', {
+          project: 'shared-auth-lib', url: 'shared-auth-lib-main.nexuscorp.vercel.app',
+          meta: { gitBranch: 'main', gitCommit: 'a1b2c3d' },
+        }), 'HMAC-SHA1')) vercelRecorded++;
+      }
+      await sleep(1000);
+
+      if (figmaConn) {
+        console.log('  [T+2s]   Figma: FILE_UPDATE (security architecture diagram)');
+        await fireWebhook(figmaConn, FIGMA_SECRET, buildFixture('figma', 'FILE_UPDATE', {
+          fileKey: 'sec-arch-2026', fileName: 'Security Architecture — shared-auth-lib', handle: 'meridian-admin',
+        }), 'HMAC-SHA256');
+      }
+      await sleep(1000);
+
+      if (vercelChainId) {
+        console.log('  [T+4s]   HUMAN: nexus-admin instructs on chain');
+        const result = await apiCall('POST', `/users/me/chains/${vercelChainId}/instruct`, {
+          instruction: 'HOLD all deployments of shared-auth-lib until the RCE patch passes SAST and DAST scans. This is CVE-2026-4821 — production-critical.',
+          scope: 'until_resolved',
+        }, jwt);
+        console.log(`           → ${result ? 'Instruction recorded (liability event) ✓' : 'FAILED'}`);
+        if (result) vercelRecorded++;
+      }
+      await sleep(1000);
+
+      if (vercelConn) {
+        console.log('  [T+6s]   Vercel: deployment.ready (patched v3.3.0)');
+        if (await fireWebhook(vercelConn, VERCEL_SECRET, buildFixture('vercel', 'deployment.ready', {
+          project: 'shared-auth-lib', url: 'shared-auth-lib-v3.3.0.nexuscorp.vercel.app',
+          meta: { gitBranch: 'fix/cve-2026-4821', gitCommit: 'd4e5f6g' },
+        }), 'HMAC-SHA1')) vercelRecorded++;
+      }
+      await sleep(1000);
+
+      if (figmaConn) {
+        console.log('  [T+8s]   Figma: FILE_VERSION_UPDATE (diagram finalized)');
+        await fireWebhook(figmaConn, FIGMA_SECRET, buildFixture('figma', 'FILE_VERSION_UPDATE', {
+          fileKey: 'sec-arch-2026', fileName: 'Security Architecture — shared-auth-lib v3.3.0', handle: 'meridian-admin',
+          label: 'v3.3.0',
+        }), 'HMAC-SHA256');
+      }
+      await sleep(1000);
+
+      if (notionConn) {
+        console.log('  [T+10s]  Notion: page.content_updated (incident runbook)');
+        await fireWebhook(notionConn, NOTION_SECRET, buildFixture('notion', 'page.content_updated'), 'HMAC-SHA256');
+      }
+      await sleep(1000);
+
+      if (vercelConn) {
+        console.log('  [T+12s]  Forged Vercel delivery (wrong signing secret)');
+        const { passed, status } = await fireFixture({
+          apiUrl: API_URL, connId: vercelConn.id, secret: VERCEL_SECRET, variant: 'bad-signature',
+          fixture: buildFixture('vercel', 'deployment.created', { project: 'shared-auth-lib', meta: { gitBranch: 'main' } }),
+        });
+        console.log(`           → ${passed ? `Rejected ✓ (${status})` : `ACCEPTED ${status} — signature not enforced`}`);
+      }
+      if (vercelChainId && vercelRecorded) {
+        const cues = createCues({ chainSeq: vercelSeq, log: (icon, msg) => console.log(`  ${icon} ${msg}`) });
+        try {
+          await cues.waitFor({ seq: vercelBaseSeq + vercelRecorded });
+        } catch (err) {
+          console.log(`  ⚠ ${err.message} — the AFTER scenes may miss events`);
+        }
+      }
+      console.log('');
+    },
+  },
+
+  // ── ACT III — After State (Same Pages, New Data) ──
+  {
+    name: 'project-workspaces-after',
+    act: 'ACT III: AFTER STATE',
+    title: 'Project Workspaces — AFTER',
+    when: ({ state }) => Boolean(state.projectId),
+    goto: ({ state }) => `${FRONTEND_URL}/projects/${state.projectId}`,
+    settleMs: 2000,
+    actions: async ({ page }) => {
+      await page.getByRole('tab', { name: /Workspaces/ }).click();
+      await sleep(2500);
+    },
+    screenshot: 'project-workspaces-AFTER',
+  },
+  {
+    name: 'audit-trail-after',
+    act: 'ACT III: AFTER STATE',
+    title: 'Project Audit Trail — AFTER',
+    when: ({ state }) => Boolean(state.projectId),
+    actions: async ({ page, screenshot }) => {
+      await page.getByRole('tab', { name: /Audit Trail/ }).click();
+      await sleep(2500);
+      await screenshot('project-audit-trail');
+
+      // A short timeline fits on screen: no scroll, no second (identical) screenshot
+      const scrolled = await page.evaluate(() => {
+        window.scrollTo(0, 400);
+        return window.scrollY > 0;
+      });
+      if (scrolled) {
+        await sleep(1000);
+        await screenshot('project-audit-trail-scroll');
+      }
+    },
+  },
+  {
+    name: 'provenance-after',
+    act: 'ACT III: AFTER STATE',
+    title: 'Provenance — AFTER',
+    goto: `${FRONTEND_URL}/dashboard/provenance`,
+    settleMs: 3000,
+    actions: async ({ page, screenshot }) => {
+      await screenshot('provenance-overview-AFTER');
+
+      // Chains tab
+      await page.locator('nav[aria-label="Tabs"] button').filter({ hasText: 'Chains' }).click();
+      await sleep(2500);
+      await screenshot('provenance-chains-AFTER');
+
+      // Expand first chain
+      try {
+        const firstChainButton = page.locator('button.w-full.text-left').first();
+        if (await firstChainButton.count() > 0) {
+          await firstChainButton.click();
+          await sleep(2500);
+          await screenshot('provenance-chain-expanded');
+        }
+      } catch (err) {
+        console.log('  (Could not expand chain row:', err.message, ')');
+      }
+    },
+  },
+  {
+    name: 'mission-control-after',
+    act: 'ACT III: AFTER STATE',
+    title: 'Mission Control — AFTER',
+    // Use sidebar nav (client-side) to preserve Zustand auth state
+    actions: async ({ page }) => {
+      await page.getByText('Mission Control').first().click();
+      await sleep(3000);
+    },
+    screenshot: 'mission-control-AFTER',
+  },
+
+  // ── EPILOGUE — Landing Page ──
+  {
+    name: 'landing',
+    act: 'EPILOGUE',
+    title: 'Landing Page',
+    goto: `${FRONTEND_URL}/landing`,
+    settleMs: 2000,
+    actions: async ({ page, screenshot }) => {
+      await screenshot('landing-hero');
+
+      await page.evaluate(() => window.scrollTo(0, 800));
+      await sleep(1000);
+      await screenshot('landing-features');
+
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      await sleep(1000);
+    },
+    screenshot: 'landing-cta',
+  },
+];
+
 
 // ════════════════════════════════════════════════════
 //  MAIN
 // ════════════════════════════════════════════════════
 
 async function main() {
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  const rec = new SceneRecorder({ outputDir: OUTPUT_DIR });
 
   console.log(`
 ============================================================
@@ -198,352 +508,35 @@ async function main() {
 
   // ── Launch Browser ──
   console.log('[Browser] Launching Chromium...');
-  const browser = await chromium.launch({
-    headless: false,
-    args: ['--window-size=1920,1080'],
-  });
+  const browser = await chromium.launch(launchOptions(config.DEMO_HEADLESS));
   const context = await browser.newContext({
     viewport: { width: 1920, height: 1080 },
     recordVideo: { dir: OUTPUT_DIR, size: { width: 1920, height: 1080 } },
   });
   const page = await context.newPage();
+  rec.start(page);
 
-  const GOTO = { waitUntil: 'domcontentloaded', timeout: 60000 };
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT I — BEFORE STATE (Empty Platform Tour)  ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n━━━ ACT I: BEFORE STATE ━━━\n');
-
-  // ════════════════════════════════════════
-  //  Scene 1: Login
-  // ════════════════════════════════════════
-  console.log('[Scene 1] Login as Nexus Corp Admin');
-  await page.goto(`${FRONTEND_URL}/auth/login`, GOTO);
-  await page.waitForTimeout(3000);
-  await screenshot(page, 'login-page');
-
-  await page.locator('#email').fill(USER_EMAIL);
-  await page.waitForTimeout(400);
-  await page.locator('#password').fill(USER_PASSWORD);
-  await page.waitForTimeout(500);
-  await screenshot(page, 'login-filled');
-
-  await page.locator('button[type="submit"]').click();
-  await page.waitForURL('**/dashboard**', { timeout: 30000 });
-  await page.waitForTimeout(2500);
-  await screenshot(page, 'after-login');
-
-
-  // ════════════════════════════════════════
-  //  Scene 2: Mission Control — Empty
-  // ════════════════════════════════════════
-  console.log('[Scene 2] Mission Control — Empty');
-  // Use sidebar nav (client-side) to preserve Zustand auth state
-  // Full page.goto('/') loses Zustand store → redirects to /landing
-  await page.getByText('Mission Control').first().click();
-  await page.waitForTimeout(3000);
-  await screenshot(page, 'mission-control-BEFORE');
-
-
-  // ════════════════════════════════════════
-  //  Scene 3: Adapters — No Connections
-  // ════════════════════════════════════════
-  console.log('[Scene 3] Adapters — No Connections');
-  await page.goto(`${FRONTEND_URL}/dashboard/adapters`, GOTO);
-  await page.waitForTimeout(2000);
-  await screenshot(page, 'adapters-BEFORE');
-
-
-  // ════════════════════════════════════════
-  //  Scene 4: Projects — Empty List
-  // ════════════════════════════════════════
-  console.log('[Scene 4] Projects — Empty');
-  await page.goto(`${FRONTEND_URL}/projects`, GOTO);
-  await page.waitForTimeout(2000);
-  await screenshot(page, 'projects-BEFORE');
-
-
-  // ════════════════════════════════════════
-  //  Scene 5: Provenance — No Chains
-  // ════════════════════════════════════════
-  console.log('[Scene 5] Provenance — No Chains');
-  await page.goto(`${FRONTEND_URL}/dashboard/provenance`, GOTO);
-  await page.waitForTimeout(2500);
-  await screenshot(page, 'provenance-BEFORE');
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT II — CONFIGURE & OPERATE                ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n━━━ ACT II: CONFIGURE & OPERATE ━━━\n');
-
-  // ════════════════════════════════════════
-  //  Scene 6: Connect Workspace Adapters
-  // ════════════════════════════════════════
-  console.log('[Scene 6] Connect Workspace Adapters');
-  await page.goto(`${FRONTEND_URL}/dashboard/adapters`, GOTO);
-  await page.waitForTimeout(2000);
-
-  // Connect Vercel
-  console.log('  Connecting Vercel...');
-  await connectPlatform(page, 'Vercel', 'Nexus Corp Production', VERCEL_TOKEN);
-  await page.waitForTimeout(1000);
-
-  // Connect Figma
-  console.log('  Connecting Figma...');
-  await connectPlatform(page, 'Figma', 'Shared Design System', FIGMA_TOKEN);
-  await page.waitForTimeout(1000);
-
-  // Connect Notion
-  console.log('  Connecting Notion...');
-  await connectPlatform(page, 'Notion', 'Nexus Corp Docs', NOTION_TOKEN);
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'adapters-connected');
-
-  // Configure webhook secrets
-  console.log('  Configuring webhook secrets...');
-  await page.evaluate(() => window.scrollTo(0, 0));
-  await page.waitForTimeout(500);
-
-  await setWebhookSecret(page, 'Vercel', VERCEL_SECRET);
-  await page.waitForTimeout(800);
-  await setWebhookSecret(page, 'Figma', FIGMA_SECRET);
-  await page.waitForTimeout(800);
-
-  await page.evaluate(() => window.scrollTo(0, 0));
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'adapters-webhooks-configured');
-
-
-  // ════════════════════════════════════════
-  //  Scene 7: Create Project & Bind Workspaces
-  // ════════════════════════════════════════
-  console.log('[Scene 7] Create Project & Bind Workspaces');
-
-  const connections = await apiCall('GET', '/adapters/connections', null, jwt);
-  const vercelConn = (connections || []).find(c => c.platform === 'vercel');
-  const figmaConn  = (connections || []).find(c => c.platform === 'figma');
-  const notionConn = (connections || []).find(c => c.platform === 'notion');
-
-  console.log(`  Connections: Vercel=${vercelConn?.id?.substring(0,8)}, Figma=${figmaConn?.id?.substring(0,8)}, Notion=${notionConn?.id?.substring(0,8)}`);
-
-  // Create project
-  const project = await apiCall('POST', '/projects', {
-    repo_full_name: 'nexuscorp/shared-auth-lib',
-    title: 'shared-auth-lib',
-    description: 'Cross-company authentication library — critical production dependency',
-    tags: ['security', 'auth', 'shared', 'critical'],
-  }, jwt);
-  const projectId = project?.id;
-  console.log(`  Project: ${projectId ? projectId.substring(0, 8) + '...' : 'FAILED'}`);
-
-  // Bind workspaces (creates provenance chains)
-  let vercelChainId;
-  if (projectId && vercelConn) {
-    const binding = await apiCall('POST', `/projects/${projectId}/workspaces`, {
-      connection_id: vercelConn.id, label: 'Production Deployments',
-    }, jwt);
-    vercelChainId = binding?.chain_id;
-    console.log(`  Vercel → chain ${vercelChainId?.substring(0, 8) || 'N/A'}`);
-  }
-  if (projectId && notionConn) {
-    const binding = await apiCall('POST', `/projects/${projectId}/workspaces`, {
-      connection_id: notionConn.id, label: 'Incident Runbooks',
-    }, jwt);
-    console.log(`  Notion → chain ${binding?.chain_id?.substring(0, 8) || 'N/A'}`);
-  }
-  if (projectId && figmaConn) {
-    const binding = await apiCall('POST', `/projects/${projectId}/workspaces`, {
-      connection_id: figmaConn.id, label: 'Security Diagrams',
-    }, jwt);
-    console.log(`  Figma → chain ${binding?.chain_id?.substring(0, 8) || 'N/A'}`);
-  }
-
-  // Show project with bound workspaces (0 events yet)
-  if (projectId) {
-    await page.goto(`${FRONTEND_URL}/projects/${projectId}`, GOTO);
-    await page.waitForTimeout(2000);
-    await page.getByRole('tab', { name: /Workspaces/ }).click();
-    await page.waitForTimeout(2000);
-    await screenshot(page, 'project-workspaces-BEFORE');
-  }
-
-
-  // ════════════════════════════════════════
-  //  Scene 8: Webhook Events (API-only, no browser)
-  // ════════════════════════════════════════
-  console.log('[Scene 8] Platform Events Flow In (Webhooks)');
-  console.log('  Scenario: CVE-2026-4821 — Cross-platform incident response\n');
-
-  if (vercelConn) {
-    console.log('  [T+0s]   Vercel: deployment.created (pre-patch baseline)');
-    const payload = JSON.stringify({
-      type: 'deployment.created',
-      payload: { url: 'shared-auth-lib-main.nexuscorp.vercel.app', name: 'shared-auth-lib',
-        meta: { gitBranch: 'main', gitCommit: 'a1b2c3d' } },
-    });
-    const sig = hmacSha1(VERCEL_SECRET, payload);
-    const { status } = await rawWebhook(`/adapters/webhooks/vercel/${vercelConn.id}`, payload, { 'x-vercel-signature': sig });
-    console.log(`           → ${status === 200 ? 'Verified ✓' : 'FAILED ' + status} (HMAC-SHA1)`);
-  }
-  await sleep(1000);
-
-  if (figmaConn) {
-    console.log('  [T+2s]   Figma: FILE_UPDATE (security architecture diagram)');
-    const payload = JSON.stringify({
-      event_type: 'FILE_UPDATE', file_key: 'sec-arch-2026',
-      file_name: 'Security Architecture — shared-auth-lib',
-      triggered_by: { id: 'meridian-admin', handle: 'meridian-admin' },
-    });
-    const sig = hmacSha256(FIGMA_SECRET, payload);
-    const { status } = await rawWebhook(`/adapters/webhooks/figma/${figmaConn.id}`, payload, { 'x-figma-signature': sig });
-    console.log(`           → ${status === 200 ? 'Verified ✓' : 'FAILED ' + status} (HMAC-SHA256)`);
-  }
-  await sleep(1000);
-
-  if (vercelChainId) {
-    console.log('  [T+4s]   HUMAN: nexus-admin instructs on chain');
-    const result = await apiCall('POST', `/users/me/chains/${vercelChainId}/instruct`, {
-      instruction: 'HOLD all deployments of shared-auth-lib until the RCE patch passes SAST and DAST scans. This is CVE-2026-4821 — production-critical.',
-      scope: 'until_resolved',
-    }, jwt);
-    console.log(`           → ${result ? 'Instruction recorded (liability event) ✓' : 'FAILED'}`);
-  }
-  await sleep(1000);
-
-  if (vercelConn) {
-    console.log('  [T+6s]   Vercel: deployment.ready (patched v3.3.0)');
-    const payload = JSON.stringify({
-      type: 'deployment.ready',
-      payload: { url: 'shared-auth-lib-v3.3.0.nexuscorp.vercel.app', name: 'shared-auth-lib',
-        meta: { gitBranch: 'fix/cve-2026-4821', gitCommit: 'd4e5f6g' } },
-    });
-    const sig = hmacSha1(VERCEL_SECRET, payload);
-    const { status } = await rawWebhook(`/adapters/webhooks/vercel/${vercelConn.id}`, payload, { 'x-vercel-signature': sig });
-    console.log(`           → ${status === 200 ? 'Verified ✓' : 'FAILED ' + status} (HMAC-SHA1)`);
-  }
-  await sleep(1000);
-
-  if (figmaConn) {
-    console.log('  [T+8s]   Figma: FILE_VERSION_UPDATE (diagram finalized)');
-    const payload = JSON.stringify({
-      event_type: 'FILE_VERSION_UPDATE', file_key: 'sec-arch-2026',
-      file_name: 'Security Architecture — shared-auth-lib v3.3.0',
-      triggered_by: { id: 'meridian-admin', handle: 'meridian-admin' },
-    });
-    const sig = hmacSha256(FIGMA_SECRET, payload);
-    const { status } = await rawWebhook(`/adapters/webhooks/figma/${figmaConn.id}`, payload, { 'x-figma-signature': sig });
-    console.log(`           → ${status === 200 ? 'Verified ✓' : 'FAILED ' + status} (HMAC-SHA256)`);
-  }
-  console.log('');
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  ACT III — AFTER STATE (Same Pages, New Data) ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n━━━ ACT III: AFTER STATE ━━━\n');
-
-  // ════════════════════════════════════════
-  //  Scene 9: Project — Workspaces (Now With Events)
-  // ════════════════════════════════════════
-  console.log('[Scene 9] Project Workspaces — AFTER');
-  if (projectId) {
-    await page.goto(`${FRONTEND_URL}/projects/${projectId}`, GOTO);
-    await page.waitForTimeout(2000);
-    await page.getByRole('tab', { name: /Workspaces/ }).click();
-    await page.waitForTimeout(2500);
-    await screenshot(page, 'project-workspaces-AFTER');
-  }
-
-
-  // ════════════════════════════════════════
-  //  Scene 10: Project — Audit Trail
-  // ════════════════════════════════════════
-  console.log('[Scene 10] Project Audit Trail — AFTER');
-  if (projectId) {
-    await page.getByRole('tab', { name: /Audit Trail/ }).click();
-    await page.waitForTimeout(2500);
-    await screenshot(page, 'project-audit-trail');
-
-    await page.evaluate(() => window.scrollTo(0, 400));
-    await page.waitForTimeout(1000);
-    await screenshot(page, 'project-audit-trail-scroll');
-  }
-
-
-  // ════════════════════════════════════════
-  //  Scene 11: Provenance — AFTER
-  // ════════════════════════════════════════
-  console.log('[Scene 11] Provenance — AFTER');
-  await page.goto(`${FRONTEND_URL}/dashboard/provenance`, GOTO);
-  await page.waitForTimeout(3000);
-  await screenshot(page, 'provenance-overview-AFTER');
-
-  // Chains tab
-  await page.locator('nav[aria-label="Tabs"] button').filter({ hasText: 'Chains' }).click();
-  await page.waitForTimeout(2500);
-  await screenshot(page, 'provenance-chains-AFTER');
-
-  // Expand first chain
   try {
-    const firstChainButton = page.locator('button.w-full.text-left').first();
-    if (await firstChainButton.count() > 0) {
-      await firstChainButton.click();
-      await page.waitForTimeout(2500);
-      await screenshot(page, 'provenance-chain-expanded');
-    }
-  } catch (err) {
-    console.log('  (Could not expand chain row:', err.message, ')');
+    await rec.run(SCENES, { state: { jwt } });
+  } finally {
+    rec.report();
+    rec.finish();
   }
 
 
-  // ════════════════════════════════════════
-  //  Scene 12: Mission Control — AFTER
-  // ════════════════════════════════════════
-  console.log('[Scene 12] Mission Control — AFTER');
-  // Use sidebar nav (client-side) to preserve Zustand auth state
-  await page.getByText('Mission Control').first().click();
-  await page.waitForTimeout(3000);
-  await screenshot(page, 'mission-control-AFTER');
-
-
-  // ╔═══════════════════════════════════════════════╗
-  // ║  EPILOGUE — Landing Page                      ║
-  // ╚═══════════════════════════════════════════════╝
-
-  console.log('\n━━━ EPILOGUE ━━━\n');
-
-  // ════════════════════════════════════════
-  //  Scene 13: Landing Page
-  // ════════════════════════════════════════
-  console.log('[Scene 13] Landing Page');
-  await page.goto(`${FRONTEND_URL}/landing`, GOTO);
-  await page.waitForTimeout(2000);
-  await screenshot(page, 'landing-hero');
-
-  await page.evaluate(() => window.scrollTo(0, 800));
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'landing-features');
-
-  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-  await page.waitForTimeout(1000);
-  await screenshot(page, 'landing-cta');
-
-
   // ════════════════════════════════════════
   //  Done — Keep browser open
   // ════════════════════════════════════════
   console.log(`
 ============================================================
-  Recording complete: ${screenshotCount} screenshots
+  Recording complete: ${rec.screenshots.length} screenshots
   Output: ${OUTPUT_DIR}
 
-  Browser is still open. Press Ctrl+C to close.
+  Browser is still open. Press Ctrl+C to close (the video is
+  finished then); node post-production.js recording-platform
+  makes the MP4 with chapters, thumbnails and manifest.json;
+  node visual-regression.js check recording-platform compares
+  the screenshots with the approved baselines.
 ============================================================
 `);
 
@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Post-Production
+ *
+ * Turns a recording directory (recording-infra-en/, recording-live-zh/,
+ * recording-platform/ …) into publishable files, with ffmpeg:
+ *
+ *   1. concat     Playwright writes one .webm per page; the fragments are
+ *                 joined in creation order
+ *   2. trim       idle head and tail (a frozen picture before the first and
+ *                 after the last change, ffmpeg freezedetect) are cut, keeping
+ *                 padMs of each
+ *   3. subtitles  the recorder's subtitles.json (subtitle-tracks.js), shifted
+ *                 by the trim: .vtt/.srt sidecars per language, muxed into the
+ *                 MP4 as soft tracks (a DEMO_SUBTITLES=tracks recording) or
+ *                 burned in (--subtitles burn --burn-lang zh)
+ *   4. chapters   the ACT / Scene boundaries the recorder logged (ChapterLog →
+ *                 chapters.json) become MP4 chapter metadata
+ *   5. thumbnails a 480px JPEG of every numbered screenshot (NN-name.png)
+ *   6. manifest   manifest.json: every output file with its role, size and
+ *                 SHA-256, the trim, the chapters and the subtitle tracks
+ *
+ * Outputs go into the recording directory, named after it:
+ *   <dir>/<name>.mp4, <name>.<lang>.vtt / .srt, thumbnails/NN-name.jpg, manifest.json
+ *
+ * The recorders mark scenes with a ChapterLog, which also prints the
+ * boundaries they used to print by hand:
+ *
+ *   const chapters = new ChapterLog();
+ *   chapters.start();                         // with SubtitleTrack#start, after newPage()
+ *   chapters.act('ACT I: LOGIN & PLATFORM OVERVIEW');
+ *   chapters.scene('Scene 1', 'Login');
+ *   chapters.write(OUTPUT_DIR);
+ *
+ * Usage:
+ *   node post-production.js <recording-dir>... [--subtitles auto|mux|burn|none]
+ *                           [--burn-lang <lang>] [--no-trim]
+ *
+ * Settings (config.js): FFMPEG_PATH (default: ffmpeg on PATH)
+ */
+
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { toVtt, toSrt } = require('./subtitle-tracks');
+
+const SUBTITLE_MODES = ['auto', 'mux', 'burn', 'none'];
+const LANG_CODES = { en: 'eng', zh: 'chi', ja: 'jpn' }; // ISO 639-2, as MP4 stores them
+const MIN_CHAPTER_MS = 1000;
+const EDGE_MS = 100; // a freeze this close to either end counts as touching it
+const SCREENSHOT = /^\d+-.+\.png$/;
+
+class PostProductionError extends Error {
+  constructor(message, { dir, stage } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.dir = dir;
+    this.stage = stage;
+  }
+}
+
+
+// ── Chapter log (recorders) ──
+
+class ChapterLog {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    this.t0 = null;
+    this.marks = [];
+  }
+
+  /** Mark the start of the video; boundaries are relative to it. */
+  start() {
+    this.t0 = this.now();
+  }
+
+  mark(level, title) {
+    if (this.t0 !== null) this.marks.push({ level, title, start: this.now() - this.t0 });
+  }
+
+  act(title) {
+    console.log(`\n━━━ ${title} ━━━\n`);
+    this.mark('act', title);
+  }
+
+  scene(label, title) {
+    console.log(`[${label}] ${title}`);
+    this.mark('scene', `${label}: ${title}`);
+  }
+
+  write(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'chapters.json'), JSON.stringify({ marks: this.marks }, null, 2) + '\n');
+  }
+}
+
+
+// ── Timeline ──
+
+/**
+ * Where to cut: { startMs, endMs } from the freezes found by analyze().
+ * A freeze from the very start ends the head, one running to the very end
+ * starts the tail; padMs of each is kept.
+ */
+function idleBounds({ durationMs, freezes }, { padMs = 500 } = {}) {
+  let startMs = 0, endMs = durationMs;
+  const head = freezes.find(f => f.start <= EDGE_MS);
+  if (head && head.end !== null) startMs = Math.max(0, head.end - padMs);
+  const tail = freezes.find(f => f.start > startMs && (f.end === null || f.end >= durationMs - EDGE_MS));
+  if (tail) endMs = Math.min(durationMs, tail.start + padMs);
+  return { startMs, endMs: Math.max(endMs, startMs) };
+}
+
+/** Cues moved onto the trimmed timeline; what falls outside it is dropped or clipped. */
+function shiftCues(cues, { startMs, endMs }) {
+  return cues
+    .map(c => ({ ...c, start: Math.max(c.start, startMs) - startMs, end: Math.min(c.end, endMs) - startMs }))
+    .filter(c => c.end > c.start);
+}
+
+/**
+ * Chapter marks → [{ title, start, end }] on the trimmed timeline. Each
+ * chapter runs to the next mark; one shorter than MIN_CHAPTER_MS (an ACT
+ * heading immediately followed by its first scene) is dropped.
+ */
+function chapterList(marks, { startMs, endMs }) {
+  const durationMs = endMs - startMs;
+  const shifted = marks.map(m => ({ title: m.title, start: Math.min(Math.max(m.start - startMs, 0), durationMs) }));
+  const chapters = shifted.map((m, i) => ({ ...m, end: i + 1 < shifted.length ? shifted[i + 1].start : durationMs }))
+    .filter(c => c.end - c.start >= MIN_CHAPTER_MS);
+  // Chapters must tile the video: the first starts at 0, each ends where the next begins
+  return chapters.map((c, i) => ({ ...c, start: i === 0 ? 0 : c.start, end: i + 1 < chapters.length ? chapters[i + 1].start : durationMs }));
+}
+
+/** [{ title, start, end }] → an FFMETADATA1 file (ms timebase). */
+function ffmetadata(chapters) {
+  const escape = s => String(s).replace(/[=;#\\\n]/g, c => `\\${c}`);
+  return [';FFMETADATA1', ...chapters.flatMap(c => [
+    '[CHAPTER]', 'TIMEBASE=1/1000', `START=${Math.round(c.start)}`, `END=${Math.round(c.end)}`, `title=${escape(c.title)}`,
+  ])].join('\n') + '\n';
+}
+
+
+// ── ffmpeg ──
+
+/** Run ffmpeg → { stdout, stderr }; PostProductionError when it is missing or fails. */
+function ffmpeg(args, { cwd, stage } = {}) {
+  // Read per call: the CLI's config (--ffmpeg-path, .env) is loaded after this module
+  const bin = process.env.FFMPEG_PATH || 'ffmpeg';
+  const res = spawnSync(bin, ['-hide_banner', '-nostdin', ...args], { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  if (res.error && res.error.code === 'ENOENT') {
+    throw new PostProductionError(`ffmpeg not found (${bin}) — install it or set FFMPEG_PATH`, { stage });
+  }
+  if (res.error || res.status !== 0) {
+    const detail = String(res.stderr || (res.error && res.error.message) || '').trim().split('\n').slice(-3).join(' | ');
+    throw new PostProductionError(`ffmpeg (${stage}) failed: ${detail}`, { stage });
+  }
+  return { stdout: res.stdout, stderr: res.stderr };
+}
+
+/**
+ * Decode `file` once for its duration and frozen stretches (Playwright's
+ * WebM carries no duration, so it is read off the progress output).
+ */
+function analyze(file, { noise = '-60dB', minIdleMs = 1500 } = {}) {
+  const { stdout, stderr } = ffmpeg([
+    '-nostats', '-i', file, '-map', '0:v:0', '-vf', `freezedetect=n=${noise}:d=${minIdleMs / 1000}`,
+    '-f', 'null', '-progress', 'pipe:1', '-',
+  ], { stage: 'analyze' });
+  return parseAnalysis(stdout, stderr);
+}
+
+/** Progress output (stdout) + freezedetect log (stderr) → { durationMs, freezes: [{ start, end }] } in ms. */
+function parseAnalysis(progress, log) {
+  const times = [...progress.matchAll(/^out_time_us=(\d+)/gm)].map(m => Number(m[1]) / 1000);
+  const durationMs = times.length ? Math.round(times[times.length - 1]) : 0;
+  const freezes = [];
+  for (const m of log.matchAll(/freeze_(start|end): ([\d.]+)/g)) {
+    const ms = Math.round(parseFloat(m[2]) * 1000);
+    if (m[1] === 'start') freezes.push({ start: ms, end: null });
+    else if (freezes.length) freezes[freezes.length - 1].end = ms;
+  }
+  return { durationMs, freezes };
+}
+
+
+// ── Pipeline ──
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new PostProductionError(`Unreadable ${path.basename(file)}: ${err.message}`, { dir: path.dirname(file), stage: 'load' });
+  }
+}
+
+function sha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Playwright's page videos in `dir`, in the order the pages were opened.
+ * Playwright creates each file with its page and writes it until the page
+ * closes, so the creation (birth) time orders them — the modification time
+ * would order them by when they were closed. Where the file system records
+ * no birth time, the modification time is the fallback.
+ */
+function videoFragments(dir) {
+  return fs.readdirSync(dir).filter(f => f.endsWith('.webm'))
+    .map(f => {
+      const st = fs.statSync(path.join(dir, f));
+      return { file: path.join(dir, f), created: st.birthtimeMs || st.mtimeMs };
+    })
+    .sort((a, b) => a.created - b.created || a.file.localeCompare(b.file))
+    .map(f => f.file);
+}
+
+/**
+ * Produce <dir>/<name>.mp4 and friends (see the header); resolves with the
+ * manifest. opts: subtitles — auto (mux a tracks-mode recording's tracks,
+ * leave a burned-in one alone) | mux | burn | none; burnLang (default: the
+ * recording's language); trim (default true); padMs; thumbWidth; log(icon, msg).
+ */
+async function postProduce(dir, { subtitles = 'auto', burnLang = null, trim = true, padMs = 500, thumbWidth = 480, log = () => {} } = {}) {
+  if (!SUBTITLE_MODES.includes(subtitles)) throw new PostProductionError(`Unknown subtitle mode ${subtitles} (expected ${SUBTITLE_MODES.join(', ')})`, { dir });
+  dir = path.resolve(dir); // the encode runs in the work directory
+  const name = path.basename(dir);
+  const fragments = videoFragments(dir);
+  if (!fragments.length) throw new PostProductionError(`No .webm recording in ${dir}`, { dir, stage: 'concat' });
+
+  const work = fs.mkdtempSync(path.join(dir, '.post-'));
+  const outputs = []; // { file, role, lang? }
+  try {
+    // 1. concat
+    let source = fragments[0];
+    if (fragments.length > 1) {
+      const list = path.join(work, 'fragments.txt');
+      fs.writeFileSync(list, fragments.map(f => `file '${f.replace(/'/g, "'\\''")}'`).join('\n') + '\n');
+      source = path.join(work, 'concat.webm');
+      ffmpeg(['-y', '-f', 'concat', '-safe', '0', '-i', list, '-c', 'copy', source], { stage: 'concat' });
+      log('✓', `Joined ${fragments.length} page fragments`);
+    }
+
+    // 2. trim
+    const analysis = analyze(source);
+    const bounds = trim ? idleBounds(analysis, { padMs }) : { startMs: 0, endMs: analysis.durationMs };
+    if (bounds.startMs || bounds.endMs < analysis.durationMs) {
+      log('✓', `Trimmed ${(bounds.startMs / 1000).toFixed(1)}s idle head, ${((analysis.durationMs - bounds.endMs) / 1000).toFixed(1)}s idle tail`);
+    }
+
+    // 3. subtitles
+    const track = readJson(path.join(dir, 'subtitles.json'));
+    const languages = track ? track.languages || [track.lang] : [];
+    const mode = !track ? 'none' : subtitles === 'auto' ? (track.mode === 'tracks' ? 'mux' : 'none') : subtitles;
+    const srtFiles = {};
+    for (const lang of languages) {
+      const cues = shiftCues(track.cues.map(c => ({ ...c, text: (c.text && c.text[lang]) || c.key })), bounds);
+      const vtt = path.join(dir, `${name}.${lang}.vtt`);
+      const srt = path.join(dir, `${name}.${lang}.srt`);
+      fs.writeFileSync(vtt, toVtt(cues));
+      fs.writeFileSync(srt, toSrt(cues));
+      outputs.push({ file: vtt, role: 'subtitles', lang }, { file: srt, role: 'subtitles', lang });
+      srtFiles[lang] = srt;
+    }
+    const burn = mode === 'burn' ? burnLang || track.lang : null;
+    if (burn && !srtFiles[burn]) throw new PostProductionError(`No ${burn} subtitle track to burn in (have: ${languages.join(', ') || 'none'})`, { dir, stage: 'subtitles' });
+    const muxed = mode === 'mux' ? languages : [];
+
+    // 4. chapters
+    const marks = (readJson(path.join(dir, 'chapters.json')) || {}).marks || [];
+    const chapters = chapterList(marks, bounds);
+    const metaFile = path.join(work, 'chapters.txt');
+    if (chapters.length) fs.writeFileSync(metaFile, ffmetadata(chapters));
+
+    // Encode: trimmed source + chapters + soft subtitle tracks (or one burned in)
+    const mp4 = path.join(dir, `${name}.mp4`);
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const args = ['-y', '-ss', seconds(bounds.startMs), '-to', seconds(bounds.endMs), '-i', source];
+    const maps = ['-map', '0:v:0'];
+    let input = 1;
+    if (chapters.length) {
+      args.push('-f', 'ffmetadata', '-i', metaFile);
+      maps.push('-map_metadata', String(input), '-map_chapters', String(input));
+      input++;
+    }
+    muxed.forEach((lang, i) => {
+      args.push('-i', srtFiles[lang]);
+      maps.push('-map', `${input++}:0`, `-metadata:s:s:${i}`, `language=${LANG_CODES[lang] || lang}`, `-metadata:s:s:${i}`, `title=${lang}`);
+    });
+    if (burn) {
+      // The subtitles filter parses its argument: a plain name in the working directory needs no escaping
+      fs.copyFileSync(srtFiles[burn], path.join(work, 'burn.srt'));
+    }
+    ffmpeg([
+      ...args, ...maps,
+      ...(burn ? ['-vf', 'subtitles=burn.srt'] : []),
+      '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-preset', 'fast', '-crf', '20',
+      ...(muxed.length ? ['-c:s', 'mov_text'] : []),
+      '-movflags', '+faststart', mp4,
+    ], { cwd: work, stage: 'encode' });
+    outputs.unshift({ file: mp4, role: 'video' });
+    log('✓', `${path.basename(mp4)} (${seconds(bounds.endMs - bounds.startMs)}s, ${chapters.length} chapters${muxed.length ? `, subtitles ${muxed.join('/')}` : ''}${burn ? `, ${burn} burned in` : ''})`);
+
+    // 5. thumbnails
+    const shots = fs.readdirSync(dir).filter(f => SCREENSHOT.test(f)).sort();
+    const thumbs = [];
+    if (shots.length) fs.mkdirSync(path.join(dir, 'thumbnails'), { recursive: true });
+    for (const shot of shots) {
+      const thumb = path.join(dir, 'thumbnails', shot.replace(/\.png$/, '.jpg'));
+      ffmpeg(['-y', '-i', path.join(dir, shot), '-vf', `scale=${thumbWidth}:-2`, '-q:v', '4', thumb], { stage: 'thumbnails' });
+      outputs.push({ file: thumb, role: 'thumbnail', screenshot: shot });
+      thumbs.push(thumb);
+    }
+    if (thumbs.length) log('✓', `${thumbs.length} thumbnails`);
+
+    // 6. manifest
+    const manifest = {
+      name,
+      generated_at: new Date().toISOString(),
+      sources: fragments.map(f => path.basename(f)),
+      video: {
+        file: path.basename(mp4),
+        duration_ms: bounds.endMs - bounds.startMs,
+        trimmed: { head_ms: bounds.startMs, tail_ms: analysis.durationMs - bounds.endMs },
+      },
+      subtitles: { mode, muxed, burned: burn, languages },
+      chapters,
+      files: outputs.map(({ file, ...meta }) => ({
+        path: path.relative(dir, file).split(path.sep).join('/'), ...meta, bytes: fs.statSync(file).size, sha256: sha256(file),
+      })),
+    };
+    const manifestFile = path.join(dir, 'manifest.json');
+    const tmp = `${manifestFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n');
+    fs.renameSync(tmp, manifestFile);
+    return manifest;
+  } catch (err) {
+    if (err instanceof PostProductionError && !err.dir) err.dir = dir;
+    throw err;
+  } finally {
+    fs.rmSync(work, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Orchestrator step (after `record`): post-produce each directory
+ * `dirs(ctx)` returns. A recording that fails here keeps its WebM and is
+ * reported; the run does not fail over it.
+ */
+function postProduction(dirs, opts = {}) {
+  return {
+    name: 'postProduce',
+    title: 'Post-Produce Recordings',
+    deps: ['record'],
+    async run(ctx) {
+      const produced = {};
+      for (const dir of dirs(ctx).filter(d => ctx.dryRun || fs.existsSync(d))) {
+        const name = path.basename(dir);
+        if (ctx.dryRun) {
+          ctx.log('·', `[dry-run] post-produce ${name} → ${name}/${name}.mp4, manifest.json`);
+          continue;
+        }
+        try {
+          const manifest = await postProduce(dir, { ...opts, log: (icon, msg) => ctx.log(icon, `${name}: ${msg}`) });
+          produced[name] = { ok: true, video: manifest.video.file, files: manifest.files.length };
+        } catch (err) {
+          ctx.log('⚠', `${name}: ${err.message} — the WebM recording is kept`);
+          produced[name] = { ok: false, error: err.message };
+        }
+      }
+      return { produced };
+    },
+  };
+}
+
+module.exports = {
+  PostProductionError, ChapterLog, postProduce, postProduction,
+  idleBounds, shiftCues, chapterList, ffmetadata, parseAnalysis, videoFragments,
+};
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const args = [...config.argv];
+  const opts = {};
+  const dirs = [];
+  while (args.length) {
+    const arg = args.shift();
+    if (arg === '--subtitles') opts.subtitles = args.shift();
+    else if (arg === '--burn-lang') opts.burnLang = args.shift();
+    else if (arg === '--no-trim') opts.trim = false;
+    else if (arg.startsWith('--')) {
+      console.error(`  FATAL: Unknown option ${arg}`);
+      process.exit(1);
+    } else dirs.push(arg);
+  }
+  if (!dirs.length) {
+    console.error('  Usage: node post-production.js <recording-dir>... [--subtitles auto|mux|burn|none]');
+    console.error('                                 [--burn-lang <lang>] [--no-trim]');
+    process.exit(1);
+  }
+
+  (async () => {
+    let failed = 0;
+    for (const dir of dirs) {
+      console.log(`\n  ── ${dir} ──`);
+      try {
+        const manifest = await postProduce(dir, { ...opts, log: (icon, msg) => console.log(`  ${icon} ${msg}`) });
+        console.log(`  ✓ manifest.json (${manifest.files.length} files)`);
+      } catch (err) {
+        console.error(`  ✗ ${err.message}`);
+        failed++;
+      }
+    }
+    if (failed) process.exit(1);
+  })().catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
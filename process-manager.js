@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Process & Port Manager
+ *
+ * Portable replacement for the PowerShell Get-Process / Get-NetTCPConnection
+ * one-liners the orchestrators used to clear stale servers (they silently did
+ * nothing outside Windows):
+ *
+ *   listenersOnPort(port) — PIDs listening on a TCP port
+ *                           (Linux: /proc/net/tcp + /proc/<pid>/fd, macOS: lsof,
+ *                           Windows: netstat -ano)
+ *   killTree(pid)         — SIGTERM a process, its process group and every
+ *                           descendant, SIGKILL whatever outlives the grace
+ *                           period (Windows: taskkill /T /F)
+ *   killPort(port)        — killTree every listener on the port
+ *
+ * ProcessManager spawns the orchestrators' children. On POSIX each child leads
+ * its own process group, so `shell: true` / npx grandchildren die with it, and
+ * every live child is recorded in a pidfile (OE_RUN_DIR, default .oe-run/ —
+ * gitignored). A run that crashed before cleanup is reaped by the next run's
+ * reapStale(); a PID is only killed if its command line still matches, so a
+ * recycled PID is left alone.
+ *
+ * Usage:
+ *   node process-manager.js port <port...>        list listeners
+ *   node process-manager.js kill-port <port...>   stop listeners and their trees
+ *   node process-manager.js reap <name>           stop children left by a crashed run
+ *                                                 (live-demo, platform-demo, demo-v2)
+ */
+
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const IS_WINDOWS = process.platform === 'win32';
+
+/** Where pidfiles, checkpoints and the resource ledger go; read when used, after config has loaded .env. */
+function runDir() {
+  return process.env.OE_RUN_DIR || path.join(__dirname, '.oe-run');
+}
+
+
+// ── Inspection ──
+
+function run(cmd, args) {
+  try {
+    return execFileSync(cmd, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 });
+  } catch (e) {
+    // lsof exits 1 when nothing matches; its stdout is still the answer
+    return typeof e.stdout === 'string' ? e.stdout : null;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/** Full command line of a process, or null when it cannot be read. */
+function commandLine(pid) {
+  if (IS_WINDOWS) {
+    const out = run('wmic', ['process', 'where', `ProcessId=${pid}`, 'get', 'CommandLine', '/value']);
+    const m = out && out.match(/CommandLine=(.*)/);
+    return m ? m[1].trim() : null;
+  }
+  try {
+    return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ');
+  } catch {
+    const out = run('ps', ['-o', 'command=', '-p', String(pid)]);
+    return out ? out.trim() || null : null;
+  }
+}
+
+/** Map of pid → parent pid for every visible process (POSIX). */
+function parentMap() {
+  const parents = new Map();
+  const out = run('ps', ['-A', '-o', 'pid=,ppid=']);
+  if (out) {
+    for (const line of out.split('\n')) {
+      const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+      if (pid) parents.set(pid, ppid);
+    }
+    return parents;
+  }
+  for (const entry of fs.existsSync('/proc') ? fs.readdirSync('/proc') : []) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      // ppid is the 2nd field after the parenthesized command name
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      parents.set(Number(entry), Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]));
+    } catch { /* exited meanwhile */ }
+  }
+  return parents;
+}
+
+/** Every descendant of `pid`, children before grandchildren. */
+function descendants(pid) {
+  const children = new Map();
+  for (const [child, parent] of parentMap()) {
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(child);
+  }
+  const found = [];
+  const queue = [pid];
+  while (queue.length) {
+    for (const child of children.get(queue.shift()) || []) {
+      found.push(child);
+      queue.push(child);
+    }
+  }
+  return found;
+}
+
+function procNetInodes(port) {
+  const inodes = new Set();
+  for (const file of ['/proc/net/tcp', '/proc/net/tcp6']) {
+    if (!fs.existsSync(file)) continue;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n').slice(1)) {
+      const cols = line.trim().split(/\s+/);
+      if (cols.length < 10 || cols[3] !== '0A') continue; // 0A = LISTEN
+      if (parseInt(cols[1].split(':').pop(), 16) === port) inodes.add(cols[9]);
+    }
+  }
+  return inodes;
+}
+
+/** PIDs with a TCP listener on `port` (never this process). */
+function listenersOnPort(port) {
+  port = Number(port);
+  const pids = new Set();
+
+  if (IS_WINDOWS) {
+    for (const line of (run('netstat', ['-ano', '-p', 'tcp']) || '').split('\n')) {
+      const cols = line.trim().split(/\s+/);
+      if (cols[3] === 'LISTENING' && cols[1] && cols[1].endsWith(`:${port}`)) pids.add(Number(cols[4]));
+    }
+  } else if (fs.existsSync('/proc/net/tcp')) {
+    const inodes = procNetInodes(port);
+    if (inodes.size) {
+      for (const entry of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry)) continue;
+        let fds;
+        try { fds = fs.readdirSync(`/proc/${entry}/fd`); } catch { continue; }
+        for (const fd of fds) {
+          let link;
+          try { link = fs.readlinkSync(`/proc/${entry}/fd/${fd}`); } catch { continue; }
+          const m = link.match(/^socket:\[(\d+)\]$/);
+          if (m && inodes.has(m[1])) { pids.add(Number(entry)); break; }
+        }
+      }
+    }
+    // Sockets owned by other users are invisible in /proc/<pid>/fd; ask lsof
+    if (inodes.size && pids.size === 0) lsofListeners(port).forEach(p => pids.add(p));
+  } else {
+    lsofListeners(port).forEach(p => pids.add(p));
+  }
+
+  pids.delete(process.pid);
+  pids.delete(0);
+  return [...pids];
+}
+
+function lsofListeners(port) {
+  const out = run('lsof', ['-nP', `-iTCP:${port}`, '-sTCP:LISTEN', '-t']) || '';
+  return out.split('\n').map(Number).filter(Boolean);
+}
+
+
+// ── Termination ──
+
+function signal(pid, sig) {
+  try { process.kill(pid, sig); } catch { /* already gone */ }
+}
+
+/** Signal a POSIX tree: the process group led by `pid` (if any) and each pid in `tree`. */
+function signalTree(pid, tree, sig) {
+  signal(-pid, sig);
+  for (const p of tree) signal(p, sig);
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Terminate `pid` and all of its descendants. Resolves with the PIDs that
+ * were signalled once they are gone (or were SIGKILLed after graceMs).
+ */
+async function killTree(pid, { graceMs = 3000 } = {}) {
+  if (IS_WINDOWS) return killTreeSync(pid, { graceMs });
+  const tree = [pid, ...descendants(pid)];
+  signalTree(pid, tree, 'SIGTERM');
+  const deadline = Date.now() + graceMs;
+  while (tree.some(isAlive) && Date.now() < deadline) await new Promise(r => setTimeout(r, 100));
+  if (tree.some(isAlive)) signalTree(pid, tree, 'SIGKILL');
+  return tree;
+}
+
+/** killTree for process 'exit' handlers, where nothing asynchronous runs. */
+function killTreeSync(pid, { graceMs = 1000 } = {}) {
+  if (IS_WINDOWS) {
+    run('taskkill', ['/pid', String(pid), '/T', '/F']);
+    return [pid];
+  }
+  const tree = [pid, ...descendants(pid)];
+  signalTree(pid, tree, 'SIGTERM');
+  for (let waited = 0; tree.some(isAlive) && waited < graceMs; waited += 50) sleepSync(50);
+  if (tree.some(isAlive)) signalTree(pid, tree, 'SIGKILL');
+  return tree;
+}
+
+/** Stop every listener on `port` (with its tree); resolves with the listener PIDs. */
+async function killPort(port, opts = {}) {
+  const pids = listenersOnPort(port);
+  for (const pid of pids) await killTree(pid, opts);
+  return pids;
+}
+
+
+// ── Spawned children ──
+
+class ProcessManager {
+  /** `name` keys the pidfile: <OE_RUN_DIR>/<name>.pids.json */
+  constructor(name, { dir = runDir() } = {}) {
+    this.name = name;
+    this.pidFile = path.join(dir, `${name}.pids.json`);
+    this.children = new Map(); // pid → { child, record }
+  }
+
+  readRecords() {
+    try {
+      return JSON.parse(fs.readFileSync(this.pidFile, 'utf8')).processes || [];
+    } catch {
+      return [];
+    }
+  }
+
+  writeRecords() {
+    const processes = [...this.children.values()].map(c => c.record);
+    if (processes.length === 0) {
+      fs.rmSync(this.pidFile, { force: true });
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.pidFile), { recursive: true });
+    const tmp = `${this.pidFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ owner: process.pid, processes }, null, 2) + '\n');
+    fs.renameSync(tmp, this.pidFile);
+  }
+
+  /**
+   * Kill children recorded by an earlier run that never cleaned up. Returns
+   * the records that were still running.
+   */
+  async reapStale() {
+    const stale = this.readRecords().filter(r => {
+      if (!isAlive(r.pid)) return false;
+      const cmd = commandLine(r.pid);
+      return cmd === null ? IS_WINDOWS : cmd.includes(r.match);
+    });
+    for (const r of stale) await killTree(r.pid);
+    if (this.children.size === 0) fs.rmSync(this.pidFile, { force: true });
+    return stale;
+  }
+
+  /** child_process.spawn, tracked in the pidfile until it exits. */
+  spawn(label, cmd, args = [], opts = {}) {
+    const child = spawn(cmd, args, { detached: !IS_WINDOWS, ...opts });
+    if (!child.pid) return child; // spawn failed; 'error' is emitted on the child
+    const record = {
+      label, pid: child.pid, command: [cmd, ...args].join(' '),
+      match: args.length ? args.join(' ') : cmd, started_at: new Date().toISOString(),
+    };
+    this.children.set(child.pid, { child, record });
+    this.writeRecords();
+    child.on('exit', () => {
+      this.children.delete(child.pid);
+      this.writeRecords();
+    });
+    return child;
+  }
+
+  /** Stop one spawned child (and its tree). */
+  async stop(child, opts) {
+    if (child && child.pid) await killTree(child.pid, opts);
+  }
+
+  async stopAll(opts) {
+    for (const { child } of [...this.children.values()].reverse()) await killTree(child.pid, opts);
+    this.children.clear();
+    this.writeRecords();
+  }
+
+  stopAllSync(opts) {
+    for (const { child } of [...this.children.values()].reverse()) killTreeSync(child.pid, opts);
+    this.children.clear();
+    this.writeRecords();
+  }
+}
+
+module.exports = { ProcessManager, runDir, listenersOnPort, killPort, killTree, killTreeSync, descendants, commandLine, isAlive };
+
+
+// ── CLI ──
+
+if (require.main === module) {
+  const [cmd, ...args] = process.argv.slice(2);
+  (async () => {
+    if (cmd === 'port' && args.length) {
+      for (const port of args) {
+        const pids = listenersOnPort(port);
+        console.log(`  :${port}  ${pids.length ? pids.map(p => `${p} ${commandLine(p) || ''}`.trim()).join('\n         ') : '(free)'}`);
+      }
+    } else if (cmd === 'kill-port' && args.length) {
+      for (const port of args) {
+        const pids = await killPort(port);
+        console.log(`  :${port}  ${pids.length ? `stopped ${pids.join(', ')}` : '(free)'}`);
+      }
+    } else if (cmd === 'reap' && args[0]) {
+      const stale = await new ProcessManager(args[0]).reapStale();
+      console.log(`  ${stale.length ? stale.map(r => `stopped ${r.label} (${r.pid})`).join('\n  ') : 'nothing to reap'}`);
+    } else {
+      console.error('  Usage: node process-manager.js port <port...>');
+      console.error('         node process-manager.js kill-port <port...>');
+      console.error('         node process-manager.js reap <name>');
+      process.exit(1);
+    }
+  })().catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,179 @@
+/**
+ * OpenExecution — Provenance Primitives
+ *
+ * Hash chain + certificate code shared by the walkthrough (which builds
+ * chains) and oe-verify.js (which checks them), so both sides hash exactly
+ * the same fields the same way:
+ *
+ *   event_hash = sha256(canonicalize({ seq, event_type, agent_name, timestamp, payload, prev_hash }))
+ *   chain_hash = sha256(event_hash_1 + ':' + event_hash_2 + ...)
+ *   signature  = Ed25519(canonicalize(certificate without signature/public_key))
+ *   key_id     = first 16 hex chars of sha256(public key DER/SPKI bytes)
+ *   approval   = Ed25519(canonicalize(statement)) by the approver's own key,
+ *                statement = { type, chain_id, challenge, instruction_sha256,
+ *                              approver_id, approver_role, decision, signed_at }
+ *
+ * This file is also committed next to verify.js in provenance/ so the
+ * published verifier runs with nothing but Node.
+ */
+
+const crypto = require('crypto');
+
+const GENESIS = '0'.repeat(64);
+
+/**
+ * JSON with sorted keys. Like JSON.stringify, undefined-valued keys are left
+ * out and undefined array items become null, so a document hashes the same
+ * before and after a JSON round trip.
+ */
+function canonicalize(obj) {
+  if (obj === null || typeof obj !== 'object') return JSON.stringify(obj);
+  if (Array.isArray(obj)) return '[' + obj.map(v => (v === undefined ? 'null' : canonicalize(v))).join(',') + ']';
+  return '{' + Object.keys(obj).filter(k => obj[k] !== undefined).sort()
+    .map(k => JSON.stringify(k) + ':' + canonicalize(obj[k])).join(',') + '}';
+}
+
+function sha256(data) { return crypto.createHash('sha256').update(data).digest('hex'); }
+
+/** Hash of a recorded event (as stored in execution-chain.json). */
+function eventHash(ev) {
+  return sha256(canonicalize({
+    seq: ev.sequence, event_type: ev.event_type, agent_name: ev.agent_name,
+    timestamp: ev.timestamp, payload: ev.payload, prev_hash: ev.prev_hash,
+  }));
+}
+
+function chainHash(events) {
+  return sha256(events.map(e => e.event_hash).join(':'));
+}
+
+/** Stable key ID (fingerprint) of an Ed25519 public key given as DER/SPKI hex. */
+function keyFingerprint(publicKeyHex) {
+  return sha256(Buffer.from(publicKeyHex, 'hex')).slice(0, 16);
+}
+
+/** Whether a keyring entry was valid at an ISO timestamp (valid_until is exclusive). */
+function keyValidAt(key, iso) {
+  const t = Date.parse(iso);
+  if (Number.isNaN(t)) return false;
+  if (key.valid_from && t < Date.parse(key.valid_from)) return false;
+  if (key.valid_until && t >= Date.parse(key.valid_until)) return false;
+  return true;
+}
+
+/** The bytes a certificate (or revocation list) signature covers. */
+function certificateSigningInput(cert) {
+  const { signature, public_key, ...data } = cert;
+  return Buffer.from(canonicalize(data));
+}
+
+/**
+ * The statement an approver signs to authorize an instruction. The role is
+ * signed too, so a role quorum cannot be met by relabelling an approval.
+ */
+function approvalStatement({ chainId, challenge, instruction, approverId, role, decision = 'approve', signedAt }) {
+  return {
+    type: 'oe.approval', chain_id: chainId, challenge, instruction_sha256: sha256(instruction),
+    approver_id: approverId, approver_role: role, decision, signed_at: signedAt,
+  };
+}
+
+/**
+ * Check a recorded approval (instruction_received payload.approval) against
+ * the instruction it authorizes. `directory` (approvers.json) optionally pins
+ * each approver_id to its published public key. Returns { ok, error }.
+ */
+function verifyApproval(approval, { instruction, chainId, directory } = {}) {
+  const fail = error => ({ ok: false, error });
+  if (!approval || !approval.statement || !approval.signature || !approval.public_key) return fail('missing approval signature');
+  const st = approval.statement;
+  if (st.type !== 'oe.approval') return fail(`unexpected statement type ${st.type}`);
+  if (instruction !== undefined && st.instruction_sha256 !== sha256(instruction)) return fail('instruction does not match the signed hash');
+  if (chainId !== undefined && st.chain_id !== chainId) return fail(`signed for chain ${st.chain_id}`);
+  if (st.approver_id !== approval.approver_id) return fail('statement approver_id differs from approval');
+  if (approval.role !== undefined && st.approver_role !== approval.role) return fail(`role ${approval.role} is not the signed role ${st.approver_role}`);
+  if (approval.key_id && approval.key_id !== keyFingerprint(approval.public_key)) return fail('key_id does not match public key');
+  if (directory) {
+    const known = (directory.approvers || []).find(a => a.id === approval.approver_id);
+    if (!known) return fail(`approver ${approval.approver_id} is not in the approver directory`);
+    if (known.public_key !== approval.public_key) return fail(`public key is not the one published for ${approval.approver_id}`);
+    if (known.role !== st.approver_role) return fail(`signed role ${st.approver_role} is not the role published for ${approval.approver_id}`);
+  }
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(approval.public_key, 'hex'), format: 'der', type: 'spki' });
+    const ok = crypto.verify(null, Buffer.from(canonicalize(st)), key, Buffer.from(approval.signature, 'hex'));
+    return ok ? { ok: true } : fail('signature is invalid');
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+
+// ── Chain ──
+
+class Chain {
+  /** opts.onAppend(event) is called after each append (e.g. to push SSE). */
+  constructor(id, opts = {}) {
+    this.id = id; this.events = []; this.status = 'active'; this.chainHash = null;
+    this.onAppend = opts.onAppend || null;
+  }
+  append(type, agent, org, payload, opts = {}) {
+    const seq = this.events.length + 1;
+    const prev = seq === 1 ? GENESIS : this.events[seq - 2].event_hash;
+    const ts = new Date().toISOString();
+    const hash = eventHash({ sequence: seq, event_type: type, agent_name: agent, timestamp: ts, payload, prev_hash: prev });
+    const ev = {
+      sequence: seq, event_type: type, agent_name: agent, organization: org,
+      timestamp: ts, payload, event_hash: hash, prev_hash: prev,
+      ...(opts.authorization ? { authorization_event: true, owner_user_id: opts.ownerId || 'owner-1' } : {}),
+    };
+    this.events.push(ev);
+    if (this.onAppend) this.onAppend(ev);
+    return ev;
+  }
+  resolve() {
+    this.chainHash = chainHash(this.events);
+    this.status = 'resolved';
+    return this.chainHash;
+  }
+}
+
+
+// ── Certificates ──
+
+class CertIssuer {
+  /**
+   * signer.privateKey is an Ed25519 KeyObject (see signing-keys.js). Without
+   * one an ephemeral key is generated, which no keyring will vouch for.
+   */
+  constructor(signer = {}) {
+    if (signer.privateKey) {
+      this.priv = signer.privateKey; this.pub = crypto.createPublicKey(signer.privateKey);
+    } else {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+      this.pub = publicKey; this.priv = privateKey;
+    }
+    this.pubHex = this.pub.export({ type: 'spki', format: 'der' }).toString('hex');
+    this.keyId = keyFingerprint(this.pubHex);
+  }
+  /** opts.supersedes names the certificate this one replaces (see cert-lifecycle.js). */
+  issue(chain, opts = {}) {
+    return this.sign({ version: '1.0', certificate_id: crypto.randomUUID(), chain_id: chain.id,
+      chain_hash: chain.chainHash, event_count: chain.events.length, issued_at: new Date().toISOString(),
+      ...(opts.supersedes ? { supersedes: opts.supersedes } : {}) });
+  }
+  /** Sign any issuer document (certificates, revocation lists) the same way. */
+  sign(doc) {
+    const data = { ...doc, issuer: 'OpenExecution Sovereign', algorithm: 'Ed25519', key_id: this.keyId };
+    const sig = crypto.sign(null, certificateSigningInput(data), this.priv).toString('hex');
+    return { ...data, signature: sig, public_key: this.pubHex };
+  }
+  verify(cert) {
+    return crypto.verify(null, certificateSigningInput(cert), this.pub, Buffer.from(cert.signature, 'hex'));
+  }
+}
+
+module.exports = {
+  GENESIS, canonicalize, sha256, eventHash, chainHash, certificateSigningInput,
+  keyFingerprint, keyValidAt, approvalStatement, verifyApproval, Chain, CertIssuer,
+};
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — External Resource Ledger
+ *
+ * Every object a demo creates outside this machine (GitHub repos, issues and
+ * webhooks; Vercel projects, deployments and webhooks) is appended to
+ * <OE_RUN_DIR>/resources.jsonl the moment its create call returns, and marked
+ * removed once it is torn down. The file is append-only, so what a crashed or
+ * SIGKILLed run left behind is still there for the next cleanup:
+ *
+ *   {"op":"create","key":"github:issue:org/repo/42","provider":"github","type":"issue","id":"42","scope":"org/repo","api":"https://api.github.com","run":"live-demo","label":"[DEMO] CVE-…","at":"…"}
+ *   {"op":"remove","key":"github:issue:org/repo/42","run":"live-demo","note":"closed","at":"…"}
+ *
+ * Teardown per type (a 404 / 410 counts as already gone, so cleanup is
+ * idempotent; GitHub issues cannot be deleted through the API and are closed):
+ *
+ *   github   repo        DELETE /repos/:owner/:repo        (token needs delete_repo)
+ *            issue       PATCH  /repos/:scope/issues/:id   state=closed
+ *            webhook     DELETE /repos/:scope/hooks/:id
+ *   vercel   project     DELETE /v9/projects/:id
+ *            deployment  DELETE /v13/deployments/:id
+ *            webhook     DELETE /v1/webhooks/:id
+ *
+ * An entry created against a loopback API (mock-github-server.js) whose server
+ * is no longer listening is treated as gone with it.
+ *
+ *   const ledger = new ResourceLedger('live-demo');
+ *   ledger.record('github', 'webhook', hook.id, { scope: 'org/repo' });
+ *   await ledger.teardown({ fetch, log });      // this run's outstanding entries
+ *
+ * Usage:
+ *   node resource-ledger.js list [run]       outstanding resources (all runs, or one:
+ *                                            live-demo, infra-walkthrough, setup-repos)
+ *   node resource-ledger.js cleanup [run]    tear them down, then compact the ledger
+ *
+ * Settings (config.js — environment, .env, ...): GITHUB_TOKEN, VERCEL_TOKEN, OE_RUN_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runDir } = require('./process-manager');
+
+const GONE = [404, 410];
+const LOOPBACK = ['localhost', '127.0.0.1', '[::1]'];
+
+class ResourceLedgerError extends Error {
+  constructor(message, { key, status } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.key = key;
+    this.status = status;
+  }
+}
+
+
+// ── Teardown per provider / type ──
+
+function githubRequest(entry, method, apiPath, body) {
+  const token = process.env.GITHUB_TOKEN;
+  return {
+    url: `${(entry.api || process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '')}${apiPath}`,
+    opts: {
+      method,
+      headers: {
+        ...(token ? { Authorization: `token ${token}` } : {}),
+        'User-Agent': 'OpenExecution-Demo',
+        Accept: 'application/vnd.github.v3+json',
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    },
+  };
+}
+
+function vercelRequest(entry, method, apiPath) {
+  if (!process.env.VERCEL_TOKEN) throw new ResourceLedgerError('VERCEL_TOKEN is not set', { key: entry.key });
+  return {
+    url: `${(entry.api || 'https://api.vercel.com').replace(/\/+$/, '')}${apiPath}`,
+    opts: { method, headers: { Authorization: `Bearer ${process.env.VERCEL_TOKEN}` } },
+  };
+}
+
+/** provider → type → entry → { url, opts, note } of the request that removes it. */
+const TEARDOWN = {
+  github: {
+    repo: e => ({ ...githubRequest(e, 'DELETE', `/repos/${e.id}`), note: 'deleted' }),
+    issue: e => ({ ...githubRequest(e, 'PATCH', `/repos/${e.scope}/issues/${e.id}`, { state: 'closed', state_reason: 'not_planned' }), note: 'closed' }),
+    webhook: e => ({ ...githubRequest(e, 'DELETE', `/repos/${e.scope}/hooks/${e.id}`), note: 'deleted' }),
+  },
+  vercel: {
+    project: e => ({ ...vercelRequest(e, 'DELETE', `/v9/projects/${e.id}`), note: 'deleted' }),
+    deployment: e => ({ ...vercelRequest(e, 'DELETE', `/v13/deployments/${e.id}`), note: 'deleted' }),
+    webhook: e => ({ ...vercelRequest(e, 'DELETE', `/v1/webhooks/${e.id}`), note: 'deleted' }),
+  },
+};
+
+function resourceKey(provider, type, id, scope) {
+  return `${provider}:${type}:${scope ? `${scope}/` : ''}${id}`;
+}
+
+
+// ── Ledger ──
+
+class ResourceLedger {
+  /**
+   * `run` tags what this process records (null: a reader for every run, as
+   * the CLI is). opts.dryRun — nothing is written (the orchestrators'
+   * --dry-run; their ctx.fetch only prints the teardown calls).
+   */
+  constructor(run = null, { file = path.join(runDir(), 'resources.jsonl'), dryRun = false } = {}) {
+    this.run = run;
+    this.file = file;
+    this.dryRun = dryRun;
+  }
+
+  append(line) {
+    if (this.dryRun) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const fd = fs.openSync(this.file, 'a+');
+    try {
+      // A crash mid-write leaves a torn last line: start on a fresh one
+      const { size } = fs.fstatSync(fd);
+      const last = Buffer.alloc(1);
+      const torn = size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a;
+      fs.writeSync(fd, `${torn ? '\n' : ''}${JSON.stringify({ ...line, at: new Date().toISOString() })}\n`);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Note a newly created resource; call it as soon as the create call
+   * returns. opts: scope (the owning repo, for issues and GitHub hooks), api
+   * (base URL it was created through), label. Returns the entry.
+   */
+  record(provider, type, id, { scope = null, api = null, label = null } = {}) {
+    if (!TEARDOWN[provider] || !TEARDOWN[provider][type]) throw new ResourceLedgerError(`No teardown for ${provider} ${type}`);
+    if (id === null || id === undefined || id === '') throw new ResourceLedgerError(`${provider} ${type} needs an id`);
+    const entry = { key: resourceKey(provider, type, id, scope), provider, type, id: String(id), scope, api, run: this.run, label };
+    this.append({ op: 'create', ...entry });
+    return entry;
+  }
+
+  /** Mark a resource removed (by whoever removed it); `ref` is an entry or { provider, type, id, scope }. */
+  removed(ref, note = 'removed') {
+    const key = ref.key || resourceKey(ref.provider, ref.type, ref.id, ref.scope);
+    this.append({ op: 'remove', key, run: this.run, note });
+  }
+
+  /** Every entry, last state per key, in creation order; torn lines (a crash mid-write) are skipped. */
+  entries() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const byKey = new Map();
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch { continue; }
+      if (rec.op === 'create') {
+        byKey.delete(rec.key); // re-created: moves to the end
+        byKey.set(rec.key, { ...rec, removed: null });
+      } else if (rec.op === 'remove' && byKey.has(rec.key)) {
+        byKey.get(rec.key).removed = { at: rec.at, note: rec.note };
+      }
+    }
+    return [...byKey.values()];
+  }
+
+  /** Entries not yet removed, for `run` (default: this ledger's run; null: all). */
+  pending({ run = this.run } = {}) {
+    return this.entries().filter(e => !e.removed && (!run || e.run === run));
+  }
+
+  /**
+   * Remove one resource and mark it. Resolves with the note ('deleted',
+   * 'closed', 'already gone', …); a failed request throws and leaves the
+   * entry outstanding.
+   */
+  async destroy(ref, { fetch: fetchImpl = fetch } = {}) {
+    const key = ref.key || resourceKey(ref.provider, ref.type, ref.id, ref.scope);
+    const entry = this.entries().find(e => e.key === key) || { key, ...ref };
+    const handler = TEARDOWN[entry.provider] && TEARDOWN[entry.provider][entry.type];
+    if (!handler) throw new ResourceLedgerError(`No teardown for ${entry.provider} ${entry.type}`, { key });
+    const { url, opts, note } = handler(entry);
+
+    let res;
+    try {
+      res = await fetchImpl(url, opts);
+    } catch (err) {
+      if (!LOOPBACK.includes(new URL(url).hostname)) throw new ResourceLedgerError(`${key}: ${err.message}`, { key });
+      this.removed(entry, 'gone with its local server');
+      return 'gone with its local server';
+    }
+    if (GONE.includes(res.status)) {
+      this.removed(entry, 'already gone');
+      return 'already gone';
+    }
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new ResourceLedgerError(`${key}: ${opts.method} returned ${res.status}${detail ? ` ${detail.substring(0, 150)}` : ''}`, { key, status: res.status });
+    }
+    this.removed(entry, note);
+    return note;
+  }
+
+  /**
+   * Tear down outstanding entries, newest first (hooks before the repo they
+   * live in). opts: run (see pending), filter(entry), fetch, log(icon, msg).
+   * Failures are logged and returned, never thrown.
+   */
+  async teardown({ run = this.run, filter = () => true, fetch: fetchImpl = fetch, log = () => {} } = {}) {
+    const removed = [], failed = [];
+    for (const entry of this.pending({ run }).filter(filter).reverse()) {
+      try {
+        const note = await this.destroy(entry, { fetch: fetchImpl });
+        log('✓', `${describe(entry)} — ${note}`);
+        removed.push(entry.key);
+      } catch (err) {
+        log('⚠', `${describe(entry)} — ${err.message}`);
+        failed.push(entry.key);
+      }
+    }
+    return { removed, failed };
+  }
+
+  /** Rewrite the file with only outstanding entries (tmp + rename). */
+  compact() {
+    if (this.dryRun || !fs.existsSync(this.file)) return;
+    const lines = this.pending({ run: null }).map(({ removed, ...entry }) => JSON.stringify({ op: 'create', ...entry }) + '\n');
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, lines.join(''));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+function describe(entry) {
+  return `${entry.provider} ${entry.type} ${entry.scope ? `${entry.scope} ` : ''}${entry.type === 'issue' ? '#' : ''}${entry.id}${entry.label ? ` (${entry.label})` : ''}`;
+}
+
+module.exports = { ResourceLedger, ResourceLedgerError, TEARDOWN, resourceKey };
+
+if (require.main === module) {
+  // Tokens for the teardown calls (and OE_RUN_DIR) may come from .env
+  const config = require('./config').loadConfigOrExit();
+  const [cmd, run = null] = config.argv;
+  if (cmd !== 'list' && cmd !== 'cleanup') {
+    console.error('  Usage: node resource-ledger.js list [run]');
+    console.error('         node resource-ledger.js cleanup [run]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const ledger = new ResourceLedger(null);
+    const pending = ledger.pending({ run });
+    if (cmd === 'list') {
+      if (!pending.length) console.log(`  ✓ Nothing outstanding${run ? ` for ${run}` : ''} (${ledger.file})`);
+      for (const e of pending) console.log(`  · ${(e.run || '-').padEnd(18)} ${describe(e)}  — created ${e.at}`);
+      return;
+    }
+    if (!pending.length) console.log(`  ✓ Nothing to clean up${run ? ` for ${run}` : ''}`);
+    const { removed, failed } = await ledger.teardown({ run, log: (icon, msg) => console.log(`  ${icon} ${msg}`) });
+    ledger.compact();
+    if (pending.length) console.log(`\n  ${removed.length} removed, ${failed.length} failed${failed.length ? ' — still in the ledger; run cleanup again' : ''}`);
+    if (failed.length) process.exit(1);
+  })().catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
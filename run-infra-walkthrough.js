@@ -9,31 +9,55 @@
  *   - Playwright recording with language-specific subtitles
  *   - Human authorization typed by Playwright
  *
- * Each run recreates the GitHub repo from scratch.
+ * Each run recreates the GitHub repo from scratch; the repo is recorded in
+ * the resource ledger (`node resource-ledger.js cleanup infra-walkthrough`
+ * deletes it).
  *
- * Usage: node run-infra-walkthrough.js
- * Prereqs: .env with GITHUB_TOKEN, GLM_API_KEY
+ * Usage: node run-infra-walkthrough.js [--mock-github] [--print-config] [--<setting> <value> ...]
+ * Prereqs: GITHUB_TOKEN, GLM_API_KEY (or LLM_PROVIDER=openai|scripted) — in
+ *          .env, the environment or oe.config.json (see config.js)
+ *
+ * --mock-github starts mock-github-server.js in-process and points the
+ * recordings at it (no GitHub token or network needed).
+ *
+ * DEMO_SUBTITLES=tracks records once, without the burned-in overlay, and
+ * writes a WebVTT/SRT track per language next to the video instead
+ * (subtitle-tracks.js).
+ *
+ * Each recording is then post-produced into recording-infra-<lang>/
+ * recording-infra-<lang>.mp4 with chapters per act, thumbnails and a
+ * manifest.json (post-production.js); without ffmpeg the WebM is kept.
+ *
+ * On CI: `node run-infra-walkthrough.js --mock-github --llm-provider scripted
+ * --demo-headless true` (or under xvfb-run, headed). Subtitles follow the
+ * run's SSE and chain events rather than fixed delays (scene-cues.js), so a
+ * slow API shifts a scene instead of desynchronizing it.
  */
 
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { loadConfigOrExit } = require('./config');
 
-// ── Load .env ──
+// ── Configuration ──
 
-const ENV_FILE = path.join(__dirname, '.env');
-if (fs.existsSync(ENV_FILE)) {
-  for (const line of fs.readFileSync(ENV_FILE, 'utf8').replace(/\r/g, '').split('\n')) {
-    const match = line.match(/^([^#=]+)=(.*)$/);
-    if (match) process.env[match[1].trim()] = match[2].trim();
-  }
+const MOCK_GITHUB = process.argv.includes('--mock-github');
+const config = loadConfigOrExit({
+  required: {
+    GITHUB_TOKEN: c => !MOCK_GITHUB && c.sources.GITHUB_API_URL === 'default',
+    GLM_API_KEY: c => c.LLM_PROVIDER === 'glm',
+  },
+});
+if (config.argv.some(a => a !== '--mock-github')) {
+  console.error(`  FATAL: Unknown argument ${config.argv.find(a => a !== '--mock-github')}`);
+  process.exit(1);
 }
-
-// ── Configuration ──
+const { postProduce } = require('./post-production'); // reads FFMPEG_PATH
 
 const PLAYWRIGHT_SCRIPT = path.join(__dirname, 'playwright-infra-walkthrough.js');
-const LANGUAGES = ['en', 'zh', 'ja'];
-const BASE_PORT = 4000;
+// DEMO_SUBTITLES=tracks: one recording (in DEMO_LANG) carries every language's subtitle track
+const LANGUAGES = config.DEMO_SUBTITLES === 'tracks' ? [config.DEMO_LANG] : ['en', 'zh', 'ja'];
+const BASE_PORT = config.DASH_PORT; // one port per language from here
 
 // ── Helpers ──
 
@@ -69,17 +93,24 @@ async function main() {
   console.log('  Dashboard + GLM-4-flash + GitHub + Multi-Language Recording');
   console.log('='.repeat(70) + '\n');
 
-  // Verify credentials
-  const githubToken = process.env.GITHUB_TOKEN || process.env.GITHUB_PAT;
-  const glmKey = process.env.GLM_API_KEY;
-
-  if (!githubToken) { console.error('  FATAL: GITHUB_TOKEN not found in .env'); process.exit(1); }
-  if (!glmKey) { console.error('  FATAL: GLM_API_KEY not found in .env'); process.exit(1); }
-  log('✓', 'Credentials loaded from .env');
+  // Credentials were checked when config.js loaded them
+  const githubToken = config.GITHUB_TOKEN;
+  const glmKey = config.GLM_API_KEY;
+  log('✓', `Credentials loaded (LLM provider: ${config.LLM_PROVIDER})`);
+
+  let mock = null;
+  if (MOCK_GITHUB) {
+    const { createMockGitHub } = require('./mock-github-server');
+    mock = createMockGitHub({ quiet: true });
+    const url = await mock.listen();
+    process.env.GITHUB_API_URL = url;
+    process.env.GITHUB_WEB_URL = url;
+    log('✓', `Mock GitHub listening on ${url}`);
+  }
 
   for (let i = 0; i < LANGUAGES.length; i++) {
     const lang = LANGUAGES[i];
-    const port = BASE_PORT + i; // 4000, 4001, 4002 to avoid port conflicts
+    const port = BASE_PORT + i; // 4000, 4001, 4002 by default, to avoid port conflicts
     const langLabel = { en: 'English', zh: '中文', ja: '日本語' }[lang];
 
     console.log('\n' + '-'.repeat(70));
@@ -91,13 +122,26 @@ async function main() {
     await runChild('node', [PLAYWRIGHT_SCRIPT], {
       DEMO_LANG: lang,
       DASH_PORT: String(port),
-      GITHUB_TOKEN: githubToken,
-      GLM_API_KEY: glmKey,
+      GITHUB_TOKEN: githubToken || '',
+      GLM_API_KEY: glmKey || '',
     });
 
     log('✓', `${langLabel} recording complete`);
   }
 
+  if (mock) await mock.close();
+
+  // ─── POST-PRODUCTION ───
+  for (const lang of LANGUAGES) {
+    const dir = path.join(__dirname, `recording-infra-${lang}`);
+    if (!fs.existsSync(dir)) continue;
+    try {
+      const manifest = await postProduce(dir, { log: (icon, msg) => log(icon, `${lang}: ${msg}`) });
+      log('✓', `${lang}: manifest.json (${manifest.files.length} files)`);
+    } catch (err) {
+      log('⚠', `${lang}: post-production skipped — ${err.message}`);
+    }
+  }
 
   // ─── SUMMARY ───
   console.log('\n' + '='.repeat(70));
@@ -111,7 +155,9 @@ async function main() {
       const files = fs.readdirSync(dir);
       const pngs = files.filter(f => f.endsWith('.png'));
       const vids = files.filter(f => f.endsWith('.webm'));
-      console.log(`    ${lang}: ${pngs.length} screenshots, ${vids.length} video(s) → recording-infra-${lang}/`);
+      const tracks = files.filter(f => /^subtitles\..+\.vtt$/.test(f));
+      const mp4 = files.includes(`recording-infra-${lang}.mp4`) ? `, recording-infra-${lang}.mp4` : '';
+      console.log(`    ${lang}: ${pngs.length} screenshots, ${vids.length} video(s), ${tracks.length} subtitle track(s)${mp4} → recording-infra-${lang}/`);
     }
   }
 
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Scenario Interpreter
+ *
+ * Runs a declarative incident story (scenarios/*.json) against the demo
+ * helpers: SSE push(), the provenance Chain, the GitHub API and the LLM.
+ * A scenario is a list of acts; each act pushes its step overlay and then
+ * runs its steps in order. A step is an object with exactly one action key:
+ *
+ *   { "sleep": 2500 }
+ *   { "push": { "type": "msg", "kind": "sys", "content": "{{msg:sysInitializing}}" } }
+ *   { "log": "  [LLM] Calling {{llm.provider}}/{{llm.model}}..." }
+ *   { "github": { "method": "POST", "path": "/repos/{{owner}}/{{repo}}/issues", "body": {...} }, "as": "issueRes" }
+ *   { "putFile": { "path": "src/auth.js", "content": "{{file:vulnCode}}", "message": "...", "branch": "main" } }
+ *   { "chain": { "type": "...", "agent": "...", "org": "...", "payload": {...}, "authorization": true, "ownerId": "..." } }
+ *   { "llm": { "system": "...", "user": "..." }, "as": "analysis", "metaAs": "analysisLlm" }
+ *   { "awaitInstruction": { "quorum": {...} }, "onDecision": [...], "as": "instruction", "metaAs": "auth" }
+ *   { "set": { "issueNum": "{{issueRes.data.number ?? 1}}" } }
+ *   { "when": "{{aiApproved}}", "then": [...], "else": [...] }
+ *   { "certify": {} }                       — resolve chain, sets {{cert}} and {{valid}}
+ *   { "artifacts": { "message": "...", "delay": 300 } }  — commit provenance/ files
+ *   { "halt": "reason" }                    — stop the scenario; runScenario returns { halted }
+ *
+ * "as" stores the step result in the scenario scope. For "llm" it stores the
+ * text; "metaAs" additionally stores { provider, model } of the reply. For
+ * "awaitInstruction" it stores the approved instruction text (null unless the
+ * quorum approved); "metaAs" stores the outcome, the proposer's signed
+ * approval and every decision (see approval-quorum.js). "onDecision" steps
+ * run once per approval or rejection, with the decision in {{decision}}.
+ *
+ * Strings are templates:
+ *   {{path.to.var}}            scope lookup (a lone {{...}} keeps its type)
+ *   {{var ?? 1}}               fallback when the value is missing
+ *   {{var | slice:200}}        filters: slice:N, lower, approves, eq:value
+ *   {{msg:key}} {{gh:key}} {{code:key}}   localized text, scope as placeholders
+ *   {{file:name}}              a template from the scenario's "files" map
+ * A text may also be { "msg": "key", "vars": { "num": "{{prNum}}" } } when
+ * placeholder values differ from the scope names.
+ *
+ * Usage (validate a scenario file):
+ *   node scenario-runner.js scenarios/cve-2026-4821.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ACTIONS = [
+  'sleep', 'push', 'log', 'github', 'putFile', 'chain', 'llm',
+  'awaitInstruction', 'set', 'when', 'certify', 'artifacts', 'halt',
+];
+const TEXT_REFS = ['msg', 'gh', 'code'];
+
+/** Thrown by a "halt" step; runScenario turns it into scope.halted. */
+class ScenarioHalt extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+
+// ── Loading & validation ──
+
+function loadScenario(file) {
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot load scenario ${file}: ${err.message}`);
+  }
+  validateScenario(scenario, path.basename(file));
+  return scenario;
+}
+
+function validateScenario(scenario, label = 'scenario') {
+  if (!scenario.chain_id) throw new Error(`${label}: missing "chain_id"`);
+  if (!Array.isArray(scenario.acts) || scenario.acts.length === 0) {
+    throw new Error(`${label}: "acts" must be a non-empty array`);
+  }
+  scenario.acts.forEach((act, i) => {
+    const where = `${label}: acts[${i}]`;
+    if (!act.title) throw new Error(`${where}: missing "title"`);
+    if (!Array.isArray(act.steps)) throw new Error(`${where}: "steps" must be an array`);
+    validateSteps(act.steps, where, scenario.files || {});
+  });
+}
+
+function validateSteps(steps, where, files) {
+  steps.forEach((step, i) => {
+    const here = `${where}.steps[${i}]`;
+    const action = stepAction(step);
+    if (!action) throw new Error(`${here}: expected exactly one of ${ACTIONS.join(', ')}`);
+    if (action === 'when') {
+      if (!Array.isArray(step.then)) throw new Error(`${here}: "when" needs a "then" array`);
+      validateSteps(step.then, `${here}.then`, files);
+      if (step.else) validateSteps(step.else, `${here}.else`, files);
+    }
+    if (step.onDecision) {
+      if (action !== 'awaitInstruction') throw new Error(`${here}: "onDecision" only applies to "awaitInstruction"`);
+      validateSteps(step.onDecision, `${here}.onDecision`, files);
+    }
+    for (const [, name] of JSON.stringify(step).matchAll(/\{\{\s*file:([\w-]+)\s*\}\}/g)) {
+      if (!files[name]) throw new Error(`${here}: unknown file template "${name}"`);
+    }
+  });
+}
+
+function stepAction(step) {
+  if (!step || typeof step !== 'object') return null;
+  const keys = Object.keys(step).filter(k => ACTIONS.includes(k));
+  return keys.length === 1 ? keys[0] : null;
+}
+
+
+// ── Templates ──
+
+function dig(obj, dotted) {
+  return dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function literal(token) {
+  if (/^-?\d+(\.\d+)?$/.test(token)) return Number(token);
+  if (/^'.*'$/.test(token)) return token.slice(1, -1);
+  if (token === 'true') return true;
+  if (token === 'false') return false;
+  return undefined;
+}
+
+const FILTERS = {
+  slice: (v, n) => String(v ?? '').substring(0, Number(n)),
+  lower: v => String(v ?? '').toLowerCase(),
+  approves: v => {
+    const text = String(v ?? '').toLowerCase();
+    return text.includes('approve') && !text.includes('reject');
+  },
+  eq: (v, arg) => String(v ?? '') === arg,
+};
+
+function evaluate(run, expr, scope) {
+  const [head, ...filters] = expr.split('|').map(s => s.trim());
+  const ref = head.match(/^(msg|gh|code|file):([\w-]+)$/);
+  let value;
+  if (ref) {
+    value = ref[1] === 'file' ? fileText(run, ref[2], scope) : localize(run, ref[1], ref[2], scope);
+  } else {
+    for (const alt of head.split('??').map(s => s.trim())) {
+      value = literal(alt);
+      if (value === undefined) value = dig(scope, alt);
+      if (value !== undefined && value !== null) break;
+    }
+  }
+  for (const f of filters) {
+    const [name, arg] = f.split(':');
+    if (!FILTERS[name]) throw new Error(`Unknown template filter "${name}" in {{${expr}}}`);
+    value = FILTERS[name](value, arg);
+  }
+  return value;
+}
+
+function interpolate(run, str, scope) {
+  const whole = str.match(/^\{\{([^}]+)\}\}$/);
+  if (whole) return evaluate(run, whole[1].trim(), scope);
+  return str.replace(/\{\{([^}]+)\}\}/g, (_, expr) => {
+    const v = evaluate(run, expr.trim(), scope);
+    return v == null ? '' : String(v);
+  });
+}
+
+function localize(run, kind, key, scope, vars = {}) {
+  const fn = run.ctx.text[kind];
+  if (!fn) throw new Error(`No "${kind}" text table provided to the scenario runner`);
+  return fn(key, { ...scope, ...vars });
+}
+
+function fileText(run, name, scope) {
+  const lines = run.scenario.files && run.scenario.files[name];
+  if (!lines) throw new Error(`Unknown file template "${name}"`);
+  return interpolate(run, Array.isArray(lines) ? lines.join('\n') : lines, scope);
+}
+
+function isTextRef(value) {
+  const keys = Object.keys(value);
+  const refs = keys.filter(k => TEXT_REFS.includes(k));
+  return refs.length === 1 && keys.every(k => k === refs[0] || k === 'vars');
+}
+
+/** Resolve templates and text refs anywhere inside a step argument. */
+function resolve(run, value, extra = {}) {
+  const scope = { ...run.scope, ...extra };
+  if (typeof value === 'string') return interpolate(run, value, scope);
+  if (Array.isArray(value)) return value.map(v => resolve(run, v, extra));
+  if (value && typeof value === 'object') {
+    if (isTextRef(value)) {
+      const kind = TEXT_REFS.find(k => k in value);
+      return localize(run, kind, value[kind], scope, resolve(run, value.vars || {}, extra));
+    }
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = resolve(run, v, extra);
+    return out;
+  }
+  return value;
+}
+
+
+// ── Interpreter ──
+
+async function runStep(run, step) {
+  const { ctx, scope } = run;
+  const action = stepAction(step);
+  const arg = step[action];
+  let result;
+
+  switch (action) {
+    case 'sleep':
+      await ctx.sleep(resolve(run, arg));
+      break;
+    case 'push':
+      ctx.push(resolve(run, arg));
+      break;
+    case 'log':
+      console.log(resolve(run, arg));
+      break;
+    case 'github': {
+      const a = resolve(run, arg);
+      result = await ctx.githubApi(a.method, a.path, a.body);
+      break;
+    }
+    case 'putFile': {
+      const a = resolve(run, arg);
+      result = await ctx.putFile(a.path, a.content, a.message, a.branch || 'main');
+      break;
+    }
+    case 'chain': {
+      const a = resolve(run, arg);
+      const opts = a.authorization ? { authorization: true, ownerId: a.ownerId } : {};
+      result = ctx.chain.append(a.type, a.agent, a.org, a.payload, opts);
+      break;
+    }
+    case 'llm': {
+      const a = resolve(run, arg);
+      const reply = await ctx.llm.chat(a.system, a.user);
+      if (step.metaAs) scope[step.metaAs] = { provider: reply.provider, model: reply.model };
+      result = reply.text;
+      break;
+    }
+    case 'awaitInstruction': {
+      const a = resolve(run, arg);
+      const outcome = await ctx.waitForInstruction({
+        quorum: a.quorum || {},
+        onDecision: decision => {
+          scope.decision = decision;
+          return runSteps(run, step.onDecision || []);
+        },
+      });
+      if (step.metaAs) scope[step.metaAs] = outcome;
+      result = outcome.instruction;
+      break;
+    }
+    case 'set':
+      for (const [k, v] of Object.entries(arg)) scope[k] = resolve(run, v);
+      break;
+    case 'when':
+      await runSteps(run, resolve(run, arg) ? step.then : (step.else || []));
+      break;
+    case 'certify':
+      ctx.chain.resolve();
+      scope.cert = ctx.issuer.issue(ctx.chain);
+      scope.valid = ctx.issuer.verify(scope.cert);
+      result = scope.cert;
+      break;
+    case 'artifacts': {
+      const files = ctx.buildArtifacts(scope);
+      for (const [fp, content] of Object.entries(files)) {
+        const message = resolve(run, arg.message, { filename: fp.split('/').pop() });
+        await ctx.putFile(fp, content, message, 'main');
+        await ctx.sleep(arg.delay || 0);
+      }
+      result = Object.keys(files);
+      break;
+    }
+    case 'halt':
+      throw new ScenarioHalt(resolve(run, arg));
+  }
+
+  if (step.as) scope[step.as] = result;
+}
+
+async function runSteps(run, steps) {
+  for (const step of steps) await runStep(run, step);
+}
+
+/**
+ * Run every act of a scenario. `ctx` supplies the helpers the steps call:
+ * push, sleep, githubApi, putFile, llm (see llm-providers.js),
+ * waitForInstruction({ quorum, onDecision }) (see Session#waitForInstruction),
+ * chain, issuer, buildArtifacts, text: { msg, gh, code }, and initial vars.
+ * Returns the final scope (issueNum, prNum, cert, valid, ... and halted when
+ * a "halt" step stopped the run).
+ */
+async function runScenario(scenario, ctx) {
+  const scope = { ...(scenario.vars || {}), ...(ctx.vars || {}), chain: ctx.chain };
+  const run = { scenario, ctx, scope };
+  try {
+    for (const [i, act] of scenario.acts.entries()) {
+      ctx.push({ type: 'step', act: act.act || i + 1, total: scenario.acts.length, title: resolve(run, act.title) });
+      await runSteps(run, act.steps);
+    }
+  } catch (err) {
+    if (!(err instanceof ScenarioHalt)) throw err;
+    scope.halted = err.message;
+  }
+  return scope;
+}
+
+module.exports = { loadScenario, validateScenario, runScenario, ScenarioHalt };
+
+
+// ── CLI: validate scenario files ──
+
+if (require.main === module) {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    console.error('  Usage: node scenario-runner.js <scenario.json> [...]');
+    process.exit(1);
+  }
+  let failed = false;
+  for (const file of files) {
+    try {
+      const s = loadScenario(file);
+      const steps = s.acts.reduce((n, a) => n + a.steps.length, 0);
+      console.log(`  ✓ ${file}: ${s.acts.length} acts, ${steps} steps`);
+    } catch (err) {
+      console.error(`  ✗ ${err.message}`);
+      failed = true;
+    }
+  }
+  process.exit(failed ? 1 : 0);
+}
@@ -0,0 +1,156 @@
+/**
+ * OpenExecution — Scene Cues and Headless Recording
+ *
+ * The recorders move on to the next scene when what it narrates has
+ * happened, not after a guessed number of seconds: a slow GitHub or LLM call
+ * delays the subtitle instead of putting it over the wrong act, and the same
+ * run records the same video on a laptop and on a CI machine. Fixed pauses
+ * remain only as dwell time (how long a subtitle stays readable).
+ *
+ * A cue is one of:
+ *
+ *   { sse: 'chain', eventType: 'code_committed' }  an SSE event of that type whose
+ *                                                  other fields all match
+ *   { seq: 5 }                                     the chain has reached sequence 5
+ *                                                  (an SSE chain event, or opts.chainSeq)
+ *   { selector: '.instr-bar.vis', state }          a DOM element (Playwright state,
+ *                                                  default 'visible')
+ *
+ * SSE and seq cues resolve against an in-process SseLog (sse-log.js). An SSE
+ * cue only looks past the event the previous cue matched, so scenes advance
+ * in order; events that arrived while the recorder was busy still count. A
+ * seq cue is about the chain's length, not order: it checks the whole log,
+ * so a chain that reached the sequence before an earlier cue was met still
+ * satisfies it. With no log, a seq cue polls opts.chainSeq() (e.g. the
+ * platform API's chain).
+ *
+ *   const cues = createCues({ page, events: session.log, ended: demoPromise });
+ *   await cues.waitFor({ sse: 'chain', eventType: 'vulnerability_detected' });
+ *
+ * Headless: DEMO_HEADLESS=auto (default) records headless when there is no
+ * display (a Linux box without DISPLAY / WAYLAND_DISPLAY) and headed
+ * otherwise, so `xvfb-run node …` records headed under Xvfb; true / false
+ * force it. launchOptions() is what the recorders pass to chromium.launch().
+ */
+
+const DEFAULT_TIMEOUT_MS = 180000;
+const POLL_MS = 500;
+
+class SceneCueError extends Error {
+  constructor(message, { cue } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.cue = cue;
+  }
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+
+// ── Headless ──
+
+/** Whether DEMO_HEADLESS (auto | true | false) means a headless browser here. */
+function isHeadless(mode = process.env.DEMO_HEADLESS || 'auto') {
+  if (mode === 'true') return true;
+  if (mode === 'false') return false;
+  return process.platform === 'linux' && !process.env.DISPLAY && !process.env.WAYLAND_DISPLAY;
+}
+
+/** chromium.launch() options for a 1920×1080 recording. */
+function launchOptions(mode, { width = 1920, height = 1080 } = {}) {
+  return { headless: isHeadless(mode), args: [`--window-size=${width},${height}`] };
+}
+
+
+// ── Cues ──
+
+function describeCue(cue) {
+  if (cue.selector) return `selector ${cue.selector}`;
+  if (cue.seq !== undefined) return `chain seq ${cue.seq}`;
+  const { sse, ...where } = cue;
+  const fields = Object.entries(where).map(([k, v]) => `${k}=${v}`).join(' ');
+  return `SSE ${sse}${fields ? ` ${fields}` : ''}`;
+}
+
+function cueMatcher(cue) {
+  if (cue.seq !== undefined) return data => data.type === 'chain' && Number(data.seq) >= cue.seq;
+  const { sse, ...where } = cue;
+  return data => data.type === sse && Object.entries(where).every(([k, v]) => data[k] === v);
+}
+
+/** Highest sequence in a chain's event list as the API returns it ({ data: [...] }, [...] or { events }). */
+function chainSequence(json) {
+  const data = json?.data ?? json;
+  const events = Array.isArray(data) ? data : data?.events || [];
+  return events.reduce((max, e) => Math.max(max, Number(e.sequence ?? e.seq) || 0), 0);
+}
+
+/**
+ * opts: page (selector cues), events (SseLog), chainSeq (async → number, seq
+ * cues without a log), ended (a promise — the run; a cue still pending when
+ * it settles fails), timeoutMs (per cue, default DEMO_CUE_TIMEOUT_MS or 180s),
+ * log(icon, msg).
+ */
+function createCues({ page = null, events = null, chainSeq = null, ended = null, timeoutMs, log = () => {} } = {}) {
+  const limit = timeoutMs || parseInt(process.env.DEMO_CUE_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  let after = 0;
+  let runEnded = false;
+  if (ended) ended.then(() => { runEnded = true; }, () => { runEnded = true; });
+
+  async function pollSeq(cue, deadline, signal) {
+    while (Date.now() < deadline && !runEnded && !signal.aborted) {
+      if (await chainSeq().catch(() => 0) >= cue.seq) return;
+      await sleep(POLL_MS);
+    }
+    throw new Error(runEnded ? 'run ended first' : 'timed out');
+  }
+
+  async function wait(cue, timeout, signal) {
+    if (cue.selector) {
+      if (!page) throw new SceneCueError('Selector cues need a page', { cue });
+      await page.waitForSelector(cue.selector, { state: cue.state || 'visible', timeout });
+      return null;
+    }
+    if (cue.seq !== undefined && !events) {
+      if (!chainSeq) throw new SceneCueError('Seq cues need an event log or chainSeq', { cue });
+      await pollSeq(cue, Date.now() + timeout, signal);
+      return null;
+    }
+    if (!events) throw new SceneCueError('SSE cues need an event log', { cue });
+    const from = cue.seq !== undefined ? 0 : after;
+    const ev = await events.waitFor(cueMatcher(cue), { after: from, timeoutMs: timeout, signal });
+    after = Math.max(after, ev.id);
+    return ev;
+  }
+
+  /** Resolve once `cue` is met (with the matched SSE event, if any); SceneCueError on timeout or run end. */
+  async function waitFor(cue, { timeoutMs: timeout = limit } = {}) {
+    const started = Date.now();
+    const stop = new AbortController();
+    const pending = [wait(cue, timeout, stop.signal)];
+    // A run that ends (or fails) first leaves nothing to wait for; its own
+    // error is the caller's to report. The grace period lets a cue met by the
+    // run's last events win.
+    if (ended) {
+      pending.push(ended.then(() => 'ended', () => 'failed').then(async how => {
+        await sleep(POLL_MS);
+        throw new Error(`run ${how} first`);
+      }));
+    }
+    for (const p of pending) p.catch(() => {}); // the race's loser settles unobserved
+    try {
+      const ev = await Promise.race(pending);
+      log('·', `Cue: ${describeCue(cue)} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+      return ev;
+    } catch (err) {
+      if (err instanceof SceneCueError) throw err;
+      throw new SceneCueError(`Cue ${describeCue(cue)} not met after ${((Date.now() - started) / 1000).toFixed(1)}s: ${err.message}`, { cue });
+    } finally {
+      stop.abort(); // the loser stops waiting
+    }
+  }
+
+  return { waitFor };
+}
+
+module.exports = { SceneCueError, createCues, launchOptions, isHeadless, describeCue, chainSequence };
@@ -0,0 +1,389 @@
+/**
+ * OpenExecution — Scene Recorder
+ *
+ * The Playwright recorders as lists of scenes instead of one long main():
+ * each scene says where it goes, what it does, what it narrates and what it
+ * screenshots, and the recorder runs the list — numbering screenshots,
+ * logging ACT / Scene chapters (post-production.js) and subtitle tracks
+ * (subtitle-tracks.js), retrying a flaky scene and timing every one.
+ *
+ *   {
+ *     name: 'provenance',                 id for DEMO_SCENES / DEMO_SKIP_SCENES
+ *     act: 'ACT III: PLATFORM RECORDS',   chapter heading, logged when it changes
+ *     title: 'Provenance Chains',         chapter "Scene N: title" (N counts titled scenes)
+ *     when: ctx => Boolean(ctx.state.projectId),   precondition; false skips the scene
+ *     always: true,                       run whatever the filters say (login, setup)
+ *     goto: ctx => `${FRONTEND_URL}/dashboard/provenance`,   URL (or function of ctx)
+ *     gotoOptions: { timeout: 30000 },    page.goto options (default: domcontentloaded, 60s)
+ *     settleMs: 3000,                     pause after goto
+ *     actions: [async ctx => ...],        one function or a list, run in order
+ *     narrate: 'provenanceChains',        subtitle key shown after the actions …
+ *     dwellMs: 1000,                      … for this long before the screenshot
+ *     screenshot: 'provenance-chains',    → NN-provenance-chains.png
+ *     retries: 1,                         extra attempts (default DEMO_SCENE_RETRIES)
+ *     optional: true,                     a scene that still fails is reported, not fatal
+ *   }
+ *
+ * Actions get ctx: { page, state (shared by all scenes), scene, lang, rec,
+ * screenshot(label), subtitle(key, durationMs), clearSubtitle(), sleep(ms) }.
+ * A retried scene starts over from its goto; the screenshots of the failed
+ * attempt are deleted and their numbers reused.
+ *
+ * Filters (settings, see config.js) take scene names, `*` matching any run
+ * of characters; an unknown name is an error:
+ *   DEMO_SCENES=login,provenance*     only these (plus `always` scenes)
+ *   DEMO_SKIP_SCENES=vercel-*         all but these
+ *
+ * Also written to the output directory: scenes.json, the timing report
+ * ({ scenes: [{ name, status, attempts, ms, screenshots, error }] }).
+ *
+ *   const rec = new SceneRecorder({ outputDir, lang, subtitles: SUBTITLES, subtitleMode: config.DEMO_SUBTITLES });
+ *   rec.start(page);                    // right after context.newPage()
+ *   await rec.run(SCENES, { state });
+ *   rec.finish();                       // subtitles, chapters.json, scenes.json
+ *
+ * The overlay helpers (subtitle bar, intro title card, smooth scroll) are
+ * exported for recorders that drive the page themselves.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SubtitleTrack } = require('./subtitle-tracks');
+const { ChapterLog } = require('./post-production');
+
+const GOTO = { waitUntil: 'domcontentloaded', timeout: 60000 };
+const CJK = /[\u4e00-\u9fff\u3040-\u309f\u30a0-\u30ff]/;
+
+class SceneError extends Error {
+  constructor(message, { scene } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.scene = scene;
+  }
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+
+// ── Overlays ──
+// Fixed-position elements captured by Playwright's recordVideo; a page.goto()
+// replaces the DOM and takes them with it.
+
+/** Show `text` in the subtitle bar; durationMs > 0 fades it out by itself. */
+async function showOverlay(page, text, durationMs = 0) {
+  const fontSize = CJK.test(text) ? '22px' : '20px';
+  await page.evaluate(({ text, durationMs, fontSize }) => {
+    const existing = document.getElementById('oe-demo-subtitle');
+    if (existing) existing.remove();
+
+    const el = document.createElement('div');
+    el.id = 'oe-demo-subtitle';
+    el.textContent = text;
+    Object.assign(el.style, {
+      position: 'fixed',
+      bottom: '40px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      backgroundColor: 'rgba(0, 0, 0, 0.88)',
+      color: '#ffffff',
+      fontFamily: '"Noto Sans SC", "Noto Sans JP", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      fontSize,
+      fontWeight: '500',
+      padding: '16px 40px',
+      borderRadius: '12px',
+      boxShadow: '0 4px 24px rgba(0,0,0,0.5)',
+      zIndex: '99999',
+      maxWidth: '88vw',
+      textAlign: 'center',
+      lineHeight: '1.6',
+      opacity: '0',
+      transition: 'opacity 0.4s ease-in-out',
+      letterSpacing: '0.02em',
+      pointerEvents: 'none',
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'keep-all',
+    });
+    document.body.appendChild(el);
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => { el.style.opacity = '1'; });
+    });
+    if (durationMs > 0) {
+      setTimeout(() => {
+        el.style.opacity = '0';
+        setTimeout(() => el.remove(), 500);
+      }, durationMs);
+    }
+  }, { text, durationMs, fontSize });
+  await sleep(500); // fade-in
+}
+
+async function hideOverlay(page) {
+  await page.evaluate(() => {
+    const el = document.getElementById('oe-demo-subtitle');
+    if (el) { el.style.opacity = '0'; setTimeout(() => el.remove(), 500); }
+  });
+  await sleep(600);
+}
+
+/** Full-screen title card (on a blank page, before the walkthrough). */
+async function showIntroCard(page, title, heading, desc) {
+  const hasCJK = CJK.test(heading);
+  await page.evaluate(({ title, heading, desc, hasCJK }) => {
+    const el = document.createElement('div');
+    el.id = 'oe-intro-card';
+    Object.assign(el.style, {
+      position: 'fixed', inset: '0', zIndex: '100000',
+      background: 'linear-gradient(135deg, #0d1117 0%, #161b22 100%)',
+      display: 'flex', flexDirection: 'column',
+      alignItems: 'center', justifyContent: 'center',
+      opacity: '0', transition: 'opacity 0.8s ease-in-out',
+    });
+    el.innerHTML = `
+      <div style="color:#01A5CD;font-size:14px;letter-spacing:4px;text-transform:uppercase;margin-bottom:12px;font-weight:600">${title}</div>
+      <div style="color:#e6edf3;font-size:${hasCJK ? '38px' : '36px'};font-weight:800;margin-bottom:20px;letter-spacing:-0.5px;text-align:center">${heading}</div>
+      <div style="color:#8b949e;font-size:${hasCJK ? '17px' : '16px'};line-height:1.8;text-align:center;max-width:800px;white-space:pre-wrap;word-break:keep-all">${desc}</div>
+      <div style="margin-top:40px;display:flex;align-items:center;gap:10px">
+        <div style="width:8px;height:8px;border-radius:50%;background:#32B173;animation:pulse 1.2s infinite"></div>
+        <span style="color:#8b949e;font-size:13px">OpenExecution</span>
+      </div>
+    `;
+    const style = document.createElement('style');
+    style.textContent = '@keyframes pulse{0%,100%{opacity:1}50%{opacity:.4}}';
+    document.head.appendChild(style);
+    document.body.appendChild(el);
+    requestAnimationFrame(() => { requestAnimationFrame(() => { el.style.opacity = '1'; }); });
+  }, { title, heading, desc, hasCJK });
+  await sleep(800);
+}
+
+async function hideIntroCard(page) {
+  await page.evaluate(() => {
+    const el = document.getElementById('oe-intro-card');
+    if (el) { el.style.opacity = '0'; setTimeout(() => el.remove(), 1000); }
+  });
+  await sleep(1200);
+}
+
+/** Scroll by `distance` px over durationMs, in ~60ms steps (reads as a hand scroll on video). */
+async function smoothScroll(page, distance, durationMs = 1500) {
+  const steps = Math.max(1, Math.round(durationMs / 60));
+  for (let i = 0; i < steps; i++) {
+    await page.evaluate(d => window.scrollBy(0, d), distance / steps);
+    await sleep(durationMs / steps);
+  }
+}
+
+async function scrollToTop(page) {
+  await page.evaluate(() => window.scrollTo({ top: 0, behavior: 'smooth' }));
+  await sleep(800);
+}
+
+
+// ── Filters ──
+
+/** provenance-* → /^provenance-.*$/ (scene names here, screenshot labels in visual-regression.js). */
+function globRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+/**
+ * scene → null (runs) or the reason it is filtered out. Every pattern must
+ * match some scene, so a typo fails the run instead of silently recording
+ * nothing.
+ */
+function sceneFilter(scenes, { only = [], skip = [] } = {}) {
+  const names = scenes.map(s => s.name);
+  for (const pattern of [...only, ...skip]) {
+    if (!names.some(n => globRegExp(pattern).test(n))) {
+      throw new SceneError(`No scene matches "${pattern}" (scenes: ${names.join(', ')})`);
+    }
+  }
+  const matches = (patterns, name) => patterns.some(p => globRegExp(p).test(name));
+  return scene => {
+    if (scene.always) return null;
+    if (only.length && !matches(only, scene.name)) return 'not in DEMO_SCENES';
+    if (matches(skip, scene.name)) return 'in DEMO_SKIP_SCENES';
+    return null;
+  };
+}
+
+
+// ── Recorder ──
+
+class SceneRecorder {
+  /**
+   * outputDir — screenshots, subtitles, chapters.json, scenes.json.
+   * lang; subtitles — the recorder's SUBTITLES table (key → { en, zh, ja }),
+   * none for a silent recording; subtitleMode — DEMO_SUBTITLES (burn | tracks).
+   * only / skip / retries — default DEMO_SCENES / DEMO_SKIP_SCENES / DEMO_SCENE_RETRIES.
+   * tag — prefix of the recorder's log lines (e.g. the language).
+   */
+  constructor({
+    outputDir, lang = 'en', subtitles = null, subtitleMode = 'burn',
+    only = envList('DEMO_SCENES'), skip = envList('DEMO_SKIP_SCENES'),
+    retries = parseInt(process.env.DEMO_SCENE_RETRIES, 10) || 0, tag = null,
+  }) {
+    this.outputDir = outputDir;
+    this.lang = lang;
+    this.track = subtitles ? new SubtitleTrack(subtitles, { lang, mode: subtitleMode }) : null;
+    this.chapters = new ChapterLog();
+    this.only = only;
+    this.skip = skip;
+    this.retries = retries;
+    this.prefix = tag ? `[${tag}] ` : '';
+    this.page = null;
+    this.screenshots = [];
+    this.results = [];
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  log(msg) {
+    console.log(`    ${this.prefix}${msg}`);
+  }
+
+  /** The video starts with the page: subtitle and chapter times count from here. */
+  start(page) {
+    this.page = page;
+    if (this.track) this.track.start();
+    this.chapters.start();
+    // A navigation takes the overlay with it
+    page.on('framenavigated', frame => { if (this.track && frame === page.mainFrame()) this.track.clear(); });
+  }
+
+  /** NN-label.png in the output directory; returns the file name. */
+  async screenshot(label) {
+    const filename = `${String(this.screenshots.length + 1).padStart(2, '0')}-${label}.png`;
+    await this.page.screenshot({ path: path.join(this.outputDir, filename), fullPage: false });
+    this.screenshots.push(filename);
+    this.log(`screenshot: ${filename}`);
+    return filename;
+  }
+
+  /**
+   * Narrate subtitle `key`: logged to the track, and shown in the video
+   * unless DEMO_SUBTITLES=tracks (which keeps the pause, so the timing is
+   * the same either way).
+   */
+  async subtitle(key, durationMs = 0) {
+    if (!this.track) throw new SceneError(`No subtitles table — cannot narrate ${key}`);
+    this.track.show(key, { durationMs });
+    if (!this.track.burnIn) return sleep(500);
+    await showOverlay(this.page, this.track.text(key, this.lang), durationMs);
+  }
+
+  async clearSubtitle() {
+    if (!this.track) return;
+    this.track.clear();
+    if (!this.track.burnIn) return sleep(600);
+    await hideOverlay(this.page);
+  }
+
+  context(scene, state) {
+    return {
+      page: this.page, state, scene, lang: this.lang, rec: this, sleep,
+      screenshot: label => this.screenshot(label),
+      subtitle: (key, durationMs) => this.subtitle(key, durationMs),
+      clearSubtitle: () => this.clearSubtitle(),
+    };
+  }
+
+  async attempt(scene, ctx) {
+    if (scene.goto) {
+      await this.page.goto(typeof scene.goto === 'function' ? scene.goto(ctx) : scene.goto, { ...GOTO, ...scene.gotoOptions });
+    }
+    if (scene.settleMs) await sleep(scene.settleMs);
+    for (const action of [].concat(scene.actions || [])) await action(ctx);
+    if (scene.narrate) {
+      await this.subtitle(scene.narrate);
+      await sleep(scene.dwellMs ?? 1000);
+    }
+    if (scene.screenshot) await this.screenshot(scene.screenshot);
+    if (scene.narrate) await this.clearSubtitle();
+  }
+
+  /**
+   * Run `scenes` in order on the started page; resolves with the results
+   * ({ name, status: ok | skipped | failed, ... }). A scene that fails all its
+   * attempts stops the run with a SceneError, unless it is optional.
+   */
+  async run(scenes, { state = {} } = {}) {
+    if (!this.page) throw new SceneError('SceneRecorder.start(page) was not called');
+    const filtered = sceneFilter(scenes, { only: this.only, skip: this.skip });
+    let act = null;
+    let number = 0;
+
+    for (const scene of scenes) {
+      if (scene.title) number++;
+      const ctx = this.context(scene, state);
+      const reason = filtered(scene) || (scene.when && !scene.when(ctx) ? 'precondition not met' : null);
+      if (reason) {
+        this.results.push({ name: scene.name, status: 'skipped', reason });
+        continue;
+      }
+
+      if (scene.act && scene.act !== act) this.chapters.act(act = scene.act);
+      if (scene.title) this.chapters.scene(`Scene ${number}`, scene.title);
+
+      const attempts = 1 + (scene.retries ?? this.retries);
+      const started = Date.now();
+      const first = this.screenshots.length;
+      let error = null;
+      for (let i = 1; i <= attempts; i++) {
+        try {
+          await this.attempt(scene, ctx);
+          error = null;
+          this.results.push({ name: scene.name, status: 'ok', attempts: i, ms: Date.now() - started, screenshots: this.screenshots.slice(first) });
+          break;
+        } catch (err) {
+          error = err;
+          if (i === attempts) break;
+          this.log(`↺ ${scene.name} failed (${err.message.split('\n')[0]}) — attempt ${i + 1}/${attempts}`);
+          // Start over: the attempt's screenshots go, their numbers are reused
+          for (const file of this.screenshots.splice(first)) fs.rmSync(path.join(this.outputDir, file), { force: true });
+          await this.clearSubtitle().catch(() => {});
+        }
+      }
+      if (!error) continue;
+
+      const message = error.message.split('\n')[0];
+      this.results.push({ name: scene.name, status: 'failed', attempts, ms: Date.now() - started, screenshots: this.screenshots.slice(first), error: message });
+      await this.clearSubtitle().catch(() => {});
+      if (!scene.optional) throw new SceneError(`Scene ${scene.name} failed: ${message}`, { scene: scene.name });
+      this.log(`⚠ ${scene.name} skipped: ${message}`);
+    }
+    return this.results;
+  }
+
+  /** Print the timing report (the step timings of orchestrator-core.js, per scene). */
+  report() {
+    console.log('\n  Scene timings:');
+    for (const r of this.results) {
+      const icon = { ok: '✓', skipped: '·', failed: '✗' }[r.status];
+      const detail = r.status === 'skipped' ? r.reason
+        : `${(r.ms / 1000).toFixed(1)}s${r.attempts > 1 ? ` (${r.attempts} attempts)` : ''}${r.error ? ` — ${r.error}` : ''}`;
+      console.log(`    ${icon} ${r.name.padEnd(28)} ${detail}`);
+    }
+  }
+
+  /** Write the subtitle tracks, chapters.json and (after run()) scenes.json; returns the paths. */
+  finish() {
+    const files = this.track ? this.track.write(this.outputDir) : [];
+    this.chapters.write(this.outputDir);
+    files.push(path.join(this.outputDir, 'chapters.json'));
+    if (this.results.length) {
+      const report = path.join(this.outputDir, 'scenes.json');
+      fs.writeFileSync(report, JSON.stringify({ lang: this.lang, scenes: this.results }, null, 2) + '\n');
+      files.push(report);
+    }
+    return files;
+  }
+}
+
+function envList(key) {
+  return (process.env[key] || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = {
+  SceneRecorder, SceneError, GOTO, sceneFilter, globRegExp, sleep,
+  showOverlay, hideOverlay, showIntroCard, hideIntroCard, smoothScroll, scrollToTop,
+};
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Schema Migrations
+ *
+ * Replaces "pipe every schema file into psql and ignore the errors": each
+ * migration is applied once, inside a transaction, with psql stopping at the
+ * first error, and recorded with its SHA-256 in schema_migrations.
+ *
+ *   migrations, in order:
+ *     1. DEFAULTS.schemas — the platform schema files, looked up in
+ *        ../openexecution-platform/api/scripts, then ../openexecution-sovereign/schema
+ *     2. migrations/*.sql  — this repo's own, sorted by file name (NNN-name.sql)
+ *
+ *   pending  → applied with `--single-transaction -v ON_ERROR_STOP=1`; the
+ *              schema_migrations row is inserted in the same transaction, so a
+ *              failed migration leaves neither its changes nor a record
+ *   applied  → skipped if the checksum still matches
+ *   drift    → the file changed after it was applied: MigrationError, nothing
+ *              runs (restore the file, or reset the database)
+ *
+ * A file that manages its own transactions opts out with a first line of
+ * `-- migrate:no-transaction`. A platform schema file found in neither
+ * directory is skipped with a warning (those checkouts are optional).
+ *
+ * Usage:
+ *   node schema-migrations.js status    list applied / pending / drifted migrations
+ *   node schema-migrations.js migrate   apply pending migrations
+ * Talks to DATABASE_URL (host psql) with DB_BACKEND=external, else the
+ * DB_CONTAINER container (docker exec psql), database DB_NAME — see
+ * db-backends.js and configPsql(); settings come
+ * from config.js (environment, .env, oe.config.json, --db-name … flags).
+ */
+
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const NO_TRANSACTION = /^--\s*migrate:no-transaction\b/;
+
+const MIGRATIONS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  id VARCHAR(255) PRIMARY KEY,
+  checksum CHAR(64) NOT NULL,
+  applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);`;
+
+class MigrationError extends Error {
+  constructor(message, { migration, drift = [] } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.migration = migration;
+    this.drift = drift;
+  }
+}
+
+/** SHA-256 of the file with line endings normalized (a CRLF checkout is not drift). */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * The ordered migration list: { id, file, sql, checksum, transactional }.
+ * Returns { migrations, missing } (missing: platform schema files not found).
+ */
+function loadMigrations({ schemas = [], schemaDirs = [], migrationsDir = MIGRATIONS_DIR } = {}) {
+  const migrations = [], missing = [];
+  const add = file => {
+    const sql = fs.readFileSync(file, 'utf8');
+    const id = path.basename(file);
+    if (migrations.some(m => m.id === id)) throw new MigrationError(`Duplicate migration id ${id}`, { migration: id });
+    migrations.push({ id, file, sql, checksum: checksum(sql), transactional: !NO_TRANSACTION.test(sql) });
+  };
+
+  for (const name of schemas) {
+    const file = schemaDirs.map(d => path.join(d, name)).find(p => fs.existsSync(p));
+    if (file) add(file);
+    else missing.push(name);
+  }
+  if (fs.existsSync(migrationsDir)) {
+    for (const name of fs.readdirSync(migrationsDir).filter(f => f.endsWith('.sql')).sort()) add(path.join(migrationsDir, name));
+  }
+  return { migrations, missing };
+}
+
+/** id → checksum of every recorded migration (creates schema_migrations if needed). */
+function appliedMigrations(psql) {
+  psql(MIGRATIONS_TABLE_SQL);
+  const rows = (psql('SELECT id, checksum FROM schema_migrations ORDER BY applied_at, id;') || '').trim();
+  return new Map(rows.split('\n').filter(Boolean).map(line => line.split('|')));
+}
+
+/**
+ * Each migration with its state: applied | pending | drift, plus recorded ids
+ * no longer in the list (state unknown).
+ */
+function status(psql, migrations) {
+  const applied = appliedMigrations(psql);
+  const rows = migrations.map(m => ({
+    id: m.id, file: m.file,
+    state: !applied.has(m.id) ? 'pending' : applied.get(m.id) === m.checksum ? 'applied' : 'drift',
+  }));
+  for (const id of applied.keys()) {
+    if (!migrations.some(m => m.id === id)) rows.push({ id, file: null, state: 'unknown' });
+  }
+  return rows;
+}
+
+/**
+ * Apply pending migrations in order. `psql(sql, { singleTransaction })` runs
+ * SQL with ON_ERROR_STOP and throws with psql's error; `log(icon, msg)`
+ * reports progress. Resolves with { applied, current } (ids).
+ */
+async function migrate(psql, migrations, { log = () => {} } = {}) {
+  const rows = status(psql, migrations);
+  const drift = rows.filter(r => r.state === 'drift').map(r => r.id);
+  if (drift.length) {
+    throw new MigrationError(`Schema drift: ${drift.join(', ')} changed after being applied — restore the file(s) or reset the database`, { drift });
+  }
+  for (const r of rows.filter(r => r.state === 'unknown')) log('⚠', `Applied migration ${r.id} is no longer in the migration list`);
+
+  const applied = [], current = [];
+  for (const m of migrations) {
+    if (rows.find(r => r.id === m.id).state === 'applied') {
+      current.push(m.id);
+      continue;
+    }
+    const record = `INSERT INTO schema_migrations (id, checksum) VALUES (${quote(m.id)}, ${quote(m.checksum)});`;
+    const started = Date.now();
+    try {
+      if (m.transactional) {
+        psql(`${m.sql}\n;\n${record}\n`, { singleTransaction: true });
+      } else {
+        psql(m.sql);
+        psql(record);
+      }
+    } catch (err) {
+      throw new MigrationError(`Migration ${m.id} failed${m.transactional ? ' (rolled back)' : ''}: ${err.message}`, { migration: m.id });
+    }
+    log('✓', `Applied: ${m.id} (${Date.now() - started}ms)`);
+    applied.push(m.id);
+  }
+  if (!applied.length) log('✓', `Schema up to date (${current.length} migrations)`);
+  return { applied, current };
+}
+
+/**
+ * psql through a backend's command and env (db-backends.js), for the CLI
+ * (the orchestrators use ctx.psql).
+ */
+function commandPsql(command, env = {}) {
+  return (sql, { singleTransaction = false } = {}) => {
+    const flags = `-v ON_ERROR_STOP=1${singleTransaction ? ' --single-transaction' : ''}`;
+    try {
+      return execSync(`${command} -t -A ${flags}`, { input: sql, env: { ...process.env, ...env }, encoding: 'utf8', stdio: 'pipe', timeout: 60000 });
+    } catch (e) {
+      throw new Error(String(e.stderr || e.message).trim().split('\n').slice(-3).join(' | '));
+    }
+  };
+}
+
+/**
+ * commandPsql() for the database the orchestrators use: DATABASE_URL with
+ * DB_BACKEND=external, else the DB_CONTAINER container — database DB_NAME.
+ * A local cluster only lives for an orchestrator run, so not an option here.
+ */
+function configPsql(config) {
+  const { DEFAULTS, configFrom } = require('./orchestrator-core');
+  const { createBackend } = require('./db-backends');
+  const db = createBackend({ ...DEFAULTS, ...configFrom(config) }, { name: config.DB_BACKEND === 'external' ? 'external' : 'docker' });
+  return commandPsql(db.psqlCommand(), db.env);
+}
+
+module.exports = {
+  MigrationError, MIGRATIONS_DIR, MIGRATIONS_TABLE_SQL,
+  checksum, loadMigrations, appliedMigrations, status, migrate, commandPsql, configPsql,
+};
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const [cmd] = config.argv;
+  if (cmd !== 'status' && cmd !== 'migrate') {
+    console.error('  Usage: node schema-migrations.js status');
+    console.error('         node schema-migrations.js migrate');
+    process.exit(1);
+  }
+  (async () => {
+    const { DEFAULTS } = require('./orchestrator-core');
+    const { migrations, missing } = loadMigrations({
+      schemas: DEFAULTS.schemas, schemaDirs: [DEFAULTS.schemaDir, DEFAULTS.sovereignSchemaDir],
+    });
+    for (const name of missing) console.log(`  ⚠ Schema not found: ${name} — skipping`);
+    const psql = configPsql(config);
+
+    if (cmd === 'status') {
+      const icons = { applied: '✓', pending: '…', drift: '✗', unknown: '?' };
+      for (const r of status(psql, migrations)) console.log(`  ${icons[r.state]} ${r.state.padEnd(8)} ${r.id}`);
+    } else {
+      await migrate(psql, migrations, { log: (icon, msg) => console.log(`  ${icon} ${msg}`) });
+    }
+  })().catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
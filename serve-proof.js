@@ -24,11 +24,13 @@ const server = http.createServer((req, res) => {
     const chains = loadJSON('execution-chains.json') || [];
     const summary = loadJSON('demo-summary.json') || {};
     const connections = loadJSON('connections.json') || [];
+    const certificates = loadJSON('certificates.json') || [];
 
     let html = fs.readFileSync(path.join(__dirname, 'investor-proof.html'), 'utf8');
     html = html.replace('CHAINS_PLACEHOLDER', JSON.stringify(chains));
     html = html.replace('SUMMARY_PLACEHOLDER', JSON.stringify(summary));
     html = html.replace('CONNECTIONS_PLACEHOLDER', JSON.stringify(connections));
+    html = html.replace('CERTIFICATES_PLACEHOLDER', JSON.stringify(certificates));
 
     res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
     res.end(html);
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Replays a recorded walkthrough into dashboard.html — no GitHub or LLM calls.
+ * Every run of playwright-infra-walkthrough.js records its SSE events to
+ * recording-infra-{lang}/events.jsonl (see sse-log.js).
+ *
+ * Usage: node serve-replay.js [events.jsonl] [port]
+ * Default: recording-infra-en/events.jsonl on port 4100
+ * Open:    http://localhost:4100/replay?speed=2   (&maxGap=ms caps idle gaps)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { SseLog, wantsEventStream } = require('./sse-log');
+
+const LOG_FILE = process.argv[2] || path.join(__dirname, 'recording-infra-en', 'events.jsonl');
+const PORT = parseInt(process.argv[3]) || 4100;
+
+let log;
+try {
+  log = SseLog.load(LOG_FILE);
+} catch (err) {
+  console.error(`  FATAL: Cannot load event log: ${err.message}`);
+  process.exit(1);
+}
+
+const dashHtml = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/replay' && wantsEventStream(req)) {
+    log.replay(req, res);
+  } else if (pathname === '/replay') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(dashHtml);
+  } else if (pathname === '/') {
+    res.writeHead(302, { Location: '/replay' });
+    res.end();
+  } else {
+    res.writeHead(404);
+    res.end('Not found');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Replaying ${log.events.length} events from ${LOG_FILE}`);
+  console.log(`Dashboard replay: http://localhost:${PORT}/replay?speed=2`);
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Certificate Signing Keys
+ *
+ * Gives CertIssuer one long-lived issuer identity instead of a throwaway key
+ * per run. The active Ed25519 key is chosen in this order:
+ *
+ *   1. OE_SIGNING_KEY       — PKCS#8 PEM in the environment (CI secrets;
+ *                             literal "\n" sequences are accepted)
+ *   2. OE_SIGNING_KEY_FILE  — path to a PKCS#8 PEM file
+ *   3. the active key of the local key store
+ *   4. a new key, generated and persisted to the key store on first run
+ *
+ * Key store layout (OE_KEY_DIR, default .oe-keys/ — gitignored):
+ *   keyring.json           — public: every issuer key with its validity window
+ *   private/<key_id>.pem   — private keys (mode 0600)
+ *
+ * keyring.json is published next to each certificate. A key is valid from
+ * valid_from until valid_until (exclusive, null = still active); rotation
+ * closes the current key's window and opens a new one, so certificates issued
+ * before the rotation still verify against the retired key.
+ *
+ *   { "issuer": "OpenExecution Sovereign",
+ *     "keys": [ { "key_id": "…", "algorithm": "Ed25519", "format": "DER (SPKI)",
+ *                 "public_key": "<hex>", "valid_from": "…", "valid_until": null } ] }
+ *
+ * Usage:
+ *   node signing-keys.js show             — print the keyring (creates a key if none)
+ *   node signing-keys.js rotate           — retire the active key, activate a new one
+ *   node signing-keys.js export <file>    — write the public keyring to <file>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { keyFingerprint } = require('./provenance');
+
+const ISSUER = 'OpenExecution Sovereign';
+
+/** Where keys, approvers and the certificate registry go; read when used, after config has loaded .env. */
+function keyDir(env = process.env) {
+  return env.OE_KEY_DIR || path.join(__dirname, '.oe-keys');
+}
+
+class SigningKeyError extends Error {
+  constructor(message, { keyId, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.keyId = keyId;
+    if (cause) this.cause = cause;
+  }
+}
+
+
+// ── Helpers ──
+
+function publicKeyHex(privateKey) {
+  return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('hex');
+}
+
+function parsePrivateKey(pem, label) {
+  let key;
+  try {
+    key = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  } catch (err) {
+    throw new SigningKeyError(`${label} is not a valid PEM private key: ${err.message}`, { cause: err });
+  }
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new SigningKeyError(`${label} is a ${key.asymmetricKeyType} key; certificates are signed with Ed25519`);
+  }
+  return key;
+}
+
+function writeFileAtomic(file, content, mode) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, { mode });
+  fs.renameSync(tmp, file);
+}
+
+
+// ── Key store ──
+
+class KeyStore {
+  constructor({ dir = keyDir() } = {}) {
+    this.dir = dir;
+    this.ringFile = path.join(dir, 'keyring.json');
+    this.privateDir = path.join(dir, 'private');
+  }
+
+  readRing() {
+    if (!fs.existsSync(this.ringFile)) return { issuer: ISSUER, keys: [] };
+    try {
+      const ring = JSON.parse(fs.readFileSync(this.ringFile, 'utf8'));
+      if (!Array.isArray(ring.keys)) throw new Error('"keys" must be an array');
+      return ring;
+    } catch (err) {
+      throw new SigningKeyError(`Cannot read keyring ${this.ringFile}: ${err.message}`, { cause: err });
+    }
+  }
+
+  writeRing(ring) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeFileAtomic(this.ringFile, JSON.stringify(ring, null, 2) + '\n', 0o644);
+  }
+
+  active(ring = this.readRing()) {
+    return ring.keys.find(k => !k.valid_until) || null;
+  }
+
+  loadPrivateKey(keyId) {
+    const file = path.join(this.privateDir, `${keyId}.pem`);
+    if (!fs.existsSync(file)) {
+      throw new SigningKeyError(`Private key for active key ${keyId} not found (${file}). ` +
+        'If it came from OE_SIGNING_KEY / OE_SIGNING_KEY_FILE, set that again, or run "node signing-keys.js rotate".', { keyId });
+    }
+    const key = parsePrivateKey(fs.readFileSync(file, 'utf8'), file);
+    if (keyFingerprint(publicKeyHex(key)) !== keyId) {
+      throw new SigningKeyError(`${file} does not match key ID ${keyId}`, { keyId });
+    }
+    return key;
+  }
+
+  savePrivateKey(keyId, privateKey) {
+    fs.mkdirSync(this.privateDir, { recursive: true, mode: 0o700 });
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    writeFileAtomic(path.join(this.privateDir, `${keyId}.pem`), pem, 0o600);
+  }
+
+  /**
+   * Make `privateKey` the active key: retire the current one (if different)
+   * and append the new public key. Returns the key's ring entry.
+   */
+  activate(privateKey, { now = new Date().toISOString() } = {}) {
+    const ring = this.readRing();
+    const pubHex = publicKeyHex(privateKey);
+    const keyId = keyFingerprint(pubHex);
+    const known = ring.keys.find(k => k.key_id === keyId);
+    if (known) {
+      if (known.valid_until) {
+        throw new SigningKeyError(`Key ${keyId} was retired at ${known.valid_until} and cannot sign new certificates`, { keyId });
+      }
+      return known;
+    }
+    const current = this.active(ring);
+    if (current) current.valid_until = now;
+    const entry = {
+      key_id: keyId, algorithm: 'Ed25519', format: 'DER (SPKI)', public_key: pubHex,
+      valid_from: now, valid_until: null,
+    };
+    ring.keys.push(entry);
+    this.writeRing(ring);
+    return entry;
+  }
+
+  /** Generate a new key, persist it and make it the active one. */
+  rotate() {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const keyId = keyFingerprint(publicKeyHex(privateKey));
+    this.savePrivateKey(keyId, privateKey);
+    const entry = this.activate(privateKey);
+    return { privateKey, keyId, entry };
+  }
+}
+
+
+// ── Loading ──
+
+/**
+ * Resolve the signing key for CertIssuer. Returns
+ * { privateKey, keyId, source, keyring } where keyring is the public ring to
+ * publish alongside certificates.
+ */
+function loadSigningKey({ env = process.env, store = new KeyStore({ dir: keyDir(env) }) } = {}) {
+  let privateKey = null, source;
+  if (env.OE_SIGNING_KEY) {
+    privateKey = parsePrivateKey(env.OE_SIGNING_KEY, 'OE_SIGNING_KEY');
+    source = 'OE_SIGNING_KEY';
+  } else if (env.OE_SIGNING_KEY_FILE) {
+    let pem;
+    try {
+      pem = fs.readFileSync(env.OE_SIGNING_KEY_FILE, 'utf8');
+    } catch (err) {
+      throw new SigningKeyError(`Cannot read OE_SIGNING_KEY_FILE (${env.OE_SIGNING_KEY_FILE}): ${err.message}`, { cause: err });
+    }
+    privateKey = parsePrivateKey(pem, env.OE_SIGNING_KEY_FILE);
+    source = env.OE_SIGNING_KEY_FILE;
+  }
+
+  let keyId;
+  if (privateKey) {
+    keyId = store.activate(privateKey).key_id;
+  } else {
+    const active = store.active();
+    if (active) {
+      keyId = active.key_id;
+      privateKey = store.loadPrivateKey(keyId);
+      source = store.ringFile;
+    } else {
+      ({ privateKey, keyId } = store.rotate());
+      source = `generated → ${store.dir}`;
+    }
+  }
+  return { privateKey, keyId, source, keyring: store.readRing() };
+}
+
+module.exports = { loadSigningKey, keyDir, KeyStore, SigningKeyError };
+
+
+// ── CLI ──
+
+if (require.main === module) {
+  // OE_KEY_DIR and OE_SIGNING_KEY* may come from .env or --flags
+  const config = require('./config').loadConfigOrExit();
+  const [cmd, out] = config.argv;
+  const store = new KeyStore();
+  try {
+    if (cmd === 'show') {
+      const { keyId, source, keyring } = loadSigningKey({ store });
+      console.log(JSON.stringify(keyring, null, 2));
+      console.error(`  Active key: ${keyId} (${source})`);
+    } else if (cmd === 'rotate') {
+      const before = store.active();
+      const { keyId } = store.rotate();
+      console.error(`  Rotated: ${before ? before.key_id : '(none)'} → ${keyId}`);
+      if (process.env.OE_SIGNING_KEY || process.env.OE_SIGNING_KEY_FILE) {
+        console.error('  Note: OE_SIGNING_KEY / OE_SIGNING_KEY_FILE is set and still takes precedence.');
+      }
+    } else if (cmd === 'export' && out) {
+      fs.writeFileSync(out, JSON.stringify(store.readRing(), null, 2) + '\n');
+      console.error(`  Keyring written to ${out}`);
+    } else {
+      console.error('  Usage: node signing-keys.js show | rotate | export <file>');
+      process.exit(1);
+    }
+  } catch (err) {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  }
+}
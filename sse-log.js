@@ -0,0 +1,159 @@
+/**
+ * OpenExecution — Replayable SSE Event Log
+ *
+ * Every event pushed to the dashboard gets a monotonically increasing id and
+ * is kept (and, with a file, appended as JSON Lines) so that:
+ *
+ *   - a dashboard that connects late or reconnects gets the backlog: the
+ *     stream resumes after the Last-Event-ID header, or ?lastEventId=N
+ *     (dashboard.html passes the query form because it reconnects with a
+ *     fresh EventSource)
+ *   - a finished run can be streamed again, with the original pacing, by
+ *     GET /replay?speed=2 — no GitHub or LLM calls (see serve-replay.js)
+ *   - the recorder in the same process can wait for an event instead of
+ *     sleeping (waitFor, see scene-cues.js)
+ *
+ * Log file format, one event per line:
+ *   {"id":1,"t":1760000000000,"data":{"type":"step","act":1,...}}
+ *
+ *   const log = new SseLog({ file: 'recording-infra-en/events.jsonl' });
+ *   log.push({ type: 'msg', ... });
+ *   log.attach(req, res);                       // live stream + backlog
+ *   SseLog.load(file).replay(req, res, { speed: 2 });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+/** Resume point of an SSE request: Last-Event-ID header or ?lastEventId=. */
+function lastEventId(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const raw = req.headers['last-event-id'] || url.searchParams.get('lastEventId') || '0';
+  const id = parseInt(raw, 10);
+  return Number.isFinite(id) && id > 0 ? id : 0;
+}
+
+/** Whether a request comes from EventSource (vs. a page load of the same path). */
+function wantsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+function writeEvent(res, ev) {
+  res.write(`id: ${ev.id}\ndata: ${JSON.stringify(ev.data)}\n\n`);
+}
+
+class SseLog {
+  /** opts.file — JSON Lines file to persist to (truncated); opts.events — preloaded events. */
+  constructor(opts = {}) {
+    this.file = opts.file || null;
+    this.events = opts.events || [];
+    this.lastId = this.events.length ? this.events[this.events.length - 1].id : 0;
+    this.clients = new Set();
+    this.waiters = new Set();
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, '');
+    }
+  }
+
+  static load(file) {
+    const events = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${file}:${i + 1}: ${err.message}`);
+      }
+    });
+    return new SseLog({ events });
+  }
+
+  push(data) {
+    const ev = { id: ++this.lastId, t: Date.now(), data };
+    this.events.push(ev);
+    if (this.file) fs.appendFileSync(this.file, JSON.stringify(ev) + '\n');
+    for (const res of this.clients) writeEvent(res, ev);
+    for (const waiter of [...this.waiters]) waiter(ev);
+    return ev;
+  }
+
+  since(id) {
+    return this.events.filter(ev => ev.id > id);
+  }
+
+  /**
+   * The first event after id `after` whose data satisfies `match` — already
+   * logged or still to come (the recorders' scene cues, see scene-cues.js).
+   * Rejects after `timeoutMs` (0: never) or when `signal` aborts.
+   */
+  waitFor(match, { after = 0, timeoutMs = 0, signal = null } = {}) {
+    const logged = this.since(after).find(ev => match(ev.data));
+    if (logged) return Promise.resolve(logged);
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const stop = () => {
+        clearTimeout(timer);
+        this.waiters.delete(waiter);
+        if (signal) signal.removeEventListener('abort', abort);
+      };
+      const waiter = ev => {
+        if (!match(ev.data)) return;
+        stop();
+        resolve(ev);
+      };
+      const abort = () => {
+        stop();
+        reject(new Error('aborted'));
+      };
+      if (signal && signal.aborted) return reject(new Error('aborted'));
+      if (signal) signal.addEventListener('abort', abort);
+      if (timeoutMs) {
+        timer = setTimeout(() => {
+          stop();
+          reject(new Error(`no matching event within ${timeoutMs / 1000}s`));
+        }, timeoutMs);
+      }
+      this.waiters.add(waiter);
+    });
+  }
+
+  /** Live stream: send everything after the client's last id, then follow. */
+  attach(req, res) {
+    res.writeHead(200, SSE_HEADERS);
+    for (const ev of this.since(lastEventId(req))) writeEvent(res, ev);
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Recorded stream: re-send events with their original spacing divided by
+   * `speed`; idle gaps (e.g. waiting for the human instruction) are capped at
+   * `maxGap` ms. Query parameters ?speed= and ?maxGap= override both.
+   */
+  replay(req, res, { speed = 1, maxGap = 5000 } = {}) {
+    const url = new URL(req.url, 'http://localhost');
+    const rate = parseFloat(url.searchParams.get('speed')) || speed;
+    const cap = url.searchParams.has('maxGap') ? parseInt(url.searchParams.get('maxGap'), 10) : maxGap;
+    const events = this.since(lastEventId(req));
+    let closed = false, timer = null;
+    req.on('close', () => { closed = true; clearTimeout(timer); });
+
+    res.writeHead(200, SSE_HEADERS);
+    const next = (i) => {
+      if (closed || i >= events.length) return;
+      writeEvent(res, events[i]);
+      if (i + 1 < events.length) {
+        const gap = Math.min((events[i + 1].t - events[i].t) / rate, cap);
+        timer = setTimeout(() => next(i + 1), Math.max(0, gap));
+      }
+    };
+    next(0);
+  }
+}
+
+module.exports = { SseLog, lastEventId, wantsEventStream };
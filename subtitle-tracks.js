@@ -0,0 +1,160 @@
+/**
+ * OpenExecution — Subtitle Tracks (WebVTT / SRT)
+ *
+ * The recorders narrate with an overlay burned into the page; a
+ * SubtitleTrack logs when each subtitle is shown and cleared, in ms from the
+ * start of the video, by its key in the recorder's SUBTITLES table — so one
+ * recording yields a timed track in every language the table has.
+ *
+ * DEMO_SUBTITLES picks what a recording produces:
+ *   burn    — overlay in the video + tracks for DEMO_LANG (default)
+ *   tracks  — no overlay; tracks for every language; the orchestrators then
+ *             record once instead of once per language
+ *
+ * Written next to the video:
+ *   subtitles.json          { lang, mode, languages, cues: [{ key, start, end, text: { <lang> } }] }
+ *                           (the log; post-production.js re-times it after trimming)
+ *   subtitles.<lang>.vtt    WebVTT
+ *   subtitles.<lang>.srt    SubRip
+ *
+ *   const track = new SubtitleTrack(SUBTITLES, { lang: 'en', mode: 'burn' });
+ *   track.start();                // right after context.newPage(): the video starts with the page
+ *   track.show('intro');  …  track.clear();
+ *   track.write(OUTPUT_DIR);      // → [files]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['burn', 'tracks'];
+
+class SubtitleTrackError extends Error {
+  constructor(message, { key } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.key = key;
+  }
+}
+
+
+// ── Formats ──
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/** 3723004 → "01:02:03.004" (WebVTT) or "01:02:03,004" (SRT). */
+function timestamp(ms, separator = '.') {
+  const t = Math.max(0, Math.round(ms));
+  return `${pad(Math.floor(t / 3600000))}:${pad(Math.floor(t / 60000) % 60)}:${pad(Math.floor(t / 1000) % 60)}${separator}${pad(t % 1000, 3)}`;
+}
+
+/** [{ start, end, text }] → WebVTT. */
+function toVtt(cues) {
+  return ['WEBVTT', '', ...cues.flatMap((c, i) => [
+    String(i + 1), `${timestamp(c.start)} --> ${timestamp(c.end)}`, c.text, '',
+  ])].join('\n');
+}
+
+/** [{ start, end, text }] → SubRip. */
+function toSrt(cues) {
+  return cues.flatMap((c, i) => [
+    String(i + 1), `${timestamp(c.start, ',')} --> ${timestamp(c.end, ',')}`, c.text, '',
+  ]).join('\n');
+}
+
+
+// ── Track ──
+
+class SubtitleTrack {
+  /**
+   * subtitles — key → { en, zh, ja } (the recorder's SUBTITLES table).
+   * opts.lang — the recording's language; opts.mode — burn | tracks;
+   * opts.now — clock (ms).
+   */
+  constructor(subtitles, { lang = 'en', mode = 'burn', now = Date.now } = {}) {
+    if (!MODES.includes(mode)) throw new SubtitleTrackError(`Unknown subtitle mode ${mode} (expected ${MODES.join(' or ')})`);
+    this.subtitles = subtitles;
+    this.lang = lang;
+    this.mode = mode;
+    this.now = now;
+    this.t0 = null;
+    this.cues = [];
+    this.open = null;
+  }
+
+  /** Whether the overlay goes into the video. */
+  get burnIn() {
+    return this.mode === 'burn';
+  }
+
+  /** Every language the track is written in. */
+  get languages() {
+    if (!this.burnIn) return [...new Set(Object.values(this.subtitles).flatMap(Object.keys))];
+    return [this.lang];
+  }
+
+  /** Mark the start of the video; cue times are relative to it. */
+  start() {
+    this.t0 = this.now();
+  }
+
+  elapsed() {
+    if (this.t0 === null) throw new SubtitleTrackError('SubtitleTrack.start() was not called');
+    return this.now() - this.t0;
+  }
+
+  /** `key` is on screen from now; durationMs > 0 ends it by itself (as the overlay does). */
+  show(key, { durationMs = 0 } = {}) {
+    if (!this.subtitles[key]) throw new SubtitleTrackError(`No subtitle ${key}`, { key });
+    this.clear();
+    const start = this.elapsed();
+    this.open = { key, start, end: durationMs > 0 ? start + durationMs : null };
+    this.cues.push(this.open);
+  }
+
+  /** Whatever is on screen is gone from now (also when its own duration ended earlier). */
+  clear() {
+    if (!this.open) return;
+    const at = this.elapsed();
+    if (this.open.end === null || this.open.end > at) this.open.end = at;
+    this.open = null;
+  }
+
+  text(key, lang) {
+    const entry = this.subtitles[key] || {};
+    return entry[lang] || entry.en || key;
+  }
+
+  /** Timed cues in `lang`: [{ key, start, end, text }]. */
+  cuesFor(lang) {
+    this.clear();
+    // A blank line would end the cue in both formats
+    return this.cues.filter(c => c.end > c.start).map(c => ({ ...c, text: this.text(c.key, lang).replace(/\n\s*\n/g, '\n') }));
+  }
+
+  /** Write subtitles.json and a .vtt + .srt per language into `dir`; returns the paths. */
+  write(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const files = [];
+    const put = (name, content) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, content);
+      files.push(file);
+    };
+    const byLang = Object.fromEntries(this.languages.map(lang => [lang, this.cuesFor(lang)]));
+    put('subtitles.json', JSON.stringify({
+      lang: this.lang, mode: this.mode, languages: this.languages,
+      cues: this.cuesFor(this.lang).map(({ key, start, end }, i) => ({
+        key, start, end, text: Object.fromEntries(this.languages.map(lang => [lang, byLang[lang][i].text])),
+      })),
+    }, null, 2) + '\n');
+    for (const [lang, cues] of Object.entries(byLang)) {
+      put(`subtitles.${lang}.vtt`, toVtt(cues));
+      put(`subtitles.${lang}.srt`, toSrt(cues));
+    }
+    return files;
+  }
+}
+
+module.exports = { SubtitleTrack, SubtitleTrackError, MODES, timestamp, toVtt, toSrt };
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Quorum, QuorumError } = require('../approval-quorum');
+
+const INSTRUCTION = 'Use parameterized queries. Deploy after review.';
+
+function submission(id, role, { decision = 'approve', instruction = INSTRUCTION } = {}) {
+  return { instruction, approval: { approver_id: id, name: id, role, statement: { decision } } };
+}
+
+test('required defaults to the number of roles, at least one', () => {
+  assert.equal(new Quorum().required, 1);
+  assert.equal(new Quorum({ roles: ['ciso', 'owner', 'ciso'] }).required, 2);
+  assert.equal(new Quorum({ required: 3, roles: ['ciso'] }).required, 3);
+});
+
+test('approved once enough approvals cover every role', () => {
+  const q = new Quorum({ required: 2, roles: ['ciso', 'owner'] });
+  q.add(submission('a', 'ciso'));
+  assert.equal(q.status, 'pending');
+  assert.deepEqual(q.missingRoles(), ['owner']);
+  const record = q.add(submission('b', 'owner'));
+  assert.equal(record.event_type, 'approval_granted');
+  assert.equal(q.status, 'approved');
+  assert.deepEqual(q.result().approvers, ['a', 'b']);
+  assert.equal(q.result().instruction, INSTRUCTION);
+});
+
+test('enough approvals without every role stay pending', () => {
+  const q = new Quorum({ required: 2, roles: ['ciso'] });
+  q.add(submission('a', 'ciso'));
+  assert.throws(() => q.add(submission('b', 'intern')), err => err instanceof QuorumError && err.status === 403);
+  assert.equal(q.status, 'pending');
+});
+
+test('one rejection vetoes by default', () => {
+  const q = new Quorum({ required: 2 });
+  q.add(submission('a', 'ciso'));
+  const record = q.add(submission('b', 'owner', { decision: 'reject' }));
+  assert.equal(record.event_type, 'approval_rejected');
+  assert.equal(q.status, 'rejected');
+  assert.equal(q.result().instruction, null);
+  assert.deepEqual(q.result().rejecters, ['b']);
+});
+
+test('each approver decides once, and later approvals must sign the same instruction', () => {
+  const q = new Quorum({ required: 3 });
+  q.add(submission('a', 'ciso'));
+  assert.throws(() => q.add(submission('a', 'ciso')), /already decided/);
+  assert.throws(() => q.add(submission('b', 'owner', { instruction: 'Deploy now.' })), /different instruction/);
+  // A rejection may name any instruction
+  q.add(submission('c', 'owner', { decision: 'reject', instruction: 'Deploy now.' }));
+  assert.equal(q.status, 'rejected');
+});
+
+test('a settled quorum counts nothing more, and expiry only ends a pending one', () => {
+  const q = new Quorum({ timeoutMs: 1000 });
+  assert.ok(q.deadline);
+  q.expire();
+  assert.equal(q.status, 'timeout');
+  assert.throws(() => q.add(submission('a', 'ciso')), /already timeout/);
+
+  const approved = new Quorum();
+  approved.add(submission('a', 'ciso'));
+  approved.expire();
+  assert.equal(approved.status, 'approved');
+});
+
+test('unsigned instructions only pass a single-approver quorum without roles', () => {
+  const single = new Quorum();
+  single.add({ instruction: INSTRUCTION });
+  assert.equal(single.status, 'approved');
+  assert.throws(() => new Quorum({ required: 2 }).add({ instruction: INSTRUCTION }), err => err.status === 401);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { SessionManager } = require('../demo-sessions');
+const { ApproverStore, authorizeStart } = require('../approvals');
+
+/** A dashboard server whose runs wait until the test lets them finish. */
+async function dashboard(t, opts) {
+  let finish;
+  const done = new Promise(r => { finish = r; });
+  const sessions = new SessionManager({ dashHtml: '', startRun: () => done, ...opts });
+  const server = http.createServer((req, res) => sessions.handle(req, res));
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => { finish(); server.closeAllConnections(); server.close(); });
+  const start = token => fetch(`http://127.0.0.1:${server.address().port}/sessions`, {
+    method: 'POST', headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return { sessions, start };
+}
+
+test('nobody may start a session unless the server says who can', async t => {
+  const { sessions, start } = await dashboard(t);
+  const res = await start('anything');
+  assert.equal(res.status, 403);
+  assert.equal(sessions.sessions.size, 0);
+});
+
+test('starting a session takes an approver or admin token, and runs are capped', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new ApproverStore({ file: path.join(dir, 'approvers.json') });
+  store.add({ id: 'ciso-1', name: 'CISO', role: 'ciso' });
+  const approverToken = store.issueToken('ciso-1');
+
+  const { sessions, start } = await dashboard(t, {
+    authorizeStart: req => authorizeStart(store, req.headers, { adminToken: 'admin-secret' }),
+    maxRunning: 2,
+  });
+  assert.equal((await start()).status, 401);
+  assert.equal((await start('guess')).status, 401);
+  assert.equal(sessions.sessions.size, 0);
+
+  assert.equal((await start(approverToken)).status, 201);
+  assert.equal((await start('admin-secret')).status, 201);
+  const capped = await start('admin-secret');
+  assert.equal(capped.status, 429);
+  assert.match((await capped.json()).error, /limit 2/);
+  assert.equal(sessions.running(), 2);
+});
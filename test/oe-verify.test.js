@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { canonicalize, keyFingerprint, Chain, CertIssuer } = require('../provenance');
+const { verifyBundle } = require('../oe-verify');
+const { signApproval } = require('../approvals');
+const { CertificateRegistry } = require('../cert-lifecycle');
+
+function publicKeyHex(privateKey) {
+  return crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('hex');
+}
+
+/** A resolved three-event chain, its certificate and the issuer's public key. */
+function bundle({ issuer = new CertIssuer(), events } = {}) {
+  const chain = new Chain('chain-1');
+  for (const e of events || [['task_created', { title: 'CVE-2026-4821' }], ['analysis', { severity: 'high' }], ['merged', { pr: 7 }]]) {
+    chain.append(e[0], 'agent', 'org', e[1], e[2]);
+  }
+  chain.resolve();
+  return {
+    issuer, chainObj: chain,
+    chain: JSON.parse(JSON.stringify({ chain_id: chain.id, events: chain.events })),
+    cert: issuer.issue(chain),
+    publicKey: { public_key: issuer.pubHex },
+  };
+}
+
+test('canonicalize sorts keys and drops undefined ones, as JSON.stringify does', () => {
+  const doc = { b: 1, a: { d: undefined, c: [undefined, 2] } };
+  assert.equal(canonicalize(doc), '{"a":{"c":[null,2]},"b":1}');
+  assert.equal(canonicalize(doc), canonicalize(JSON.parse(JSON.stringify(doc))));
+});
+
+test('an untouched bundle verifies', () => {
+  const { chain, cert, publicKey } = bundle();
+  const report = verifyBundle({ chain, cert, publicKey });
+  assert.equal(report.ok, true, report.failed_checks.join(', '));
+  assert.equal(report.event_count, 3);
+  assert.equal(report.first_divergent_seq, null);
+});
+
+test('an edited payload is caught at its sequence number', () => {
+  const { chain, cert, publicKey } = bundle();
+  chain.events[1].payload.severity = 'low';
+  const report = verifyBundle({ chain, cert, publicKey });
+  assert.equal(report.ok, false);
+  assert.ok(report.failed_checks.includes('event_hashes'));
+  assert.equal(report.first_divergent_seq, 2);
+});
+
+test('a dropped event breaks the linkage and the certified count', () => {
+  const { chain, cert, publicKey } = bundle();
+  chain.events.splice(1, 1);
+  const report = verifyBundle({ chain, cert, publicKey });
+  assert.ok(report.failed_checks.includes('linkage'));
+  assert.ok(report.failed_checks.includes('event_count'));
+});
+
+test('a certificate signed by another key fails', () => {
+  const { chain, cert } = bundle();
+  const report = verifyBundle({ chain, cert, publicKey: { public_key: new CertIssuer().pubHex } });
+  assert.equal(report.ok, false);
+  assert.ok(report.failed_checks.includes('issuer_key'));
+});
+
+test('a bundle whose chain or certificate is not an object is bad input', () => {
+  const { cert, publicKey } = bundle();
+  const report = verifyBundle({ chain: null, cert, publicKey });
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.failed_checks, ['input']);
+  assert.match(report.error, /execution chain is not a JSON object/);
+  assert.deepEqual(verifyBundle({ chain: { events: [] }, cert: [], publicKey }).failed_checks, ['input']);
+
+  const { chain } = bundle();
+  chain.events.push(null);
+  const nullEvent = verifyBundle({ chain, cert, publicKey });
+  assert.deepEqual(nullEvent.failed_checks, ['input']);
+  assert.match(nullEvent.error, /Event 4 of the execution chain is not a JSON object/);
+});
+
+test('the CLI exits 2 on bad input', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oe-verify-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'execution-chain.json'), 'null');
+    fs.writeFileSync(path.join(dir, 'certificate.json'), '{}');
+    fs.writeFileSync(path.join(dir, 'public-key.json'), JSON.stringify(bundle().publicKey));
+    const res = require('child_process').spawnSync(process.execPath, [path.join(__dirname, '..', 'oe-verify.js'), dir], { encoding: 'utf8' });
+    assert.equal(res.status, 2);
+    assert.equal(JSON.parse(res.stdout).ok, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('key rotation: a retired key verifies what it signed while it was active, nothing after', () => {
+  const oldKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  const newKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  const rotatedAt = new Date(Date.now() - 60000).toISOString();
+  const entry = (key, from, until) => ({
+    key_id: keyFingerprint(publicKeyHex(key)), public_key: publicKeyHex(key), valid_from: from, valid_until: until,
+  });
+  const keyring = { keys: [entry(oldKey, '2026-01-01T00:00:00.000Z', rotatedAt), entry(newKey, rotatedAt, null)] };
+
+  const current = bundle({ issuer: new CertIssuer({ privateKey: newKey }) });
+  assert.equal(verifyBundle({ chain: current.chain, cert: current.cert, keyring }).ok, true);
+
+  // Re-signed by the old key, as it was before the rotation
+  const old = new CertIssuer({ privateKey: oldKey });
+  const { signature, public_key, key_id, ...fields } = current.cert;
+  const before = old.sign({ ...fields, issued_at: '2026-06-01T00:00:00.000Z' });
+  assert.equal(verifyBundle({ chain: current.chain, cert: before, keyring }).ok, true);
+
+  const after = old.sign(fields);
+  const report = verifyBundle({ chain: current.chain, cert: after, keyring });
+  assert.equal(report.ok, false);
+  assert.match(report.checks.issuer_key.error, /was not valid at issued_at/);
+});
+
+test('revocation: a revoked certificate fails, a superseded one passes flagged', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oe-registry-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const registry = new CertificateRegistry({ file: path.join(dir, 'certificates.json') });
+  const { issuer, chainObj, chain, cert, publicKey } = bundle();
+  registry.record(cert);
+
+  const list = registry.revocationList(issuer);
+  assert.equal(verifyBundle({ chain, cert, publicKey, revocations: list }).certificate_status, 'active');
+
+  chainObj.append('deployed', 'agent', 'org', { env: 'production' });
+  chainObj.resolve();
+  const newer = registry.supersede(cert.certificate_id, chainObj, issuer);
+  const superseded = verifyBundle({ chain, cert, publicKey, revocations: registry.revocationList(issuer) });
+  assert.equal(superseded.ok, true);
+  assert.equal(superseded.checks.certificate_status.superseded_by, newer.certificate_id);
+
+  registry.revoke(newer.certificate_id, 'key_compromise');
+  const extended = JSON.parse(JSON.stringify({ chain_id: chainObj.id, events: chainObj.events }));
+  const revoked = verifyBundle({ chain: extended, cert: newer, publicKey, revocations: registry.revocationList(issuer) });
+  assert.equal(revoked.ok, false);
+  assert.equal(revoked.certificate_status, 'revoked');
+  assert.ok(revoked.failed_checks.includes('certificate_status'));
+
+  // A list the issuer did not sign cannot vouch for anything
+  const forged = { ...registry.revocationList(issuer), entries: [] };
+  const report = verifyBundle({ chain: extended, cert: newer, publicKey, revocations: forged });
+  assert.ok(report.failed_checks.includes('revocation_list'));
+});
+
+test('approvals: the role is signed and a role quorum needs the approver directory', () => {
+  const key = crypto.generateKeyPairSync('ed25519').privateKey;
+  const instruction = 'Deploy the fix after code review.';
+  const approval = (role, signedRole = role) => ({
+    ...signApproval(key, { chainId: 'chain-1', challenge: 'c0ffee', instruction, approverId: 'ciso-1', role: signedRole, signedAt: new Date().toISOString() }),
+    name: 'CISO', role,
+  });
+  const withApproval = a => bundle({ events: [
+    ['task_created', { title: 'CVE-2026-4821' }],
+    ['instruction_received', { instruction, approval: a, quorum: { required: 1, roles: ['ciso'] } }, { authorization: true }],
+  ] });
+  const directory = role => ({ approvers: [{ id: 'ciso-1', name: 'CISO', role, public_key: publicKeyHex(key) }] });
+
+  const signed = withApproval(approval('ciso'));
+  assert.equal(verifyBundle({ ...signed, approvers: directory('ciso') }).ok, true);
+
+  const unbound = verifyBundle(signed).checks.approvals;
+  assert.equal(unbound.ok, false);
+  assert.equal(unbound.quorums[0].unverified, true);
+
+  const relabelled = verifyBundle({ ...withApproval(approval('ciso', 'intern')), approvers: directory('ciso') });
+  assert.match(relabelled.checks.approvals.invalid[0].error, /not the signed role/);
+
+  const unpublished = verifyBundle({ ...withApproval(approval('intern')), approvers: directory('ciso') });
+  assert.match(unpublished.checks.approvals.invalid[0].error, /not the role published/);
+});
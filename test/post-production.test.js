@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { idleBounds, shiftCues, chapterList, ffmetadata, videoFragments } = require('../post-production');
+
+test('idleBounds trims a frozen head and tail, keeping the padding', () => {
+  const freezes = [{ start: 0, end: 4000 }, { start: 20000, end: 21000 }, { start: 55000, end: null }];
+  assert.deepEqual(idleBounds({ durationMs: 60000, freezes }), { startMs: 3500, endMs: 55500 });
+  assert.deepEqual(idleBounds({ durationMs: 60000, freezes }, { padMs: 0 }), { startMs: 4000, endMs: 55000 });
+});
+
+test('idleBounds keeps a video without idle edges whole', () => {
+  assert.deepEqual(idleBounds({ durationMs: 30000, freezes: [] }), { startMs: 0, endMs: 30000 });
+  // A pause in the middle is part of the demo
+  assert.deepEqual(idleBounds({ durationMs: 30000, freezes: [{ start: 10000, end: 15000 }] }), { startMs: 0, endMs: 30000 });
+});
+
+test('idleBounds: a freeze ending just before the end still counts as the tail', () => {
+  assert.deepEqual(idleBounds({ durationMs: 30000, freezes: [{ start: 25000, end: 29950 }] }, { padMs: 0 }), { startMs: 0, endMs: 25000 });
+});
+
+test('idleBounds: a video frozen throughout never gets a negative length', () => {
+  const { startMs, endMs } = idleBounds({ durationMs: 10000, freezes: [{ start: 0, end: 10000 }] });
+  assert.ok(endMs >= startMs);
+});
+
+test('shiftCues moves cues onto the trimmed timeline, clipping and dropping', () => {
+  const cues = [{ key: 'a', start: 1000, end: 3000 }, { key: 'b', start: 4000, end: 9000 }, { key: 'c', start: 12000, end: 13000 }];
+  assert.deepEqual(shiftCues(cues, { startMs: 2000, endMs: 10000 }), [
+    { key: 'a', start: 0, end: 1000 },
+    { key: 'b', start: 2000, end: 7000 },
+  ]);
+});
+
+test('chapterList tiles the trimmed video, dropping chapters under a second', () => {
+  const marks = [
+    { title: 'Intro', start: 2500 },
+    { title: 'ACT 1', start: 8000 },
+    { title: 'Scan', start: 8400 },
+    { title: 'ACT 2', start: 20000 },
+  ];
+  assert.deepEqual(chapterList(marks, { startMs: 2000, endMs: 32000 }), [
+    { title: 'Intro', start: 0, end: 6400 },
+    { title: 'Scan', start: 6400, end: 18000 },
+    { title: 'ACT 2', start: 18000, end: 30000 },
+  ]);
+});
+
+test('chapterList clamps marks outside the trimmed video', () => {
+  const marks = [{ title: 'Before', start: 0 }, { title: 'Main', start: 5000 }, { title: 'After', start: 50000 }];
+  assert.deepEqual(chapterList(marks, { startMs: 3000, endMs: 13000 }), [
+    { title: 'Before', start: 0, end: 2000 },
+    { title: 'Main', start: 2000, end: 10000 },
+  ]);
+});
+
+test('ffmetadata escapes titles', () => {
+  const meta = ffmetadata([{ title: 'ACT 1; scan = #1', start: 0, end: 1234.4 }]);
+  assert.equal(meta, ';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=1234\ntitle=ACT 1\\; scan \\= \\#1\n');
+});
+
+test('videoFragments orders page videos by creation, not by when they were last written', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'page-b.webm'), 'first page');
+  if (!fs.statSync(path.join(dir, 'page-b.webm')).birthtimeMs) return t.skip('no birth times on this file system');
+  await new Promise(r => setTimeout(r, 20));
+  fs.writeFileSync(path.join(dir, 'page-a.webm'), 'second page');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+  // The first page stays open (and recording) after the second one closes
+  const later = new Date(Date.now() + 60000);
+  fs.utimesSync(path.join(dir, 'page-b.webm'), later, later);
+  assert.deepEqual(videoFragments(dir).map(f => path.basename(f)), ['page-b.webm', 'page-a.webm']);
+});
+
+test('the CLI runs the ffmpeg given by --ffmpeg-path', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'page.webm'), '');
+  const bin = path.join(dir, 'no-such-ffmpeg');
+  const env = { ...process.env };
+  delete env.FFMPEG_PATH;
+  const res = spawnSync(process.execPath, [path.join(__dirname, '..', 'post-production.js'), dir, '--ffmpeg-path', bin], { encoding: 'utf8', env });
+  assert.equal(res.status, 1);
+  assert.ok(res.stderr.includes(`ffmpeg not found (${bin})`), res.stderr);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SseLog } = require('../sse-log');
+const { SceneCueError, createCues } = require('../scene-cues');
+
+test('SSE cues advance in order; seq cues check the whole log', async () => {
+  const log = new SseLog();
+  log.push({ type: 'chain', seq: 1 });
+  log.push({ type: 'chain', seq: 2 });
+  log.push({ type: 'status', phase: 'analysis' });
+  const cues = createCues({ events: log, timeoutMs: 200 });
+
+  await cues.waitFor({ sse: 'status', phase: 'analysis' });
+  // seq 2 arrived before the status event the previous cue matched
+  assert.deepEqual((await cues.waitFor({ seq: 2 })).data, { type: 'chain', seq: 2 });
+  // ... and did not move later SSE cues back before it
+  await assert.rejects(cues.waitFor({ sse: 'chain' }), SceneCueError);
+  log.push({ type: 'chain', seq: 3 });
+  assert.equal((await cues.waitFor({ sse: 'chain' })).data.seq, 3);
+});
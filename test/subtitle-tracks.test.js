@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SubtitleTrack, SubtitleTrackError, timestamp, toVtt, toSrt } = require('../subtitle-tracks');
+
+const SUBTITLES = {
+  intro: { en: 'OpenExecution', zh: '开放执行', ja: 'オープン実行' },
+  act1: { en: 'ACT 1\n\nThe vulnerability', zh: '第一幕' },
+};
+
+/** A track on a clock the test moves by hand. */
+function track(opts = {}) {
+  const clock = { t: 5000 };
+  const t = new SubtitleTrack(SUBTITLES, { ...opts, now: () => clock.t });
+  t.start();
+  return { t, at: ms => { clock.t = 5000 + ms; } };
+}
+
+test('timestamps in WebVTT and SRT form', () => {
+  assert.equal(timestamp(3723004), '01:02:03.004');
+  assert.equal(timestamp(3723004, ','), '01:02:03,004');
+  assert.equal(timestamp(-20), '00:00:00.000');
+  assert.equal(timestamp(999.6), '00:00:01.000');
+});
+
+test('cues run from show() to the next show() or clear(), relative to start()', () => {
+  const { t, at } = track();
+  at(1000); t.show('intro');
+  at(4000); t.show('act1');
+  at(6500); t.clear();
+  assert.deepEqual(t.cuesFor('en').map(({ key, start, end }) => ({ key, start, end })), [
+    { key: 'intro', start: 1000, end: 4000 },
+    { key: 'act1', start: 4000, end: 6500 },
+  ]);
+});
+
+test('a duration ends the cue by itself, and a clear() before it cuts it short', () => {
+  const { t, at } = track();
+  at(0); t.show('intro', { durationMs: 2000 });
+  at(9000); t.show('act1', { durationMs: 3000 });
+  at(10000); t.clear();
+  assert.deepEqual(t.cuesFor('en').map(c => [c.start, c.end]), [[0, 2000], [9000, 10000]]);
+});
+
+test('empty cues are dropped and blank lines cannot end a cue early', () => {
+  const { t, at } = track();
+  at(500); t.show('intro');
+  t.show('act1');
+  at(1500);
+  const cues = t.cuesFor('en');
+  assert.equal(cues.length, 1);
+  assert.equal(cues[0].text, 'ACT 1\nThe vulnerability');
+  assert.match(toVtt(cues), /^WEBVTT\n\n1\n00:00:00\.500 --> 00:00:01\.500\nACT 1\nThe vulnerability\n$/);
+  assert.match(toSrt(cues), /^1\n00:00:00,500 --> 00:00:01,500\n/);
+});
+
+test('missing translations fall back to English', () => {
+  const { t, at } = track();
+  t.show('act1');
+  at(1000);
+  assert.equal(t.cuesFor('ja')[0].text, 'ACT 1\nThe vulnerability');
+});
+
+test('burn mode writes its own language, tracks mode every language', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const burn = track({ lang: 'zh' });
+  assert.deepEqual(burn.t.languages, ['zh']);
+
+  const tracks = track({ mode: 'tracks' });
+  tracks.t.show('intro');
+  tracks.at(2000);
+  const files = tracks.t.write(dir).map(f => path.basename(f)).sort();
+  assert.deepEqual(files, ['subtitles.en.srt', 'subtitles.en.vtt', 'subtitles.ja.srt', 'subtitles.ja.vtt',
+    'subtitles.json', 'subtitles.zh.srt', 'subtitles.zh.vtt']);
+  const log = JSON.parse(fs.readFileSync(path.join(dir, 'subtitles.json'), 'utf8'));
+  assert.deepEqual(log.cues, [{ key: 'intro', start: 0, end: 2000, text: SUBTITLES.intro }]);
+});
+
+test('misuse is a SubtitleTrackError', () => {
+  assert.throws(() => new SubtitleTrack(SUBTITLES, { mode: 'karaoke' }), SubtitleTrackError);
+  assert.throws(() => new SubtitleTrack(SUBTITLES).show('intro'), /start\(\) was not called/);
+  assert.throws(() => track().t.show('outro'), err => err instanceof SubtitleTrackError && err.key === 'outro');
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { VisualRegressionError, check, compareImages, decodePng, encodePng, rulesFor, screenLabel } = require('../visual-regression');
+
+/** A width×height RGBA image of one colour. */
+function image(width, height, [r, g, b, a = 255] = [255, 255, 255]) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) { data[i] = r; data[i + 1] = g; data[i + 2] = b; data[i + 3] = a; }
+  return { width, height, data };
+}
+
+function paint(img, x, y, [r, g, b]) {
+  const i = (y * img.width + x) * 4;
+  img.data[i] = r; img.data[i + 1] = g; img.data[i + 2] = b;
+  return img;
+}
+
+test('encodePng → decodePng round-trips RGBA', () => {
+  const img = paint(image(3, 2, [10, 20, 30, 128]), 2, 1, [200, 100, 0]);
+  assert.deepEqual(decodePng(encodePng(img)), img);
+});
+
+test('decodePng reads the grayscale and palette PNGs other tools write', () => {
+  const png = (header, rows, extra = []) => {
+    const chunk = (type, data) => {
+      const out = Buffer.alloc(12 + data.length);
+      out.writeUInt32BE(data.length, 0);
+      out.write(type, 4, 'latin1');
+      data.copy(out, 8);
+      return out; // decodePng does not check CRCs
+    };
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', header), ...extra.map(([t, d]) => chunk(t, d)), chunk('IDAT', zlib.deflateSync(rows)), chunk('IEND', Buffer.alloc(0))]);
+  };
+  const ihdr = (w, h, depth, colorType) => {
+    const b = Buffer.alloc(13);
+    b.writeUInt32BE(w, 0); b.writeUInt32BE(h, 4); b[8] = depth; b[9] = colorType;
+    return b;
+  };
+  // 2×1 grayscale, Sub filter: 50, then 50 + 30
+  const gray = decodePng(png(ihdr(2, 1, 8, 0), Buffer.from([1, 50, 30])));
+  assert.deepEqual([...gray.data], [50, 50, 50, 255, 80, 80, 80, 255]);
+  // 2×1 palette with a transparent first entry
+  const pal = decodePng(png(ihdr(2, 1, 8, 3), Buffer.from([0, 0, 1]), [['PLTE', Buffer.from([1, 2, 3, 4, 5, 6])], ['tRNS', Buffer.from([0])]]));
+  assert.deepEqual([...pal.data], [1, 2, 3, 0, 4, 5, 6, 255]);
+});
+
+test('decodePng rejects what is not a readable PNG', () => {
+  assert.throws(() => decodePng(Buffer.from('GIF89a'), 'x.png'), err => err instanceof VisualRegressionError && /not a PNG/.test(err.message));
+  const truncated = encodePng(image(4, 4)).subarray(0, 40);
+  assert.throws(() => decodePng(truncated), VisualRegressionError);
+});
+
+test('compareImages counts changed pixels and boxes them', () => {
+  const base = image(10, 10);
+  const current = paint(paint(image(10, 10), 2, 3, [0, 0, 0]), 6, 7, [0, 0, 0]);
+  const diff = compareImages(base, current);
+  assert.equal(diff.compared, 100);
+  assert.equal(diff.changed, 2);
+  assert.equal(diff.ratio, 0.02);
+  assert.deepEqual(diff.box, { x: 2, y: 3, width: 5, height: 5 });
+  assert.deepEqual([...diff.image.data.subarray((3 * 10 + 2) * 4, (3 * 10 + 2) * 4 + 4)], [255, 0, 0, 255]);
+});
+
+test('compareImages: perceptual ignores what the eye cannot see, pixel does not', () => {
+  const base = image(4, 4, [100, 100, 100]);
+  const current = paint(image(4, 4, [100, 100, 100]), 0, 0, [101, 100, 100]);
+  assert.equal(compareImages(base, current).changed, 0);
+  assert.equal(compareImages(base, current, { mode: 'pixel', threshold: 0 }).changed, 1);
+  assert.throws(() => compareImages(base, current, { mode: 'fuzzy' }), VisualRegressionError);
+});
+
+test('compareImages leaves masked pixels out and reports size mismatches', () => {
+  const base = image(10, 10);
+  const current = paint(image(10, 10), 5, 5, [0, 0, 0]);
+  const diff = compareImages(base, current, { masks: [{ x: 4, y: 4, width: 3, height: 3 }] });
+  assert.equal(diff.changed, 0);
+  assert.equal(diff.compared, 91);
+  assert.deepEqual(compareImages(base, image(10, 9)), { sizeMismatch: true, baselineSize: '10×10', currentSize: '10×9' });
+});
+
+test('screen labels and per-screen rules', () => {
+  assert.equal(screenLabel('04-mission-control-BEFORE.png'), 'mission-control-BEFORE');
+  const rules = { mode: 'perceptual', threshold: 0.1, tolerance: 0.001, masks: [{ x: 0, y: 0, width: 1, height: 1 }],
+    screens: { 'provenance-*': { tolerance: 0.002, masks: [{ x: 5, y: 5, width: 1, height: 1 }] } } };
+  const r = rulesFor(rules, 'provenance-chain-expanded');
+  assert.equal(r.tolerance, 0.002);
+  assert.equal(r.masks.length, 2);
+  assert.equal(rulesFor(rules, 'landing-hero').tolerance, 0.001);
+});
+
+test('check: new screens fail unless approved, changes over tolerance fail', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const saved = { base: process.env.VISUAL_BASELINE_DIR, report: process.env.VISUAL_REPORT_DIR };
+  t.after(() => {
+    for (const [key, value] of [['VISUAL_BASELINE_DIR', saved.base], ['VISUAL_REPORT_DIR', saved.report]]) {
+      if (value === undefined) delete process.env[key]; else process.env[key] = value;
+    }
+  });
+  process.env.VISUAL_BASELINE_DIR = path.join(root, 'baselines');
+  process.env.VISUAL_REPORT_DIR = path.join(root, 'report');
+  const rec = path.join(root, 'recording-test');
+  fs.mkdirSync(rec);
+  fs.writeFileSync(path.join(rec, '01-home.png'), encodePng(image(20, 20)));
+
+  const fresh = check(rec);
+  assert.equal(fresh.ok, false);
+  assert.equal(fresh.results[0].status, 'new');
+
+  assert.equal(check(rec, { approveNew: true }).ok, true);
+  assert.ok(fs.existsSync(path.join(root, 'baselines', 'recording-test', 'home.png')));
+  assert.equal(check(rec).counts.pass, 1);
+
+  fs.writeFileSync(path.join(rec, '01-home.png'), encodePng(paint(image(20, 20), 1, 1, [0, 0, 0])));
+  const changed = check(rec);
+  assert.equal(changed.ok, false);
+  assert.equal(changed.results[0].status, 'fail');
+  assert.ok(fs.existsSync(path.join(root, 'report', 'recording-test', 'index.html')));
+});
@@ -0,0 +1,578 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Visual Regression Checks
+ *
+ * Compares the numbered screenshots a recorder writes (recording-platform/
+ * 04-mission-control-BEFORE.png …) with approved baselines, so a frontend
+ * change that breaks the Adapters or Provenance pages shows up in a
+ * rehearsal run, not in the investor video.
+ *
+ * A screen is known by its label, without the number (which moves when
+ * scenes are added or filtered): 04-mission-control-BEFORE.png is
+ * mission-control-BEFORE. Baselines live in one directory per recording:
+ *
+ *   visual-baselines/recording-platform/
+ *     mission-control-BEFORE.png          approved screenshots
+ *     rules.json                          tolerances and masks (optional)
+ *
+ * rules.json — defaults, then every `screens` entry whose pattern matches the
+ * label (* wildcards), in order; later values win and masks add up (top-level
+ * masks apply to every screen):
+ *
+ *   {
+ *     "mode": "perceptual",       perceptual (YIQ colour distance) | pixel (any channel)
+ *     "threshold": 0.1,           per-pixel distance that counts as changed, 0–1
+ *     "tolerance": 0.001,         share of the unmasked pixels that may change
+ *     "screens": {
+ *       "provenance-*": { "tolerance": 0.002,
+ *                         "masks": [{ "x": 720, "y": 495, "width": 400, "height": 585, "label": "chain ids" }] }
+ *     }
+ *   }
+ *
+ * Masks (screenshot pixels, 1920×1080) cover what changes on every run —
+ * timestamps, hashes, UUIDs, toasts — and are left out of the comparison.
+ *
+ * Each check writes a report to visual-report/<recording>/: index.html
+ * (baseline, current and diff side by side, masks shaded blue, changed
+ * pixels red), report.json and the images it shows.
+ *
+ * Statuses: pass · fail (over tolerance, or a different size) · new (no
+ * baseline yet) · missing (a baseline with no screenshot — a skipped scene)
+ * · error (an unreadable PNG). fail, error and new fail the check — a new
+ * screen passes only once approved, by `approve` or by --approve-new.
+ *
+ * Usage:
+ *   node visual-regression.js check <recording-dir> [--approve-new]
+ *   node visual-regression.js approve <recording-dir> [<label|pattern> ...]
+ *
+ * Settings (config.js): VISUAL_BASELINE_DIR (default: visual-baselines/),
+ * VISUAL_REPORT_DIR (default: visual-report/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const colors = require('./brand-colors');
+const { globRegExp } = require('./scene-recorder');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // PNG colour type → samples per pixel
+const DEFAULT_RULES = { mode: 'perceptual', threshold: 0.1, tolerance: 0.001 };
+const MODES = ['perceptual', 'pixel'];
+const MAX_YIQ_DELTA = 35215; // the YIQ distance between black and white
+const FAILING = ['fail', 'error', 'new'];
+
+class VisualRegressionError extends Error {
+  constructor(message, { file, screen } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.file = file;
+    this.screen = screen;
+  }
+}
+
+
+// ── PNG ──
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/** Undo the per-row filters (0 none, 1 sub, 2 up, 3 average, 4 paeth) in place. */
+function unfilter(raw, height, stride, bpp, file) {
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[row - stride + x] : 0;
+      const c = x >= bpp && y > 0 ? out[row - stride + x - bpp] : 0;
+      switch (filter) {
+        case 0: out[row + x] = line[x]; break;
+        case 1: out[row + x] = line[x] + a; break;
+        case 2: out[row + x] = line[x] + b; break;
+        case 3: out[row + x] = line[x] + ((a + b) >> 1); break;
+        case 4: out[row + x] = line[x] + paeth(a, b, c); break;
+        default: throw new VisualRegressionError(`${file}: unknown PNG filter ${filter} in row ${y}`, { file });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * PNG → { width, height, data } with data as RGBA bytes. Reads the 8- and
+ * 16-bit non-interlaced images browsers and ffmpeg write.
+ */
+function decodePng(buf, file = 'PNG') {
+  if (buf.length < 8 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new VisualRegressionError(`${file}: not a PNG`, { file });
+  let header = null, palette = null, transparency = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buf.length;) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0), height: data.readUInt32BE(4),
+        depth: data[8], colorType: data[9], interlace: data[12],
+      };
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') transparency = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+  }
+  if (!header || !idat.length) throw new VisualRegressionError(`${file}: truncated PNG`, { file });
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![8, 16].includes(depth) || (colorType === 3 && depth !== 8) || interlace) {
+    throw new VisualRegressionError(`${file}: unsupported PNG (colour type ${colorType}, ${depth}-bit${interlace ? ', interlaced' : ''})`, { file });
+  }
+  if (colorType === 3 && !palette) throw new VisualRegressionError(`${file}: palette image without PLTE`, { file });
+
+  const bytes = depth / 8;
+  const bpp = channels * bytes;
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat));
+  } catch (err) {
+    throw new VisualRegressionError(`${file}: corrupt image data (${err.message})`, { file });
+  }
+  if (raw.length < height * (width * bpp + 1)) throw new VisualRegressionError(`${file}: truncated image data`, { file });
+  const px = unfilter(raw, height, width * bpp, bpp, file);
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0, o = 0; i < width * height; i++, o += 4) {
+    const s = (k) => px[i * bpp + k * bytes]; // 16-bit samples: the high byte
+    if (colorType === 3) {
+      const idx = px[i];
+      data[o] = palette[idx * 3]; data[o + 1] = palette[idx * 3 + 1]; data[o + 2] = palette[idx * 3 + 2];
+      data[o + 3] = transparency && idx < transparency.length ? transparency[idx] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      data[o] = data[o + 1] = data[o + 2] = s(0);
+      data[o + 3] = colorType === 4 ? s(1) : 255;
+    } else {
+      data[o] = s(0); data[o + 1] = s(1); data[o + 2] = s(2);
+      data[o + 3] = colorType === 6 ? s(3) : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+/** { width, height, data (RGBA) } → PNG. */
+function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  const stride = width * 4;
+  const raw = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE, chunk('IHDR', header), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+
+// ── Diff ──
+
+/** A pixel's YIQ components, blended onto white by its alpha. */
+function yiq(data, i) {
+  const a = data[i + 3] / 255;
+  const r = 255 + (data[i] - 255) * a;
+  const g = 255 + (data[i + 1] - 255) * a;
+  const b = 255 + (data[i + 2] - 255) * a;
+  return [
+    r * 0.29889531 + g * 0.58662247 + b * 0.11448223,
+    r * 0.59597799 - g * 0.27417610 - b * 0.32180189,
+    r * 0.21147017 - g * 0.52261711 + b * 0.31114694,
+  ];
+}
+
+/** Perceived colour distance of two pixels, 0 (same) – 1 (black vs white). */
+function perceptualDelta(a, b, i) {
+  const [y1, i1, q1] = yiq(a, i);
+  const [y2, i2, q2] = yiq(b, i);
+  const dy = y1 - y2, di = i1 - i2, dq = q1 - q2;
+  return Math.sqrt((0.5053 * dy * dy + 0.299 * di * di + 0.1957 * dq * dq) / MAX_YIQ_DELTA);
+}
+
+/** Largest difference in any channel, 0–1. */
+function pixelDelta(a, b, i) {
+  return Math.max(
+    Math.abs(a[i] - b[i]), Math.abs(a[i + 1] - b[i + 1]), Math.abs(a[i + 2] - b[i + 2]), Math.abs(a[i + 3] - b[i + 3]),
+  ) / 255;
+}
+
+/** Per-pixel flags: 1 where a mask rectangle covers the pixel. */
+function maskBitmap(width, height, masks = []) {
+  const bits = new Uint8Array(width * height);
+  for (const m of masks) {
+    const x0 = Math.max(0, Math.floor(m.x)), y0 = Math.max(0, Math.floor(m.y));
+    const x1 = Math.min(width, Math.ceil(m.x + m.width)), y1 = Math.min(height, Math.ceil(m.y + m.height));
+    for (let y = y0; y < y1; y++) bits.fill(1, y * width + x0, y * width + Math.max(x0, x1));
+  }
+  return bits;
+}
+
+/**
+ * Compare two decoded images. opts: mode (perceptual | pixel), threshold
+ * (per-pixel distance that counts), masks ([{ x, y, width, height }]).
+ * → { width, height, compared, changed, ratio, box, image } — image is the
+ * diff picture (baseline faded, masks blue, changes red); box the bounding
+ * rectangle of the changes. Images of different sizes → { sizeMismatch }.
+ */
+function compareImages(baseline, current, { mode = DEFAULT_RULES.mode, threshold = DEFAULT_RULES.threshold, masks = [] } = {}) {
+  if (baseline.width !== current.width || baseline.height !== current.height) {
+    return { sizeMismatch: true, baselineSize: `${baseline.width}×${baseline.height}`, currentSize: `${current.width}×${current.height}` };
+  }
+  if (!MODES.includes(mode)) throw new VisualRegressionError(`Unknown diff mode ${mode} (expected ${MODES.join(' or ')})`);
+  const { width, height } = baseline;
+  const delta = mode === 'pixel' ? pixelDelta : perceptualDelta;
+  const masked = maskBitmap(width, height, masks);
+  const image = Buffer.alloc(width * height * 4);
+  let compared = 0, changed = 0;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+    const [luma] = yiq(baseline.data, i);
+    const faded = 255 + (luma - 255) * 0.15;
+    image[i + 3] = 255;
+    if (masked[p]) {
+      image[i] = faded * 0.55; image[i + 1] = faded * 0.7; image[i + 2] = 255;
+      continue;
+    }
+    compared++;
+    if (delta(baseline.data, current.data, i) > threshold) {
+      changed++;
+      image[i] = 255; image[i + 1] = 0; image[i + 2] = 0;
+      const x = p % width, y = (p - x) / width;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    } else {
+      image[i] = image[i + 1] = image[i + 2] = faded;
+    }
+  }
+  return {
+    width, height, compared, changed,
+    ratio: compared ? changed / compared : 0,
+    box: changed ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } : null,
+    image: { width, height, data: image },
+  };
+}
+
+
+// ── Rules ──
+
+function checkMask(m, where) {
+  const ok = m && ['x', 'y', 'width', 'height'].every(k => Number.isFinite(m[k]) && m[k] >= 0);
+  if (!ok) throw new VisualRegressionError(`${where}: a mask needs x, y, width and height (pixels, ≥ 0)`);
+  return m;
+}
+
+/** rules.json of a baseline directory (defaults when there is none), validated. */
+function loadRules(dir) {
+  const file = path.join(dir, 'rules.json');
+  if (!fs.existsSync(file)) return { ...DEFAULT_RULES, screens: {} };
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new VisualRegressionError(`${file}: ${err.message}`, { file });
+  }
+  for (const [pattern, screen] of [['defaults', rules], ...Object.entries(rules.screens || {})]) {
+    const where = `${file}: ${pattern}`;
+    if (screen.mode !== undefined && !MODES.includes(screen.mode)) throw new VisualRegressionError(`${where}: mode must be ${MODES.join(' or ')}`, { file });
+    for (const key of ['threshold', 'tolerance']) {
+      const v = screen[key];
+      if (v !== undefined && !(Number.isFinite(v) && v >= 0 && v <= 1)) throw new VisualRegressionError(`${where}: ${key} must be between 0 and 1`, { file });
+    }
+    (screen.masks || []).forEach(m => checkMask(m, where));
+  }
+  return { ...DEFAULT_RULES, ...rules, screens: rules.screens || {} };
+}
+
+/** The effective { mode, threshold, tolerance, masks } for one screen. */
+function rulesFor(rules, screen) {
+  const { screens, masks = [], ...defaults } = rules;
+  const out = { mode: defaults.mode, threshold: defaults.threshold, tolerance: defaults.tolerance, masks: [...masks] };
+  for (const [pattern, r] of Object.entries(screens || {})) {
+    if (!globRegExp(pattern).test(screen)) continue;
+    for (const key of ['mode', 'threshold', 'tolerance']) if (r[key] !== undefined) out[key] = r[key];
+    out.masks.push(...(r.masks || []));
+  }
+  return out;
+}
+
+
+// ── Baseline store ──
+
+/** 04-mission-control-BEFORE.png → mission-control-BEFORE. */
+function screenLabel(file) {
+  return path.basename(file, '.png').replace(/^\d+-/, '');
+}
+
+/**
+ * label → file of a recording's screenshots, in recording order. A label
+ * recorded twice (a directory with an older run's numbering) keeps the newer.
+ */
+function screenshots(dir, { log = () => {} } = {}) {
+  const files = fs.readdirSync(dir).filter(f => /^\d+-.+\.png$/.test(f)).sort();
+  const byLabel = new Map();
+  for (const f of files) {
+    const file = path.join(dir, f);
+    const label = screenLabel(f);
+    const seen = byLabel.get(label);
+    if (seen) {
+      log('⚠', `${label}: ${path.basename(seen)} and ${f} — comparing the newer`);
+      if (fs.statSync(seen).mtimeMs > fs.statSync(file).mtimeMs) continue;
+      byLabel.delete(label);
+    }
+    byLabel.set(label, file);
+  }
+  return byLabel;
+}
+
+function baselineRoot() {
+  return path.resolve(process.env.VISUAL_BASELINE_DIR || path.join(__dirname, 'visual-baselines'));
+}
+
+function reportRoot() {
+  return path.resolve(process.env.VISUAL_REPORT_DIR || path.join(__dirname, 'visual-report'));
+}
+
+/** Baseline directory of a recording directory (visual-baselines/<name>). */
+function baselineDir(recordingDir) {
+  return path.join(baselineRoot(), path.basename(path.resolve(recordingDir)));
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Copy a recording's screenshots into its baseline directory — all of them,
+ * or those whose label matches one of `labels` (* wildcards). → [labels]
+ */
+function approve(recordingDir, labels = [], { log = () => {} } = {}) {
+  const shots = screenshots(recordingDir, { log });
+  for (const pattern of labels) {
+    if (![...shots.keys()].some(l => globRegExp(pattern).test(l))) {
+      throw new VisualRegressionError(`No screenshot in ${recordingDir} matches ${pattern}`, { screen: pattern });
+    }
+  }
+  const dir = baselineDir(recordingDir);
+  fs.mkdirSync(dir, { recursive: true });
+  const approved = [];
+  for (const [label, file] of shots) {
+    if (labels.length && !labels.some(p => globRegExp(p).test(label))) continue;
+    writeAtomic(path.join(dir, `${label}.png`), fs.readFileSync(file));
+    log('✓', `${label} ← ${path.basename(file)}`);
+    approved.push(label);
+  }
+  return approved;
+}
+
+
+// ── Check ──
+
+function percent(ratio) {
+  return `${(ratio * 100).toFixed(ratio < 0.001 ? 3 : 2)}%`;
+}
+
+/** Compare one screen; → a report entry (without image files). */
+function checkScreen(label, baselineFile, currentFile, rules) {
+  const entry = { screen: label, current: currentFile && path.basename(currentFile), rules };
+  if (!baselineFile) return { ...entry, status: 'new', detail: 'no baseline' };
+  if (!currentFile) return { ...entry, status: 'missing', detail: 'not recorded this run' };
+  try {
+    const baseline = decodePng(fs.readFileSync(baselineFile), baselineFile);
+    const current = decodePng(fs.readFileSync(currentFile), currentFile);
+    const diff = compareImages(baseline, current, rules);
+    if (diff.sizeMismatch) {
+      return { ...entry, status: 'fail', detail: `size ${diff.currentSize}, baseline ${diff.baselineSize}` };
+    }
+    const { image, ...stats } = diff;
+    return {
+      ...entry, ...stats, image,
+      status: diff.ratio > rules.tolerance ? 'fail' : 'pass',
+      detail: `${percent(diff.ratio)} changed (tolerance ${percent(rules.tolerance)})`,
+    };
+  } catch (err) {
+    if (!(err instanceof VisualRegressionError)) throw err;
+    return { ...entry, status: 'error', detail: err.message };
+  }
+}
+
+/**
+ * Check a recording directory against its baselines and write the report.
+ * opts: approveNew (a screen without a baseline becomes one instead of
+ * failing the check), log(icon, msg).
+ * → { recording, ok, counts, results, report }
+ */
+function check(recordingDir, { approveNew = false, log = () => {} } = {}) {
+  const recording = path.basename(path.resolve(recordingDir));
+  if (!fs.existsSync(recordingDir)) throw new VisualRegressionError(`No recording directory ${recordingDir}`, { file: recordingDir });
+  const baseDir = baselineDir(recordingDir);
+  const rules = loadRules(baseDir);
+  const shots = screenshots(recordingDir, { log });
+  const baselines = new Map(
+    (fs.existsSync(baseDir) ? fs.readdirSync(baseDir) : []).filter(f => f.endsWith('.png')).sort()
+      .map(f => [path.basename(f, '.png'), path.join(baseDir, f)]),
+  );
+
+  const outDir = path.join(reportRoot(), recording);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(outDir, 'images'), { recursive: true });
+  const copy = (from, name) => {
+    fs.copyFileSync(from, path.join(outDir, 'images', name));
+    return `images/${name}`;
+  };
+
+  const results = [];
+  for (const label of [...shots.keys(), ...[...baselines.keys()].filter(l => !shots.has(l))]) {
+    const currentFile = shots.get(label);
+    let baselineFile = baselines.get(label);
+    const { image, ...result } = checkScreen(label, baselineFile, currentFile, rulesFor(rules, label));
+    if (result.status === 'new' && approveNew) {
+      approve(recordingDir, [label]);
+      baselineFile = path.join(baseDir, `${label}.png`);
+      result.detail = 'no baseline — approved this screenshot';
+      result.approved = true;
+    }
+    if (baselineFile) result.baselineImage = copy(baselineFile, `${label}.baseline.png`);
+    if (currentFile) result.currentImage = copy(currentFile, `${label}.current.png`);
+    if (image && result.changed) {
+      fs.writeFileSync(path.join(outDir, 'images', `${label}.diff.png`), encodePng(image));
+      result.diffImage = `images/${label}.diff.png`;
+    }
+    const icon = result.approved ? '✓' : { pass: '✓', fail: '✗', error: '✗', new: '✗', missing: '⚠' }[result.status];
+    log(icon, `${label}: ${result.status} — ${result.detail}`);
+    results.push(result);
+  }
+
+  const counts = results.reduce((c, r) => ({ ...c, [r.status]: (c[r.status] || 0) + 1 }), {});
+  const summary = {
+    recording, baselines: baseDir, generatedAt: new Date().toISOString(),
+    ok: !results.some(r => FAILING.includes(r.status) && !r.approved), counts, results,
+  };
+  writeAtomic(path.join(outDir, 'report.json'), JSON.stringify(summary, null, 2) + '\n');
+  const report = path.join(outDir, 'index.html');
+  writeAtomic(report, reportHtml(summary));
+  return { ...summary, report };
+}
+
+
+// ── Report ──
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+const STATUS_COLORS = { pass: colors.success, fail: colors.error, error: colors.error, new: colors.warning, missing: colors.warning };
+
+function reportHtml({ recording, baselines, generatedAt, ok, counts, results }) {
+  const figure = (title, src) => src
+    ? `<figure><figcaption>${title}</figcaption><a href="${escapeHtml(src)}"><img src="${escapeHtml(src)}" loading="lazy"></a></figure>`
+    : `<figure><figcaption>${title}</figcaption><div class="none">—</div></figure>`;
+  const masks = r => (r.rules.masks || []).map(m => escapeHtml(m.label || `${m.x},${m.y} ${m.width}×${m.height}`)).join(', ');
+  // Failures first, then the rest in recording order
+  const order = ['fail', 'error', 'missing', 'new', 'pass'];
+  const sorted = [...results].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Visual regression — ${escapeHtml(recording)}</title>
+<style>
+body{margin:0;padding:24px 32px;background:${colors.bgPrimary};color:${colors.textPrimary};font:14px/1.5 -apple-system,'Segoe UI',sans-serif}
+h1{margin:0 0 4px;font-size:22px;background:${colors.gradientShort};-webkit-background-clip:text;color:transparent;display:inline-block}
+.meta{color:${colors.textSecondary};margin-bottom:16px}
+.counts span{display:inline-block;margin-right:12px;padding:2px 10px;border-radius:12px;background:${colors.bgTertiary}}
+section{margin:20px 0;padding:16px;border:1px solid ${colors.border};border-left:4px solid var(--status);border-radius:6px;background:${colors.bgSecondary}}
+section h2{margin:0;font-size:16px}
+.status{color:var(--status);text-transform:uppercase;font-size:12px;font-weight:600;margin-left:8px}
+.detail{color:${colors.textSecondary};margin:4px 0 12px}
+.images{display:grid;grid-template-columns:repeat(3,1fr);gap:12px}
+figure{margin:0}figcaption{color:${colors.textSecondary};font-size:12px;margin-bottom:4px}
+img{width:100%;border:1px solid ${colors.border};border-radius:4px;background:#fff}
+.none{height:120px;display:flex;align-items:center;justify-content:center;border:1px dashed ${colors.border};border-radius:4px;color:${colors.textSecondary}}
+code{background:${colors.bgInput};padding:1px 5px;border-radius:3px}
+</style></head><body>
+<h1>Visual regression — ${escapeHtml(recording)}</h1>
+<div class="meta">${ok ? 'PASSED' : 'FAILED'} · ${escapeHtml(generatedAt)} · baselines <code>${escapeHtml(baselines)}</code></div>
+<div class="counts">${order.filter(s => counts[s]).map(s => `<span style="color:${STATUS_COLORS[s]}">${s} ${counts[s]}</span>`).join('')}</div>
+${sorted.map(r => `<section style="--status:${STATUS_COLORS[r.status]}">
+<h2>${escapeHtml(r.screen)}<span class="status">${r.status}</span></h2>
+<div class="detail">${escapeHtml(r.detail)}${r.current ? ` · <code>${escapeHtml(r.current)}</code>` : ''}${r.box ? ` · changes within ${r.box.width}×${r.box.height} at ${r.box.x},${r.box.y}` : ''}${masks(r) ? ` · masked: ${masks(r)}` : ''}</div>
+<div class="images">${figure('Baseline', r.baselineImage)}${figure('Current', r.currentImage)}${figure('Diff', r.diffImage)}</div>
+</section>`).join('\n')}
+</body></html>
+`;
+}
+
+module.exports = {
+  VisualRegressionError, check, approve, compareImages, decodePng, encodePng,
+  loadRules, rulesFor, screenLabel, screenshots, baselineDir, DEFAULT_RULES,
+};
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const [command, dir, ...rest] = config.argv;
+  const usage = 'Usage: node visual-regression.js check <recording-dir> [--approve-new]\n'
+    + '       node visual-regression.js approve <recording-dir> [<label|pattern> ...]';
+  const print = (icon, msg) => console.log(`  ${icon} ${msg}`);
+  const fatal = (msg) => {
+    console.error(`  FATAL: ${msg}`);
+    process.exit(1);
+  };
+  if (!['check', 'approve'].includes(command) || !dir) fatal(usage);
+  const unknown = rest.find(a => a.startsWith('--') && !(command === 'check' && a === '--approve-new'));
+  if (unknown) fatal(`Unknown option ${unknown}\n${usage}`);
+
+  try {
+    if (command === 'approve') {
+      const approved = approve(dir, rest, { log: print });
+      console.log(`\n  ${approved.length} baseline(s) in ${path.relative(process.cwd(), baselineDir(dir)) || '.'}`);
+    } else {
+      const result = check(dir, { approveNew: rest.includes('--approve-new'), log: print });
+      const counts = Object.entries(result.counts).map(([s, n]) => `${n} ${s}`).join(', ') || 'no screenshots';
+      console.log(`\n  ${result.ok ? '✓' : '✗'} ${counts} — ${path.relative(process.cwd(), result.report)}`);
+      process.exit(result.ok ? 0 : 1);
+    }
+  } catch (err) {
+    if (!(err instanceof VisualRegressionError)) throw err;
+    fatal(err.message);
+  }
+}
@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Signed Webhook Fixtures
+ *
+ * Realistic delivery bodies for every adapter, signed the way each platform
+ * signs them, for POST /adapters/webhooks/:platform/:connId:
+ *
+ *   github  X-Hub-Signature-256: sha256=<HMAC-SHA256(body)> (+ X-Hub-Signature sha1=),
+ *           X-GitHub-Event, X-GitHub-Delivery
+ *   vercel  x-vercel-signature: <HMAC-SHA1(body)>
+ *   figma   x-figma-signature: <HMAC-SHA256(body)>; body carries passcode + timestamp
+ *   notion  X-Notion-Signature: sha256=<HMAC-SHA256(body)>
+ *   slack   X-Slack-Signature: v0=<HMAC-SHA256("v0:<ts>:<body>")>, X-Slack-Request-Timestamp
+ *   linear  Linear-Signature: <HMAC-SHA256(body)>, Linear-Delivery, Linear-Event;
+ *           body carries webhookTimestamp (ms)
+ *
+ *   const fixture = buildFixture('github', 'issues', { action: 'opened', issue: { number: 7 } });
+ *   const { body, headers } = signFixture(fixture, secret);
+ *   await fireFixture({ apiUrl, connId, secret, fixture });                    // → { ok, status, passed }
+ *   await fireFixture({ apiUrl, connId, secret, fixture, variant: 'replay' }); // expects rejection
+ *
+ * Negative variants — the API should answer each with a 4xx:
+ *   bad-signature    signed with the wrong secret
+ *   replay           the identical delivery (same id, body, signature) sent twice;
+ *                    the first is accepted, the second must be rejected
+ *   stale-timestamp  correctly signed, but dated STALE_MS in the past; only for
+ *                    platforms that sign or send a timestamp (not github)
+ *
+ * Usage:
+ *   node webhook-fixtures.js list
+ *   node webhook-fixtures.js show <platform> <event>               signed request → stdout
+ *   node webhook-fixtures.js fire <platform> <event> [variant]
+ *   node webhook-fixtures.js negative <platform> <event>           every applicable variant
+ *
+ * Settings (CLI; config.js — .env, environment or --api-url ...):
+ *   API_URL — API base (default: http://127.0.0.1:<API_PORT>/api/v1)
+ *   <PLATFORM>_CONN_ID, <PLATFORM>_WEBHOOK_SECRET — e.g. GITHUB_CONN_ID, FIGMA_WEBHOOK_SECRET
+ */
+
+const crypto = require('crypto');
+
+const STALE_MS = 10 * 60 * 1000;
+const VARIANTS = ['bad-signature', 'replay', 'stale-timestamp'];
+
+class FixtureError extends Error {
+  constructor(message, { platform, event, variant } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.platform = platform;
+    this.event = event;
+    this.variant = variant;
+  }
+}
+
+// ── Helpers ──
+
+function hmac(algorithm, secret, data) {
+  return crypto.createHmac(algorithm, secret).update(data).digest('hex');
+}
+
+const hex = bytes => crypto.randomBytes(bytes).toString('hex');
+const iso = ms => new Date(ms).toISOString();
+
+
+// ── Payload builders: (event, opts, now) → body ──
+
+function ghRepository({ owner = 'openexecution', repo = 'demo', webUrl = 'https://github.com' }) {
+  return {
+    id: 1, name: repo, full_name: `${owner}/${repo}`, private: false,
+    owner: { login: owner, type: 'Organization' },
+    html_url: `${webUrl}/${owner}/${repo}`, default_branch: 'main',
+  };
+}
+
+const github = {
+  events: ['issues', 'push', 'pull_request', 'ping'],
+  /** opts: owner, repo, sender, webUrl, action, issue (as the issues API returns it), pull, ref, commits. */
+  build(event, opts, now) {
+    const repository = ghRepository(opts);
+    const sender = opts.sender || repository.owner.login;
+    const base = { repository, sender: { login: sender, type: 'User' } };
+
+    if (event === 'issues') {
+      const issue = opts.issue || {};
+      const number = issue.number || 1;
+      return {
+        action: opts.action || 'opened',
+        issue: {
+          id: issue.id || number, number, title: issue.title || '[DEMO] Fixture issue', body: issue.body || null,
+          state: issue.state || (opts.action === 'closed' ? 'closed' : 'open'),
+          user: issue.user || { login: sender }, labels: issue.labels || [],
+          html_url: issue.html_url || `${repository.html_url}/issues/${number}`,
+          created_at: issue.created_at || iso(now), updated_at: issue.updated_at || iso(now), closed_at: issue.closed_at || null,
+        },
+        ...base,
+      };
+    }
+    if (event === 'push') {
+      const commits = (opts.commits || [{ message: 'Fixture commit' }]).map(c => ({
+        id: c.id || hex(20), message: c.message, timestamp: c.timestamp || iso(now),
+        author: c.author || { name: sender, username: sender }, added: c.added || [], modified: c.modified || [], removed: c.removed || [],
+      }));
+      const head = commits[commits.length - 1];
+      return {
+        ref: opts.ref || 'refs/heads/main', before: opts.before || '0'.repeat(40), after: head.id,
+        commits, head_commit: head,
+        pusher: { name: sender }, compare: `${repository.html_url}/compare/${head.id.slice(0, 12)}`,
+        ...base,
+      };
+    }
+    if (event === 'pull_request') {
+      const pull = opts.pull || {};
+      const number = pull.number || 1;
+      const merged = opts.action === 'closed' && pull.merged !== false;
+      return {
+        action: opts.action || 'opened',
+        number,
+        pull_request: {
+          id: pull.id || number, number, title: pull.title || '[DEMO] Fixture pull request', body: pull.body || null,
+          state: opts.action === 'closed' ? 'closed' : 'open', merged, merged_at: merged ? iso(now) : null,
+          user: { login: sender },
+          head: { ref: (pull.head && pull.head.ref) || 'fix/fixture', sha: (pull.head && pull.head.sha) || hex(20) },
+          base: { ref: (pull.base && pull.base.ref) || 'main' },
+          html_url: pull.html_url || `${repository.html_url}/pull/${number}`,
+        },
+        ...base,
+      };
+    }
+    return { zen: 'Keep it logically awesome.', hook_id: opts.hookId || 1, hook: { type: 'Repository', events: ['issues', 'push', 'pull_request'] }, ...base };
+  },
+  sign(secret, body, { event, deliveryId }) {
+    return {
+      'User-Agent': 'GitHub-Hookshot/oe-fixtures',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': deliveryId || crypto.randomUUID(),
+      'X-Hub-Signature': `sha1=${hmac('sha1', secret, body)}`,
+      'X-Hub-Signature-256': `sha256=${hmac('sha256', secret, body)}`,
+    };
+  },
+  // GitHub signs no timestamp: a stale delivery is indistinguishable from a slow one
+  timestamped: false,
+};
+
+const vercel = {
+  events: ['deployment.created', 'deployment.succeeded', 'deployment.ready', 'deployment.error', 'deployment.canceled'],
+  /** opts: project, projectId, deploymentId, url, target, meta. */
+  build(type, opts, now) {
+    const project = opts.project || 'demo';
+    const id = opts.deploymentId || `dpl_${hex(12)}`;
+    const url = opts.url || `${project}-${id.slice(4, 13)}.vercel.app`;
+    const meta = opts.meta || { gitBranch: 'main' };
+    return {
+      id: opts.eventId || `evt_${hex(12)}`,
+      type,
+      createdAt: now,
+      payload: {
+        deployment: { id, url, name: project, meta },
+        project: { id: opts.projectId || `prj_${project}` },
+        target: opts.target || 'production',
+        url, name: project, meta,
+        links: { deployment: `https://vercel.com/${project}/${id}` },
+      },
+    };
+  },
+  sign(secret, body) {
+    return { 'x-vercel-signature': hmac('sha1', secret, body) };
+  },
+  timestamped: true,
+};
+
+const figma = {
+  events: ['FILE_UPDATE', 'FILE_VERSION_UPDATE', 'FILE_COMMENT', 'FILE_DELETE'],
+  /** opts: fileKey, fileName, passcode, handle, label, comment. */
+  build(eventType, opts, now) {
+    const handle = opts.handle || 'figma-user';
+    const body = {
+      event_type: eventType,
+      file_key: opts.fileKey || 'fixture-file',
+      file_name: opts.fileName || 'Fixture Design File',
+      passcode: opts.passcode || 'oe-fixture',
+      timestamp: iso(now),
+      webhook_id: opts.webhookId || String(Math.floor(now / 1000)),
+      triggered_by: { id: handle, handle },
+    };
+    if (eventType === 'FILE_VERSION_UPDATE') Object.assign(body, { version_id: opts.versionId || String(now), label: opts.label || 'Fixture version' });
+    if (eventType === 'FILE_COMMENT') Object.assign(body, { comment_id: hex(6), comment: [{ text: opts.comment || 'Fixture comment' }] });
+    return body;
+  },
+  sign(secret, body) {
+    return { 'x-figma-signature': hmac('sha256', secret, body) };
+  },
+  timestamped: true,
+};
+
+const notion = {
+  events: ['page.created', 'page.content_updated', 'page.properties_updated', 'comment.created'],
+  /** opts: pageId, parentId, workspaceId, authorId, commentId. */
+  build(type, opts, now) {
+    const pageId = opts.pageId || crypto.randomUUID();
+    const body = {
+      id: opts.eventId || crypto.randomUUID(),
+      timestamp: iso(now),
+      workspace_id: opts.workspaceId || crypto.randomUUID(),
+      subscription_id: opts.subscriptionId || crypto.randomUUID(),
+      integration_id: opts.integrationId || crypto.randomUUID(),
+      type,
+      authors: [{ id: opts.authorId || crypto.randomUUID(), type: 'person' }],
+      attempt_number: 1,
+      entity: type === 'comment.created' ? { id: opts.commentId || crypto.randomUUID(), type: 'comment' } : { id: pageId, type: 'page' },
+      data: { parent: { id: opts.parentId || crypto.randomUUID(), type: 'page' } },
+    };
+    if (type === 'page.content_updated') body.data.updated_blocks = [{ id: crypto.randomUUID(), type: 'block' }];
+    if (type === 'page.properties_updated') body.data.updated_properties = ['title'];
+    if (type === 'comment.created') body.data.page_id = pageId;
+    return body;
+  },
+  sign(secret, body) {
+    return { 'X-Notion-Signature': `sha256=${hmac('sha256', secret, body)}` };
+  },
+  timestamped: true,
+};
+
+const slack = {
+  events: ['message', 'app_mention'],
+  /** opts: channel, user, text, teamId. */
+  build(type, opts, now) {
+    return {
+      token: 'deprecated-verification-token',
+      team_id: opts.teamId || 'T0FIXTURE',
+      api_app_id: 'A0FIXTURE',
+      type: 'event_callback',
+      event_id: opts.eventId || `Ev${hex(5).toUpperCase()}`,
+      event_time: Math.floor(now / 1000),
+      event: {
+        type, channel: opts.channel || 'C0INCIDENT', user: opts.user || 'U0FIXTURE',
+        text: opts.text || (type === 'app_mention' ? '<@U0OEBOT> status?' : 'Fixture message'),
+        ts: `${Math.floor(now / 1000)}.000100`,
+      },
+    };
+  },
+  sign(secret, body, { timestamp }) {
+    const ts = String(Math.floor(timestamp / 1000));
+    return { 'X-Slack-Request-Timestamp': ts, 'X-Slack-Signature': `v0=${hmac('sha256', secret, `v0:${ts}:${body}`)}` };
+  },
+  timestamped: true,
+};
+
+const linear = {
+  events: ['Issue', 'Comment'],
+  /** opts: action, identifier, title, issueId, organizationId. */
+  build(type, opts, now) {
+    const issueId = opts.issueId || crypto.randomUUID();
+    const data = type === 'Issue'
+      ? { id: issueId, identifier: opts.identifier || 'SEC-1', title: opts.title || 'Fixture issue', priority: 1, state: { name: 'Todo' } }
+      : { id: crypto.randomUUID(), body: opts.body || 'Fixture comment', issueId };
+    return {
+      action: opts.action || 'create',
+      type,
+      data: { ...data, createdAt: iso(now) },
+      url: `https://linear.app/oe/issue/${data.identifier || 'SEC-1'}`,
+      createdAt: iso(now),
+      organizationId: opts.organizationId || crypto.randomUUID(),
+      webhookTimestamp: now,
+      webhookId: opts.webhookId || crypto.randomUUID(),
+    };
+  },
+  sign(secret, body, { event, deliveryId }) {
+    return { 'Linear-Signature': hmac('sha256', secret, body), 'Linear-Delivery': deliveryId || crypto.randomUUID(), 'Linear-Event': event };
+  },
+  timestamped: true,
+};
+
+const ADAPTERS = { github, vercel, figma, notion, slack, linear };
+const PLATFORMS = Object.keys(ADAPTERS);
+
+function adapter(platform) {
+  const a = ADAPTERS[platform];
+  if (!a) throw new FixtureError(`Unknown platform ${platform} (expected ${PLATFORMS.join(', ')})`, { platform });
+  return a;
+}
+
+
+// ── Fixtures ──
+
+/**
+ * { platform, event, payload, timestamp, opts } — opts are kept so a variant
+ * can rebuild the payload (stale-timestamp). opts.now dates the delivery.
+ */
+function buildFixture(platform, event, opts = {}) {
+  const a = adapter(platform);
+  if (!a.events.includes(event)) {
+    throw new FixtureError(`No ${platform} fixture for ${event} (expected ${a.events.join(', ')})`, { platform, event });
+  }
+  const timestamp = opts.now || Date.now();
+  return { platform, event, payload: a.build(event, opts, timestamp), timestamp, opts };
+}
+
+/**
+ * The request for a fixture: { body, headers }, body being the exact string
+ * signed. A recorded fixture ({ platform, event, payload }) is signed as of now.
+ */
+function signFixture(fixture, secret, { deliveryId } = {}) {
+  const body = typeof fixture.payload === 'string' ? fixture.payload : JSON.stringify(fixture.payload);
+  const headers = adapter(fixture.platform).sign(secret, body, {
+    event: fixture.event, deliveryId, timestamp: fixture.timestamp || Date.now(),
+  });
+  return { body, headers: { 'Content-Type': 'application/json', ...headers } };
+}
+
+/** The requests a variant sends, in order; the last one is expected to be rejected. */
+function variantRequests(fixture, secret, variant) {
+  const { platform, event } = fixture;
+  if (variant === 'bad-signature') return [signFixture(fixture, `${secret}-wrong`)];
+  if (variant === 'replay') {
+    const request = signFixture(fixture, secret, { deliveryId: crypto.randomUUID() });
+    return [request, request];
+  }
+  if (variant === 'stale-timestamp') {
+    if (!adapter(platform).timestamped) {
+      throw new FixtureError(`${platform} deliveries carry no signed timestamp — stale-timestamp does not apply`, { platform, event, variant });
+    }
+    if (!fixture.opts) throw new FixtureError('stale-timestamp needs a built fixture, not a recorded one', { platform, event, variant });
+    return [signFixture(buildFixture(platform, event, { ...fixture.opts, now: Date.now() - STALE_MS }), secret)];
+  }
+  throw new FixtureError(`Unknown variant ${variant} (expected ${VARIANTS.join(', ')})`, { platform, event, variant });
+}
+
+/** Variants that apply to a platform. */
+function variantsFor(platform) {
+  return VARIANTS.filter(v => v !== 'stale-timestamp' || adapter(platform).timestamped);
+}
+
+/**
+ * POST a fixture (or a negative variant of it) to the connection's webhook
+ * receiver. Resolves with { status, statuses, ok, passed }: passed means the
+ * API did what it should — accepted a plain fixture, rejected the variant
+ * with a 4xx (for replay: accepted the first copy, rejected the second).
+ * opts.fetch lets the orchestrator route through ctx.fetch (--dry-run).
+ */
+async function fireFixture({ apiUrl, connId, secret, fixture, variant = null, fetch: fetchImpl = fetch }) {
+  if (!connId || !secret) {
+    throw new FixtureError(`No ${fixture.platform} connection id + webhook secret to fire ${fixture.event} at`, { platform: fixture.platform, event: fixture.event, variant });
+  }
+  const url = `${apiUrl.replace(/\/+$/, '')}/adapters/webhooks/${fixture.platform}/${connId}`;
+  const requests = variant ? variantRequests(fixture, secret, variant) : [signFixture(fixture, secret)];
+  const statuses = [];
+  for (const { body, headers } of requests) {
+    const res = await fetchImpl(url, { method: 'POST', headers, body });
+    statuses.push(res.status);
+  }
+  const status = statuses[statuses.length - 1];
+  const ok = status >= 200 && status < 300;
+  const rejected = status >= 400 && status < 500;
+  const passed = !variant ? ok
+    : variant === 'replay' ? statuses[0] >= 200 && statuses[0] < 300 && rejected
+    : rejected;
+  return { status, statuses, ok, passed };
+}
+
+module.exports = {
+  FixtureError, PLATFORMS, VARIANTS, STALE_MS,
+  buildFixture, signFixture, variantRequests, variantsFor, fireFixture,
+};
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const [cmd, platform, event, variant] = config.argv;
+  const conn = () => ({
+    apiUrl: config.API_URL || `http://127.0.0.1:${config.API_PORT}/api/v1`,
+    connId: config[`${platform.toUpperCase()}_CONN_ID`],
+    secret: config[`${platform.toUpperCase()}_WEBHOOK_SECRET`],
+  });
+  const report = (label, r) => console.error(`  ${r.passed ? '✓' : '✗'} ${label} → ${r.statuses.join(', ')}${r.passed ? '' : ' (unexpected)'}`);
+
+  (async () => {
+    if (cmd === 'list') {
+      for (const p of PLATFORMS) {
+        console.log(`  ${p.padEnd(7)} ${ADAPTERS[p].events.join(', ')}`);
+        console.log(`  ${''.padEnd(7)} negative: ${variantsFor(p).join(', ')}`);
+      }
+    } else if (cmd === 'show' && platform && event) {
+      const secret = config[`${platform.toUpperCase()}_WEBHOOK_SECRET`] || 'fixture-secret';
+      console.log(JSON.stringify(signFixture(buildFixture(platform, event), secret), null, 2));
+    } else if (cmd === 'fire' && platform && event) {
+      const r = await fireFixture({ ...conn(), fixture: buildFixture(platform, event), variant });
+      report(`${platform} ${event}${variant ? ` [${variant}]` : ''}`, r);
+      if (!r.passed) process.exit(1);
+    } else if (cmd === 'negative' && platform && event) {
+      let failed = 0;
+      for (const v of variantsFor(platform)) {
+        const r = await fireFixture({ ...conn(), fixture: buildFixture(platform, event), variant: v });
+        report(`${platform} ${event} [${v}]`, r);
+        if (!r.passed) failed++;
+      }
+      if (failed) process.exit(1);
+    } else {
+      console.error('  Usage: node webhook-fixtures.js list');
+      console.error('         node webhook-fixtures.js show <platform> <event>');
+      console.error(`         node webhook-fixtures.js fire <platform> <event> [${VARIANTS.join('|')}]`);
+      console.error('         node webhook-fixtures.js negative <platform> <event>');
+      process.exit(1);
+    }
+  })().catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
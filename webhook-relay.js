@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * OpenExecution — Local Webhook Relay
+ *
+ * Stands in for GitHub's and Vercel's webhook senders so the live demo runs
+ * without cloudflared or inbound internet access: deliveries are POSTed
+ * straight to the API's receiver
+ *
+ *   POST /adapters/webhooks/:platform/:connId
+ *
+ * with the headers the real senders use, signed with the connection's
+ * webhook secret over the exact body bytes sent (GitHub X-Hub-Signature-256,
+ * Vercel x-vercel-signature — the schemes are in webhook-fixtures.js).
+ *
+ * Payloads are synthesized (buildFixture: issues, push, pull_request,
+ * deployment.*) or replayed from a recording. With a record
+ * file every delivery is appended as JSON Lines, and `replay` sends such a
+ * file again, re-signed for the current connections:
+ *
+ *   {"platform":"github","event":"issues","payload":{...},"status":200,"delivered_at":"…"}
+ *
+ * Usage:
+ *   node webhook-relay.js send github <issues|push|pull_request> [action]
+ *   node webhook-relay.js send vercel <deployment.created|deployment.succeeded|…>
+ *   node webhook-relay.js replay <deliveries.jsonl>
+ *
+ * Settings (CLI; config.js — .env, environment or --api-url ...):
+ *   API_URL                — API base (default: http://127.0.0.1:<API_PORT>/api/v1)
+ *   GITHUB_CONN_ID, GITHUB_WEBHOOK_SECRET — GitHub connection + its secret
+ *   VERCEL_CONN_ID, VERCEL_WEBHOOK_SECRET — Vercel connection + its secret
+ *   GITHUB_OWNER, GITHUB_REPO, VERCEL_PROJECT — used in synthesized payloads
+ *   WEBHOOK_RELAY_RECORD   — append deliveries to this JSON Lines file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PLATFORMS, buildFixture, signFixture } = require('./webhook-fixtures');
+
+class WebhookRelayError extends Error {
+  constructor(message, { platform, event, status } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.platform = platform;
+    this.event = event;
+    this.status = status;
+  }
+}
+
+
+// ── Relay ──
+
+/**
+ * const relay = createRelay({ apiUrl, connections: { github: { connId, secret } } });
+ * await relay.deliver('github', 'issues', buildFixture('github', 'issues', { ... }).payload);
+ *
+ * opts.fetch — fetch implementation (the orchestrator passes ctx.fetch, so
+ * --dry-run prints deliveries); opts.log(icon, msg); opts.recordFile.
+ * deliver() resolves with { status, ok } and never throws on an HTTP error
+ * status — the receiver's verdict is part of the demo; strict: true turns a
+ * non-2xx into a WebhookRelayError.
+ */
+function createRelay({ apiUrl, connections = {}, fetch: fetchImpl = fetch, log = () => {}, recordFile = null } = {}) {
+  if (!apiUrl) throw new WebhookRelayError('createRelay needs apiUrl');
+  const base = apiUrl.replace(/\/+$/, '');
+  if (recordFile) fs.mkdirSync(path.dirname(path.resolve(recordFile)), { recursive: true });
+
+  async function deliver(platform, event, payload, { strict = false } = {}) {
+    const conn = connections[platform];
+    if (!conn || !conn.connId || !conn.secret) {
+      throw new WebhookRelayError(`No ${platform} connection id + webhook secret to deliver ${event} with`, { platform, event });
+    }
+    if (!PLATFORMS.includes(platform)) throw new WebhookRelayError(`Unknown platform ${platform}`, { platform, event });
+    const { body, headers } = signFixture({ platform, event, payload }, conn.secret);
+    const label = payload.action ? `${event}.${payload.action}` : event;
+    const res = await fetchImpl(`${base}/adapters/webhooks/${platform}/${conn.connId}`, { method: 'POST', headers, body });
+    const result = { status: res.status, ok: res.ok };
+    log(res.ok ? '✓' : '⚠', `Relayed ${platform} ${label} → ${res.status}`);
+    if (recordFile) {
+      fs.appendFileSync(recordFile, JSON.stringify({
+        platform, event, payload: typeof payload === 'string' ? JSON.parse(payload) : payload,
+        status: res.status, delivered_at: new Date().toISOString(),
+      }) + '\n');
+    }
+    if (strict && !res.ok) throw new WebhookRelayError(`${platform} ${label} rejected with ${res.status}`, { platform, event, status: res.status });
+    return result;
+  }
+
+  /** Send recorded deliveries ({ platform, event, payload } per entry) in order. */
+  async function replay(deliveries, opts) {
+    const results = [];
+    for (const d of deliveries) results.push({ ...d, ...await deliver(d.platform, d.event, d.payload, opts) });
+    return results;
+  }
+
+  return { deliver, replay };
+}
+
+/** Deliveries from a JSON Lines recording (blank lines ignored). */
+function loadDeliveries(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()).map((line, i) => {
+    let d;
+    try { d = JSON.parse(line); } catch { throw new WebhookRelayError(`${file}:${i + 1}: not valid JSON`); }
+    if (!PLATFORMS.includes(d.platform) || !d.event || !d.payload) {
+      throw new WebhookRelayError(`${file}:${i + 1}: expected { platform, event, payload }`);
+    }
+    return d;
+  });
+}
+
+module.exports = { WebhookRelayError, createRelay, loadDeliveries };
+
+if (require.main === module) {
+  const config = require('./config').loadConfigOrExit();
+  const [cmd, ...args] = config.argv;
+  const relay = () => createRelay({
+    apiUrl: config.API_URL || `http://127.0.0.1:${config.API_PORT}/api/v1`,
+    connections: {
+      github: { connId: config.GITHUB_CONN_ID, secret: config.GITHUB_WEBHOOK_SECRET },
+      vercel: { connId: config.VERCEL_CONN_ID, secret: config.VERCEL_WEBHOOK_SECRET },
+    },
+    log: (icon, msg) => console.error(`  ${icon} ${msg}`),
+    recordFile: config.WEBHOOK_RELAY_RECORD,
+  });
+
+  (async () => {
+    let results;
+    if (cmd === 'send' && args[0] === 'github' && args[1]) {
+      const { payload } = buildFixture('github', args[1], {
+        owner: config.GITHUB_OWNER || undefined, repo: config.GITHUB_REPO || undefined, action: args[2],
+      });
+      results = [await relay().deliver('github', args[1], payload)];
+    } else if (cmd === 'send' && args[0] === 'vercel' && args[1]) {
+      results = [await relay().deliver('vercel', args[1], buildFixture('vercel', args[1], { project: config.VERCEL_PROJECT }).payload)];
+    } else if (cmd === 'replay' && args[0]) {
+      results = await relay().replay(loadDeliveries(args[0]));
+    } else {
+      console.error('  Usage: node webhook-relay.js send github <issues|push|pull_request> [action]');
+      console.error('         node webhook-relay.js send vercel <deployment.created|deployment.succeeded|…>');
+      console.error('         node webhook-relay.js replay <deliveries.jsonl>');
+      process.exit(1);
+    }
+    if (results.some(r => !r.ok)) process.exit(1);
+  })().catch(err => {
+    console.error(`  FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}